@@ -5,10 +5,47 @@
  * message:sent event. Tracks already-written turns by sessionId+index so the
  * handler is idempotent regardless of which event fires first.
  *
+ * Sessions are found under every agent in ~/.openclaw/agents/<id>/sessions/. The
+ * event's own session (context.agentId/sessionId, or event.sessionKey looked
+ * up in the agent's sessions.json) is processed first, then every other
+ * session file with bytes its cursor has not consumed — so concurrent
+ * sessions (Matrix rooms, DMs) and several agents on one gateway are all
+ * captured and attributed to the right session.
+ *
+ * Each session file has a cursor sidecar (byte offset, last written turn
+ * index, in-progress turn state) so an invocation only parses lines appended
+ * since the previous one. If the session file shrinks, is replaced, or its
+ * first bytes change (e.g. after sessions.reset), the cursor re-parses the
+ * file from the start; the sessionId is read again from its header, and turn
+ * indexes already written are skipped only when it is still the same session.
+ *
+ * The last turn of a session has no following user message to close it. On
+ * command:new, command:reset, session:end and gateway:stop the pending turn is
+ * flushed with `partial: true` and recorded in the cursor; if the session goes
+ * on and the turn completes, it is written once more as a complete record
+ * that supersedes the partial one (see dropSupersededPartials() in
+ * lib/turns.js). `openhive extractor flush` calls flushPendingTurns() for
+ * sessions on disk.
+ *
+ * Turn reconstruction and record building live in lib/turns.js, shared with
+ * `openhive extract`, which backfills the same records from old transcripts.
+ *
  * Output: $OPENCLAW_EXTRACTOR_OUTPUT/conversation-extractor.jsonl
  *         (falls back to ~/.openclaw/conversation-extractor.jsonl)
+ * Cursors: ~/.openclaw/conversation-extractor.cursors/<agent>/<session>.json —
+ *          kept with the transcripts, not the output, because the in-progress
+ *          turn they hold has not been through redaction yet
+ * Extra destinations (HTTP, stdout) are configured with $OPENCLAW_EXTRACTOR_SINKS
+ * — see lib/sinks.js.
  *
- * Hook events: agent:bootstrap, message:sent
+ * Usage: every turn written is folded into a running token/cost summary
+ * (conversation-extractor.usage.json next to the log). Once
+ * $OPENCLAW_EXTRACTOR_USAGE_EVERY turns (default 25; "off" disables) have been
+ * written since the last snapshot, and on flush events, a snapshot is appended
+ * as an openclaw-usage-v1 record — see lib/usage.js.
+ *
+ * Hook events: agent:bootstrap, message:sent, command:new, command:reset,
+ *              session:end, gateway:stop
  *
  * Installed by: openhive agent configure <framework>
  */
@@ -17,260 +54,458 @@ import fs from "fs";
 import fsPromises from "fs/promises";
 import path from "path";
 import os from "os";
+import crypto from "crypto";
+import { openSinks, loadSinkConfig } from "../lib/sinks.js";
+import { withLogLock, loadKeyIndex, parseIdempotencyKey } from "../lib/logfile.js";
+import { loadRedactor } from "../lib/redact.js";
+import { loadValidateMode } from "../lib/validate.js";
+import {
+  agentIdFromKey, readSessionStore, resolveEventSession, sessionMeta,
+  createTurnState, extractTurns, finalizeTurn, buildTurnPayload, parseJsonLines,
+} from "../lib/turns.js";
+import { createUsageSummary, addToSummary, removeFromSummary, turnUsageOf, buildUsageRecord } from "../lib/usage.js";
+
+// Bump when the persisted cursor shape changes — older cursors are discarded
+// and rebuilt from the session file plus the output log.
+const CURSOR_VERSION = 2;
+// Number of leading bytes fingerprinted to detect a rewritten session file.
+const HEAD_BYTES = 512;
+// Turns between two openclaw-usage-v1 snapshots.
+const DEFAULT_USAGE_EVERY = 25;
+
+/** Resolve session and output locations. Defaults match the gateway
+ *  environment; the openhive CLI passes explicit directories. */
+function resolvePaths({ stateDir, outputDir } = {}) {
+  const state  = stateDir ?? path.join(os.homedir(), ".openclaw");
+  const output = outputDir ?? stateDir ?? process.env.OPENCLAW_EXTRACTOR_OUTPUT ?? state;
+  return {
+    stateDir:  state,
+    logFile:   path.join(output, "conversation-extractor.jsonl"),
+    cursorDir: path.join(state, "conversation-extractor.cursors"),
+    // Where cursors used to live; removed on sight since they hold unredacted text
+    legacyCursorDir: output === state ? null : path.join(output, "conversation-extractor.cursors"),
+    spoolDir:  path.join(output, "conversation-extractor.spool"),
+    usageFile: path.join(output, "conversation-extractor.usage.json"),
+  };
+}
 
-const OUTPUT_DIR   = process.env.OPENCLAW_EXTRACTOR_OUTPUT ?? path.join(os.homedir(), ".openclaw");
-const LOG_FILE     = path.join(OUTPUT_DIR, "conversation-extractor.jsonl");
+function sessionsDir(paths, agentId) {
+  return path.join(paths.stateDir, "agents", agentId, "sessions");
+}
 
-const STATE_DIR    = path.join(os.homedir(), ".openclaw");
-const SESSIONS_DIR = path.join(STATE_DIR, "agents", "main", "sessions");
+// ── Config ────────────────────────────────────────────────────────────────────
 
-function resolveSessionFile(agentId, sessionId) {
-  return path.join(STATE_DIR, "agents", agentId, "sessions", `${sessionId}.jsonl`);
+/**
+ * Read every setting the extractor takes from the environment up front, so a
+ * bad value stops the invocation before anything is written instead of
+ * failing half-way. Throws one error listing every problem.
+ */
+function loadConfig() {
+  const problems = [];
+  const load = (name, fn, fallback) => {
+    try {
+      return fn();
+    } catch (err) {
+      const message = err.message ?? String(err);
+      problems.push(message.includes(name) ? message : `${name}: ${message}`);
+      return fallback;
+    }
+  };
+  const config = {
+    usageEvery: load("OPENCLAW_EXTRACTOR_USAGE_EVERY", loadUsageEvery, 0),
+    specs:      load("OPENCLAW_EXTRACTOR_SINKS", loadSinkConfig, null),
+    redactor:   load("OPENCLAW_EXTRACTOR_REDACT", loadRedactor, null),
+    validate:   load("OPENCLAW_EXTRACTOR_VALIDATE", loadValidateMode, "off"),
+  };
+  if (problems.length > 0) throw new Error(`invalid configuration:\n  ${problems.join("\n  ")}`);
+  return config;
 }
 
-/** Find the newest session file that contains at least one user-role message.
- *  Skips Matrix context-only files (assistant-only). */
-async function findNewestSessionFile() {
+// ── Session discovery ─────────────────────────────────────────────────────────
+
+async function listAgentIds(paths) {
   try {
-    const files = (await fsPromises.readdir(SESSIONS_DIR)).filter(f => f.endsWith(".jsonl"));
-    if (files.length === 0) return null;
-    const stats = await Promise.all(
-      files.map(async f => ({ f, mtime: (await fsPromises.stat(path.join(SESSIONS_DIR, f))).mtimeMs }))
-    );
-    stats.sort((a, b) => b.mtime - a.mtime);
-    for (const { f } of stats) {
-      const filePath = path.join(SESSIONS_DIR, f);
-      const raw = await fsPromises.readFile(filePath, "utf-8").catch(() => "");
-      const hasUserMessage = raw.split("\n").some(line => {
-        try { return JSON.parse(line)?.message?.role === "user"; } catch { return false; }
+    const dirents = await fsPromises.readdir(path.join(paths.stateDir, "agents"), { withFileTypes: true });
+    return dirents.filter(d => d.isDirectory()).map(d => d.name).sort();
+  } catch {
+    return [];
+  }
+}
+
+function readAgentSessionStore(paths, agentId) {
+  return readSessionStore(sessionsDir(paths, agentId));
+}
+
+/** Every session transcript of one agent, or of all agents when agentId is null. */
+async function listSessions(paths, agentId = null) {
+  const agentIds = agentId ? [agentId] : await listAgentIds(paths);
+  const sessions = [];
+  for (const id of agentIds) {
+    let files;
+    try {
+      files = (await fsPromises.readdir(sessionsDir(paths, id))).filter(f => f.endsWith(".jsonl")).sort();
+    } catch {
+      continue;
+    }
+    const store = readAgentSessionStore(paths, id);
+    for (const f of files) {
+      const sessionId = path.basename(f, ".jsonl");
+      sessions.push({
+        agentId: id,
+        sessionId: null,
+        sessionKey: store.find(s => s.sessionId === sessionId)?.sessionKey ?? null,
+        sessionFile: path.join(sessionsDir(paths, id), f),
       });
-      if (hasUserMessage) return filePath;
     }
-    return null;
-  } catch {
-    return null;
   }
+  return sessions;
 }
 
-async function readSessionEntries(filePath) {
+/** True when the session file has bytes its cursor has not consumed. */
+async function hasUnreadBytes(paths, session) {
+  const cursor = loadCursor(paths, session);
+  if (!cursor) return true;
   try {
-    const raw = await fsPromises.readFile(filePath, "utf-8");
-    return raw.trim().split("\n").filter(Boolean).flatMap((line) => {
-      try { return [JSON.parse(line)]; } catch { return []; }
-    });
+    const stat = await fsPromises.stat(session.sessionFile);
+    return stat.ino !== cursor.ino || stat.size !== cursor.offset;
   } catch {
-    return [];
+    return false;
   }
 }
 
-function extractTextFromContent(content) {
-  if (!content) return "";
-  if (typeof content === "string") return content;
-  if (Array.isArray(content)) {
-    return content.filter((b) => b?.type === "text").map((b) => b.text || "").join("");
+/** Most recently modified session with an in-progress turn — the flush target
+ *  when a command:new / session:end event does not name its session. */
+async function findNewestPendingSession(paths, sessions) {
+  const withMtime = await Promise.all(sessions.map(async (session) => ({
+    session,
+    mtime: (await fsPromises.stat(session.sessionFile).catch(() => null))?.mtimeMs ?? 0,
+  })));
+  withMtime.sort((a, b) => b.mtime - a.mtime);
+  return withMtime.find(({ session }) => loadCursor(paths, session)?.state.current)?.session ?? null;
+}
+
+function openOutput(paths, config) {
+  return openSinks({
+    file: paths.logFile,
+    spoolDir: paths.spoolDir,
+    specs: config.specs ?? undefined,
+    redactor: config.redactor,
+    validate: config.validate,
+  });
+}
+
+/** Highest turn index already written for a given sessionId, from the log's
+ *  idempotency key index (covers rotated segments). Only used to seed a cursor
+ *  that does not exist yet. */
+function getLastWrittenTurnIndex(paths, sessionId) {
+  let max = -1;
+  for (const key of loadKeyIndex(paths.logFile)) {
+    const { sessionId: id, kind } = parseIdempotencyKey(key);
+    if (id === sessionId && typeof kind === "number" && kind > max) max = kind;
   }
-  return "";
+  return max;
+}
+
+// ── Usage summary ─────────────────────────────────────────────────────────────
+
+function loadUsageEvery(raw = process.env.OPENCLAW_EXTRACTOR_USAGE_EVERY) {
+  if (!raw || !raw.trim()) return DEFAULT_USAGE_EVERY;
+  if (["off", "false", "0", "none"].includes(raw.trim().toLowerCase())) return 0;
+  const every = Number(raw);
+  if (!Number.isInteger(every) || every < 0) throw new Error(`Invalid OPENCLAW_EXTRACTOR_USAGE_EVERY: ${raw}`);
+  return every;
 }
 
-function addUsage(acc, usage) {
-  if (!usage) return acc;
+/** Running usage summary persisted next to the log. Null when disabled.
+ *  Load it inside withLogLock() — it is shared by concurrent invocations. */
+function openUsageSummary(paths, every) {
+  if (!every) return null;
+  let summary;
+  try {
+    summary = JSON.parse(fs.readFileSync(paths.usageFile, "utf-8"));
+  } catch {
+    summary = createUsageSummary();
+  }
   return {
-    input:       (acc.input       ?? 0) + (usage.input       ?? 0),
-    output:      (acc.output      ?? 0) + (usage.output      ?? 0),
-    cacheRead:   (acc.cacheRead   ?? 0) + (usage.cacheRead   ?? 0),
-    cacheWrite:  (acc.cacheWrite  ?? 0) + (usage.cacheWrite  ?? 0),
-    totalTokens: (acc.totalTokens ?? 0) + (usage.totalTokens ?? 0),
-    cost: {
-      input:      (acc.cost?.input      ?? 0) + (usage.cost?.input      ?? 0),
-      output:     (acc.cost?.output     ?? 0) + (usage.cost?.output     ?? 0),
-      cacheRead:  (acc.cost?.cacheRead  ?? 0) + (usage.cost?.cacheRead  ?? 0),
-      cacheWrite: (acc.cost?.cacheWrite ?? 0) + (usage.cost?.cacheWrite ?? 0),
-      total:      (acc.cost?.total      ?? 0) + (usage.cost?.total      ?? 0),
+    add(record) {
+      addToSummary(summary, record);
+    },
+    remove(record) {
+      removeFromSummary(summary, record);
+    },
+    /** Append a snapshot when `every` turns were written since the last one
+     *  (or, with `force`, when any were), then persist the summary. */
+    close(sinks, { force = false } = {}) {
+      if (summary.turnsSinceRecord >= every || (force && summary.turnsSinceRecord > 0)) {
+        sinks.write(buildUsageRecord(summary));
+        summary.turnsSinceRecord = 0;
+      }
+      fs.mkdirSync(path.dirname(paths.usageFile), { recursive: true });
+      const tmp = `${paths.usageFile}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(summary));
+      fs.renameSync(tmp, paths.usageFile);
     },
   };
 }
 
-function extractTurns(entries) {
-  const turns = [];
-  let current = null;
-  const pendingToolCalls = {};
-
-  for (const entry of entries) {
-    if (entry.type !== "message" || !entry.message) continue;
-    const { role, content } = entry.message;
-
-    if (role === "user") {
-      if (current) turns.push(finalizeTurn(current));
-      current = {
-        index: turns.length,
-        timestamp: entry.timestamp ?? null,
-        userMessage: extractTextFromContent(content),
-        thinking: [],
-        toolCalls: [],
-        response: "",
-        model: null,
-        stopReason: null,
-        usage: {},
-      };
-    } else if (role === "assistant" && current) {
-      current.usage = addUsage(current.usage, entry.message.usage);
-      if (entry.message.model) current.model = entry.message.model;
-      if (entry.message.stopReason) current.stopReason = entry.message.stopReason;
-
-      const blocks = Array.isArray(content) ? content : [];
-      for (const block of blocks) {
-        if (!block?.type) continue;
-        switch (block.type) {
-          case "thinking":
-            if (block.thinking) current.thinking.push(block.thinking);
-            break;
-          case "toolCall":
-          case "tool_use": {
-            const tc = {
-              id: block.id ?? null,
-              name: block.name ?? block.toolName ?? "unknown",
-              input: block.arguments ?? block.input ?? block.parameters ?? {},
-              result: null,
-              isError: null,
-            };
-            current.toolCalls.push(tc);
-            if (tc.id) pendingToolCalls[tc.id] = tc;
-            break;
-          }
-          case "text":
-            current.response += block.text ?? "";
-            break;
-        }
-      }
-    } else if (role === "toolResult" && current) {
-      const id = entry.message.toolCallId ?? entry.message.toolUseId ?? null;
-      const tc = id ? pendingToolCalls[id] : null;
-      if (tc) {
-        tc.result = extractTextFromContent(content);
-        tc.isError = entry.message.isError ?? false;
-        delete pendingToolCalls[id];
-      }
-    }
-  }
+// ── Cursor sidecar ────────────────────────────────────────────────────────────
 
-  // Only include finalized turns (current is still in-progress — skip it)
-  return turns;
+function cursorPath(paths, session) {
+  return path.join(paths.cursorDir, session.agentId, `${path.basename(session.sessionFile, ".jsonl")}.json`);
 }
 
-function finalizeTurn(turn) {
-  return {
-    ...turn,
-    thinking: turn.thinking.join("\n\n"),
-    usage: Object.keys(turn.usage).length ? turn.usage : null,
-  };
+function loadCursor(paths, session) {
+  try {
+    const cursor = JSON.parse(fs.readFileSync(cursorPath(paths, session), "utf-8"));
+    return cursor?.version === CURSOR_VERSION ? cursor : null;
+  } catch {
+    return null;
+  }
 }
 
-function resolveSessionMeta(event, entries) {
-  const ctx = event.context ?? {};
-  const agentId = ctx.agentId ?? "main";
-  const sessionId = ctx.sessionId ?? null;
-  const sessionKey = event.sessionKey ?? null;
-  const channelFromKey = sessionKey
-    ? sessionKey.replace(`agent:${agentId}:`, "").split(":")[0]
-    : null;
-  const sessionEntry = entries.find((e) => e.type === "session");
-  const cwd = sessionEntry?.cwd ?? null;
-  return { agentId, sessionId, sessionKey, channel: channelFromKey, cwd };
+/** Delete cursors an older version left in the output directory. Their
+ *  progress is not lost: new cursors are seeded from the log's key index. */
+function removeLegacyCursors(paths) {
+  if (paths.legacyCursorDir) fs.rmSync(paths.legacyCursorDir, { recursive: true, force: true });
 }
 
-function buildTurnPayload(sessionMeta, turn) {
+/** Write-then-rename so a crash mid-write never leaves a corrupt cursor. */
+function saveCursor(paths, session, cursor) {
+  const filePath = cursorPath(paths, session);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmp = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(cursor));
+  fs.renameSync(tmp, filePath);
+}
+
+/** Start parsing from byte 0. `lastTurnIndex` and `flushed` carry over across
+ *  resets so turns that were already written are not emitted twice. */
+function resetCursor(sessionId, lastTurnIndex, flushed = null) {
   return {
-    schema: "openclaw-turn-v1",
-    extractedAt: new Date().toISOString(),
-    session: sessionMeta,
-    turn: {
-      index: turn.index,
-      timestamp: turn.timestamp,
-      model: turn.model,
-      stopReason: turn.stopReason,
-      usage: turn.usage,
-      userMessage: turn.userMessage,
-      thinking: turn.thinking || null,
-      toolCalls: turn.toolCalls.map((tc) => ({
-        id: tc.id,
-        name: tc.name,
-        input: tc.input,
-        result: tc.result,
-        isError: tc.isError,
-      })),
-      response: turn.response || null,
-    },
+    version: CURSOR_VERSION,
+    sessionId,
+    offset: 0,
+    ino: null,
+    head: null,
+    cwd: null,
+    sessionKey: null,
+    lastTurnIndex,
+    // { index, usage } of a turn written partial that has not completed yet;
+    // `usage` is what it added to the running summary
+    flushed,
+    state: createTurnState(),
   };
 }
 
-function appendJsonlLine(filePath, data) {
-  fs.mkdirSync(path.dirname(filePath), { recursive: true });
-  fs.appendFileSync(filePath, JSON.stringify(data) + "\n");
+function hashBytes(buf) {
+  return crypto.createHash("sha1").update(buf).digest("hex");
 }
 
-/** Read the highest turn index already written for a given sessionId. */
-function getLastWrittenTurnIndex(sessionId) {
+async function readRange(handle, start, length) {
+  const buf = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buf, 0, length, start);
+  return buf.subarray(0, bytesRead);
+}
+
+/**
+ * Read complete lines appended to the session file since `cursor.offset`.
+ * Returns null when the file is unreadable. A trailing partial line is left
+ * for the next call. `rotated` is true when the file no longer matches the
+ * cursor (truncated, replaced, or rewritten in place).
+ */
+async function readAppendedEntries(sessionFile, cursor) {
+  let handle;
   try {
-    const lines = fs.readFileSync(LOG_FILE, "utf-8").trim().split("\n").filter(Boolean);
-    let max = -1;
-    for (const line of lines) {
-      try {
-        const obj = JSON.parse(line);
-        if (obj.schema === "openclaw-turn-v1" && obj.session?.sessionId === sessionId) {
-          if (obj.turn?.index > max) max = obj.turn.index;
-        }
-      } catch {}
-    }
-    return max;
+    handle = await fsPromises.open(sessionFile, "r");
   } catch {
-    return -1;
+    return null;
+  }
+  try {
+    const stat = await handle.stat();
+    let offset = cursor?.offset ?? 0;
+    let rotated = false;
+
+    if (cursor && offset > 0) {
+      const headMatches = cursor.head
+        ? hashBytes(await readRange(handle, 0, cursor.head.length)) === cursor.head.sha1
+        : true;
+      if (stat.ino !== cursor.ino || stat.size < offset || !headMatches) {
+        rotated = true;
+        offset = 0;
+      }
+    }
+
+    const chunk = await readRange(handle, offset, Math.max(0, stat.size - offset));
+    const end = chunk.lastIndexOf(0x0a) + 1;
+    const entries = parseJsonLines(chunk.subarray(0, end).toString("utf-8"));
+    const nextOffset = offset + end;
+    const headLength = Math.min(HEAD_BYTES, nextOffset);
+    const head = { length: headLength, sha1: hashBytes(await readRange(handle, 0, headLength)) };
+
+    return { entries, offset: nextOffset, ino: stat.ino, head, rotated };
+  } finally {
+    await handle.close();
   }
 }
 
-export default async function HookHandler(event) {
-  const isBootstrap   = event.type === "agent"   && event.action === "bootstrap";
-  const isMessageSent = event.type === "message"  && event.action === "sent";
-  if (!isBootstrap && !isMessageSent) return;
-
-  let sessionFile;
-  let sessionId = null;
-
-  if (isBootstrap) {
-    const ctx = event.context ?? {};
-    const agentId   = ctx.agentId   ?? "main";
-    sessionId       = ctx.sessionId ?? null;
-    if (sessionId) {
-      sessionFile = resolveSessionFile(agentId, sessionId);
-    } else {
-      sessionFile = await findNewestSessionFile();
+// ── Extraction ────────────────────────────────────────────────────────────────
+
+/**
+ * Advance one session file's cursor and append its newly completed turns.
+ * With `flush`, the in-progress turn is appended too (marked partial) and
+ * remembered, so that when it later completes the complete record is written
+ * once and replaces the partial one in the usage summary.
+ *
+ * `session` is { agentId, sessionFile, sessionId?, sessionKey? }; `usage` is
+ * the running summary from openUsageSummary(), if enabled.
+ */
+async function extractSession(paths, sinks, session, { flush = false, usage = null } = {}) {
+  let cursor = loadCursor(paths, session);
+  const chunk = await readAppendedEntries(session.sessionFile, cursor);
+  if (!chunk) return 0;
+
+  const sessionEntry = chunk.entries.find((e) => e.type === "session");
+  if (!cursor || chunk.rotated) {
+    // Resolve sessionId from the event, the session header, then the file name.
+    // A rewritten file (sessions.reset) may be a new session: the old turn
+    // index only carries over when the id is unchanged.
+    const sessionId = session.sessionId ?? sessionEntry?.id ?? path.basename(session.sessionFile, ".jsonl");
+    cursor = cursor?.sessionId === sessionId
+      ? resetCursor(sessionId, cursor.lastTurnIndex, cursor.flushed)
+      : resetCursor(sessionId, getLastWrittenTurnIndex(paths, sessionId));
+  }
+  cursor.offset     = chunk.offset;
+  cursor.ino        = chunk.ino;
+  cursor.head       = chunk.head;
+  cursor.cwd        = sessionEntry?.cwd ?? cursor.cwd;
+  cursor.sessionKey = session.sessionKey ?? cursor.sessionKey;
+
+  const turns = extractTurns(chunk.entries, cursor.state);
+  if (flush && cursor.state.current) turns.push(finalizeTurn(cursor.state.current, true));
+  const flushed = cursor.flushed ?? null;
+  const newTurns = turns.filter(t => t.index > cursor.lastTurnIndex || (t.index === flushed?.index && !t.partial));
+
+  if (newTurns.length > 0) {
+    const meta = sessionMeta({
+      agentId: session.agentId, sessionId: cursor.sessionId, sessionKey: cursor.sessionKey, cwd: cursor.cwd,
+    });
+    for (const turn of newTurns) {
+      const record = buildTurnPayload(meta, turn);
+      sinks.write(record);
+      if (turn.index === flushed?.index) {
+        if (flushed.usage) usage?.remove(flushed.usage);
+        cursor.flushed = null;
+      }
+      usage?.add(record);
+      if (turn.partial) cursor.flushed = { index: turn.index, usage: usage ? turnUsageOf(record) : null };
+      cursor.lastTurnIndex = Math.max(cursor.lastTurnIndex, turn.index);
     }
-  } else {
-    sessionFile = await findNewestSessionFile();
   }
 
-  if (!sessionFile) return;
+  saveCursor(paths, session, cursor);
+  return newTurns.length;
+}
 
-  const entries = await readSessionEntries(sessionFile);
-  if (entries.length === 0) return;
+/**
+ * extractSession() for one session of a sweep. A failure is reported and the
+ * session skipped, so one unreadable transcript does not stop the others; its
+ * cursor stays where it was and the next invocation tries again.
+ */
+async function extractEach(paths, sinks, session, opts) {
+  try {
+    return await extractSession(paths, sinks, session, opts);
+  } catch (err) {
+    console.warn(`[conversation-extractor] ${session.sessionFile}: ${err.message ?? err}`);
+    return 0;
+  }
+}
 
-  // Resolve sessionId from file if not already known
-  if (!sessionId) {
-    const sessionEntry = entries.find(e => e.type === "session");
-    sessionId = sessionEntry?.id ?? path.basename(sessionFile, ".jsonl");
+/**
+ * Flush the in-progress turn of every session on disk — all agents, or one
+ * agent / one session when given. Returns the number of records written.
+ *
+ * @param {{ stateDir?: string, outputDir?: string, agentId?: string, sessionId?: string }} [opts]
+ */
+export async function flushPendingTurns(opts = {}) {
+  const config = loadConfig();
+  const paths = resolvePaths(opts);
+  let sessions = await listSessions(paths, opts.agentId ?? null);
+  if (opts.sessionId) {
+    sessions = sessions.filter(s => path.basename(s.sessionFile, ".jsonl") === opts.sessionId);
   }
 
-  const turns = extractTurns(entries);
-  if (turns.length === 0) return;
+  const sinks = openOutput(paths, config);
+  let written = 0;
+  try {
+    await withLogLock(paths.logFile, async () => {
+      removeLegacyCursors(paths);
+      const usage = openUsageSummary(paths, config.usageEvery);
+      for (const session of sessions) {
+        written += await extractEach(paths, sinks, session, { flush: true, usage });
+      }
+      usage?.close(sinks, { force: true });
+    });
+  } finally {
+    await sinks.close();
+  }
+  return written;
+}
 
-  const lastWritten = getLastWrittenTurnIndex(sessionId);
-  const newTurns = turns.filter(t => t.index > lastWritten);
-  if (newTurns.length === 0) return;
+// ── Handler ───────────────────────────────────────────────────────────────────
 
-  const meta = resolveSessionMeta(event, entries);
-  // Ensure sessionId is in meta for dedup to work on next call
-  meta.sessionId = meta.sessionId ?? sessionId;
+const FLUSH_EVENTS = new Set(["command:new", "command:reset", "session:end"]);
 
-  for (const turn of newTurns) {
-    appendJsonlLine(LOG_FILE, buildTurnPayload(meta, turn));
+async function extractForEvent(event, eventName) {
+  const isFlush = FLUSH_EVENTS.has(eventName);
+  const config = loadConfig();
+  const paths = resolvePaths();
+  const eventSession = resolveEventSession(event, paths.stateDir);
+  const target = eventSession.sessionFile ? eventSession : null;
+  const sessions = await listSessions(paths);
+
+  // Open sinks even without session files so spooled HTTP batches are replayed
+  const sinks = openOutput(paths, config);
+  try {
+    // Cursors and the shared log are only touched under the lock; HTTP
+    // delivery in sinks.close() happens after it is released
+    await withLogLock(paths.logFile, async () => {
+      removeLegacyCursors(paths);
+      const usage = openUsageSummary(paths, config.usageEvery);
+      // The event's own session first (with its sessionKey), then every other
+      // session with unread bytes
+      if (target) await extractEach(paths, sinks, target, { flush: isFlush, usage });
+      for (const session of sessions) {
+        if (session.sessionFile === target?.sessionFile) continue;
+        if (!(await hasUnreadBytes(paths, session))) continue;
+        await extractEach(paths, sinks, session, { usage });
+      }
+
+      if (isFlush && !target) {
+        const agentId = event.context?.agentId ?? agentIdFromKey(event.sessionKey);
+        const candidates = agentId ? sessions.filter(s => s.agentId === agentId) : sessions;
+        const newest = await findNewestPendingSession(paths, candidates);
+        if (newest) await extractEach(paths, sinks, newest, { flush: true, usage });
+      }
+
+      usage?.close(sinks, { force: isFlush });
+    });
+  } finally {
+    await sinks.close();
+  }
+}
+
+export default async function HookHandler(event) {
+  const eventName = `${event.type}:${event.action}`;
+  const isCapture = eventName === "agent:bootstrap" || eventName === "message:sent" || FLUSH_EVENTS.has(eventName);
+  if (eventName !== "gateway:stop" && !isCapture) return;
+
+  try {
+    if (eventName === "gateway:stop") await flushPendingTurns();
+    else await extractForEvent(event, eventName);
+  } catch (err) {
+    // Nothing is lost: cursors only advance with what was written, so the
+    // next event picks up where this one stopped
+    if (err.code === "ELOCKTIMEOUT") console.warn(`[conversation-extractor] ${err.message}; skipped, the next event catches up`);
+    else console.warn(`[conversation-extractor] ${err.message ?? err}`);
   }
 }
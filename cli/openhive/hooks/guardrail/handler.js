@@ -0,0 +1,190 @@
+/**
+ * guardrail/handler.js
+ *
+ * Applies a declarative policy (lib/policy.js) to bootstrap and message
+ * events: the first matching rule's action is carried out and every decision
+ * is appended to an audit log.
+ *
+ *   allow  record the decision
+ *   warn   also print a warning
+ *   abort  throw — but PoC #4 found the gateway catches hook exceptions and
+ *          carries on, so this only stops a turn on gateways that honour it
+ *   reset  sessions.reset over the gateway RPC (lib/gateway.js), which does
+ *          abort the in-flight run and starts the session over
+ *
+ * The policy file is re-read whenever it changes; a change that does not load
+ * leaves the previous policy in force (see createPolicyWatcher).
+ *
+ * Policy: $OPENCLAW_GUARDRAIL_POLICY, else the first of guardrail.yaml,
+ *         guardrail.yml, guardrail.json in ~/.openclaw/. No file, no checks.
+ * Facts:  message text from the event (on bootstrap, the session's latest user
+ *         message); turn count and latest-turn tools from the session
+ *         transcript; cost from conversation-extractor.usage.json, the
+ *         extractor's running summary next to its log
+ * Output: $OPENCLAW_EXTRACTOR_OUTPUT/guardrail.jsonl (falls back to
+ *         ~/.openclaw/), one openclaw-guardrail-v1 record per decision, plus
+ *         any sinks in $OPENCLAW_EXTRACTOR_SINKS
+ *
+ * Hook events: agent:bootstrap, message:received, message:sent
+ *
+ * Installed by: openhive agent configure <framework>
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { randomUUID } from "crypto";
+import { openSinks } from "../lib/sinks.js";
+import { withLogLock } from "../lib/logfile.js";
+import { createPolicyWatcher, evaluatePolicy } from "../lib/policy.js";
+import { resetSession } from "../lib/gateway.js";
+import {
+  resolveEventSession, latestUserMessage, extractTextFromContent,
+  createTurnState, extractTurns, parseJsonLines,
+} from "../lib/turns.js";
+
+const STATE_DIR  = path.join(os.homedir(), ".openclaw");
+const OUTPUT_DIR = process.env.OPENCLAW_EXTRACTOR_OUTPUT ?? STATE_DIR;
+const AUDIT_FILE = path.join(OUTPUT_DIR, "guardrail.jsonl");
+const SPOOL_DIR  = path.join(OUTPUT_DIR, "guardrail.spool");
+const USAGE_FILE = path.join(OUTPUT_DIR, "conversation-extractor.usage.json");
+
+const POLICY_NAMES = ["guardrail.yaml", "guardrail.yml", "guardrail.json"];
+const EVENTS = new Set(["agent:bootstrap", "message:received", "message:sent"]);
+
+const OUTCOMES = { allow: "allowed", warn: "warned", abort: "aborted" };
+
+// One watcher per policy path, kept for the life of the gateway process
+const watchers = new Map();
+let lastReportedError = null;
+
+function policyFile() {
+  if (process.env.OPENCLAW_GUARDRAIL_POLICY) return process.env.OPENCLAW_GUARDRAIL_POLICY;
+  return POLICY_NAMES.map((name) => path.join(STATE_DIR, name)).find((file) => fs.existsSync(file)) ?? null;
+}
+
+function currentPolicy() {
+  const file = policyFile();
+  if (!file) return { file: null, policy: null, error: null };
+  if (!watchers.has(file)) watchers.set(file, createPolicyWatcher(file));
+  const { policy, error } = watchers.get(file).get();
+  if (error !== lastReportedError) {
+    if (error) console.warn(`[guardrail] ${error}${policy ? " — keeping the previous policy" : ""}`);
+    lastReportedError = error;
+  }
+  return { file, policy, error };
+}
+
+/** Lazily read facts; each source is read at most once per event. */
+function gatherFacts(event, eventName, session) {
+  const ctx = event.context ?? {};
+  const once = (fn) => {
+    let done = false;
+    let value;
+    return () => (done ? value : (done = true, value = fn()));
+  };
+
+  const transcript = once(() => {
+    try {
+      const state = createTurnState();
+      const completed = extractTurns(parseJsonLines(fs.readFileSync(session.sessionFile, "utf-8")), state);
+      return { turns: state.turnCount, latest: state.current ?? completed[completed.length - 1] ?? null };
+    } catch {
+      return null;
+    }
+  });
+  const usage = once(() => {
+    try {
+      return JSON.parse(fs.readFileSync(USAGE_FILE, "utf-8"));
+    } catch (err) {
+      // No summary yet means nothing has been spent
+      return err.code === "ENOENT" ? {} : null;
+    }
+  });
+
+  return {
+    event: eventName,
+    agentId: session.agentId,
+    sessionKey: session.sessionKey,
+    content: once(() => {
+      const raw = ctx.content ?? ctx.message ?? ctx.text;
+      if (raw != null) return typeof raw === "string" ? raw : extractTextFromContent(raw?.content ?? raw);
+      return eventName === "agent:bootstrap" ? latestUserMessage(session.sessionFile) : null;
+    }),
+    tools: () => (transcript()?.latest?.toolCalls ?? []).map((tc) => tc.name).filter(Boolean),
+    turns: () => transcript()?.turns ?? null,
+    cost: (scope) => {
+      const summary = usage();
+      if (!summary) return null;
+      if (scope === "total") return summary.totals?.cost ?? 0;
+      if (scope === "agent") return summary.byAgent?.[session.agentId]?.cost ?? 0;
+      return session.sessionId ? summary.bySession?.[session.sessionId]?.cost ?? 0 : null;
+    },
+  };
+}
+
+async function audit(record) {
+  const sinks = openSinks({ file: AUDIT_FILE, spoolDir: SPOOL_DIR });
+  try {
+    await withLogLock(AUDIT_FILE, () => sinks.write(record));
+  } finally {
+    await sinks.close();
+  }
+}
+
+export default async function HookHandler(event) {
+  const eventName = `${event.type}:${event.action}`;
+  if (!EVENTS.has(eventName)) return;
+
+  let decision;
+  let record;
+  try {
+    const { file, policy, error } = currentPolicy();
+    if (!policy) return;
+    const session = resolveEventSession(event, STATE_DIR);
+    decision = evaluatePolicy(policy, gatherFacts(event, eventName, session));
+
+    let outcome = OUTCOMES[decision.action];
+    let failure = null;
+    if (decision.action === "reset") {
+      try {
+        if (!session.sessionKey) throw new Error("event has no session key");
+        await resetSession(session.sessionKey, { stateDir: STATE_DIR });
+        outcome = "reset";
+      } catch (err) {
+        outcome = "failed";
+        failure = err.message ?? String(err);
+      }
+    }
+
+    record = {
+      schema:      "openclaw-guardrail-v1",
+      extractedAt: new Date().toISOString(),
+      decisionId:  randomUUID(),
+      event:       eventName,
+      session: {
+        agentId:    session.agentId,
+        sessionId:  session.sessionId,
+        sessionKey: session.sessionKey,
+      },
+      policy:  { file, hash: policy.hash, error },
+      rule:    decision.rule,
+      action:  decision.action,
+      message: decision.message,
+      matched: decision.matched,
+      outcome,
+      error:   failure,
+    };
+    if (decision.action !== "allow") {
+      console.warn(`[guardrail] ${decision.action} (${decision.rule ?? "default"})${decision.message ? `: ${decision.message}` : ""}${failure ? ` — ${failure}` : ""}`);
+    }
+    await audit(record);
+  } catch (err) {
+    // A broken guardrail must not take the turn down with it
+    console.warn(`[guardrail] ${err.message ?? err}`);
+  }
+
+  if (decision?.action === "abort") {
+    throw new Error(`GUARDRAIL: ${decision.rule ?? "default"}${decision.message ? ` — ${decision.message}` : ""} (decision ${record?.decisionId ?? "unrecorded"})`);
+  }
+}
@@ -0,0 +1,113 @@
+/**
+ * lib/gateway.js
+ *
+ * Gateway RPC over WebSocket, for hooks that need to act on a session rather
+ * than observe it. Only sessions.reset is exposed: PoC #5 found it to be the
+ * one call that stops an in-flight run (it fires the run's AbortController,
+ * then starts the session over with a new sessionId). chat.abort misses runs
+ * started through the `agent` method, and a hook throwing is swallowed by the
+ * gateway.
+ *
+ * RPCs need operator scope, which the gateway grants only to a paired device:
+ * the connect challenge is signed with the gateway's own device identity
+ * (~/.openclaw/identity/device.json) and its operator token from
+ * devices/paired.json — the same handshake as poc/guardrail-abort/abort.js.
+ *
+ * Requires a global WebSocket (Node 22+).
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { randomUUID, sign, createPrivateKey } from "crypto";
+
+export const DEFAULT_GATEWAY_URL = "ws://127.0.0.1:18789";
+const DEFAULT_TIMEOUT_MS = 10_000;
+
+function loadIdentity(stateDir) {
+  const device = JSON.parse(fs.readFileSync(path.join(stateDir, "identity", "device.json"), "utf-8"));
+  const paired = JSON.parse(fs.readFileSync(path.join(stateDir, "devices", "paired.json"), "utf-8"));
+  return { ...device, deviceToken: paired[device.deviceId]?.tokens?.operator?.token ?? null };
+}
+
+// version|deviceId|clientId|clientMode|role|scopes|signedAtMs|token|nonce
+function signChallenge(identity, { scopes, signedAtMs, nonce }) {
+  const payload = ["v2", identity.deviceId, "cli", "cli", "operator", scopes.join(","), String(signedAtMs), identity.deviceToken ?? "", nonce ?? ""].join("|");
+  return sign(null, Buffer.from(payload, "utf-8"), createPrivateKey(identity.privateKeyPem)).toString("base64url");
+}
+
+/** Raw 32-byte Ed25519 public key (the tail of the SPKI DER), base64url. */
+function publicKeyRaw(pem) {
+  const der = Buffer.from(pem.replace(/-----[^-]+-----/g, "").replace(/\s/g, ""), "base64");
+  return der.subarray(-32).toString("base64url");
+}
+
+/**
+ * Connect, authenticate and make one RPC call.
+ *
+ * @param {string} method
+ * @param {object} params
+ * @param {{ url?: string, stateDir?: string, timeoutMs?: number }} [opts]
+ *   `url` defaults to $OPENCLAW_GATEWAY_URL, then ws://127.0.0.1:18789.
+ * @returns {Promise<object>} the response payload; rejects when the gateway
+ *   answers with an error, the connection fails or `timeoutMs` passes.
+ */
+export async function callGateway(method, params, opts = {}) {
+  if (typeof WebSocket !== "function") throw new Error("gateway RPC needs a global WebSocket (Node 22+)");
+  const url = opts.url ?? process.env.OPENCLAW_GATEWAY_URL ?? DEFAULT_GATEWAY_URL;
+  const identity = loadIdentity(opts.stateDir ?? path.join(os.homedir(), ".openclaw"));
+  const ws = new WebSocket(url);
+  const callId = randomUUID();
+
+  try {
+    return await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error(`${method}: no answer from ${url} within ${opts.timeoutMs ?? DEFAULT_TIMEOUT_MS} ms`)), opts.timeoutMs ?? DEFAULT_TIMEOUT_MS);
+      const done = (fn, value) => { clearTimeout(timer); fn(value); };
+
+      ws.addEventListener("error", (e) => done(reject, new Error(`${url}: ${e.message ?? "connection failed"}`)));
+      ws.addEventListener("close", () => done(reject, new Error(`${url}: connection closed before ${method} answered`)));
+      ws.addEventListener("message", (raw) => {
+        let frame;
+        try { frame = JSON.parse(raw.data); } catch { return; }
+
+        if (frame.type === "event" && frame.event === "connect.challenge") {
+          const scopes = ["operator.admin"];
+          const signedAtMs = Date.now();
+          const nonce = frame.payload?.nonce;
+          ws.send(JSON.stringify({
+            type: "req",
+            id: randomUUID(),
+            method: "connect",
+            params: {
+              auth: { token: identity.deviceToken },
+              minProtocol: 1,
+              maxProtocol: 10,
+              scopes,
+              client: { id: "cli", version: "0.0.1", platform: process.platform, mode: "cli" },
+              device: {
+                id: identity.deviceId,
+                publicKey: publicKeyRaw(identity.publicKeyPem),
+                signature: signChallenge(identity, { scopes, signedAtMs, nonce }),
+                signedAt: signedAtMs,
+                nonce,
+              },
+            },
+          }));
+        } else if (frame.type === "res" && frame.payload?.type === "hello-ok") {
+          ws.send(JSON.stringify({ type: "req", id: callId, method, params }));
+        } else if (frame.type === "res" && frame.ok === false) {
+          done(reject, new Error(`${method}: ${frame.error?.message ?? JSON.stringify(frame.error ?? frame)}`));
+        } else if (frame.type === "res" && frame.id === callId) {
+          done(resolve, frame.payload ?? {});
+        }
+      });
+    });
+  } finally {
+    ws.close();
+  }
+}
+
+/** Abort the session's active run and start it over (sessions.reset). */
+export function resetSession(sessionKey, opts) {
+  return callGateway("sessions.reset", { key: sessionKey }, opts);
+}
@@ -0,0 +1,191 @@
+/**
+ * lib/logfile.js
+ *
+ * Safe writes to the JSONL logs several hooks share (conversation-extractor.jsonl
+ * gets both session-start and conversation-extractor records).
+ *
+ * Locking: withLogLock() holds `<file>.lock` (created with O_EXCL) around a
+ * read-check-write section — e.g. load cursor → append turns → save cursor —
+ * so hooks firing together (agent:bootstrap and message:sent, or two gateway
+ * processes on one volume) never both write the same turn. A lock left by a
+ * crashed process is taken over once it is older than `staleMs`.
+ *
+ * Idempotency: every record gets an `idempotencyKey`
+ *   <sessionId>:<turnIndex>:<hash>   turn records
+ *   <sessionId>:<kind>:<hash>        other records (start, conversation, usage, …)
+ * where <hash> covers the record content except extractedAt. Session-start
+ * markers are the exception: every bootstrap of a session is its own event,
+ * so their hash includes extractedAt (the bootstrap time) too. The file sink
+ * keeps every key it has written in `<file>.keys` and skips records whose key
+ * is already there.
+ *
+ * Rotation: when a write would take the live file past `maxBytes`, it is
+ * renamed to `<file>.1` (older segments shift to .2, .3, …) and a new live
+ * file is started. `<file>.keys` spans every segment, so dedup keeps working
+ * across rotations; it is rebuilt from the segments if deleted, and whenever
+ * `keep` drops old segments, so it never outgrows the log.
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+const DEFAULT_LOCK_TIMEOUT_MS = 10_000;
+const DEFAULT_LOCK_STALE_MS   = 30_000;
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// ── Locking ───────────────────────────────────────────────────────────────────
+
+function lockIsStale(lockFile, staleMs) {
+  try {
+    return Date.now() - fs.statSync(lockFile).mtimeMs > staleMs;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Run `fn` while holding the lock for `file`. Waits up to `timeoutMs` for
+ * another holder; throws an error with code ELOCKTIMEOUT when the lock cannot
+ * be taken in time.
+ */
+export async function withLogLock(file, fn, { timeoutMs = DEFAULT_LOCK_TIMEOUT_MS, staleMs = DEFAULT_LOCK_STALE_MS } = {}) {
+  const lockFile = `${file}.lock`;
+  fs.mkdirSync(path.dirname(lockFile), { recursive: true });
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    try {
+      fs.writeFileSync(lockFile, `${process.pid}\n`, { flag: "wx" });
+      break;
+    } catch (err) {
+      if (err.code !== "EEXIST") throw err;
+      if (lockIsStale(lockFile, staleMs)) {
+        try { fs.unlinkSync(lockFile); } catch {}
+        continue;
+      }
+      if (Date.now() > deadline) throw Object.assign(new Error(`Timed out waiting for ${lockFile}`), { code: "ELOCKTIMEOUT" });
+      await sleep(20 + Math.random() * 30);
+    }
+  }
+  try {
+    return await fn();
+  } finally {
+    try { fs.unlinkSync(lockFile); } catch {}
+  }
+}
+
+// ── Segments ──────────────────────────────────────────────────────────────────
+
+const segmentPath = (file, n) => (n === 0 ? file : `${file}.${n}`);
+
+/** Existing segments of a log, oldest first (…, file.2, file.1, file). */
+export function logSegments(file) {
+  const segments = [];
+  for (let n = 1; fs.existsSync(segmentPath(file, n)); n++) segments.unshift(segmentPath(file, n));
+  if (fs.existsSync(file)) segments.push(file);
+  return segments;
+}
+
+/**
+ * Rotate `file` when appending `incomingBytes` would take it past `maxBytes`.
+ * `keep` limits the number of rotated segments (0 keeps all); when segments
+ * are dropped, the key index is rebuilt from the ones left. Returns true
+ * when the file was rotated.
+ */
+export function rotateLog(file, { maxBytes, keep = 0, incomingBytes = 0 }) {
+  if (!maxBytes) return false;
+  let size;
+  try {
+    size = fs.statSync(file).size;
+  } catch {
+    return false;
+  }
+  if (size === 0 || size + incomingBytes <= maxBytes) return false;
+
+  let last = 0;
+  while (fs.existsSync(segmentPath(file, last + 1))) last++;
+  let dropped = false;
+  for (let n = last; n >= 1; n--) {
+    if (keep && n >= keep) {
+      fs.unlinkSync(segmentPath(file, n));
+      dropped = true;
+    } else {
+      fs.renameSync(segmentPath(file, n), segmentPath(file, n + 1));
+    }
+  }
+  fs.renameSync(file, segmentPath(file, 1));
+  if (dropped && fs.existsSync(keyIndexPath(file))) rebuildKeyIndex(file);
+  return true;
+}
+
+// ── Idempotency keys ──────────────────────────────────────────────────────────
+
+const KIND_BY_SCHEMA = {
+  "openclaw-session-start-v1": "start",
+  "openclaw-conversation-v1":  "conversation",
+  "openclaw-usage-v1":         "usage",
+  "openclaw-memory-v1":        "memory",
+  "openclaw-guardrail-v1":     "guardrail",
+};
+
+// Records that mark when something happened rather than what was said
+const TIMED_SCHEMAS = new Set(["openclaw-session-start-v1"]);
+
+/** Idempotency key for a record; see the module comment for the format. */
+export function idempotencyKey(record) {
+  const { extractedAt, idempotencyKey: _, ...content } = record;
+  const sessionId = record.session?.sessionId ?? null;
+  // Without a session id the write time is all that tells two records apart;
+  // a session-start marker is told apart by it even with one
+  const hashed = sessionId && !TIMED_SCHEMAS.has(record.schema) ? content : { ...content, extractedAt };
+  const hash = crypto.createHash("sha256").update(JSON.stringify(hashed)).digest("hex").slice(0, 16);
+  const kind = record.turn ? record.turn.index : KIND_BY_SCHEMA[record.schema] ?? record.schema ?? "record";
+  return `${sessionId ?? "-"}:${kind}:${hash}`;
+}
+
+/** Split a key into { sessionId, kind, hash }; turn keys have a numeric kind. */
+export function parseIdempotencyKey(key) {
+  const parts = key.split(":");
+  const hash = parts.pop();
+  const kind = parts.pop();
+  return { sessionId: parts.join(":"), kind: /^\d+$/.test(kind) ? Number(kind) : kind, hash };
+}
+
+const keyIndexPath = (file) => `${file}.keys`;
+
+/** Keys of every record in every segment of `file`. Rebuilds the index from
+ *  the segments when it is missing (first run, or deleted by hand). */
+export function loadKeyIndex(file) {
+  try {
+    return new Set(fs.readFileSync(keyIndexPath(file), "utf-8").split("\n").filter(Boolean));
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+  }
+  return rebuildKeyIndex(file);
+}
+
+/** Rewrite the key index from the segments that exist now. */
+export function rebuildKeyIndex(file) {
+  const indexFile = keyIndexPath(file);
+  const keys = new Set();
+  for (const segment of logSegments(file)) {
+    for (const line of fs.readFileSync(segment, "utf-8").split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        const record = JSON.parse(line);
+        keys.add(record.idempotencyKey ?? idempotencyKey(record));
+      } catch {}
+    }
+  }
+  if (keys.size > 0 || fs.existsSync(indexFile)) {
+    const tmp = `${indexFile}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, keys.size > 0 ? [...keys].join("\n") + "\n" : "");
+    fs.renameSync(tmp, indexFile);
+  }
+  return keys;
+}
+
+export function appendKeyIndex(file, key) {
+  fs.appendFileSync(keyIndexPath(file), key + "\n");
+}
@@ -0,0 +1,226 @@
+/**
+ * lib/memory.js
+ *
+ * Retrieval over an agent's own openclaw-turn-v1 records, for the
+ * memory-inject hook: load the turns, rank them against a query, and condense
+ * the best ones into a MEMORY.md that fits a character budget.
+ *
+ * Retrievers share one interface:
+ *
+ *   { name, index(docs), search(query, limit) → [{ doc, score }] }
+ *
+ * where a doc is { id, text, record } (see turnDocument). Built in:
+ *   bm25     Okapi BM25 over user message, response and tool names (default)
+ *   keyword  number of distinct query terms a turn contains
+ * Anything else is a path to an ES module whose default export (or
+ * `createRetriever`) is called with the options and returns a retriever —
+ * e.g. one backed by an embedding index.
+ */
+
+import fs from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+import { logSegments } from "./logfile.js";
+import { parseJsonLines, dropSupersededPartials } from "./turns.js";
+
+const BM25_K1 = 1.2;
+const BM25_B  = 0.75;
+// Excerpt lengths per remembered turn, before the overall budget applies.
+const USER_EXCERPT     = 280;
+const RESPONSE_EXCERPT = 700;
+
+// Short words that carry no signal for ranking.
+const STOPWORDS = new Set(
+  ("a an and are as at be but by can do does for from had has have how i if in into is it its " +
+   "me my no not of on or our so that the their them then there these they this to was we were " +
+   "what when where which who why will with you your").split(" "),
+);
+
+// ── Documents ─────────────────────────────────────────────────────────────────
+
+/** Lowercased word tokens (letters/digits, ≥ 2 chars) without stopwords. */
+export function tokenize(text) {
+  return (String(text ?? "").toLowerCase().match(/[\p{L}\p{N}][\p{L}\p{N}_-]*/gu) ?? [])
+    .filter((t) => t.length > 1 && !STOPWORDS.has(t));
+}
+
+/** The searchable form of a turn record. */
+export function turnDocument(record) {
+  const turn = record.turn;
+  const tools = (turn.toolCalls ?? []).map((tc) => tc.name).filter(Boolean);
+  return {
+    id: record.idempotencyKey ?? `${record.session?.sessionId ?? "-"}:${turn.index}`,
+    text: [turn.userMessage, turn.response, tools.join(" ")].filter(Boolean).join("\n"),
+    record,
+  };
+}
+
+/**
+ * Turn records of `agentId` from the given extractor logs (every rotated
+ * segment), oldest first, deduplicated by idempotency key. A flushed partial
+ * turn is only kept until its complete record is logged. Turns of
+ * `excludeSessionId` are left out — they are already in the conversation.
+ */
+export function readTurnRecords(logFiles, { agentId, excludeSessionId = null }) {
+  const seen = new Set();
+  const records = [];
+  for (const file of logFiles) {
+    for (const segment of logSegments(file)) {
+      let raw;
+      try {
+        raw = fs.readFileSync(segment, "utf-8");
+      } catch {
+        continue;
+      }
+      for (const record of parseJsonLines(raw)) {
+        if (record.schema !== "openclaw-turn-v1" || !record.turn) continue;
+        if (agentId && record.session?.agentId !== agentId) continue;
+        if (excludeSessionId && record.session?.sessionId === excludeSessionId) continue;
+        if (!record.turn.userMessage && !record.turn.response) continue;
+        const key = turnDocument(record).id;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        records.push(record);
+      }
+    }
+  }
+  return dropSupersededPartials(records)
+    .sort((a, b) => String(a.turn.timestamp ?? "").localeCompare(String(b.turn.timestamp ?? "")));
+}
+
+// ── Retrievers ────────────────────────────────────────────────────────────────
+
+export function createBm25Retriever({ k1 = BM25_K1, b = BM25_B } = {}) {
+  let docs = [];
+  let termFreqs = [];
+  let lengths = [];
+  let docFreq = new Map();
+  let avgLength = 0;
+
+  return {
+    name: "bm25",
+    index(documents) {
+      docs = documents;
+      docFreq = new Map();
+      termFreqs = docs.map((doc) => {
+        const tf = new Map();
+        for (const term of tokenize(doc.text)) tf.set(term, (tf.get(term) ?? 0) + 1);
+        for (const term of tf.keys()) docFreq.set(term, (docFreq.get(term) ?? 0) + 1);
+        return tf;
+      });
+      lengths = termFreqs.map((tf) => [...tf.values()].reduce((sum, n) => sum + n, 0));
+      avgLength = lengths.reduce((sum, n) => sum + n, 0) / (docs.length || 1);
+    },
+    search(query, limit) {
+      const terms = [...new Set(tokenize(query))];
+      const hits = [];
+      termFreqs.forEach((tf, i) => {
+        let score = 0;
+        for (const term of terms) {
+          const f = tf.get(term);
+          if (!f) continue;
+          const n = docFreq.get(term);
+          const idf = Math.log(1 + (docs.length - n + 0.5) / (n + 0.5));
+          score += idf * (f * (k1 + 1)) / (f + k1 * (1 - b + b * lengths[i] / (avgLength || 1)));
+        }
+        if (score > 0) hits.push({ doc: docs[i], score });
+      });
+      return hits.sort((x, y) => y.score - x.score).slice(0, limit);
+    },
+  };
+}
+
+export function createKeywordRetriever() {
+  let indexed = [];
+  return {
+    name: "keyword",
+    index(documents) {
+      indexed = documents.map((doc) => ({ doc, terms: new Set(tokenize(doc.text)) }));
+    },
+    search(query, limit) {
+      const terms = [...new Set(tokenize(query))];
+      return indexed
+        .map(({ doc, terms: docTerms }) => ({ doc, score: terms.filter((t) => docTerms.has(t)).length }))
+        .filter((hit) => hit.score > 0)
+        // Ties go to the more recent turn
+        .sort((x, y) => y.score - x.score || String(y.doc.record.turn.timestamp).localeCompare(String(x.doc.record.turn.timestamp)))
+        .slice(0, limit);
+    },
+  };
+}
+
+export const RETRIEVERS = { bm25: createBm25Retriever, keyword: createKeywordRetriever };
+
+/** A built-in retriever by name, or one created by the module at `spec` (resolved against `baseDir`). */
+export async function loadRetriever(spec = "bm25", options = {}, baseDir = process.cwd()) {
+  if (RETRIEVERS[spec]) return RETRIEVERS[spec](options);
+  const mod = await import(pathToFileURL(path.resolve(baseDir, spec)).href);
+  const create = mod.createRetriever ?? mod.default;
+  if (typeof create !== "function") throw new Error(`${spec} exports no createRetriever() or default function`);
+  const retriever = await create(options);
+  if (typeof retriever?.index !== "function" || typeof retriever?.search !== "function") {
+    throw new Error(`${spec} did not return a retriever with index() and search()`);
+  }
+  return { name: path.basename(spec), ...retriever };
+}
+
+// ── Summary ───────────────────────────────────────────────────────────────────
+
+function excerpt(text, max) {
+  const flat = String(text ?? "").replace(/\s+/g, " ").trim();
+  return flat.length <= max ? flat : `${flat.slice(0, max - 1).trimEnd()}…`;
+}
+
+function turnEntry(record) {
+  const turn = record.turn;
+  const when = turn.timestamp ? turn.timestamp.slice(0, 16).replace("T", " ") : "unknown time";
+  const tools = [...new Set((turn.toolCalls ?? []).map((tc) => tc.name).filter(Boolean))];
+  return [
+    `### ${when} — session ${record.session?.sessionId ?? "?"}, turn ${turn.index}`,
+    turn.userMessage ? `**Asked:** ${excerpt(turn.userMessage, USER_EXCERPT)}` : null,
+    turn.response ? `**Answered:** ${excerpt(turn.response, RESPONSE_EXCERPT)}` : null,
+    tools.length ? `**Tools:** ${tools.join(", ")}` : null,
+  ].filter(Boolean).join("\n");
+}
+
+/**
+ * Condense ranked hits into MEMORY.md content of at most `budget` characters.
+ * Hits are taken in rank order, skipping any that no longer fit, and then
+ * shown oldest first; when not even the best one fits, it is cut to the budget.
+ *
+ * @returns {{ content: string | null, injected: object[], truncated: boolean }}
+ *   `injected` lists { id, sessionId, turnIndex, timestamp, score, chars } per turn
+ */
+export function summariseHits(hits, budget) {
+  const header = "# Memory\n\nTurns from your earlier sessions that relate to the current conversation, oldest first.\n";
+  let used = header.length;
+  const chosen = [];
+  let truncated = false;
+  for (const hit of hits) {
+    let text = turnEntry(hit.doc.record);
+    if (used + text.length + 2 > budget) {
+      truncated = true;
+      if (chosen.length > 0) continue;
+      const room = budget - used - 3;
+      if (room < 80) break;
+      text = `${text.slice(0, room - 1)}…`;
+    }
+    chosen.push({ hit, text });
+    used += text.length + 2;
+  }
+  if (chosen.length === 0) return { content: null, injected: [], truncated };
+
+  chosen.sort((x, y) => String(x.hit.doc.record.turn.timestamp ?? "").localeCompare(String(y.hit.doc.record.turn.timestamp ?? "")));
+  return {
+    content: `${header}\n${chosen.map((c) => c.text).join("\n\n")}\n`,
+    injected: chosen.map(({ hit, text }) => ({
+      id: hit.doc.id,
+      sessionId: hit.doc.record.session?.sessionId ?? null,
+      turnIndex: hit.doc.record.turn.index,
+      timestamp: hit.doc.record.turn.timestamp ?? null,
+      score: Math.round(hit.score * 1000) / 1000,
+      chars: text.length,
+    })),
+    truncated,
+  };
+}
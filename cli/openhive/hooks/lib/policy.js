@@ -0,0 +1,281 @@
+/**
+ * lib/policy.js
+ *
+ * Declarative guardrail policies for the guardrail hook and `openhive
+ * guardrail check`: loading (YAML or JSON), validation, hot reload and rule
+ * evaluation.
+ *
+ *   version: 1
+ *   default: allow                  # action when no rule matches
+ *   rules:
+ *     - name: runaway-cost
+ *       when:
+ *         event: message:sent
+ *         cost: { gte: 5 }
+ *       action: reset
+ *       message: Session spent more than $5
+ *
+ * Rules are tried in order; the first whose conditions all hold decides. A
+ * rule without `when` always matches. Conditions:
+ *   event       "type:action" or "type" (e.g. message), or a list
+ *   agent       agent id glob(s)
+ *   sessionKey  session key glob(s)
+ *   content     regex(es) tested against the message text — any match;
+ *               case-insensitive unless written as "/pattern/flags"
+ *   tools       tool name glob(s) — any tool called in the session's latest turn
+ *   turns       turns in the session so far
+ *   cost        USD spent, from the extractor's running usage summary, by the
+ *               session (default), or with `scope: agent` / `scope: total`
+ * Numeric conditions take { gte, gt, lte, lt } or a bare number (≥). Globs
+ * use `*` as a wildcard.
+ *
+ * Actions: allow, warn, abort, reset — carried out by the hook.
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { parseYaml } from "./yaml.js";
+
+export const POLICY_VERSION = 1;
+export const ACTIONS = ["allow", "warn", "abort", "reset"];
+
+const CONDITIONS = ["event", "agent", "sessionKey", "content", "tools", "turns", "cost"];
+const COMPARATORS = { gte: (a, b) => a >= b, gt: (a, b) => a > b, lte: (a, b) => a <= b, lt: (a, b) => a < b };
+const COST_SCOPES = ["session", "agent", "total"];
+
+// ── Compilation ───────────────────────────────────────────────────────────────
+
+function globToRegExp(glob) {
+  return new RegExp(`^${glob.split("*").map((s) => s.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*")}$`);
+}
+
+function stringList(value, where, problems) {
+  const list = Array.isArray(value) ? value : [value];
+  if (list.length === 0 || list.some((v) => typeof v !== "string" || v === "")) {
+    problems.push(`${where}: expected a non-empty string or list of strings`);
+    return null;
+  }
+  return list;
+}
+
+function compileRegExp(pattern, where, problems) {
+  const literal = /^\/(.+)\/([a-z]*)$/s.exec(pattern);
+  try {
+    return literal ? new RegExp(literal[1], literal[2]) : new RegExp(pattern, "i");
+  } catch (err) {
+    problems.push(`${where}: ${err.message}`);
+    return null;
+  }
+}
+
+function compileRange(value, where, problems, extraKeys = []) {
+  if (typeof value === "number") return { test: (n) => n >= value, spec: { gte: value } };
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    problems.push(`${where}: expected a number or { gte, gt, lte, lt }`);
+    return null;
+  }
+  const spec = {};
+  for (const [key, bound] of Object.entries(value)) {
+    if (extraKeys.includes(key)) continue;
+    if (!COMPARATORS[key]) problems.push(`${where}.${key}: unknown comparison (use ${Object.keys(COMPARATORS).join(", ")})`);
+    else if (typeof bound !== "number") problems.push(`${where}.${key}: expected a number`);
+    else spec[key] = bound;
+  }
+  if (Object.keys(spec).length === 0) {
+    if (!Object.keys(value).some((key) => COMPARATORS[key])) problems.push(`${where}: needs at least one of ${Object.keys(COMPARATORS).join(", ")}`);
+    return null;
+  }
+  return { test: (n) => Object.entries(spec).every(([key, bound]) => COMPARATORS[key](n, bound)), spec };
+}
+
+/**
+ * Checks for one rule's `when`, cheapest first. Each check gets the fact
+ * accessor and returns the matched value (recorded in the decision) or
+ * undefined when the condition does not hold.
+ */
+function compileWhen(when, where, problems) {
+  if (when === undefined || when === null) return [];
+  if (typeof when !== "object" || Array.isArray(when)) {
+    problems.push(`${where}: expected a mapping of conditions`);
+    return [];
+  }
+  for (const key of Object.keys(when)) {
+    if (!CONDITIONS.includes(key)) problems.push(`${where}.${key}: unknown condition (use ${CONDITIONS.join(", ")})`);
+  }
+  const checks = [];
+
+  if (when.event !== undefined) {
+    const events = stringList(when.event, `${where}.event`, problems);
+    if (events) {
+      checks.push(["event", (f) => {
+        const type = f.event.split(":")[0];
+        return events.some((e) => e === "*" || e === f.event || e === type) ? f.event : undefined;
+      }]);
+    }
+  }
+  for (const key of ["agent", "sessionKey"]) {
+    if (when[key] === undefined) continue;
+    const globs = stringList(when[key], `${where}.${key}`, problems)?.map(globToRegExp);
+    const fact = key === "agent" ? "agentId" : "sessionKey";
+    if (globs) checks.push([key, (f) => (f[fact] != null && globs.some((g) => g.test(f[fact])) ? f[fact] : undefined)]);
+  }
+  if (when.content !== undefined) {
+    const patterns = stringList(when.content, `${where}.content`, problems);
+    const regexps = patterns?.map((p, i) => [p, compileRegExp(p, `${where}.content[${i}]`, problems)]);
+    if (regexps) {
+      checks.push(["content", (f) => {
+        const text = f.content();
+        // The pattern, not the text, goes into the audit record
+        return text ? regexps.find(([, re]) => re?.test(text))?.[0] : undefined;
+      }]);
+    }
+  }
+  if (when.tools !== undefined) {
+    const globs = stringList(when.tools, `${where}.tools`, problems)?.map(globToRegExp);
+    if (globs) {
+      checks.push(["tools", (f) => {
+        const hit = f.tools().filter((name) => globs.some((g) => g.test(name)));
+        return hit.length ? [...new Set(hit)] : undefined;
+      }]);
+    }
+  }
+  if (when.turns !== undefined) {
+    const range = compileRange(when.turns, `${where}.turns`, problems);
+    if (range) checks.push(["turns", (f) => { const n = f.turns(); return n != null && range.test(n) ? n : undefined; }]);
+  }
+  if (when.cost !== undefined) {
+    const scope = when.cost?.scope ?? "session";
+    if (!COST_SCOPES.includes(scope)) problems.push(`${where}.cost.scope: expected ${COST_SCOPES.join(", ")}`);
+    const range = compileRange(when.cost, `${where}.cost`, problems, ["scope"]);
+    if (range) checks.push(["cost", (f) => { const usd = f.cost(scope); return usd != null && range.test(usd) ? usd : undefined; }]);
+  }
+  return checks;
+}
+
+/**
+ * Validate a parsed policy document and compile its rules. Throws one error
+ * listing every problem, so a policy is either wholly valid or not used.
+ */
+export function compilePolicy(doc) {
+  const problems = [];
+  if (!doc || typeof doc !== "object" || Array.isArray(doc)) throw new Error("policy must be a mapping with `rules`");
+  for (const key of Object.keys(doc)) {
+    if (!["version", "default", "rules"].includes(key)) problems.push(`${key}: unknown key (use version, default, rules)`);
+  }
+  if ((doc.version ?? POLICY_VERSION) !== POLICY_VERSION) problems.push(`version: only ${POLICY_VERSION} is supported`);
+  const fallback = doc.default ?? "allow";
+  if (!ACTIONS.includes(fallback)) problems.push(`default: expected ${ACTIONS.join(", ")}`);
+  if (!Array.isArray(doc.rules)) problems.push("rules: expected a list");
+
+  const names = new Set();
+  const rules = (Array.isArray(doc.rules) ? doc.rules : []).map((rule, i) => {
+    const where = `rules[${i}]`;
+    if (!rule || typeof rule !== "object" || Array.isArray(rule)) {
+      problems.push(`${where}: expected a mapping`);
+      return null;
+    }
+    for (const key of Object.keys(rule)) {
+      if (!["name", "when", "action", "message"].includes(key)) problems.push(`${where}.${key}: unknown key (use name, when, action, message)`);
+    }
+    const name = rule.name ?? `rule-${i + 1}`;
+    if (typeof name !== "string" || !name) problems.push(`${where}.name: expected a string`);
+    else if (names.has(name)) problems.push(`${where}.name: duplicate rule name ${name}`);
+    names.add(name);
+    if (!ACTIONS.includes(rule.action)) problems.push(`${where}.action: expected ${ACTIONS.join(", ")}`);
+    if (rule.message !== undefined && typeof rule.message !== "string") problems.push(`${where}.message: expected a string`);
+    return { name, action: rule.action, message: rule.message ?? null, checks: compileWhen(rule.when, `${where}.when`, problems) };
+  });
+
+  if (problems.length > 0) throw new Error(`invalid policy:\n  ${problems.join("\n  ")}`);
+  return { version: POLICY_VERSION, default: fallback, rules };
+}
+
+// ── Loading and hot reload ────────────────────────────────────────────────────
+
+/** Parse policy text: JSON for .json files (or text starting with `{`), YAML otherwise. */
+export function parsePolicy(text, file = "") {
+  if (path.extname(file) === ".json" || text.trimStart().startsWith("{")) return JSON.parse(text);
+  return parseYaml(text);
+}
+
+/** Read, parse and compile a policy file. `hash` identifies its content in audit records. */
+export function loadPolicyFile(file) {
+  const text = fs.readFileSync(file, "utf-8");
+  let policy;
+  try {
+    policy = compilePolicy(parsePolicy(text, file));
+  } catch (err) {
+    throw new Error(`${file}: ${err.message}`);
+  }
+  return { ...policy, file, hash: crypto.createHash("sha256").update(text).digest("hex").slice(0, 16) };
+}
+
+/**
+ * A policy that follows its file: get() re-reads it whenever its mtime, size
+ * or inode changes, so edits apply to the next event without restarting the
+ * gateway. A change that fails to load keeps the last good policy in force and
+ * is reported in `error` until the file is fixed; a deleted file disables it.
+ *
+ * @returns {{ get(): { policy: object | null, error: string | null } }}
+ */
+export function createPolicyWatcher(file) {
+  let stamp = null;
+  let policy = null;
+  let error = null;
+  return {
+    get() {
+      let stat;
+      try {
+        stat = fs.statSync(file);
+      } catch {
+        stamp = null;
+        policy = null;
+        error = null;
+        return { policy, error };
+      }
+      const next = `${stat.ino}:${stat.size}:${stat.mtimeMs}`;
+      if (next !== stamp) {
+        stamp = next;
+        try {
+          policy = loadPolicyFile(file);
+          error = null;
+        } catch (err) {
+          error = err.message;
+        }
+      }
+      return { policy, error };
+    },
+  };
+}
+
+// ── Evaluation ────────────────────────────────────────────────────────────────
+
+/**
+ * Decide what to do about one event.
+ *
+ * @param {object} policy  from compilePolicy/loadPolicyFile
+ * @param {{ event: string, agentId: string | null, sessionKey: string | null,
+ *           content(): string | null, tools(): string[], turns(): number | null,
+ *           cost(scope: string): number | null }} facts
+ *   The functions are only called for rules that use the condition, so
+ *   expensive facts (transcript, usage summary) are read only when needed.
+ * @returns {{ rule: string | null, action: string, message: string | null, matched: object }}
+ *   `matched` holds the value each condition of the deciding rule matched.
+ */
+export function evaluatePolicy(policy, facts) {
+  for (const rule of policy.rules) {
+    const matched = {};
+    let holds = true;
+    for (const [name, check] of rule.checks) {
+      const value = check(facts);
+      if (value === undefined) {
+        holds = false;
+        break;
+      }
+      matched[name] = value;
+    }
+    if (holds) return { rule: rule.name, action: rule.action, message: rule.message, matched };
+  }
+  return { rule: null, action: policy.default, message: null, matched: {} };
+}
@@ -0,0 +1,213 @@
+/**
+ * lib/redact.js
+ *
+ * Secret and PII redaction for extractor records. Runs inside openSinks()
+ * before a record reaches any sink, so every destination sees the same
+ * redacted content.
+ *
+ * Built-in detectors:
+ *   aws-access-key   AKIA…/ASIA… access key ids
+ *   aws-secret-key   values assigned to aws_secret_access_key / aws_session_token
+ *   bearer-token     the token part of "Bearer <token>"
+ *   sk-key           sk-… style API keys (Anthropic, OpenAI, OpenRouter)
+ *   email            email addresses
+ *   matrix-token     Synapse access tokens (syt_…) and "access_token" JSON values
+ *
+ * Configuration ($OPENCLAW_EXTRACTOR_REDACT): unset uses every built-in
+ * detector with the mask policy; "off" disables redaction; otherwise a JSON
+ * object, or a path to a file containing one:
+ *
+ *   {
+ *     "detectors": ["aws-access-key", "sk-key"],     // default: all built-ins
+ *     "rules": [{ "name": "ticket", "pattern": "TKT-\\d+", "flags": "i" }],
+ *     "policy": "mask",                              // mask | hash | drop
+ *     "fields": { "thinking": "drop", "toolCalls.result": "hash", "userMessage": "off" },
+ *     "hashSalt": "${REDACT_SALT}"
+ *   }
+ *
+ * Step copies of the turn text (steps[].thinking, steps[].text) and orphaned
+ * tool results follow the policy of "thinking", "response" and
+ * "toolCalls.result" respectively. The `query` of an openclaw-memory-v1
+ * record (a user message) follows "userMessage".
+ *
+ * Policies apply per field when a field contains at least one match:
+ *   mask — replace each match with [REDACTED:<detector>]
+ *   hash — replace each match with [sha256:<first 12 hex chars>]
+ *   drop — replace the whole field with null
+ *   off  — leave the field untouched
+ *
+ * Redacted records carry a `redactions` summary:
+ *   { count, detectors: { <name>: n }, fields: { <field>: n }, dropped: [<field>] }
+ */
+
+import fs from "fs";
+import crypto from "crypto";
+
+const BUILTIN_DETECTORS = {
+  "aws-access-key": /\b(?:AKIA|ASIA|AGPA|AIDA|AROA|ANPA|ANVA|AIPA)[A-Z0-9]{16}\b/g,
+  "aws-secret-key": /(?<=(?:aws_?secret_?access_?key|aws_?session_?token)["']?\s*[:=]\s*["']?)[A-Za-z0-9/+=]{40,}/gi,
+  "bearer-token":   /(?<=\bBearer\s+)[A-Za-z0-9\-._~+/]{16,}=*/g,
+  "sk-key":         /\bsk-[A-Za-z0-9_-]{20,}/g,
+  "email":          /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g,
+  "matrix-token":   /\bsyt_[A-Za-z0-9]+_[A-Za-z0-9]+_[A-Za-z0-9]+\b|(?<="access_token"\s*:\s*")[^"]+/g,
+};
+
+// Text fields of a single turn, keyed by the name used in `fields` policies.
+const TURN_FIELDS = ["userMessage", "thinking", "response"];
+const TOOL_CALL_FIELDS = ["input", "result"];
+// Per-step copies of turn text follow the policy of the field they mirror.
+const STEP_FIELDS = { thinking: "thinking", text: "response" };
+
+const POLICIES = new Set(["mask", "hash", "drop", "off"]);
+
+// ── Config ────────────────────────────────────────────────────────────────────
+
+function expandEnv(value) {
+  return typeof value === "string"
+    ? value.replace(/\$\{([A-Z0-9_]+)\}/gi, (_, name) => process.env[name] ?? "")
+    : value;
+}
+
+/** Read redaction config from $OPENCLAW_EXTRACTOR_REDACT. Returns null when disabled. */
+export function loadRedactConfig(raw = process.env.OPENCLAW_EXTRACTOR_REDACT) {
+  if (!raw || !raw.trim()) return {};
+  const value = raw.trim();
+  if (["off", "false", "0", "none"].includes(value.toLowerCase())) return null;
+  return JSON.parse(value.startsWith("{") ? value : fs.readFileSync(value, "utf-8"));
+}
+
+function compileDetectors(config) {
+  const names = config.detectors ?? Object.keys(BUILTIN_DETECTORS);
+  const detectors = names.map((name) => {
+    const re = BUILTIN_DETECTORS[name];
+    if (!re) throw new Error(`Unknown redaction detector: ${name}`);
+    return { name, re };
+  });
+  for (const rule of config.rules ?? []) {
+    if (!rule.name || !rule.pattern) throw new Error("Redaction rules need a name and a pattern");
+    const flags = new Set((rule.flags ?? "").split(""));
+    flags.add("g");
+    detectors.push({ name: rule.name, re: new RegExp(rule.pattern, [...flags].join("")) });
+  }
+  return detectors;
+}
+
+// ── Redaction ─────────────────────────────────────────────────────────────────
+
+function newSummary() {
+  return { count: 0, detectors: {}, fields: {}, dropped: [] };
+}
+
+/**
+ * Build a redactor from a config object (see loadRedactConfig). The returned
+ * function takes a record and returns a redacted copy with a `redactions`
+ * summary; records without conversational text are returned unchanged.
+ */
+export function createRedactor(config = {}) {
+  const detectors = compileDetectors(config);
+  const defaultPolicy = config.policy ?? "mask";
+  const fieldPolicies = config.fields ?? {};
+  const salt = expandEnv(config.hashSalt ?? "");
+  for (const policy of [defaultPolicy, ...Object.values(fieldPolicies)]) {
+    if (!POLICIES.has(policy)) throw new Error(`Unknown redaction policy: ${policy}`);
+  }
+
+  const replacement = (policy, name, match) =>
+    policy === "hash"
+      ? `[sha256:${crypto.createHash("sha256").update(salt + match).digest("hex").slice(0, 12)}]`
+      : `[REDACTED:${name}]`;
+
+  /** Redact one string. Returns { value, hits } where hits counts per detector. */
+  function redactString(str, policy) {
+    const hits = {};
+    let value = str;
+    for (const { name, re } of detectors) {
+      re.lastIndex = 0;
+      value = value.replace(re, (match) => {
+        hits[name] = (hits[name] ?? 0) + 1;
+        return replacement(policy, name, match);
+      });
+    }
+    return { value, hits };
+  }
+
+  /** Redact every string inside a value (strings, arrays, plain objects). */
+  function redactValue(value, policy, hits) {
+    if (typeof value === "string") {
+      const r = redactString(value, policy);
+      for (const [name, n] of Object.entries(r.hits)) hits[name] = (hits[name] ?? 0) + n;
+      return r.value;
+    }
+    if (Array.isArray(value)) return value.map((v) => redactValue(v, policy, hits));
+    if (value && typeof value === "object") {
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redactValue(v, policy, hits)]));
+    }
+    return value;
+  }
+
+  function redactField(value, field, summary, policyField = field) {
+    const policy = fieldPolicies[policyField] ?? defaultPolicy;
+    if (policy === "off" || value == null) return value;
+    const hits = {};
+    const redacted = redactValue(value, policy, hits);
+    const count = Object.values(hits).reduce((a, b) => a + b, 0);
+    if (count === 0) return value;
+
+    summary.count += count;
+    summary.fields[field] = (summary.fields[field] ?? 0) + count;
+    for (const [name, n] of Object.entries(hits)) summary.detectors[name] = (summary.detectors[name] ?? 0) + n;
+    if (policy === "drop") {
+      if (!summary.dropped.includes(field)) summary.dropped.push(field);
+      return null;
+    }
+    return redacted;
+  }
+
+  function redactTurn(turn, summary) {
+    const out = { ...turn };
+    for (const field of TURN_FIELDS) out[field] = redactField(turn[field], field, summary);
+    out.toolCalls = (turn.toolCalls ?? []).map((tc) => {
+      const next = { ...tc };
+      for (const field of TOOL_CALL_FIELDS) next[field] = redactField(tc[field], `toolCalls.${field}`, summary);
+      return next;
+    });
+    if (turn.steps) {
+      out.steps = turn.steps.map((step) => {
+        const next = { ...step };
+        for (const [field, policyField] of Object.entries(STEP_FIELDS)) {
+          if (field in step) next[field] = redactField(step[field], `steps.${field}`, summary, policyField);
+        }
+        return next;
+      });
+    }
+    if (turn.orphanedToolResults) {
+      out.orphanedToolResults = turn.orphanedToolResults.map((r) => ({
+        ...r,
+        result: redactField(r.result, "orphanedToolResults.result", summary, "toolCalls.result"),
+      }));
+    }
+    return out;
+  }
+
+  return function redact(record) {
+    if (record.turn) {
+      const summary = newSummary();
+      return { ...record, turn: redactTurn(record.turn, summary), redactions: summary };
+    }
+    if (Array.isArray(record.turns)) {
+      const summary = newSummary();
+      return { ...record, turns: record.turns.map((t) => redactTurn(t, summary)), redactions: summary };
+    }
+    if (record.schema === "openclaw-memory-v1") {
+      const summary = newSummary();
+      return { ...record, query: redactField(record.query, "query", summary, "userMessage"), redactions: summary };
+    }
+    return record;
+  };
+}
+
+/** Redactor from $OPENCLAW_EXTRACTOR_REDACT, or null when redaction is off. */
+export function loadRedactor() {
+  const config = loadRedactConfig();
+  return config ? createRedactor(config) : null;
+}
@@ -0,0 +1,294 @@
+/**
+ * lib/sinks.js
+ *
+ * Output sinks shared by the extractor hooks. A hook opens a sink set once per
+ * invocation, writes records to it, and closes it before returning.
+ *
+ * Sink types:
+ *   file   — append to a local file (one JSON line per record, or the legacy
+ *            separator + pretty-printed format with `format: "log"`)
+ *   http   — POST records in batches; a batch that fails is appended to an
+ *            on-disk spool and retried on the next invocation
+ *   stdout — one JSON line per record on the gateway's stdout
+ *
+ * Configuration ($OPENCLAW_EXTRACTOR_SINKS): a JSON array of sink specs, or a
+ * path to a file containing one. `${VAR}` in string values is expanded from
+ * the environment. When unset, records go to the hook's default file.
+ *
+ *   [
+ *     { "type": "file" },
+ *     { "type": "http", "url": "${OPENHIVE_API_URL}/api/knowledge/ingest",
+ *       "envelope": { "workspace_id": "${OPENHIVE_WORKSPACE_ID}" },
+ *       "schemas": ["openclaw-turn-v1"], "batchSize": 20 },
+ *     { "type": "stdout" }
+ *   ]
+ *
+ * Common options: `schemas` restricts a sink to the listed record schemas.
+ * A file sink without `path` writes to the hook's default file. JSONL file
+ * sinks skip records whose idempotencyKey they already wrote (`dedupe: false`
+ * turns this off) and rotate at `maxBytes` (default 64 MiB), keeping `keep`
+ * rotated segments (default 0: all) — see lib/logfile.js.
+ *
+ * Records pass through the redaction stage (lib/redact.js), get an
+ * idempotencyKey, and, when $OPENCLAW_EXTRACTOR_VALIDATE is set, are checked
+ * against their schema (lib/validate.js) before any sink sees them.
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { loadRedactor } from "./redact.js";
+import { loadValidateMode, validateRecord } from "./validate.js";
+import { idempotencyKey, rotateLog, loadKeyIndex, appendKeyIndex } from "./logfile.js";
+
+const DEFAULT_BATCH_SIZE = 50;
+const DEFAULT_TIMEOUT_MS = 5_000;
+// Longest an http sink's close() may spend delivering before it spools the rest
+const DEFAULT_BUDGET_MS  = 5_000;
+const DEFAULT_MAX_BYTES  = 64 * 1024 * 1024;
+
+// ── Config ────────────────────────────────────────────────────────────────────
+
+function expandEnv(value) {
+  if (typeof value === "string") {
+    return value.replace(/\$\{([A-Z0-9_]+)\}/gi, (_, name) => process.env[name] ?? "");
+  }
+  if (Array.isArray(value)) return value.map(expandEnv);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, expandEnv(v)]));
+  }
+  return value;
+}
+
+/** Read sink specs from $OPENCLAW_EXTRACTOR_SINKS. Returns null when unset. */
+export function loadSinkConfig(raw = process.env.OPENCLAW_EXTRACTOR_SINKS) {
+  if (!raw || !raw.trim()) return null;
+  const text = raw.trim().startsWith("[") ? raw : fs.readFileSync(raw.trim(), "utf-8");
+  const specs = JSON.parse(text);
+  if (!Array.isArray(specs)) throw new Error("OPENCLAW_EXTRACTOR_SINKS must be a JSON array");
+  return expandEnv(specs);
+}
+
+// ── File ──────────────────────────────────────────────────────────────────────
+
+function fileSink(spec, defaults) {
+  const filePath = spec.path ?? defaults.file;
+  const format = spec.format ?? defaults.format ?? "jsonl";
+  const dedupe = format === "jsonl" && spec.dedupe !== false;
+  const rotation = { maxBytes: spec.maxBytes ?? DEFAULT_MAX_BYTES, keep: spec.keep ?? 0 };
+  // Loaded on first write, i.e. inside the writer's withLogLock() section
+  let keys = null;
+  return {
+    name: spec.name ?? `file:${filePath}`,
+    write(record) {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      if (dedupe) {
+        keys ??= loadKeyIndex(filePath);
+        if (keys.has(record.idempotencyKey)) return;
+      }
+      const text = format === "log"
+        ? "\n" + "=".repeat(80) + "\n" + JSON.stringify(record, null, 2) + "\n"
+        : JSON.stringify(record) + "\n";
+      const rotated = rotateLog(filePath, { ...rotation, incomingBytes: Buffer.byteLength(text) });
+      // Rotation may have pruned the index along with dropped segments
+      if (rotated && keys) keys = loadKeyIndex(filePath);
+      fs.appendFileSync(filePath, text);
+      if (dedupe) {
+        appendKeyIndex(filePath, record.idempotencyKey);
+        keys.add(record.idempotencyKey);
+      }
+    },
+    async close() {},
+  };
+}
+
+// ── Stdout ────────────────────────────────────────────────────────────────────
+
+function stdoutSink(spec) {
+  return {
+    name: spec.name ?? "stdout",
+    write(record) {
+      process.stdout.write(JSON.stringify(record) + "\n");
+    },
+    async close() {},
+  };
+}
+
+// ── HTTP ──────────────────────────────────────────────────────────────────────
+//
+// Delivery runs inside the hook, which the agent waits on, so close() spends at
+// most `budgetMs` on it: one attempt per batch, and at the first failure (or
+// once the budget is used up) the batch and every later one go to the spool.
+// Retrying is left to later invocations.
+//
+// Spooled batches are replayed from a claimed copy of the spool that is only
+// removed once every batch in it was delivered or re-spooled, so a crash mid
+// replay loses nothing; the next invocation claims the copy of a process that
+// is no longer running. Delivery is therefore at-least-once — receivers can
+// dedupe on idempotencyKey.
+
+async function postBatch(spec, records, timeoutMs) {
+  const res = await fetch(spec.url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...(spec.headers ?? {}) },
+    body: JSON.stringify({ ...(spec.envelope ?? {}), records }),
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+  if (!res.ok) throw new Error(`POST ${spec.url} → ${res.status}`);
+}
+
+function spoolFile(spec, spoolDir) {
+  const id = spec.name ?? crypto.createHash("sha1").update(spec.url).digest("hex").slice(0, 12);
+  return path.join(spoolDir, `${id.replace(/[^\w.-]/g, "_")}.jsonl`);
+}
+
+function spoolBatch(file, records, err) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const entry = { spooledAt: new Date().toISOString(), error: String(err?.message ?? err), records };
+  fs.appendFileSync(file, JSON.stringify(entry) + "\n");
+}
+
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === "EPERM";
+  }
+}
+
+/**
+ * Claim the spool, and the replay copies of processes that died mid-replay,
+ * by renaming them to `<spool>.<pid>.<random>.replay` — a rename succeeds for
+ * one claimant only, so two concurrent invocations (hooks share the gateway's
+ * pid) never replay the same batch.
+ * Returns the claimed files, oldest first; delete them once their batches
+ * are delivered or re-spooled.
+ */
+function claimSpool(file) {
+  const dir = path.dirname(file);
+  const base = path.basename(file);
+  let names;
+  try {
+    names = fs.readdirSync(dir);
+  } catch {
+    return [];
+  }
+  const orphans = names
+    .filter((name) => name.startsWith(`${base}.`))
+    .map((name) => ({ replay: path.join(dir, name), pid: Number(/^(\d+)(\.[0-9a-f]+)?\.replay$/.exec(name.slice(base.length + 1))?.[1]) }))
+    .filter(({ pid }) => pid && pid !== process.pid && !isRunning(pid))
+    .map(({ replay }) => ({ replay, mtime: fs.statSync(replay).mtimeMs }))
+    .sort((a, b) => a.mtime - b.mtime)
+    .map(({ replay }) => replay);
+
+  const claimed = [];
+  for (const source of [...orphans, file]) {
+    const target = `${file}.${process.pid}.${crypto.randomBytes(6).toString("hex")}.replay`;
+    try {
+      fs.renameSync(source, target);
+      claimed.push(target);
+    } catch {}
+  }
+  return claimed;
+}
+
+function readSpool(file) {
+  return fs.readFileSync(file, "utf-8").split("\n").filter(Boolean).flatMap((line) => {
+    try { return [JSON.parse(line).records]; } catch { return []; }
+  });
+}
+
+function httpSink(spec, defaults) {
+  if (!spec.url) throw new Error("http sink requires a url");
+  const batchSize = spec.batchSize ?? DEFAULT_BATCH_SIZE;
+  const timeoutMs = spec.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+  const budgetMs = spec.budgetMs ?? DEFAULT_BUDGET_MS;
+  const spool = spoolFile(spec, spec.spoolDir ?? defaults.spoolDir);
+  const buffer = [];
+
+  return {
+    name: spec.name ?? `http:${spec.url}`,
+    write(record) {
+      buffer.push(record);
+    },
+    async close() {
+      const claimed = claimSpool(spool);
+      const batches = claimed.flatMap(readSpool);
+      for (let i = 0; i < buffer.length; i += batchSize) {
+        batches.push(buffer.slice(i, i + batchSize));
+      }
+      buffer.length = 0;
+
+      const deadline = Date.now() + budgetMs;
+      let failure = null;
+      let spooled = 0;
+      for (const batch of batches) {
+        const left = deadline - Date.now();
+        if (!failure && left <= 0) failure = new Error(`delivery budget of ${budgetMs} ms used up`);
+        if (!failure) {
+          try {
+            await postBatch(spec, batch, Math.min(timeoutMs, left));
+            continue;
+          } catch (err) {
+            failure = err;
+          }
+        }
+        // Keep order: this batch and every later one wait for the next invocation
+        spoolBatch(spool, batch, failure);
+        spooled++;
+      }
+      for (const file of claimed) fs.rmSync(file, { force: true });
+      if (failure) console.warn(`[sinks] ${spec.url} unavailable, spooled ${spooled} batch(es): ${failure.message ?? failure}`);
+    },
+  };
+}
+
+// ── Sink set ──────────────────────────────────────────────────────────────────
+
+const SINK_TYPES = { file: fileSink, stdout: stdoutSink, http: httpSink };
+
+/**
+ * Open the configured sinks.
+ *
+ * @param {{ file: string, spoolDir: string, format?: "jsonl" | "log", specs?: object[],
+ *           redactor?: ((record: object) => object) | null,
+ *           validate?: "off" | "warn" | "strict" }} defaults
+ *   `file` is the default file sink target; `spoolDir` holds HTTP spools.
+ *   `specs` overrides $OPENCLAW_EXTRACTOR_SINKS; `redactor` overrides
+ *   $OPENCLAW_EXTRACTOR_REDACT (null disables redaction); `validate`
+ *   overrides $OPENCLAW_EXTRACTOR_VALIDATE.
+ * @returns {{ write(record: object): void, close(): Promise<void> }}
+ */
+export function openSinks(defaults) {
+  const specs = defaults.specs ?? loadSinkConfig() ?? [{ type: "file" }];
+  const redact = defaults.redactor !== undefined ? defaults.redactor : loadRedactor();
+  const validate = defaults.validate ?? loadValidateMode();
+  const sinks = specs.map((spec) => {
+    const factory = SINK_TYPES[spec.type];
+    if (!factory) throw new Error(`Unknown sink type: ${spec.type}`);
+    return { sink: factory(spec, defaults), schemas: spec.schemas ? new Set(spec.schemas) : null };
+  });
+
+  return {
+    write(record) {
+      if (redact) record = redact(record);
+      if (!record.idempotencyKey) record = { ...record, idempotencyKey: idempotencyKey(record) };
+      if (validate !== "off") {
+        const { valid, errors } = validateRecord(record);
+        if (!valid) {
+          const detail = errors.map((e) => `${e.path} ${e.message}`).join("; ");
+          console.warn(`[validate] invalid ${record.schema} record${validate === "strict" ? " (dropped)" : ""}: ${detail}`);
+          if (validate === "strict") return;
+        }
+      }
+      for (const { sink, schemas } of sinks) {
+        if (schemas && !schemas.has(record.schema)) continue;
+        sink.write(record);
+      }
+    },
+    async close() {
+      await Promise.all(sinks.map(({ sink }) => sink.close()));
+    },
+  };
+}
@@ -0,0 +1,360 @@
+/**
+ * lib/turns.js
+ *
+ * Turn reconstruction shared by the conversation-extractor hook and the
+ * `openhive extract` backfill command, so live capture and backfills produce
+ * the same openclaw-turn-v1 records.
+ *
+ * The hook feeds appended session lines into a resumable turn state
+ * (createTurnState/extractTurns) and builds records with buildTurnPayload.
+ * extractSessionRecords() does the same for a whole session file at once.
+ */
+
+import fs from "fs";
+import path from "path";
+
+// ── Session metadata ──────────────────────────────────────────────────────────
+
+/** "agent:<agentId>:<rest>" → agentId */
+export function agentIdFromKey(sessionKey) {
+  return /^agent:([^:]+):/.exec(sessionKey ?? "")?.[1] ?? null;
+}
+
+/** sessionKey/sessionId pairs from a sessions directory's sessions.json store, if present. */
+export function readSessionStore(dir) {
+  try {
+    const store = JSON.parse(fs.readFileSync(path.join(dir, "sessions.json"), "utf-8"));
+    return Object.entries(store).flatMap(([sessionKey, entry]) =>
+      entry?.sessionId ? [{ sessionKey, sessionId: entry.sessionId }] : []);
+  } catch {
+    return [];
+  }
+}
+
+// The gateway's default agent, for events that name neither agent nor session key
+const DEFAULT_AGENT_ID = "main";
+
+/**
+ * The agent, session and transcript of a hook event: context.agentId and
+ * context.sessionId when the gateway provides them, otherwise the sessionKey
+ * looked up in the agent's sessions.json under `stateDir`. sessionId and
+ * sessionFile are null when neither says which session it is.
+ */
+export function resolveEventSession(event, stateDir) {
+  const ctx = event.context ?? {};
+  const sessionKey = event.sessionKey ?? ctx.sessionKey ?? null;
+  const agentId = ctx.agentId ?? agentIdFromKey(sessionKey) ?? DEFAULT_AGENT_ID;
+  const sessionsDir = path.join(stateDir, "agents", agentId, "sessions");
+  const store = readSessionStore(sessionsDir);
+  const sessionId = ctx.sessionId ?? store.find((s) => s.sessionKey === sessionKey)?.sessionId ?? null;
+  return {
+    agentId,
+    sessionId,
+    sessionKey: sessionKey ?? store.find((s) => s.sessionId === sessionId)?.sessionKey ?? null,
+    sessionFile: sessionId ? path.join(sessionsDir, `${sessionId}.jsonl`) : null,
+  };
+}
+
+/** Text of the last user message in the final `tailBytes` of a session transcript, or null. */
+export function latestUserMessage(sessionFile, tailBytes = 256 * 1024) {
+  if (!sessionFile) return null;
+  let raw;
+  try {
+    const fd = fs.openSync(sessionFile, "r");
+    try {
+      const size = fs.fstatSync(fd).size;
+      const start = Math.max(0, size - tailBytes);
+      const buf = Buffer.alloc(size - start);
+      fs.readSync(fd, buf, 0, buf.length, start);
+      raw = buf.toString("utf-8");
+      // A partial first line fails to parse and is skipped by parseJsonLines
+    } finally {
+      fs.closeSync(fd);
+    }
+  } catch {
+    return null;
+  }
+  const entries = parseJsonLines(raw);
+  for (let i = entries.length - 1; i >= 0; i--) {
+    const e = entries[i];
+    if (e.type === "message" && e.message?.role === "user") {
+      return extractTextFromContent(e.message.content).trim() || null;
+    }
+  }
+  return null;
+}
+
+// ── Turns ─────────────────────────────────────────────────────────────────────
+
+export function parseJsonLines(raw) {
+  return raw.split("\n").filter(Boolean).flatMap((line) => {
+    try { return [JSON.parse(line)]; } catch { return []; }
+  });
+}
+
+export function extractTextFromContent(content) {
+  if (!content) return "";
+  if (typeof content === "string") return content;
+  if (Array.isArray(content)) {
+    return content.filter((b) => b?.type === "text").map((b) => b.text || "").join("");
+  }
+  return "";
+}
+
+export function addUsage(acc, usage) {
+  if (!usage) return acc;
+  return {
+    input:       (acc.input       ?? 0) + (usage.input       ?? 0),
+    output:      (acc.output      ?? 0) + (usage.output      ?? 0),
+    cacheRead:   (acc.cacheRead   ?? 0) + (usage.cacheRead   ?? 0),
+    cacheWrite:  (acc.cacheWrite  ?? 0) + (usage.cacheWrite  ?? 0),
+    totalTokens: (acc.totalTokens ?? 0) + (usage.totalTokens ?? 0),
+    cost: {
+      input:      (acc.cost?.input      ?? 0) + (usage.cost?.input      ?? 0),
+      output:     (acc.cost?.output     ?? 0) + (usage.cost?.output     ?? 0),
+      cacheRead:  (acc.cost?.cacheRead  ?? 0) + (usage.cost?.cacheRead  ?? 0),
+      cacheWrite: (acc.cost?.cacheWrite ?? 0) + (usage.cost?.cacheWrite ?? 0),
+      total:      (acc.cost?.total      ?? 0) + (usage.cost?.total      ?? 0),
+    },
+  };
+}
+
+export function createTurnState() {
+  return { turnCount: 0, current: null, pendingToolCallIds: [] };
+}
+
+/** Entry time in epoch ms — ISO `timestamp` on the entry, or ms on the message. */
+function entryTime(entry) {
+  const raw = entry.timestamp ?? entry.message?.timestamp;
+  const ms = typeof raw === "number" ? raw : Date.parse(raw ?? "");
+  return Number.isFinite(ms) ? ms : null;
+}
+
+const elapsed = (from, to) => (from != null && to != null ? Math.max(0, to - from) : null);
+const isoTime = (ms) => (ms != null ? new Date(ms).toISOString() : null);
+
+/**
+ * Child session spawned by a tool call (sessions_spawn and similar), read from
+ * the tool result's details or its JSON text. Sub-agent transcripts are
+ * extracted as sessions of their own; this links the parent step to them.
+ */
+function spawnedSubagent(message, resultText) {
+  let info = message.details;
+  if (!info?.childSessionKey && resultText?.trimStart().startsWith("{")) {
+    try { info = JSON.parse(resultText); } catch { info = null; }
+  }
+  if (!info?.childSessionKey) return null;
+  return { sessionKey: info.childSessionKey, runId: info.runId ?? null };
+}
+
+/** Feed session entries into a resumable turn state. Returns the turns that
+ *  these entries completed; the in-progress turn stays in `state.current`.
+ *
+ *  Besides the flattened toolCalls, each turn records its steps in order —
+ *  every assistant message and every tool result — with per-step usage,
+ *  stop reason and latency since the previous entry. Tool results that match
+ *  no pending call are kept as orphaned steps instead of being dropped. */
+export function extractTurns(entries, state = createTurnState()) {
+  const turns = [];
+  const pendingToolCalls = {};
+  for (const id of state.pendingToolCallIds) {
+    const tc = state.current?.toolCalls.find((t) => t.id === id);
+    if (tc) pendingToolCalls[id] = tc;
+  }
+
+  for (const entry of entries) {
+    if (entry.type !== "message" || !entry.message) continue;
+    const { role, content } = entry.message;
+    const at = entryTime(entry);
+
+    if (role === "user") {
+      if (state.current) turns.push(finalizeTurn(state.current));
+      state.current = {
+        index: state.turnCount++,
+        timestamp: entry.timestamp ?? null,
+        userMessage: extractTextFromContent(content),
+        thinking: [],
+        toolCalls: [],
+        response: "",
+        model: null,
+        stopReason: null,
+        usage: {},
+        steps: [],
+        orphanedToolResults: [],
+        lastAt: at,
+      };
+    } else if (role === "assistant" && state.current) {
+      const current = state.current;
+      current.usage = addUsage(current.usage, entry.message.usage);
+      if (entry.message.model) current.model = entry.message.model;
+      if (entry.message.stopReason) current.stopReason = entry.message.stopReason;
+
+      const step = {
+        kind: "assistant",
+        timestamp: isoTime(at),
+        latencyMs: elapsed(current.lastAt, at),
+        model: entry.message.model ?? null,
+        stopReason: entry.message.stopReason ?? null,
+        usage: entry.message.usage ? addUsage({}, entry.message.usage) : null,
+        thinking: [],
+        text: "",
+        toolCallIds: [],
+      };
+
+      const blocks = Array.isArray(content) ? content : [];
+      for (const block of blocks) {
+        if (!block?.type) continue;
+        switch (block.type) {
+          case "thinking":
+            if (block.thinking) {
+              current.thinking.push(block.thinking);
+              step.thinking.push(block.thinking);
+            }
+            break;
+          case "toolCall":
+          case "tool_use": {
+            const tc = {
+              id: block.id ?? null,
+              name: block.name ?? block.toolName ?? "unknown",
+              input: block.arguments ?? block.input ?? block.parameters ?? {},
+              result: null,
+              isError: null,
+              status: "pending",
+              subagent: null,
+              issuedAt: at,
+            };
+            current.toolCalls.push(tc);
+            step.toolCallIds.push(tc.id);
+            if (tc.id) pendingToolCalls[tc.id] = tc;
+            break;
+          }
+          case "text":
+            current.response += block.text ?? "";
+            step.text += block.text ?? "";
+            break;
+        }
+      }
+
+      current.steps.push({
+        ...step,
+        thinking: step.thinking.join("\n\n") || null,
+        text: step.text || null,
+      });
+      if (at != null) current.lastAt = at;
+    } else if (role === "toolResult" && state.current) {
+      const current = state.current;
+      const id = entry.message.toolCallId ?? entry.message.toolUseId ?? null;
+      const tc = id ? pendingToolCalls[id] : null;
+      const result = extractTextFromContent(content);
+      const isError = entry.message.isError ?? false;
+      if (tc) {
+        tc.result = result;
+        tc.isError = isError;
+        tc.status = isError ? "error" : "ok";
+        tc.subagent = spawnedSubagent(entry.message, result);
+        delete pendingToolCalls[id];
+      } else {
+        current.orphanedToolResults.push({ toolCallId: id, timestamp: isoTime(at), result, isError });
+      }
+      current.steps.push({
+        kind: "toolResult",
+        timestamp: isoTime(at),
+        latencyMs: elapsed(tc ? tc.issuedAt : current.lastAt, at),
+        toolCallId: id,
+        name: tc?.name ?? entry.message.toolName ?? null,
+        isError,
+        orphaned: !tc,
+      });
+      if (at != null) current.lastAt = at;
+    }
+  }
+
+  state.pendingToolCallIds = Object.keys(pendingToolCalls);
+  // Only completed turns are returned (state.current is still in-progress)
+  return turns;
+}
+
+/** Close a turn. Tool calls still without a result become "missing" once the
+ *  turn is complete; a flushed partial turn leaves them "pending". */
+export function finalizeTurn(turn, partial = false) {
+  return {
+    ...turn,
+    partial,
+    thinking: turn.thinking.join("\n\n"),
+    usage: Object.keys(turn.usage).length ? turn.usage : null,
+    toolCalls: turn.toolCalls.map((tc) =>
+      tc.status === "pending" && !partial ? { ...tc, status: "missing" } : tc),
+  };
+}
+
+/**
+ * Turn records without the partial ones whose turn was also written complete
+ * — the extractor writes a flushed turn again once it closes. Partial turns
+ * that never completed are kept. Order is preserved.
+ */
+export function dropSupersededPartials(records) {
+  const slot = (r) => `${r.session?.agentId ?? "-"}:${r.session?.sessionId ?? "-"}:${r.turn.index}`;
+  const complete = new Set(records.filter((r) => !r.turn.partial).map(slot));
+  return records.filter((r) => !r.turn.partial || !complete.has(slot(r)));
+}
+
+/** The `session` block of a turn record. */
+export function sessionMeta({ agentId, sessionId = null, sessionKey = null, cwd = null }) {
+  const channelFromKey = sessionKey
+    ? sessionKey.replace(`agent:${agentId}:`, "").split(":")[0]
+    : null;
+  return { agentId, sessionId, sessionKey, channel: channelFromKey, cwd };
+}
+
+export function buildTurnPayload(meta, turn) {
+  return {
+    schema: "openclaw-turn-v1",
+    extractedAt: new Date().toISOString(),
+    session: meta,
+    turn: {
+      index: turn.index,
+      timestamp: turn.timestamp,
+      model: turn.model,
+      stopReason: turn.stopReason,
+      usage: turn.usage,
+      userMessage: turn.userMessage,
+      thinking: turn.thinking || null,
+      toolCalls: turn.toolCalls.map((tc) => ({
+        id: tc.id,
+        name: tc.name,
+        input: tc.input,
+        result: tc.result,
+        isError: tc.isError,
+        status: tc.status,
+        subagent: tc.subagent,
+      })),
+      response: turn.response || null,
+      partial: turn.partial,
+      steps: turn.steps,
+      orphanedToolResults: turn.orphanedToolResults,
+    },
+  };
+}
+
+// ── Whole sessions ────────────────────────────────────────────────────────────
+
+/**
+ * Every turn record of one session transcript, as the hook would have written
+ * them over the session's lifetime. With `flush` (the default) the final,
+ * unclosed turn is included with `partial: true`, matching what the hook
+ * writes on session:end / gateway:stop.
+ *
+ * @param {object[]} entries  parsed session lines
+ * @param {{ agentId: string, sessionId?: string, sessionKey?: string | null, flush?: boolean }} session
+ *   `sessionId` is used when the transcript has no session header (the hook
+ *   falls back to the file name the same way).
+ * @returns {object[]} openclaw-turn-v1 records (unredacted — run them through openSinks or a redactor)
+ */
+export function extractSessionRecords(entries, { agentId, sessionId, sessionKey = null, flush = true }) {
+  const header = entries.find((e) => e.type === "session");
+  const state = createTurnState();
+  const turns = extractTurns(entries, state);
+  if (flush && state.current) turns.push(finalizeTurn(state.current, true));
+  const meta = sessionMeta({ agentId, sessionId: header?.id ?? sessionId ?? null, sessionKey, cwd: header?.cwd ?? null });
+  return turns.map((turn) => buildTurnPayload(meta, turn));
+}
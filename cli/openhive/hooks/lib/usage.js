@@ -0,0 +1,151 @@
+/**
+ * lib/usage.js
+ *
+ * Token and cost rollups over openclaw-turn-v1 records. Shared by the
+ * conversation-extractor hook, which appends a running openclaw-usage-v1
+ * summary to its log, and `openhive usage`, which reports over existing logs.
+ *
+ * A turn's usage is attributed per step when its steps carry usage, so a turn
+ * that switched models mid-way is split between them; older records without
+ * steps count entirely towards turn.model.
+ *
+ * Usage totals: { turns, input, output, cacheRead, cacheWrite, totalTokens, cost }
+ * with `cost` in USD.
+ */
+
+export const USAGE_DIMENSIONS = ["agent", "model", "session", "run"];
+
+export function emptyUsage() {
+  return { turns: 0, input: 0, output: 0, cacheRead: 0, cacheWrite: 0, totalTokens: 0, cost: 0 };
+}
+
+function addTokens(acc, usage, sign = 1) {
+  acc.input       += sign * (usage?.input       ?? 0);
+  acc.output      += sign * (usage?.output      ?? 0);
+  acc.cacheRead   += sign * (usage?.cacheRead   ?? 0);
+  acc.cacheWrite  += sign * (usage?.cacheWrite  ?? 0);
+  acc.totalTokens += sign * (usage?.totalTokens ?? 0);
+  // Rounded to 1e-9 USD so float drift does not show up in reports
+  acc.cost = Math.round((acc.cost + sign * (usage?.cost?.total ?? 0)) * 1e9) / 1e9;
+}
+
+/** [{ model, usage }] for one turn record — per step model when steps carry usage. */
+export function turnContributions(record) {
+  const turn = record.turn;
+  const steps = (turn.steps ?? []).filter((s) => s.kind === "assistant" && s.usage);
+  if (steps.length === 0) return [{ model: turn.model ?? null, usage: turn.usage }];
+  return steps.map((s) => ({ model: s.model ?? turn.model ?? null, usage: s.usage }));
+}
+
+/**
+ * Roll turn records up by the given dimensions.
+ *
+ * @param {{ record: object, agent?: string, run?: string | null }[]} items
+ *   Turn records, optionally labelled with the agent and experiment run they
+ *   belong to (default agent: record.session.agentId).
+ * @param {string[]} by  subset of USAGE_DIMENSIONS
+ * @returns {{ by: string[], rows: object[], totals: object }} rows hold the
+ *   dimension values plus usage totals, sorted by cost (highest first).
+ */
+export function rollupUsage(items, by) {
+  const rows = new Map();
+  const totals = emptyUsage();
+  for (const { record, agent, run } of items) {
+    const dims = {
+      agent: agent ?? record.session?.agentId ?? null,
+      session: record.session?.sessionId ?? null,
+      run: run ?? null,
+    };
+    totals.turns++;
+    const counted = new Set();
+    for (const { model, usage } of turnContributions(record)) {
+      addTokens(totals, usage);
+      const key = by.map((d) => (d === "model" ? model : dims[d]));
+      const id = JSON.stringify(key);
+      if (!rows.has(id)) rows.set(id, { ...Object.fromEntries(by.map((d, i) => [d, key[i]])), ...emptyUsage() });
+      const row = rows.get(id);
+      addTokens(row, usage);
+      if (!counted.has(id)) {
+        row.turns++;
+        counted.add(id);
+      }
+    }
+  }
+  return { by, rows: [...rows.values()].sort((a, b) => b.cost - a.cost), totals };
+}
+
+// ── Running summary ───────────────────────────────────────────────────────────
+//
+// The hook keeps the summary next to its log and folds every turn it writes
+// into it; buildUsageRecord() snapshots it as an openclaw-usage-v1 record.
+
+export function createUsageSummary() {
+  return {
+    since: new Date().toISOString(),
+    turnsSinceRecord: 0,
+    totals: emptyUsage(),
+    byAgent: {},
+    byModel: {},
+    bySession: {},
+  };
+}
+
+/** Fold one turn record into a running summary. */
+export function addToSummary(summary, record) {
+  summary.turnsSinceRecord++;
+  foldTurn(summary, record, 1);
+}
+
+/**
+ * Take a turn back out of a running summary — used when a flushed partial
+ * turn is superseded by its complete record. `record` may be the
+ * turnUsageOf() excerpt rather than the full record.
+ */
+export function removeFromSummary(summary, record) {
+  foldTurn(summary, record, -1);
+}
+
+/** The parts of a turn record the rollups read, small enough to keep in a cursor. */
+export function turnUsageOf(record) {
+  const { agentId, sessionId } = record.session ?? {};
+  const { index, model, usage, steps = [] } = record.turn;
+  return {
+    session: { agentId, sessionId },
+    turn: {
+      index, model, usage,
+      steps: steps.filter((s) => s.kind === "assistant" && s.usage).map(({ kind, model, usage }) => ({ kind, model, usage })),
+    },
+  };
+}
+
+function foldTurn(summary, record, sign) {
+  const agentId = record.session?.agentId ?? "unknown";
+  const sessionId = record.session?.sessionId ?? "unknown";
+  summary.totals.turns += sign;
+  (summary.byAgent[agentId] ??= emptyUsage()).turns += sign;
+  (summary.bySession[sessionId] ??= { agentId, ...emptyUsage() }).turns += sign;
+  const models = new Set();
+  for (const { model, usage } of turnContributions(record)) {
+    const m = model ?? "unknown";
+    addTokens(summary.totals, usage, sign);
+    addTokens(summary.byAgent[agentId], usage, sign);
+    addTokens(summary.bySession[sessionId], usage, sign);
+    addTokens(summary.byModel[m] ??= emptyUsage(), usage, sign);
+    if (!models.has(m)) {
+      summary.byModel[m].turns += sign;
+      models.add(m);
+    }
+  }
+}
+
+export function buildUsageRecord(summary) {
+  return {
+    schema: "openclaw-usage-v1",
+    extractedAt: new Date().toISOString(),
+    since: summary.since,
+    totals: summary.totals,
+    byAgent: summary.byAgent,
+    byModel: summary.byModel,
+    bySession: summary.bySession,
+  };
+}
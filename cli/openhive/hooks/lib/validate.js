@@ -0,0 +1,136 @@
+/**
+ * lib/validate.js
+ *
+ * Validation for extractor records against the JSON Schema documents in
+ * lib/schemas/. Used by the hooks (warn/strict mode) and by
+ * `openhive logs validate`.
+ *
+ * Hooks have no dependencies, so this implements the JSON Schema subset the
+ * published schemas use: type, const, enum, properties, required,
+ * additionalProperties, items, minimum, anyOf and local $ref ("#/$defs/…").
+ * `format` and annotations are ignored.
+ *
+ * Mode ($OPENCLAW_EXTRACTOR_VALIDATE), applied in openSinks():
+ *   off    — no validation (default)
+ *   warn   — log invalid records, write them anyway
+ *   strict — log invalid records and do not write them
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const SCHEMAS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "schemas");
+
+export const SCHEMA_IDS = [
+  "openclaw-conversation-v1",
+  "openclaw-turn-v1",
+  "openclaw-session-start-v1",
+  "openclaw-usage-v1",
+  "openclaw-memory-v1",
+  "openclaw-guardrail-v1",
+];
+
+const VALIDATE_MODES = new Set(["off", "warn", "strict"]);
+
+const schemaCache = new Map();
+
+/** Load the published JSON Schema document for a record schema id. */
+export function loadSchema(id) {
+  if (!schemaCache.has(id)) {
+    if (!SCHEMA_IDS.includes(id)) return null;
+    schemaCache.set(id, JSON.parse(fs.readFileSync(path.join(SCHEMAS_DIR, `${id}.schema.json`), "utf-8")));
+  }
+  return schemaCache.get(id);
+}
+
+export function loadValidateMode(raw = process.env.OPENCLAW_EXTRACTOR_VALIDATE) {
+  const mode = (raw ?? "off").trim().toLowerCase() || "off";
+  if (!VALIDATE_MODES.has(mode)) throw new Error(`Unknown OPENCLAW_EXTRACTOR_VALIDATE mode: ${raw}`);
+  return mode;
+}
+
+// ── Validator ─────────────────────────────────────────────────────────────────
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === "number" && actual === "integer");
+}
+
+function resolveRef(root, ref) {
+  if (!ref.startsWith("#/")) throw new Error(`Unsupported $ref: ${ref}`);
+  return ref.slice(2).split("/").reduce((node, key) => node?.[key], root);
+}
+
+function check(schema, value, at, root, errors) {
+  if (schema.$ref) {
+    check(resolveRef(root, schema.$ref), value, at, root, errors);
+    return;
+  }
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((t) => matchesType(value, t))) {
+      errors.push({ path: at, message: `expected ${types.join(" | ")}, got ${typeOf(value)}` });
+      return;
+    }
+  }
+  if ("const" in schema && value !== schema.const) {
+    errors.push({ path: at, message: `expected ${JSON.stringify(schema.const)}` });
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: at, message: `expected one of ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}` });
+  }
+  if (schema.minimum !== undefined && typeof value === "number" && value < schema.minimum) {
+    errors.push({ path: at, message: `must be >= ${schema.minimum}` });
+  }
+  if (schema.anyOf) {
+    const ok = schema.anyOf.some((sub) => {
+      const subErrors = [];
+      check(sub, value, at, root, subErrors);
+      return subErrors.length === 0;
+    });
+    if (!ok) errors.push({ path: at, message: "does not match any allowed shape" });
+  }
+  if (typeOf(value) === "object") {
+    for (const key of schema.required ?? []) {
+      if (!(key in value)) errors.push({ path: `${at}.${key}`, message: "is required" });
+    }
+    for (const [key, v] of Object.entries(value)) {
+      const sub = schema.properties?.[key];
+      if (sub) {
+        check(sub, v, `${at}.${key}`, root, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: `${at}.${key}`, message: "is not allowed" });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === "object") {
+        check(schema.additionalProperties, v, `${at}.${key}`, root, errors);
+      }
+    }
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => check(schema.items, item, `${at}[${i}]`, root, errors));
+  }
+}
+
+/**
+ * Validate one record against the schema named by its `schema` field.
+ * @returns {{ valid: boolean, errors: { path: string, message: string }[] }}
+ */
+export function validateRecord(record) {
+  if (typeOf(record) !== "object") {
+    return { valid: false, errors: [{ path: "$", message: "record is not an object" }] };
+  }
+  const schema = loadSchema(record.schema);
+  if (!schema) {
+    return { valid: false, errors: [{ path: "$.schema", message: `unknown schema ${JSON.stringify(record.schema)}` }] };
+  }
+  const errors = [];
+  check(schema, record, "$", schema, errors);
+  return { valid: errors.length === 0, errors };
+}
@@ -0,0 +1,219 @@
+/**
+ * lib/yaml.js
+ *
+ * A small YAML reader for hook config files (guardrail policies). Hooks have
+ * no dependencies, so this covers the subset such files need:
+ *
+ *   - block mappings (`key: value`) and sequences (`- item`), nested by indent
+ *   - flow collections: `[a, b]`, `{ gte: 5, scope: agent }`
+ *   - plain, 'single-' and "double-quoted" scalars; numbers, true/false, null/~
+ *   - `#` comments and a leading `---`
+ *
+ * Block scalars (| >), anchors, aliases, tags and multiple documents are
+ * rejected with the line number rather than misread. Quote values that start
+ * with `*`, `&` or `!`, and prefer single quotes for regexes — double quotes
+ * use JSON escapes, where `\d` is invalid.
+ */
+
+const MAP_ENTRY = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s"'#\-[\]{}][^:]*?)\s*:(?:\s+(.*))?$/;
+
+function yamlError(line, message) {
+  return new Error(`line ${line}: ${message}`);
+}
+
+/** The line without a trailing comment (a `#` at the start or after whitespace, outside quotes). */
+function stripComment(raw) {
+  let quote = null;
+  for (let i = 0; i < raw.length; i++) {
+    const c = raw[i];
+    if (quote) {
+      if (c === "\\" && quote === '"') i++;
+      else if (c === quote) quote = null;
+    } else if (c === '"' || c === "'") {
+      quote = c;
+    } else if (c === "#" && (i === 0 || /\s/.test(raw[i - 1]))) {
+      return raw.slice(0, i).trimEnd();
+    }
+  }
+  return raw.trimEnd();
+}
+
+const isSeqItem = (text) => text === "-" || text.startsWith("- ");
+
+function unquoteKey(key) {
+  if (key.startsWith('"')) return JSON.parse(key);
+  if (key.startsWith("'")) return key.slice(1, -1).replace(/''/g, "'");
+  return key;
+}
+
+function plainScalar(text, line) {
+  if (/^[|>]/.test(text)) throw yamlError(line, "block scalars (| and >) are not supported — use a quoted string");
+  if (/^[&*!]/.test(text)) throw yamlError(line, `anchors, aliases and tags are not supported — quote the value: ${text}`);
+  if (text === "~" || text === "null") return null;
+  if (text === "true") return true;
+  if (text === "false") return false;
+  if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(text)) return Number(text);
+  return text;
+}
+
+function quotedScalar(text, line) {
+  if (text.startsWith('"')) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      throw yamlError(line, `invalid double-quoted string: ${text}`);
+    }
+  }
+  if (!/^'(?:[^']|'')*'$/.test(text)) throw yamlError(line, `invalid single-quoted string: ${text}`);
+  return text.slice(1, -1).replace(/''/g, "'");
+}
+
+// ── Flow collections ──────────────────────────────────────────────────────────
+
+function parseFlow(text, line) {
+  let i = 0;
+  const skip = () => { while (i < text.length && /\s/.test(text[i])) i++; };
+
+  function value() {
+    skip();
+    const c = text[i];
+    if (c === "[") return sequence();
+    if (c === "{") return mapping();
+    if (c === '"' || c === "'") {
+      const start = i++;
+      while (i < text.length && text[i] !== c) {
+        if (c === '"' && text[i] === "\\") i++;
+        // '' is an escaped quote inside a single-quoted scalar
+        if (c === "'" && text[i] === "'" && text[i + 1] === "'") i++;
+        i++;
+      }
+      if (i >= text.length) throw yamlError(line, `unterminated string in ${text}`);
+      i++;
+      return quotedScalar(text.slice(start, i), line);
+    }
+    const start = i;
+    while (i < text.length && !",]}".includes(text[i]) && !(text[i] === ":" && /\s/.test(text[i + 1] ?? " "))) i++;
+    const plain = text.slice(start, i).trim();
+    if (!plain) throw yamlError(line, `missing value in ${text}`);
+    return plainScalar(plain, line);
+  }
+
+  function sequence() {
+    i++;
+    const out = [];
+    skip();
+    if (text[i] === "]") { i++; return out; }
+    for (;;) {
+      out.push(value());
+      skip();
+      if (text[i] === ",") { i++; continue; }
+      if (text[i] === "]") { i++; return out; }
+      throw yamlError(line, `expected , or ] in ${text}`);
+    }
+  }
+
+  function mapping() {
+    i++;
+    const out = {};
+    skip();
+    if (text[i] === "}") { i++; return out; }
+    for (;;) {
+      const key = value();
+      skip();
+      if (text[i] !== ":") throw yamlError(line, `expected : after ${JSON.stringify(key)} in ${text}`);
+      i++;
+      out[String(key)] = value();
+      skip();
+      if (text[i] === ",") { i++; continue; }
+      if (text[i] === "}") { i++; return out; }
+      throw yamlError(line, `expected , or } in ${text}`);
+    }
+  }
+
+  const result = value();
+  skip();
+  if (i < text.length) throw yamlError(line, `unexpected text after flow collection: ${text.slice(i)}`);
+  return result;
+}
+
+function scalar(text, line) {
+  if (text.startsWith("[") || text.startsWith("{")) return parseFlow(text, line);
+  if (text.startsWith('"') || text.startsWith("'")) return quotedScalar(text, line);
+  return plainScalar(text, line);
+}
+
+// ── Block structure ───────────────────────────────────────────────────────────
+
+/** Parse a YAML document (the subset described above) into plain JS values. */
+export function parseYaml(source) {
+  const lines = [];
+  String(source).split(/\r?\n/).forEach((raw, i) => {
+    const text = stripComment(raw);
+    if (!text.trim()) return;
+    if (/^\s*\t/.test(text)) throw yamlError(i + 1, "tabs are not allowed for indentation");
+    if (text.trim() === "---") {
+      if (lines.length > 0) throw yamlError(i + 1, "multiple documents are not supported");
+      return;
+    }
+    lines.push({ indent: text.length - text.trimStart().length, text: text.trim(), line: i + 1 });
+  });
+  if (lines.length === 0) return null;
+
+  let pos = 0;
+
+  function node(indent) {
+    return isSeqItem(lines[pos].text) ? sequence(indent) : mapping(indent);
+  }
+
+  function nested(parentIndent) {
+    const next = lines[pos];
+    return next && next.indent > parentIndent ? node(next.indent) : null;
+  }
+
+  function sequence(indent) {
+    const out = [];
+    while (pos < lines.length && lines[pos].indent === indent && isSeqItem(lines[pos].text)) {
+      const { text, line } = lines[pos];
+      const rest = text.slice(1).trimStart();
+      if (!rest) {
+        pos++;
+        out.push(nested(indent));
+      } else if (MAP_ENTRY.test(rest)) {
+        // "- key: value" opens a mapping whose keys line up with `key`
+        lines[pos] = { indent: indent + text.length - rest.length, text: rest, line };
+        out.push(mapping(lines[pos].indent));
+      } else {
+        pos++;
+        out.push(scalar(rest, line));
+      }
+    }
+    if (pos < lines.length && lines[pos].indent > indent) throw yamlError(lines[pos].line, "unexpected indentation");
+    return out;
+  }
+
+  function mapping(indent) {
+    const out = {};
+    while (pos < lines.length && lines[pos].indent === indent && !isSeqItem(lines[pos].text)) {
+      const { text, line } = lines[pos];
+      const m = MAP_ENTRY.exec(text);
+      if (!m) throw yamlError(line, `expected "key: value", got: ${text}`);
+      const key = unquoteKey(m[1]);
+      if (Object.hasOwn(out, key)) throw yamlError(line, `duplicate key: ${key}`);
+      pos++;
+      if (m[2] !== undefined && m[2] !== "") {
+        out[key] = scalar(m[2], line);
+      } else if (pos < lines.length && lines[pos].indent === indent && isSeqItem(lines[pos].text)) {
+        // A sequence may sit at its key's indent
+        out[key] = sequence(indent);
+      } else {
+        out[key] = nested(indent);
+      }
+    }
+    if (pos < lines.length && lines[pos].indent > indent) throw yamlError(lines[pos].line, "unexpected indentation");
+    return out;
+  }
+
+  const result = node(lines[0].indent);
+  if (pos < lines.length) throw yamlError(lines[pos].line, "unexpected indentation");
+  return result;
+}
@@ -0,0 +1,123 @@
+/**
+ * memory-inject/handler.js
+ *
+ * Closes the extract → inject loop: at agent:bootstrap, retrieves the agent's
+ * own earlier turns (written by conversation-extractor) that relate to the
+ * session's latest user message and injects them as MEMORY.md through
+ * context.bootstrapFiles. Retrieval and summarising live in lib/memory.js.
+ *
+ * Input:  $OPENCLAW_EXTRACTOR_OUTPUT/conversation-extractor.jsonl (falls back
+ *         to ~/.openclaw/) and any logs in $OPENCLAW_MEMORY_SOURCES
+ * Output: one openclaw-memory-v1 record per injection, written to the same
+ *         log under its lock (and to $OPENCLAW_EXTRACTOR_SINKS)
+ *
+ * Config: $OPENCLAW_MEMORY_BUDGET     max characters injected (default 4000)
+ *         $OPENCLAW_MEMORY_LIMIT      max turns injected (default 8)
+ *         $OPENCLAW_MEMORY_RETRIEVER  bm25 (default), keyword, or a module path
+ *         $OPENCLAW_MEMORY_SOURCES    extra logs, comma-separated
+ *
+ * Hook events: agent:bootstrap
+ *
+ * Installed by: openhive agent configure <framework>
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { openSinks } from "../lib/sinks.js";
+import { withLogLock } from "../lib/logfile.js";
+import { resolveEventSession, latestUserMessage } from "../lib/turns.js";
+import { readTurnRecords, turnDocument, loadRetriever, summariseHits } from "../lib/memory.js";
+
+const STATE_DIR  = path.join(os.homedir(), ".openclaw");
+const OUTPUT_DIR = process.env.OPENCLAW_EXTRACTOR_OUTPUT ?? STATE_DIR;
+const LOG_FILE   = path.join(OUTPUT_DIR, "conversation-extractor.jsonl");
+const SPOOL_DIR  = path.join(OUTPUT_DIR, "conversation-extractor.spool");
+
+const DEFAULT_BUDGET = 4000;
+const DEFAULT_LIMIT  = 8;
+
+function positiveInt(raw, fallback, name) {
+  if (raw === undefined || raw === "") return fallback;
+  const n = Number(raw);
+  if (!Number.isInteger(n) || n <= 0) throw new Error(`${name} must be a positive integer, got "${raw}"`);
+  return n;
+}
+
+function loadConfig(env = process.env) {
+  return {
+    budget:    positiveInt(env.OPENCLAW_MEMORY_BUDGET, DEFAULT_BUDGET, "OPENCLAW_MEMORY_BUDGET"),
+    limit:     positiveInt(env.OPENCLAW_MEMORY_LIMIT, DEFAULT_LIMIT, "OPENCLAW_MEMORY_LIMIT"),
+    retriever: env.OPENCLAW_MEMORY_RETRIEVER?.trim() || "bm25",
+    sources:   (env.OPENCLAW_MEMORY_SOURCES ?? "").split(",").map((s) => s.trim()).filter(Boolean)
+      .map((s) => (fs.existsSync(s) && fs.statSync(s).isDirectory() ? path.join(s, "conversation-extractor.jsonl") : s)),
+  };
+}
+
+/** Add MEMORY.md to the bootstrap files, or append to the workspace's own. */
+function injectMemory(ctx, content) {
+  ctx.bootstrapFiles = ctx.bootstrapFiles ?? [];
+  const existing = ctx.bootstrapFiles.find((f) => !f.missing && (f.name === "MEMORY.md" || path.basename(f.path ?? "") === "MEMORY.md"));
+  if (existing) {
+    existing.content = `${(existing.content ?? "").trimEnd()}\n\n${content}`;
+  } else {
+    ctx.bootstrapFiles.push({ name: "MEMORY.md", path: "MEMORY.md", content, missing: false });
+  }
+}
+
+export default async function HookHandler(event) {
+  if (event.type !== "agent" || event.action !== "bootstrap") return;
+
+  try {
+    const config = loadConfig();
+    const session = resolveEventSession(event, STATE_DIR);
+    const records = readTurnRecords([LOG_FILE, ...config.sources], {
+      agentId: session.agentId,
+      excludeSessionId: session.sessionId,
+    });
+    if (records.length === 0) return;
+
+    const query = latestUserMessage(session.sessionFile);
+    let hits;
+    let retrieverName;
+    if (query) {
+      const retriever = await loadRetriever(config.retriever, { limit: config.limit }, OUTPUT_DIR);
+      retriever.index(records.map(turnDocument));
+      hits = await retriever.search(query, config.limit);
+      retrieverName = retriever.name;
+    } else {
+      // Nothing to match against yet: remember the latest turns
+      hits = records.slice(-config.limit).reverse().map((record) => ({ doc: turnDocument(record), score: 0 }));
+      retrieverName = "recent";
+    }
+
+    const summary = summariseHits(hits, config.budget);
+    if (!summary.content) return;
+    injectMemory(event.context, summary.content);
+
+    const payload = {
+      schema:      "openclaw-memory-v1",
+      extractedAt: new Date().toISOString(),
+      session: {
+        agentId:    session.agentId,
+        sessionId:  session.sessionId,
+        sessionKey: session.sessionKey,
+      },
+      query,
+      retriever:  retrieverName,
+      budget:     config.budget,
+      candidates: records.length,
+      chars:      summary.content.length,
+      truncated:  summary.truncated,
+      injected:   summary.injected,
+    };
+    const sinks = openSinks({ file: LOG_FILE, spoolDir: SPOOL_DIR });
+    try {
+      await withLogLock(LOG_FILE, () => sinks.write(payload));
+    } finally {
+      await sinks.close();
+    }
+  } catch (err) {
+    console.warn(`[memory-inject] ${err.message ?? err}`);
+  }
+}
@@ -6,23 +6,23 @@
  *
  * Output: $OPENCLAW_EXTRACTOR_OUTPUT/conversation-extractor.jsonl
  *         (falls back to ~/.openclaw/conversation-extractor.jsonl)
+ *         plus any sinks in $OPENCLAW_EXTRACTOR_SINKS — see lib/sinks.js.
+ *         Writes hold the log's lock and are deduplicated by idempotency
+ *         key — see lib/logfile.js.
  *
  * Hook events: agent:bootstrap
  *
  * Installed by: openhive agent configure <framework>
  */
 
-import fs from "fs";
 import path from "path";
 import os from "os";
+import { openSinks } from "../lib/sinks.js";
+import { withLogLock } from "../lib/logfile.js";
 
 const OUTPUT_DIR = process.env.OPENCLAW_EXTRACTOR_OUTPUT ?? path.join(os.homedir(), ".openclaw");
 const LOG_FILE   = path.join(OUTPUT_DIR, "conversation-extractor.jsonl");
-
-function appendJsonlLine(filePath, data) {
-  fs.mkdirSync(path.dirname(filePath), { recursive: true });
-  fs.appendFileSync(filePath, JSON.stringify(data) + "\n");
-}
+const SPOOL_DIR  = path.join(OUTPUT_DIR, "conversation-extractor.spool");
 
 export default async function HookHandler(event) {
   if (event.type !== "agent" || event.action !== "bootstrap") return;
@@ -39,5 +39,15 @@ export default async function HookHandler(event) {
     },
   };
 
-  appendJsonlLine(LOG_FILE, payload);
+  try {
+    const sinks = openSinks({ file: LOG_FILE, spoolDir: SPOOL_DIR });
+    try {
+      await withLogLock(LOG_FILE, () => sinks.write(payload));
+    } finally {
+      await sinks.close();
+    }
+  } catch (err) {
+    // A missed marker only loses the session boundary; the bootstrap goes on
+    console.warn(`[session-start] ${err.message ?? err}`);
+  }
 }
@@ -1,105 +1,128 @@
 import { Command } from "commander";
-import { execSync } from "child_process";
-import fs from "fs";
 import path from "path";
+import {
+  DEFAULT_PROFILE, DRIVERS, HOOKS, PROFILES, SKILLS, resolveSelection,
+  type Driver, type FileState, type Selection, type Target,
+} from "../lib/drivers.js";
 
-// Registry of supported frameworks.
-// Each driver knows how to configure itself for a given workspace.
-const DRIVERS: Record<string, (workspace: string | null) => void> = {
-  openclaw: configureOpenclaw,
+type TargetOptions = { workspace?: string };
+type SelectionOptions = { profile?: string; with: string[]; without: string[] };
+
+const STATE_NOTES: Record<Exclude<FileState, "ok">, string> = {
+  missing: "not installed",
+  modified: "changed since install",
+  stale: "older than the bundled version",
+  orphaned: "no longer bundled or selected",
 };
 
 export function makeAgentCommand(): Command {
   const cmd = new Command("agent");
   cmd.description("manage agent integrations");
 
-  cmd
-    .command("configure <framework>")
+  const withTarget = (sub: Command) =>
+    sub.option("-w, --workspace <path>", "target a specific workspace path (used by experiment tooling)");
+
+  const list = (value: string, previous: string[]) => [...previous, ...value.split(",").filter(Boolean)];
+
+  withTarget(cmd.command("configure <framework>").alias("install"))
     .description("install OpenHive hooks and skills into an agent framework")
-    .option("-w, --workspace <path>", "target a specific workspace path (used by experiment tooling)")
-    .action((framework: string, opts: { workspace?: string }) => {
-      const driver = DRIVERS[framework.toLowerCase()];
-      if (!driver) {
-        console.error(`Unknown framework: ${framework}`);
-        console.error(`Supported: ${Object.keys(DRIVERS).join(", ")}`);
-        process.exit(1);
+    .option("-p, --profile <name>", `hook/skill profile: ${Object.keys(PROFILES).join(", ")} (default: the installed selection, else ${DEFAULT_PROFILE})`)
+    .option("--with <names>", "add hooks or skills to the profile (repeatable, comma-separated)", list, [])
+    .option("--without <names>", "leave hooks or skills out of the profile (repeatable, comma-separated)", list, [])
+    .option("-f, --force", "also overwrite files changed since the last install")
+    .action((framework: string, opts: TargetOptions & SelectionOptions & { force?: boolean }) => {
+      const [driver, target] = resolve(framework, opts);
+      let selection: Selection | undefined;
+      if (opts.profile || opts.with.length || opts.without.length) {
+        run(() => (selection = resolveSelection(opts.profile, opts.with, opts.without)));
       }
-      driver(opts.workspace ? path.resolve(opts.workspace) : null);
+      console.log(`Configuring ${driver.name}: ${target.root}`);
+      if (selection) console.log(`  profile ${selection.profile}: ${[...selection.hooks, ...selection.skills].join(", ") || "(nothing)"}`);
+      run(() => driver.install(target, { force: opts.force, selection }));
     });
 
-  return cmd;
-}
-
-// ── OpenClaw driver ──────────────────────────────────────────────────────────
-
-// Hooks installed via `openclaw hooks install` (when no workspace) or file copy (targeted workspace).
-const OPENCLAW_HOOKS: { name: string; files: string[] }[] = [
-  { name: "ioc-inject",             files: ["HOOK.md", "package.json", "handler.js", "IOC_INSTRUCTIONS.md"] },
-  { name: "session-start",          files: ["HOOK.md", "package.json", "handler.js"] },
-  { name: "conversation-extractor", files: ["HOOK.md", "package.json", "handler.js"] },
-];
-
-// Skills are always installed as file copies (no `openclaw skills install` command exists).
-const OPENCLAW_SKILLS: { name: string; files: string[] }[] = [
-  { name: "sstp", files: ["SKILL.md"] },
-];
-
-function configureOpenclaw(workspace: string | null): void {
-  const hooksRoot  = path.join(__dirname, "..", "..", "hooks");
-  const skillsRoot = path.join(__dirname, "..", "..", "skills");
-
-  if (workspace) {
-    // ── Targeted install (experiment framework) — file copy ──────────────────
-    console.log(`Configuring OpenClaw workspace: ${workspace}`);
-    if (!fs.existsSync(workspace)) {
-      console.error(`Workspace not found: ${workspace}`);
-      process.exit(1);
-    }
-
-    for (const hook of OPENCLAW_HOOKS) {
-      const destDir = path.join(workspace, "hooks", hook.name);
-      fs.mkdirSync(destDir, { recursive: true });
-      for (const file of hook.files) {
-        fs.copyFileSync(path.join(hooksRoot, hook.name, file), path.join(destDir, file));
-        console.log(`  installed  hooks/${hook.name}/${file}`);
+  cmd
+    .command("profiles")
+    .description("list hook/skill profiles and everything --with/--without accepts")
+    .action(() => {
+      for (const [name, p] of Object.entries(PROFILES)) {
+        console.log(`${name.padEnd(18)} ${p.description}`);
+        console.log(`${"".padEnd(18)} ${[...p.hooks, ...p.skills].join(", ") || "(nothing)"}`);
       }
-    }
+      console.log(`\nHooks:  ${HOOKS.map((h) => h.name).join(", ")}`);
+      console.log(`Skills: ${SKILLS.map((s) => s.name).join(", ")}`);
+    });
+
+  withTarget(cmd.command("uninstall <framework>"))
+    .description("remove the files recorded in the install manifest")
+    .option("-f, --force", "also remove files changed since install")
+    .action((framework: string, opts: TargetOptions & { force?: boolean }) => {
+      const [driver, target] = resolve(framework, opts);
+      console.log(`Uninstalling ${driver.name}: ${target.root}`);
+      run(() => driver.uninstall(target, { force: opts.force }));
+    });
 
-    for (const skill of OPENCLAW_SKILLS) {
-      const destDir = path.join(workspace, "skills", skill.name);
-      fs.mkdirSync(destDir, { recursive: true });
-      for (const file of skill.files) {
-        fs.copyFileSync(path.join(skillsRoot, skill.name, file), path.join(destDir, file));
-        console.log(`  installed  skills/${skill.name}/${file}`);
+  withTarget(cmd.command("verify <framework>"))
+    .description("check installed files against the manifest and bundle (exits 1 on drift)")
+    .option("--json", "print the result as JSON")
+    .action((framework: string, opts: TargetOptions & { json?: boolean }) => {
+      const [driver, target] = resolve(framework, opts);
+      const result = driver.verify(target);
+      const problems = result.files.filter((f) => f.state !== "ok");
+      if (opts.json) {
+        console.log(JSON.stringify(result, null, 2));
+      } else {
+        const m = result.manifest;
+        console.log(`${driver.name}  ${target.root}`);
+        console.log(m ? `  manifest: openhive ${m.openhiveVersion}, installed ${m.installedAt}` : "  manifest: none");
+        if (m?.selection) console.log(`  profile:  ${m.selection.profile} (${[...m.selection.hooks, ...m.selection.skills].join(", ") || "nothing"})`);
+        for (const f of problems) {
+          console.log(`  ${f.state.padEnd(9)} ${f.dest}  (${STATE_NOTES[f.state as Exclude<FileState, "ok">]})`);
+        }
+        const ok = result.files.length - problems.length;
+        if (problems.length === 0) {
+          console.log(`  ${ok} file(s) up to date`);
+        } else {
+          const ws = opts.workspace ? ` -w ${opts.workspace}` : "";
+          console.log(`  ${ok} ok, ${problems.length} problem(s). See \`openhive agent diff ${driver.name}${ws}\`; reinstall with \`openhive agent configure ${driver.name}${ws}\`.`);
+        }
       }
-    }
+      if (problems.length > 0) process.exit(1);
+    });
 
-  } else {
-    // ── Global install — use openclaw CLI ────────────────────────────────────
-    console.log("Configuring OpenClaw (global workspace)...");
+  withTarget(cmd.command("diff <framework>"))
+    .description("show how installed files differ from the bundled ones")
+    .action((framework: string, opts: TargetOptions) => {
+      const [driver, target] = resolve(framework, opts);
+      process.stdout.write(driver.diff(target));
+    });
 
-    for (const hook of OPENCLAW_HOOKS) {
-      const hookPath = path.join(hooksRoot, hook.name);
-      try {
-        execSync(`openclaw hooks install "${hookPath}"`, { stdio: "inherit" });
-      } catch {
-        console.error(`  failed to install hook: ${hook.name}`);
-      }
-    }
+  return cmd;
+}
 
-    // Skills: copy into the global openclaw workspace skills dir
-    const globalWorkspace = path.join(
-      process.env.HOME ?? "~", ".openclaw", "workspace"
-    );
-    for (const skill of OPENCLAW_SKILLS) {
-      const destDir = path.join(globalWorkspace, "skills", skill.name);
-      fs.mkdirSync(destDir, { recursive: true });
-      for (const file of skill.files) {
-        fs.copyFileSync(path.join(skillsRoot, skill.name, file), path.join(destDir, file));
-        console.log(`  installed  skills/${skill.name}/${file}`);
-      }
-    }
+function resolve(framework: string, opts: TargetOptions): [Driver, Target] {
+  const driver = DRIVERS[framework.toLowerCase()];
+  if (!driver) {
+    console.error(`Unknown framework: ${framework}`);
+    console.error("Supported:");
+    for (const d of Object.values(DRIVERS)) console.error(`  ${d.name.padEnd(10)} ${d.description}`);
+    process.exit(1);
   }
+  let target: Target;
+  try {
+    target = driver.target(opts.workspace ? path.resolve(opts.workspace) : null);
+  } catch (err) {
+    console.error((err as Error).message);
+    process.exit(1);
+  }
+  return [driver, target];
+}
 
-  console.log(`\nDone. Restart your OpenClaw gateway to pick up the changes.`);
+function run(op: () => void): void {
+  try {
+    op();
+  } catch (err) {
+    console.error((err as Error).message);
+    process.exit(1);
+  }
 }
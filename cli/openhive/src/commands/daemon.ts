@@ -0,0 +1,21 @@
+import { Command } from "commander";
+import { runDaemon, runSupervisor } from "../daemon/supervisor.js";
+import { nodeConfig } from "../lib/node.js";
+
+// Internal entry points spawned by `openhive start`; hidden from --help.
+export function makeDaemonCommand(): Command {
+  const cmd = new Command("daemon");
+  cmd.description("internal: CFN node processes");
+
+  cmd
+    .command("supervise")
+    .option("-p, --port <port>")
+    .action((opts: { port?: string }) => runSupervisor(nodeConfig(opts.port).port));
+
+  cmd
+    .command("serve")
+    .option("-p, --port <port>")
+    .action((opts: { port?: string }) => runDaemon(nodeConfig(opts.port).port));
+
+  return cmd;
+}
@@ -0,0 +1,138 @@
+import { Command } from "commander";
+import fs from "fs";
+import path from "path";
+import { importHookModule } from "../lib/hooks.js";
+
+type TurnRecord = { schema: string; turn: { timestamp: string | null }; idempotencyKey?: string };
+
+type Turns = {
+  parseJsonLines(raw: string): object[];
+  readSessionStore(dir: string): { sessionKey: string; sessionId: string }[];
+  extractSessionRecords(
+    entries: object[],
+    session: { agentId: string; sessionId?: string; sessionKey?: string | null; flush?: boolean },
+  ): TurnRecord[];
+};
+
+type Redact = {
+  loadRedactor(): ((record: TurnRecord) => TurnRecord) | null;
+};
+
+type LogFile = {
+  idempotencyKey(record: TurnRecord): string;
+};
+
+type SessionFile = { file: string; agentId: string | null };
+
+type ExtractOptions = {
+  since?: string;
+  agent?: string;
+  format: string;
+  output?: string;
+  partial: boolean;
+};
+
+const SKIP_DIRS = new Set(["node_modules", ".git"]);
+
+export function makeExtractCommand(): Command {
+  return new Command("extract")
+    .description("backfill openclaw-turn-v1 records from session transcripts on disk")
+    .argument("<paths...>", "session .jsonl files, or directories searched for agents/<id>/sessions/*.jsonl")
+    .option("--since <date>", "only sessions modified, and turns started, at or after this date")
+    .option("-a, --agent <id>", "only sessions of this agent (also the agent id for files outside agents/<id>/sessions)")
+    .option("-f, --format <format>", "jsonl (same as the hook's log) or json (one array)", "jsonl")
+    .option("-o, --output <path>", "write to a file instead of stdout")
+    .option("--no-partial", "omit the final turn of each session when no user message closed it")
+    .action(async (paths: string[], opts: ExtractOptions) => {
+      if (opts.format !== "jsonl" && opts.format !== "json") {
+        console.error(`Unknown format: ${opts.format} (expected jsonl or json)`);
+        process.exit(1);
+      }
+      const since = opts.since ? Date.parse(opts.since) : null;
+      if (since !== null && Number.isNaN(since)) {
+        console.error(`Invalid --since date: ${opts.since}`);
+        process.exit(1);
+      }
+
+      const turns = await importHookModule<Turns>("lib/turns.js");
+      const { loadRedactor } = await importHookModule<Redact>("lib/redact.js");
+      const redact = loadRedactor();
+      const { idempotencyKey } = await importHookModule<LogFile>("lib/logfile.js");
+
+      let sessions: SessionFile[] = [];
+      for (const p of paths) {
+        if (!fs.existsSync(p)) {
+          console.error(`${p}: not found`);
+          process.exit(1);
+        }
+        sessions.push(...findSessionFiles(path.resolve(p)));
+      }
+      if (opts.agent) {
+        sessions = sessions.filter((s) => (s.agentId ?? opts.agent) === opts.agent);
+      }
+      if (since !== null) {
+        sessions = sessions.filter((s) => fs.statSync(s.file).mtimeMs >= since);
+      }
+
+      const records: TurnRecord[] = [];
+      for (const { file, agentId } of sessions) {
+        const sessionId = path.basename(file, ".jsonl");
+        const sessionKey = turns.readSessionStore(path.dirname(file))
+          .find((s) => s.sessionId === sessionId)?.sessionKey ?? null;
+        const entries = turns.parseJsonLines(fs.readFileSync(file, "utf-8"));
+        for (const record of turns.extractSessionRecords(entries, {
+          agentId: agentId ?? opts.agent ?? "main",
+          sessionId,
+          sessionKey,
+          flush: opts.partial,
+        })) {
+          const started = record.turn.timestamp ? Date.parse(record.turn.timestamp) : null;
+          if (since !== null && started !== null && started < since) continue;
+          // Same stages as openSinks(): redact, then key the redacted record
+          const out = redact ? redact(record) : record;
+          records.push({ ...out, idempotencyKey: idempotencyKey(out) });
+        }
+      }
+
+      const text = opts.format === "json"
+        ? JSON.stringify(records, null, 2) + "\n"
+        : records.map((r) => JSON.stringify(r) + "\n").join("");
+      if (opts.output) {
+        fs.mkdirSync(path.dirname(path.resolve(opts.output)), { recursive: true });
+        fs.writeFileSync(opts.output, text);
+      } else {
+        process.stdout.write(text);
+      }
+      console.error(`Extracted ${records.length} turn(s) from ${sessions.length} session file(s).`);
+    });
+}
+
+/** agents/<id>/sessions/<session>.jsonl → <id>; null when the path does not say. */
+function agentIdFromPath(file: string): string | null {
+  const parts = file.split(path.sep);
+  const n = parts.length;
+  return n >= 4 && parts[n - 2] === "sessions" && parts[n - 4] === "agents" ? parts[n - 3] : null;
+}
+
+/**
+ * A file is taken as a session transcript as-is. Directories (a state dir,
+ * an experiment, a whole experiments/ tree) are searched for .jsonl files
+ * inside `sessions/` directories, so extractor logs next to them are skipped.
+ */
+function findSessionFiles(p: string): SessionFile[] {
+  if (fs.statSync(p).isFile()) return [{ file: p, agentId: agentIdFromPath(p) }];
+
+  const found: SessionFile[] = [];
+  const walk = (dir: string) => {
+    for (const dirent of fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+      const full = path.join(dir, dirent.name);
+      if (dirent.isDirectory()) {
+        if (!SKIP_DIRS.has(dirent.name)) walk(full);
+      } else if (dirent.name.endsWith(".jsonl") && path.basename(dir) === "sessions") {
+        found.push({ file: full, agentId: agentIdFromPath(full) });
+      }
+    }
+  };
+  walk(p);
+  return found;
+}
@@ -0,0 +1,37 @@
+import { Command } from "commander";
+import path from "path";
+import { importHookModule } from "../lib/hooks.js";
+
+type ExtractorHandler = {
+  flushPendingTurns(opts: {
+    stateDir?: string;
+    outputDir?: string;
+    agentId?: string;
+    sessionId?: string;
+  }): Promise<number>;
+};
+
+export function makeExtractorCommand(): Command {
+  const cmd = new Command("extractor");
+  cmd.description("operate the conversation-extractor hook outside the gateway");
+
+  cmd
+    .command("flush")
+    .description("write the in-progress turn of each session as a partial openclaw-turn-v1 record")
+    .option("-s, --state-dir <path>", "OpenClaw state dir holding agents/<id>/sessions (default: ~/.openclaw)")
+    .option("-o, --output <path>", "directory holding conversation-extractor.jsonl (default: state dir)")
+    .option("-a, --agent <id>", "only this agent (default: every agent under the state dir)")
+    .option("--session <id>", "flush a single session")
+    .action(async (opts: { stateDir?: string; output?: string; agent?: string; session?: string }) => {
+      const handler = await importHookModule<ExtractorHandler>("conversation-extractor/handler.js");
+      const written = await handler.flushPendingTurns({
+        stateDir:  opts.stateDir ? path.resolve(opts.stateDir) : undefined,
+        outputDir: opts.output ? path.resolve(opts.output) : undefined,
+        agentId:   opts.agent,
+        sessionId: opts.session,
+      });
+      console.log(`Flushed ${written} pending turn(s).`);
+    });
+
+  return cmd;
+}
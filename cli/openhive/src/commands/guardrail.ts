@@ -0,0 +1,98 @@
+import { Command } from "commander";
+import { importHookModule } from "../lib/hooks.js";
+
+type Facts = {
+  event: string;
+  agentId: string | null;
+  sessionKey: string | null;
+  content(): string | null;
+  tools(): string[];
+  turns(): number | null;
+  cost(scope: string): number | null;
+};
+
+type Decision = { rule: string | null; action: string; message: string | null; matched: Record<string, unknown> };
+
+type Policy = {
+  default: string;
+  hash: string;
+  rules: { name: string; action: string; message: string | null; checks: [string, unknown][] }[];
+};
+
+type PolicyModule = {
+  loadPolicyFile(file: string): Policy;
+  evaluatePolicy(policy: Policy, facts: Facts): Decision;
+};
+
+type CheckOptions = {
+  event?: string;
+  agent?: string;
+  sessionKey?: string;
+  content?: string;
+  tools?: string;
+  turns?: string;
+  cost?: string;
+};
+
+export function makeGuardrailCommand(): Command {
+  const cmd = new Command("guardrail");
+  cmd.description("work with guardrail hook policies");
+
+  cmd
+    .command("check <policy>")
+    .description("validate a policy file; with --event, show what it decides for the given facts")
+    .option("-e, --event <name>", "event to evaluate, e.g. message:received")
+    .option("--agent <id>", "agent id", "main")
+    .option("--session-key <key>", "session key")
+    .option("--content <text>", "message text")
+    .option("--tools <names>", "comma-separated tools called in the latest turn")
+    .option("--turns <n>", "turns in the session")
+    .option("--cost <usd>", "USD spent (used for every cost scope)")
+    .action(async (file: string, opts: CheckOptions) => {
+      const { loadPolicyFile, evaluatePolicy } = await importHookModule<PolicyModule>("lib/policy.js");
+      let policy: Policy;
+      try {
+        policy = loadPolicyFile(file);
+      } catch (err) {
+        console.error((err as Error).message);
+        process.exit(1);
+      }
+
+      if (!opts.event) {
+        console.log(`${file}: ${policy.rules.length} rule(s), default ${policy.default}, hash ${policy.hash}`);
+        const width = Math.max(0, ...policy.rules.map((r) => r.name.length));
+        for (const rule of policy.rules) {
+          const when = rule.checks.map(([name]) => name).join(", ") || "always";
+          console.log(`  ${rule.name.padEnd(width)}  ${rule.action.padEnd(5)}  when ${when}`);
+        }
+        return;
+      }
+
+      const number = (raw: string | undefined, name: string): number | null => {
+        if (raw === undefined) return null;
+        const n = Number(raw);
+        if (!Number.isFinite(n) || n < 0) {
+          console.error(`Invalid --${name}: ${raw}`);
+          process.exit(1);
+        }
+        return n;
+      };
+      const turns = number(opts.turns, "turns");
+      const cost = number(opts.cost, "cost");
+      const decision = evaluatePolicy(policy, {
+        event: opts.event,
+        agentId: opts.agent ?? null,
+        sessionKey: opts.sessionKey ?? null,
+        content: () => opts.content ?? null,
+        tools: () => (opts.tools ?? "").split(",").map((t) => t.trim()).filter(Boolean),
+        turns: () => turns,
+        cost: () => cost,
+      });
+      console.log(`${decision.action} (${decision.rule ?? "default"})${decision.message ? `: ${decision.message}` : ""}`);
+      for (const [name, value] of Object.entries(decision.matched)) {
+        console.log(`  ${name}: ${typeof value === "string" ? value : JSON.stringify(value)}`);
+      }
+    });
+
+  return cmd;
+}
@@ -0,0 +1,61 @@
+import { Command } from "commander";
+import fs from "fs";
+import readline from "readline";
+import { importHookModule } from "../lib/hooks.js";
+
+type Validator = {
+  validateRecord(record: unknown): { valid: boolean; errors: { path: string; message: string }[] };
+};
+
+export function makeLogsCommand(): Command {
+  const cmd = new Command("logs");
+  cmd.description("inspect extractor JSONL logs");
+
+  cmd
+    .command("validate <files...>")
+    .description("check every line against the published record schemas")
+    .action(async (files: string[]) => {
+      const validator = await importHookModule<Validator>("lib/validate.js");
+      let invalid = 0;
+      for (const file of files) invalid += await validateFile(validator, file);
+      if (invalid > 0) process.exit(1);
+    });
+
+  return cmd;
+}
+
+function readLines(file: string): readline.Interface {
+  return readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+}
+
+/** Print one line per problem as `file:line: schema path message`. Returns the invalid line count. */
+async function validateFile(validator: Validator, file: string): Promise<number> {
+  if (!fs.existsSync(file)) {
+    console.error(`${file}: not found`);
+    return 1;
+  }
+  let lineNo = 0;
+  let records = 0;
+  let invalid = 0;
+  for await (const line of readLines(file)) {
+    lineNo++;
+    if (!line.trim()) continue;
+    records++;
+    let record: { schema?: string };
+    try {
+      record = JSON.parse(line);
+    } catch {
+      invalid++;
+      console.log(`${file}:${lineNo}: not valid JSON`);
+      continue;
+    }
+    const { valid, errors } = validator.validateRecord(record);
+    if (valid) continue;
+    invalid++;
+    for (const e of errors) {
+      console.log(`${file}:${lineNo}: ${record.schema ?? "(no schema)"} ${e.path} ${e.message}`);
+    }
+  }
+  console.log(`${file}: ${records} record(s), ${invalid} invalid`);
+  return invalid;
+}
@@ -1,5 +1,57 @@
-export function runStart(): void {
-  console.log("Starting CFN node...");
-  // TODO: bring up HiveMind daemon + CFN gateway
-  console.log("  CFN node running  (stub)");
+import { Command } from "commander";
+import fs from "fs";
+import { spawnSupervisor } from "../daemon/supervisor.js";
+import { NODE_HOST, fetchHealth, isAlive, nodeConfig, nodePaths, runningPid } from "../lib/node.js";
+
+// daemon.log is rotated to daemon.log.1 on start once it grows past this.
+const MAX_LOG_BYTES = 10 * 1024 * 1024;
+const READY_TIMEOUT_MS = 10_000;
+
+export function makeStartCommand(): Command {
+  return new Command("start")
+    .description("start the CFN node (a supervised local coordination daemon)")
+    .option("-p, --port <port>", "listen port on 127.0.0.1 (default: OPENHIVE_PORT, config.json, or 7420)")
+    .action(async (opts: { port?: string }) => {
+      const paths = nodePaths();
+      const existing = runningPid();
+      if (existing) {
+        console.log(`CFN node already running (pid ${existing}). Use \`openhive status\`.`);
+        return;
+      }
+
+      let port: number;
+      try {
+        ({ port } = nodeConfig(opts.port));
+      } catch (err) {
+        console.error((err as Error).message);
+        process.exit(1);
+      }
+
+      fs.mkdirSync(paths.home, { recursive: true });
+      try {
+        if (fs.statSync(paths.log).size > MAX_LOG_BYTES) fs.renameSync(paths.log, `${paths.log}.1`);
+      } catch {}
+      const logFd = fs.openSync(paths.log, "a");
+      const pid = spawnSupervisor(port, logFd);
+      fs.closeSync(logFd);
+
+      console.log(`Starting CFN node on ${NODE_HOST}:${port}...`);
+      const deadline = Date.now() + READY_TIMEOUT_MS;
+      while (Date.now() < deadline) {
+        await new Promise((r) => setTimeout(r, 200));
+        if (!isAlive(pid)) {
+          console.error(`CFN node exited during startup. See ${paths.log}`);
+          process.exit(1);
+        }
+        try {
+          const health = await fetchHealth(port, 1_000);
+          console.log(`  CFN node running  (pid ${pid}, daemon ${health.pid}, v${health.version})`);
+          console.log(`  endpoint: http://${NODE_HOST}:${port}`);
+          console.log(`  log:      ${paths.log}`);
+          return;
+        } catch {}
+      }
+      console.error(`CFN node did not become healthy within ${READY_TIMEOUT_MS / 1000}s (pid ${pid}). See ${paths.log}`);
+      process.exit(1);
+    });
 }
@@ -1,5 +1,48 @@
-export function runStatus(): void {
-  console.log("CFN node status...");
-  // TODO: query HiveMind daemon health endpoint
-  console.log("  node:    stopped  (stub)");
+import { Command } from "commander";
+import { NODE_HOST, fetchHealth, formatDuration, nodePaths, readNodeState, runningPid, type Health } from "../lib/node.js";
+
+export function makeStatusCommand(): Command {
+  return new Command("status")
+    .description("show CFN node status (exits 1 unless the node is healthy)")
+    .option("--json", "print the status as JSON")
+    .action(async (opts: { json?: boolean }) => {
+      const paths = nodePaths();
+      const pid = runningPid();
+      const state = pid ? readNodeState() : null;
+      let health: Health | null = null;
+      let error: string | null = null;
+      if (pid && state) {
+        try {
+          health = await fetchHealth(state.port);
+        } catch (err) {
+          error = (err as Error).message;
+        }
+      }
+      const status = !pid ? "stopped" : health ? "running" : "unhealthy";
+
+      if (opts.json) {
+        console.log(JSON.stringify({ status, supervisor: state, health, error, log: paths.log }, null, 2));
+      } else {
+        console.log(`  node:      ${status}${pid ? `  (pid ${pid})` : ""}`);
+        if (state) {
+          console.log(`  endpoint:  http://${NODE_HOST}:${state.port}`);
+          if (state.restarts > 0) console.log(`  restarts:  ${state.restarts}`);
+        }
+        if (error) console.log(`  health:    ${error}${state?.daemonPid ? "" : " (daemon restarting)"}`);
+        if (health) {
+          console.log(`  version:   ${health.version}`);
+          console.log(`  uptime:    ${formatDuration(health.uptimeSeconds)}`);
+          console.log(`  agents:    ${health.agents.length}`);
+          for (const a of health.agents) {
+            console.log(`    ${a.id}${a.rooms.length ? `  in ${a.rooms.join(", ")}` : ""}`);
+          }
+          console.log(`  rooms:     ${health.rooms.length}`);
+          for (const r of health.rooms) {
+            console.log(`    ${r.name}  ${r.members.length} member(s), ${r.messages} message(s)`);
+          }
+        }
+        console.log(`  log:       ${paths.log}`);
+      }
+      if (!health) process.exit(1);
+    });
 }
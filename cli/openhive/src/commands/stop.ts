@@ -0,0 +1,26 @@
+import { Command } from "commander";
+import { isAlive, runningPid } from "../lib/node.js";
+
+const STOP_TIMEOUT_MS = 10_000;
+
+export function makeStopCommand(): Command {
+  return new Command("stop")
+    .description("stop the CFN node")
+    .action(async () => {
+      const pid = runningPid();
+      if (!pid) {
+        console.log("CFN node is not running.");
+        return;
+      }
+      process.kill(pid, "SIGTERM");
+      const deadline = Date.now() + STOP_TIMEOUT_MS;
+      while (isAlive(pid)) {
+        if (Date.now() > deadline) {
+          console.error(`CFN node (pid ${pid}) did not stop within ${STOP_TIMEOUT_MS / 1000}s`);
+          process.exit(1);
+        }
+        await new Promise((r) => setTimeout(r, 100));
+      }
+      console.log(`CFN node stopped (pid ${pid}).`);
+    });
+}
@@ -0,0 +1,182 @@
+import { Command } from "commander";
+import fs from "fs";
+import path from "path";
+import readline from "readline";
+import { importHookModule } from "../lib/hooks.js";
+
+type TurnRecord = {
+  schema: string;
+  idempotencyKey?: string;
+  session?: { agentId?: string; sessionId?: string | null };
+  turn?: { timestamp: string | null };
+};
+
+type UsageTotals = {
+  turns: number;
+  input: number;
+  output: number;
+  cacheRead: number;
+  cacheWrite: number;
+  totalTokens: number;
+  cost: number;
+};
+
+type Rollup = {
+  by: string[];
+  rows: (UsageTotals & Record<string, string | number | null>)[];
+  totals: UsageTotals;
+};
+
+type Usage = {
+  USAGE_DIMENSIONS: string[];
+  rollupUsage(items: { record: TurnRecord; agent?: string; run?: string | null }[], by: string[]): Rollup;
+};
+
+type LogFile = {
+  idempotencyKey(record: TurnRecord): string;
+};
+
+type Turns = {
+  dropSupersededPartials(records: TurnRecord[]): TurnRecord[];
+};
+
+type LogSource = { file: string; agent?: string; run: string | null };
+
+const LOG_NAME = /^conversation-extractor\.jsonl(\.\d+)?$/;
+const USAGE_COLUMNS: (keyof UsageTotals)[] = ["turns", "input", "output", "cacheRead", "cacheWrite", "totalTokens", "cost"];
+
+export function makeUsageCommand(): Command {
+  return new Command("usage")
+    .description("roll up tokens and cost from conversation-extractor logs")
+    .argument("<paths...>", "extractor logs, or directories searched for conversation-extractor.jsonl (and rotated segments)")
+    .option("-b, --by <dimensions>", "comma-separated grouping: agent, model, session, run", "agent,model")
+    .option("-f, --format <format>", "table, json or csv", "table")
+    .option("--since <date>", "only turns started at or after this date")
+    .action(async (paths: string[], opts: { by: string; format: string; since?: string }) => {
+      const { USAGE_DIMENSIONS, rollupUsage } = await importHookModule<Usage>("lib/usage.js");
+      const { idempotencyKey } = await importHookModule<LogFile>("lib/logfile.js");
+      const { dropSupersededPartials } = await importHookModule<Turns>("lib/turns.js");
+
+      const by = opts.by.split(",").map((d) => d.trim()).filter(Boolean);
+      const unknown = by.filter((d) => !USAGE_DIMENSIONS.includes(d));
+      if (unknown.length > 0 || by.length === 0) {
+        console.error(`Unknown dimension(s): ${unknown.join(", ") || "(none given)"}. Use ${USAGE_DIMENSIONS.join(", ")}.`);
+        process.exit(1);
+      }
+      if (!["table", "json", "csv"].includes(opts.format)) {
+        console.error(`Unknown format: ${opts.format} (expected table, json or csv)`);
+        process.exit(1);
+      }
+      const since = opts.since ? Date.parse(opts.since) : null;
+      if (since !== null && Number.isNaN(since)) {
+        console.error(`Invalid --since date: ${opts.since}`);
+        process.exit(1);
+      }
+
+      const sources: LogSource[] = [];
+      for (const p of paths) {
+        if (!fs.existsSync(p)) {
+          console.error(`${p}: not found`);
+          process.exit(1);
+        }
+        sources.push(...findLogs(path.resolve(p)));
+      }
+
+      // Rotated segments and re-delivered records may repeat a turn; count each once
+      const seen = new Set<string>();
+      const items: { record: TurnRecord; agent?: string; run: string | null }[] = [];
+      for (const { file, agent, run } of sources) {
+        for await (const line of readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity })) {
+          if (!line.trim()) continue;
+          let record: TurnRecord;
+          try {
+            record = JSON.parse(line);
+          } catch {
+            continue;
+          }
+          if (record.schema !== "openclaw-turn-v1" || !record.turn) continue;
+          const started = record.turn.timestamp ? Date.parse(record.turn.timestamp) : null;
+          if (since !== null && started !== null && started < since) continue;
+          const key = record.idempotencyKey ?? idempotencyKey(record);
+          if (seen.has(key)) continue;
+          seen.add(key);
+          items.push({ record, agent, run });
+        }
+      }
+
+      // A flushed partial turn is written again once complete; count that one
+      const kept = new Set(dropSupersededPartials(items.map((item) => item.record)));
+      const rollup = rollupUsage(items.filter((item) => kept.has(item.record)), by);
+      if (opts.format === "json") {
+        console.log(JSON.stringify(rollup, null, 2));
+      } else if (opts.format === "csv") {
+        printCsv(rollup);
+      } else {
+        printTable(rollup);
+      }
+    });
+}
+
+/**
+ * Experiment logs live at experiments/<name>/runs/<ts>/logs/<agent>/; for
+ * those the run is "<name>/<ts>" and the agent is the experiment's agent name
+ * rather than the OpenClaw agent id inside its container.
+ */
+function labelFromPath(file: string): { agent?: string; run: string | null } {
+  const parts = file.split(path.sep);
+  const runs = parts.lastIndexOf("runs");
+  if (runs > 0 && parts[runs + 2] === "logs" && parts.length > runs + 4) {
+    return { agent: parts[runs + 3], run: `${parts[runs - 1]}/${parts[runs + 1]}` };
+  }
+  return { run: null };
+}
+
+function findLogs(p: string): LogSource[] {
+  if (fs.statSync(p).isFile()) return [{ file: p, ...labelFromPath(p) }];
+
+  const found: LogSource[] = [];
+  const walk = (dir: string) => {
+    for (const dirent of fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+      const full = path.join(dir, dirent.name);
+      if (dirent.isDirectory()) {
+        if (dirent.name !== "node_modules" && dirent.name !== ".git") walk(full);
+      } else if (LOG_NAME.test(dirent.name)) {
+        found.push({ file: full, ...labelFromPath(full) });
+      }
+    }
+  };
+  walk(p);
+  return found;
+}
+
+function formatCell(column: string, value: unknown): string {
+  if (value === null || value === undefined) return "-";
+  if (column === "cost") return `$${(value as number).toFixed(4)}`;
+  return String(value);
+}
+
+function printTable(rollup: Rollup): void {
+  const columns = [...rollup.by, ...USAGE_COLUMNS];
+  const body = rollup.rows.map((row) => columns.map((c) => formatCell(c, row[c])));
+  const total = [...rollup.by.map((_, i) => (i === 0 ? "TOTAL" : "")), ...USAGE_COLUMNS.map((c) => formatCell(c, rollup.totals[c]))];
+  const widths = columns.map((c, i) => Math.max(c.length, ...[...body, total].map((r) => r[i].length)));
+  const line = (cells: string[]) =>
+    cells.map((cell, i) => (i < rollup.by.length ? cell.padEnd(widths[i]) : cell.padStart(widths[i]))).join("  ");
+
+  console.log(line(columns));
+  console.log(widths.map((w) => "-".repeat(w)).join("  "));
+  for (const row of body) console.log(line(row));
+  console.log(widths.map((w) => "-".repeat(w)).join("  "));
+  console.log(line(total));
+}
+
+function csvCell(value: unknown): string {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function printCsv(rollup: Rollup): void {
+  const columns = [...rollup.by, ...USAGE_COLUMNS];
+  console.log(columns.join(","));
+  for (const row of rollup.rows) console.log(columns.map((c) => csvCell(row[c])).join(","));
+}
@@ -1,5 +1,128 @@
-export function runWatch(): void {
-  console.log("Watching CFN node logs...");
-  // TODO: tail HiveMind daemon log stream
-  console.log("  (stub — no node running)");
+import { Command } from "commander";
+import fs from "fs";
+import { StringDecoder } from "string_decoder";
+import { LOG_LEVELS, nodePaths, type LogEntry, type LogLevel } from "../lib/node.js";
+
+const POLL_MS = 250;
+// How far back from the end of the log to look for the initial --lines.
+const TAIL_WINDOW_BYTES = 1024 * 1024;
+
+type WatchOptions = { room?: string; level: string; lines: string; follow: boolean; json?: boolean };
+
+export function makeWatchCommand(): Command {
+  return new Command("watch")
+    .description("tail the CFN node's structured log")
+    .argument("[room]", "only show entries for this room (same as --room)")
+    .option("-r, --room <room>", "only show entries for this room")
+    .option("-l, --level <level>", `minimum level: ${LOG_LEVELS.join(", ")}`, "info")
+    .option("-n, --lines <n>", "number of existing entries to show first", "20")
+    .option("--no-follow", "print existing entries and exit")
+    .option("--json", "print matching entries as raw JSON lines")
+    .action(async (room: string | undefined, opts: WatchOptions) => {
+      const level = opts.level.toLowerCase() as LogLevel;
+      const lines = Number(opts.lines);
+      if (!LOG_LEVELS.includes(level)) {
+        console.error(`Unknown level: ${opts.level}`);
+        console.error(`Supported: ${LOG_LEVELS.join(", ")}`);
+        process.exit(1);
+      }
+      if (!Number.isInteger(lines) || lines < 0) {
+        console.error(`Invalid --lines: ${opts.lines}`);
+        process.exit(1);
+      }
+
+      const logPath = nodePaths().log;
+      const filter = makeFilter(room ?? opts.room, level);
+      const print = (line: string) => {
+        const entry = parseLine(line);
+        if (filter(entry)) console.log(opts.json ? JSON.stringify(entry) : formatEntry(entry));
+      };
+
+      let offset = 0;
+      if (fs.existsSync(logPath)) {
+        const { text, end } = readTail(logPath);
+        offset = end;
+        const matching = text.split("\n").filter((l) => l.trim() && filter(parseLine(l)));
+        for (const line of matching.slice(Math.max(0, matching.length - lines))) print(line);
+      } else if (!opts.follow) {
+        console.error(`No log at ${logPath} — has the node been started?`);
+        process.exit(1);
+      }
+      if (!opts.follow) return;
+
+      await follow(logPath, offset, print);
+    });
+}
+
+function makeFilter(room: string | undefined, level: LogLevel): (entry: LogEntry) => boolean {
+  const min = LOG_LEVELS.indexOf(level);
+  return (entry) => LOG_LEVELS.indexOf(entry.level) >= min && (!room || entry.room === room);
+}
+
+// Lines that aren't JSON (e.g. a crashing daemon's stack trace) show as errors.
+function parseLine(line: string): LogEntry {
+  try {
+    const entry = JSON.parse(line) as LogEntry;
+    if (entry && typeof entry.msg === "string") {
+      return LOG_LEVELS.includes(entry.level) ? entry : { ...entry, level: "info" };
+    }
+  } catch {}
+  return { ts: "", level: "error", msg: line, source: "stderr" };
+}
+
+function formatEntry(entry: LogEntry): string {
+  const { ts, level, msg, source, room, agent, ...rest } = entry;
+  const time = ts ? new Date(ts).toLocaleTimeString("en-GB", { hour12: false }) : "--:--:--";
+  const extra = Object.entries(rest).map(([k, v]) => `${k}=${typeof v === "string" ? v : JSON.stringify(v)}`);
+  return [time, level.toUpperCase().padEnd(5), `[${source}]`, msg, ...extra].join(" ");
+}
+
+function readTail(file: string): { text: string; end: number } {
+  const fd = fs.openSync(file, "r");
+  try {
+    const end = fs.fstatSync(fd).size;
+    const start = Math.max(0, end - TAIL_WINDOW_BYTES);
+    const buf = Buffer.alloc(end - start);
+    fs.readSync(fd, buf, 0, buf.length, start);
+    let text = buf.toString("utf8");
+    // Drop a partial first line when we started mid-file.
+    if (start > 0) text = text.slice(text.indexOf("\n") + 1);
+    return { text, end };
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/** Poll the log for appended lines; starts over when it is rotated or truncated. */
+async function follow(file: string, offset: number, onLine: (line: string) => void): Promise<never> {
+  let ino = fs.existsSync(file) ? fs.statSync(file).ino : 0;
+  let partial = "";
+  let decoder = new StringDecoder("utf8");
+  for (;;) {
+    await new Promise((r) => setTimeout(r, POLL_MS));
+    let stat: fs.Stats;
+    try {
+      stat = fs.statSync(file);
+    } catch {
+      continue;
+    }
+    if (stat.ino !== ino || stat.size < offset) {
+      ino = stat.ino;
+      offset = 0;
+      partial = "";
+      decoder = new StringDecoder("utf8");
+    }
+    if (stat.size === offset) continue;
+
+    const fd = fs.openSync(file, "r");
+    const buf = Buffer.alloc(stat.size - offset);
+    fs.readSync(fd, buf, 0, buf.length, offset);
+    fs.closeSync(fd);
+    offset = stat.size;
+
+    const chunk = partial + decoder.write(buf);
+    const lines = chunk.split("\n");
+    partial = lines.pop() ?? "";
+    for (const line of lines) if (line.trim()) onLine(line);
+  }
 }
@@ -0,0 +1,215 @@
+import http from "http";
+import { URL } from "url";
+import { NODE_HOST, appendLog, nodeVersion, type Health, type LogLevel } from "../lib/node.js";
+
+// Coordination daemon: an in-memory registry of agents and rooms on
+// 127.0.0.1. Agents register, heartbeat, join rooms and publish messages;
+// anyone on the machine can read a room's messages. Nothing is persisted —
+// restarting the daemon starts with an empty registry and agents re-register
+// on their next heartbeat (which returns 404 for an unknown agent).
+//
+//   GET  /health                           node version, uptime, agents, rooms
+//   POST /agents/register   {agent}
+//   POST /agents/heartbeat  {agent}
+//   POST /agents/leave      {agent}
+//   POST /rooms/join        {agent, room}
+//   POST /rooms/leave       {agent, room}
+//   POST /rooms/publish     {agent, room, body}
+//   GET  /rooms/:room/messages?since=<seq>
+
+// Agents that miss heartbeats for this long are dropped.
+const AGENT_TTL_MS = 60_000;
+const SWEEP_INTERVAL_MS = 10_000;
+// Messages kept per room; older ones are discarded.
+const ROOM_HISTORY = 500;
+const MAX_BODY_BYTES = 64 * 1024;
+
+type Agent = { id: string; rooms: Set<string>; connectedAt: Date; lastSeen: Date };
+type Message = { seq: number; agent: string; body: string; ts: string };
+type Room = { name: string; members: Set<string>; messages: Message[]; seq: number };
+
+class RequestError extends Error {
+  constructor(message: string, readonly status = 400) {
+    super(message);
+  }
+}
+
+const log = (level: LogLevel, msg: string, fields: Record<string, unknown> = {}) =>
+  appendLog({ level, msg, source: "daemon", ...fields });
+
+export function serveNode(port: number): Promise<http.Server> {
+  const version = nodeVersion();
+  const startedAt = new Date();
+  const agents = new Map<string, Agent>();
+  const rooms = new Map<string, Room>();
+
+  const agentFor = (id: unknown): Agent => {
+    const agent = typeof id === "string" ? agents.get(id) : undefined;
+    if (!agent) throw new RequestError(`Unknown agent: ${String(id)} (register first)`, 404);
+    agent.lastSeen = new Date();
+    return agent;
+  };
+
+  const leaveRoom = (agent: Agent, name: string) => {
+    const room = rooms.get(name);
+    agent.rooms.delete(name);
+    if (!room?.members.delete(agent.id)) return;
+    log("info", `${agent.id} left ${name}`, { room: name, agent: agent.id });
+    if (room.members.size === 0) {
+      rooms.delete(name);
+      log("debug", `room ${name} closed`, { room: name });
+    }
+  };
+
+  const disconnect = (agent: Agent, reason: string) => {
+    for (const room of [...agent.rooms]) leaveRoom(agent, room);
+    agents.delete(agent.id);
+    log(reason === "left" ? "info" : "warn", `${agent.id} disconnected (${reason})`, { agent: agent.id });
+  };
+
+  const sweep = setInterval(() => {
+    const cutoff = Date.now() - AGENT_TTL_MS;
+    for (const agent of [...agents.values()]) {
+      if (agent.lastSeen.getTime() < cutoff) disconnect(agent, "heartbeat timeout");
+    }
+  }, SWEEP_INTERVAL_MS);
+  sweep.unref();
+
+  const health = (): Health => ({
+    status: "ok",
+    version,
+    pid: process.pid,
+    startedAt: startedAt.toISOString(),
+    uptimeSeconds: Math.floor((Date.now() - startedAt.getTime()) / 1000),
+    agents: [...agents.values()].map((a) => ({
+      id: a.id,
+      rooms: [...a.rooms].sort(),
+      connectedAt: a.connectedAt.toISOString(),
+      lastSeen: a.lastSeen.toISOString(),
+    })),
+    rooms: [...rooms.values()].map((r) => ({ name: r.name, members: [...r.members].sort(), messages: r.seq })),
+  });
+
+  async function handle(req: http.IncomingMessage): Promise<unknown> {
+    const url = new URL(req.url ?? "/", `http://${NODE_HOST}`);
+    const route = `${req.method} ${url.pathname}`;
+
+    if (route === "GET /health") return health();
+
+    const messages = url.pathname.match(/^\/rooms\/([^/]+)\/messages$/);
+    if (req.method === "GET" && messages) {
+      const name = decodeURIComponent(messages[1]);
+      const room = rooms.get(name);
+      if (!room) throw new RequestError(`Unknown room: ${name}`, 404);
+      const since = Number(url.searchParams.get("since") ?? 0);
+      return { room: name, seq: room.seq, messages: room.messages.filter((m) => m.seq > since) };
+    }
+
+    if (req.method !== "POST") throw new RequestError(`Not found: ${route}`, 404);
+    const body = await readJson(req);
+
+    switch (url.pathname) {
+      case "/agents/register": {
+        const id = requireName(body.agent, "agent");
+        const existing = agents.get(id);
+        if (existing) {
+          existing.lastSeen = new Date();
+          return { agent: id, rooms: [...existing.rooms] };
+        }
+        const now = new Date();
+        agents.set(id, { id, rooms: new Set(), connectedAt: now, lastSeen: now });
+        log("info", `${id} connected`, { agent: id });
+        return { agent: id, rooms: [] };
+      }
+      case "/agents/heartbeat": {
+        const agent = agentFor(body.agent);
+        return { agent: agent.id, rooms: [...agent.rooms] };
+      }
+      case "/agents/leave": {
+        disconnect(agentFor(body.agent), "left");
+        return { ok: true };
+      }
+      case "/rooms/join": {
+        const agent = agentFor(body.agent);
+        const name = requireName(body.room, "room");
+        let room = rooms.get(name);
+        if (!room) {
+          room = { name, members: new Set(), messages: [], seq: 0 };
+          rooms.set(name, room);
+          log("debug", `room ${name} opened`, { room: name });
+        }
+        if (!room.members.has(agent.id)) {
+          room.members.add(agent.id);
+          agent.rooms.add(name);
+          log("info", `${agent.id} joined ${name}`, { room: name, agent: agent.id });
+        }
+        return { room: name, members: [...room.members], seq: room.seq };
+      }
+      case "/rooms/leave": {
+        const agent = agentFor(body.agent);
+        leaveRoom(agent, requireName(body.room, "room"));
+        return { ok: true };
+      }
+      case "/rooms/publish": {
+        const agent = agentFor(body.agent);
+        const name = requireName(body.room, "room");
+        const room = rooms.get(name);
+        if (!room?.members.has(agent.id)) throw new RequestError(`${agent.id} is not in ${name}`, 409);
+        if (typeof body.body !== "string" || !body.body) throw new RequestError("body must be a non-empty string");
+        const message = { seq: ++room.seq, agent: agent.id, body: body.body, ts: new Date().toISOString() };
+        room.messages.push(message);
+        if (room.messages.length > ROOM_HISTORY) room.messages.shift();
+        log("debug", `${agent.id} → ${name} (${body.body.length} chars)`, { room: name, agent: agent.id, seq: message.seq });
+        return { seq: message.seq };
+      }
+    }
+    throw new RequestError(`Not found: ${route}`, 404);
+  }
+
+  const server = http.createServer((req, res) => {
+    handle(req).then(
+      (result) => send(res, 200, result),
+      (err: Error) => {
+        const status = err instanceof RequestError ? err.status : 500;
+        if (status === 500) log("error", `${req.method} ${req.url} failed: ${err.message}`);
+        send(res, status, { error: err.message });
+      },
+    );
+  });
+  server.on("close", () => clearInterval(sweep));
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, NODE_HOST, () => {
+      log("info", `listening on http://${NODE_HOST}:${port}`, { version, pid: process.pid });
+      resolve(server);
+    });
+  });
+}
+
+function send(res: http.ServerResponse, status: number, body: unknown): void {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+function requireName(value: unknown, field: string): string {
+  if (typeof value !== "string" || !/^[\w.@:-]{1,128}$/.test(value)) {
+    throw new RequestError(`${field} must be 1-128 characters of [A-Za-z0-9_.@:-]`);
+  }
+  return value;
+}
+
+async function readJson(req: http.IncomingMessage): Promise<Record<string, unknown>> {
+  let size = 0;
+  const chunks: Buffer[] = [];
+  for await (const chunk of req) {
+    size += (chunk as Buffer).length;
+    if (size > MAX_BODY_BYTES) throw new RequestError("Request body too large", 413);
+    chunks.push(chunk as Buffer);
+  }
+  try {
+    const body = JSON.parse(Buffer.concat(chunks).toString("utf8") || "{}");
+    if (body && typeof body === "object" && !Array.isArray(body)) return body as Record<string, unknown>;
+  } catch {}
+  throw new RequestError("Request body must be a JSON object");
+}
@@ -0,0 +1,132 @@
+import { spawn, type ChildProcess } from "child_process";
+import fs from "fs";
+import { appendLog, nodePaths, nodeVersion, writeNodeState, type LogLevel, type NodeState } from "../lib/node.js";
+import { serveNode } from "./server.js";
+
+// `openhive start` spawns `openhive daemon supervise` detached, with stdout and
+// stderr appended to daemon.log. The supervisor owns daemon.pid/daemon.json
+// and runs `openhive daemon serve` as its child, restarting it with backoff
+// when it crashes. SIGTERM/SIGINT stop the child and clean up.
+
+// Exit code for failures a restart won't fix (e.g. port already in use).
+export const EXIT_FATAL = 78;
+
+const INITIAL_BACKOFF_MS = 1_000;
+const MAX_BACKOFF_MS = 60_000;
+// A child that stayed up this long resets the backoff.
+const STABLE_AFTER_MS = 60_000;
+const STOP_TIMEOUT_MS = 5_000;
+
+const log = (level: LogLevel, msg: string, fields: Record<string, unknown> = {}) =>
+  appendLog({ level, msg, source: "supervisor", ...fields });
+
+/** Re-invoke this CLI (same node flags, e.g. tsx's loader) with other arguments. */
+function selfArgs(args: string[]): string[] {
+  return [...process.execArgv, process.argv[1], ...args];
+}
+
+export function spawnSupervisor(port: number, logFd: number): number {
+  const child = spawn(process.execPath, selfArgs(["daemon", "supervise", "--port", String(port)]), {
+    detached: true,
+    stdio: ["ignore", logFd, logFd],
+  });
+  child.unref();
+  return child.pid!;
+}
+
+export function runSupervisor(port: number): void {
+  const paths = nodePaths();
+  const state: NodeState = {
+    pid: process.pid,
+    daemonPid: null,
+    port,
+    version: nodeVersion(),
+    startedAt: new Date().toISOString(),
+    restarts: 0,
+  };
+  fs.writeFileSync(paths.pid, `${process.pid}\n`);
+  writeNodeState(state);
+  log("info", `supervisor started (pid ${process.pid}, port ${port})`);
+
+  let child: ChildProcess | null = null;
+  let stopping = false;
+  let backoff = INITIAL_BACKOFF_MS;
+  let restartTimer: NodeJS.Timeout | undefined;
+
+  const cleanup = () => {
+    // Only remove files that are still ours — a newer supervisor may own them.
+    try {
+      if (fs.readFileSync(paths.pid, "utf8").trim() === String(process.pid)) {
+        fs.rmSync(paths.pid, { force: true });
+        fs.rmSync(paths.state, { force: true });
+      }
+    } catch {}
+  };
+
+  const launch = () => {
+    const launchedAt = Date.now();
+    child = spawn(process.execPath, selfArgs(["daemon", "serve", "--port", String(port)]), {
+      stdio: ["ignore", "inherit", "inherit"],
+    });
+    state.daemonPid = child.pid ?? null;
+    writeNodeState(state);
+
+    child.on("exit", (code, signal) => {
+      child = null;
+      state.daemonPid = null;
+      if (stopping) return;
+      if (code === EXIT_FATAL) {
+        log("error", "daemon cannot start; giving up");
+        cleanup();
+        process.exit(1);
+      }
+      if (Date.now() - launchedAt >= STABLE_AFTER_MS) backoff = INITIAL_BACKOFF_MS;
+      log("error", `daemon exited (${signal ?? `code ${code}`}); restarting in ${backoff / 1000}s`);
+      writeNodeState(state);
+      restartTimer = setTimeout(() => {
+        state.restarts++;
+        launch();
+      }, backoff);
+      backoff = Math.min(backoff * 2, MAX_BACKOFF_MS);
+    });
+  };
+
+  const stop = (signal: NodeJS.Signals) => {
+    if (stopping) return;
+    stopping = true;
+    clearTimeout(restartTimer);
+    log("info", `stopping (${signal})`);
+    const done = () => {
+      cleanup();
+      log("info", "supervisor stopped");
+      process.exit(0);
+    };
+    if (!child) return done();
+    child.once("exit", done);
+    child.kill("SIGTERM");
+    setTimeout(() => child?.kill("SIGKILL"), STOP_TIMEOUT_MS).unref();
+  };
+
+  process.on("SIGTERM", () => stop("SIGTERM"));
+  process.on("SIGINT", () => stop("SIGINT"));
+  process.on("SIGHUP", () => stop("SIGHUP"));
+  launch();
+}
+
+export async function runDaemon(port: number): Promise<void> {
+  try {
+    const server = await serveNode(port);
+    const shutdown = () => {
+      appendLog({ level: "info", msg: "daemon shutting down", source: "daemon" });
+      server.close(() => process.exit(0));
+      server.closeAllConnections();
+    };
+    process.on("SIGTERM", shutdown);
+    process.on("SIGINT", shutdown);
+  } catch (err) {
+    const e = err as NodeJS.ErrnoException;
+    const msg = e.code === "EADDRINUSE" ? `port ${port} is already in use` : e.message;
+    appendLog({ level: "error", msg: `daemon failed to start: ${msg}`, source: "daemon" });
+    process.exit(e.code === "EADDRINUSE" || e.code === "EACCES" ? EXIT_FATAL : 1);
+  }
+}
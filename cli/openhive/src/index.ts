@@ -1,10 +1,17 @@
 #!/usr/bin/env node
 import { Command } from "commander";
 import { runInstall } from "./commands/install.js";
-import { runStart } from "./commands/start.js";
-import { runStatus } from "./commands/status.js";
-import { runWatch } from "./commands/watch.js";
+import { makeStartCommand } from "./commands/start.js";
+import { makeStopCommand } from "./commands/stop.js";
+import { makeStatusCommand } from "./commands/status.js";
+import { makeWatchCommand } from "./commands/watch.js";
+import { makeDaemonCommand } from "./commands/daemon.js";
 import { makeAgentCommand } from "./commands/agent.js";
+import { makeExtractorCommand } from "./commands/extractor.js";
+import { makeExtractCommand } from "./commands/extract.js";
+import { makeUsageCommand } from "./commands/usage.js";
+import { makeLogsCommand } from "./commands/logs.js";
+import { makeGuardrailCommand } from "./commands/guardrail.js";
 
 const program = new Command();
 
@@ -18,21 +25,16 @@ program
   .description("check and install CFN dependencies")
   .action(runInstall);
 
-program
-  .command("start")
-  .description("start the CFN node")
-  .action(runStart);
-
-program
-  .command("status")
-  .description("show CFN node status")
-  .action(runStatus);
-
-program
-  .command("watch")
-  .description("tail CFN node logs")
-  .action(runWatch);
-
+program.addCommand(makeStartCommand());
+program.addCommand(makeStopCommand());
+program.addCommand(makeStatusCommand());
+program.addCommand(makeWatchCommand());
+program.addCommand(makeDaemonCommand(), { hidden: true });
 program.addCommand(makeAgentCommand());
+program.addCommand(makeExtractorCommand());
+program.addCommand(makeExtractCommand());
+program.addCommand(makeUsageCommand());
+program.addCommand(makeLogsCommand());
+program.addCommand(makeGuardrailCommand());
 
-program.parse();
+program.parseAsync();
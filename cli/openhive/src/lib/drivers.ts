@@ -0,0 +1,389 @@
+import { execSync } from "child_process";
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { HOOKS_ROOT } from "./hooks.js";
+import { nodeVersion } from "./node.js";
+import { unifiedDiff } from "./text-diff.js";
+
+// Framework drivers for `openhive agent`. A driver installs a selection of
+// bundled hooks and skills (a profile, adjusted with --with/--without) into a
+// target directory (its root) and records what it wrote in
+// <root>/.openhive-manifest.json, with a sha256 per file. verify and diff
+// compare three versions of every file: the bundled source, the hash in the
+// manifest, and the copy on disk.
+
+export const SKILLS_ROOT = path.join(__dirname, "..", "..", "skills");
+// The repository's PoC hooks; absent when openhive is installed on its own.
+export const POC_ROOT = path.join(__dirname, "..", "..", "..", "..", "poc");
+export const MANIFEST_FILE = ".openhive-manifest.json";
+
+/** A bundled file and where it goes, relative to the target root. */
+export type Artifact = { source: string; dest: string };
+
+export type Target = { root: string; manifest: string };
+
+export type Manifest = {
+  manifestVersion: 1;
+  driver: string;
+  openhiveVersion: string;
+  installedAt: string;
+  /** What was installed; verify and later installs reuse it. Absent in older manifests. */
+  selection?: Selection;
+  /** dest path → sha256 of the file as installed */
+  files: Record<string, string>;
+};
+
+export type FileState =
+  | "ok"
+  | "missing"   // bundled, but not on disk
+  | "modified"  // changed on disk since it was installed
+  | "stale"     // installed from an older bundle (or no manifest and differs)
+  | "orphaned"; // in the manifest, no longer bundled or selected, still on disk
+
+export type FileCheck = { dest: string; state: FileState; source: string | null };
+
+export type VerifyResult = { target: Target; manifest: Manifest | null; files: FileCheck[] };
+
+export type InstallOptions = {
+  force?: boolean;
+  /** Defaults to the selection in the existing manifest, else the default profile. */
+  selection?: Selection;
+};
+
+export type Driver = {
+  name: string;
+  description: string;
+  /** Resolve --workspace (or the framework's global location when null). */
+  target(workspace: string | null): Target;
+  install(target: Target, opts?: InstallOptions): void;
+  uninstall(target: Target, opts?: InstallOptions): void;
+  verify(target: Target): VerifyResult;
+  diff(target: Target): string;
+};
+
+// ── Hooks, skills and profiles ───────────────────────────────────────────────
+
+/** A hook or skill: its installed name, and its files under root/(dir ?? name). */
+type Component = { name: string; root: string; dir?: string; files: string[] };
+
+export const HOOKS: Component[] = [
+  { name: "ioc-inject",             root: HOOKS_ROOT, files: ["HOOK.md", "package.json", "handler.js", "IOC_INSTRUCTIONS.md"] },
+  { name: "session-start",          root: HOOKS_ROOT, files: ["HOOK.md", "package.json", "handler.js"] },
+  { name: "conversation-extractor", root: HOOKS_ROOT, files: ["HOOK.md", "package.json", "handler.js"] },
+  { name: "memory-inject",          root: HOOKS_ROOT, files: ["HOOK.md", "package.json", "handler.js"] },
+  { name: "guardrail",              root: HOOKS_ROOT, files: ["HOOK.md", "package.json", "handler.js"] },
+  // PoC hook, installed from poc/
+  { name: "bootstrap-inject",       root: POC_ROOT, files: ["HOOK.md", "handler.js"] },
+];
+
+// Shared modules the hooks import as ../lib/*.js — installed next to the hook dirs
+// whenever any hook is.
+const HOOK_LIB: Component = {
+  name: "lib",
+  root: HOOKS_ROOT,
+  files: [
+    "package.json", "sinks.js", "redact.js", "validate.js", "turns.js", "logfile.js", "usage.js", "memory.js",
+    "policy.js", "yaml.js", "gateway.js",
+    "schemas/openclaw-conversation-v1.schema.json",
+    "schemas/openclaw-turn-v1.schema.json",
+    "schemas/openclaw-session-start-v1.schema.json",
+    "schemas/openclaw-usage-v1.schema.json",
+    "schemas/openclaw-memory-v1.schema.json",
+    "schemas/openclaw-guardrail-v1.schema.json",
+  ],
+};
+
+export const SKILLS: Component[] = [
+  { name: "sstp", root: SKILLS_ROOT, files: ["SKILL.md"] },
+];
+
+export type Selection = { profile: string; hooks: string[]; skills: string[] };
+
+export const DEFAULT_PROFILE = "default";
+
+export const PROFILES: Record<string, { description: string; hooks: string[]; skills: string[] }> = {
+  default: {
+    description: "IOC instructions, session and turn extraction, SSTP",
+    hooks: ["ioc-inject", "session-start", "conversation-extractor"],
+    skills: ["sstp"],
+  },
+  "observe-only": {
+    description: "extraction only — a control group without coordination instructions",
+    hooks: ["session-start", "conversation-extractor"],
+    skills: [],
+  },
+  "full-coordination": {
+    description: "default plus memory-inject, guardrail and the PoC bootstrap-inject hook",
+    hooks: ["ioc-inject", "session-start", "conversation-extractor", "memory-inject", "guardrail", "bootstrap-inject"],
+    skills: ["sstp"],
+  },
+};
+
+/** A profile with hooks or skills added (`with`) or removed (`without`) by name. */
+export function resolveSelection(profile = DEFAULT_PROFILE, withNames: string[] = [], without: string[] = []): Selection {
+  const base = PROFILES[profile];
+  if (!base) throw new Error(`Unknown profile: ${profile}. Profiles: ${Object.keys(PROFILES).join(", ")}`);
+  const known = (list: Component[], name: string) => list.some((c) => c.name === name);
+  for (const name of [...withNames, ...without]) {
+    if (!known(HOOKS, name) && !known(SKILLS, name)) {
+      throw new Error(`Unknown hook or skill: ${name}. Hooks: ${HOOKS.map((h) => h.name).join(", ")}; skills: ${SKILLS.map((s) => s.name).join(", ")}`);
+    }
+  }
+  // Catalog order, so the same selection always installs (and lists) the same way.
+  const pick = (list: Component[], names: string[]) =>
+    list.map((c) => c.name).filter((n) => (names.includes(n) || withNames.includes(n)) && !without.includes(n));
+  return { profile, hooks: pick(HOOKS, base.hooks), skills: pick(SKILLS, base.skills) };
+}
+
+function componentArtifacts(components: Component[], destDir: string): Artifact[] {
+  return components.flatMap((c) =>
+    c.files.map((file) => ({
+      source: path.join(c.root, c.dir ?? c.name, file),
+      dest: path.posix.join(destDir, c.name, file),
+    })),
+  );
+}
+
+/** Selected hooks plus their shared lib, placed under `hooksDir` (relative to the root). */
+function hookArtifacts(hooksDir: string, selection: Selection): Artifact[] {
+  const hooks = HOOKS.filter((h) => selection.hooks.includes(h.name));
+  return componentArtifacts(hooks.length ? [...hooks, HOOK_LIB] : [], hooksDir);
+}
+
+function skillArtifacts(skillsDir: string, selection: Selection): Artifact[] {
+  return componentArtifacts(SKILLS.filter((s) => selection.skills.includes(s.name)), skillsDir);
+}
+
+// ── Manifest-backed file driver ──────────────────────────────────────────────
+
+type FileDriverSpec = {
+  name: string;
+  description: string;
+  target(workspace: string | null): Target;
+  artifacts(target: Target, selection: Selection): Artifact[];
+  /** Put the artifacts in place; defaults to copying each file. Runs before hashing. */
+  place?(target: Target, artifacts: Artifact[], selection: Selection): void;
+  /** Printed after a successful install. */
+  installNote?: string;
+};
+
+const sha256 = (file: string) => crypto.createHash("sha256").update(fs.readFileSync(file)).digest("hex");
+const hashIfExists = (file: string) => (fs.existsSync(file) ? sha256(file) : null);
+
+export function readManifest(target: Target): Manifest | null {
+  try {
+    return JSON.parse(fs.readFileSync(target.manifest, "utf8")) as Manifest;
+  } catch {
+    return null;
+  }
+}
+
+function copyArtifacts(target: Target, artifacts: Artifact[]): void {
+  for (const a of artifacts) {
+    const dest = path.join(target.root, a.dest);
+    fs.mkdirSync(path.dirname(dest), { recursive: true });
+    fs.copyFileSync(a.source, dest);
+  }
+}
+
+/** Remove now-empty parent directories of `file`, stopping at `root`. */
+function pruneEmptyDirs(root: string, file: string): void {
+  for (let dir = path.dirname(file); dir.startsWith(root + path.sep); dir = path.dirname(dir)) {
+    try {
+      fs.rmdirSync(dir);
+    } catch {
+      return;
+    }
+  }
+}
+
+function check(target: Target, manifest: Manifest | null, artifacts: Artifact[]): FileCheck[] {
+  const checks: FileCheck[] = artifacts.map((a) => {
+    const onDisk = hashIfExists(path.join(target.root, a.dest));
+    const recorded = manifest?.files[a.dest];
+    let state: FileState;
+    if (!onDisk) state = "missing";
+    else if (onDisk === sha256(a.source)) state = "ok";
+    else if (recorded && onDisk !== recorded) state = "modified";
+    else state = "stale";
+    return { dest: a.dest, state, source: a.source };
+  });
+  const bundled = new Set(artifacts.map((a) => a.dest));
+  for (const dest of Object.keys(manifest?.files ?? {})) {
+    if (!bundled.has(dest) && fs.existsSync(path.join(target.root, dest))) {
+      checks.push({ dest, state: "orphaned", source: null });
+    }
+  }
+  return checks;
+}
+
+export function fileDriver(spec: FileDriverSpec): Driver {
+  const verify = (target: Target, selection?: Selection): VerifyResult => {
+    const manifest = readManifest(target);
+    const artifacts = spec.artifacts(target, selection ?? manifest?.selection ?? resolveSelection());
+    return { target, manifest, files: check(target, manifest, artifacts) };
+  };
+
+  return {
+    name: spec.name,
+    description: spec.description,
+    target: spec.target,
+    verify: (target) => verify(target),
+
+    install(target, opts = {}) {
+      const selection = opts.selection ?? readManifest(target)?.selection ?? resolveSelection();
+      const { manifest: previous, files } = verify(target, selection);
+      const missingSource = files.find((f) => f.source && !fs.existsSync(f.source));
+      if (missingSource) throw new Error(`Cannot install ${missingSource.dest}: ${missingSource.source} not found`);
+      // Local edits survive a reinstall unless --force.
+      const kept = new Set(opts.force ? [] : files.filter((f) => f.state === "modified").map((f) => f.dest));
+      const artifacts = spec.artifacts(target, selection).filter((a) => !kept.has(a.dest));
+
+      fs.mkdirSync(target.root, { recursive: true });
+      (spec.place ?? copyArtifacts)(target, artifacts, selection);
+
+      const manifest: Manifest = {
+        manifestVersion: 1,
+        driver: spec.name,
+        openhiveVersion: nodeVersion(),
+        installedAt: new Date().toISOString(),
+        selection,
+        files: {},
+      };
+      for (const a of artifacts) {
+        const hash = hashIfExists(path.join(target.root, a.dest));
+        if (hash) {
+          manifest.files[a.dest] = hash;
+          console.log(`  installed  ${a.dest}`);
+        } else {
+          console.error(`  failed     ${a.dest}`);
+        }
+      }
+      for (const dest of kept) {
+        manifest.files[dest] = previous!.files[dest];
+        console.log(`  kept       ${dest}  (modified locally; --force to overwrite)`);
+      }
+      for (const f of files.filter((f) => f.state === "orphaned")) {
+        const file = path.join(target.root, f.dest);
+        if (opts.force || sha256(file) === previous!.files[f.dest]) {
+          fs.rmSync(file);
+          pruneEmptyDirs(target.root, file);
+          console.log(`  removed    ${f.dest}  (no longer selected)`);
+        } else {
+          console.log(`  kept       ${f.dest}  (no longer selected, modified locally)`);
+        }
+      }
+      fs.writeFileSync(target.manifest, JSON.stringify(manifest, null, 2) + "\n");
+      if (spec.installNote) console.log(`\n${spec.installNote}`);
+    },
+
+    uninstall(target, opts = {}) {
+      const manifest = readManifest(target);
+      if (!manifest) {
+        throw new Error(`No ${MANIFEST_FILE} in ${target.root} — nothing recorded to uninstall`);
+      }
+      let kept = 0;
+      for (const [dest, hash] of Object.entries(manifest.files)) {
+        const file = path.join(target.root, dest);
+        const onDisk = hashIfExists(file);
+        if (!onDisk) continue;
+        if (onDisk !== hash && !opts.force) {
+          kept++;
+          console.log(`  kept       ${dest}  (modified locally; --force to remove)`);
+          continue;
+        }
+        fs.rmSync(file);
+        pruneEmptyDirs(target.root, file);
+        console.log(`  removed    ${dest}`);
+      }
+      if (kept > 0) {
+        // Keep a manifest listing only what is left, so verify still knows about it.
+        manifest.files = Object.fromEntries(
+          Object.entries(manifest.files).filter(([dest]) => fs.existsSync(path.join(target.root, dest))),
+        );
+        fs.writeFileSync(target.manifest, JSON.stringify(manifest, null, 2) + "\n");
+      } else {
+        fs.rmSync(target.manifest);
+      }
+    },
+
+    diff(target) {
+      const { files } = verify(target);
+      return files
+        .filter((f) => f.state !== "ok")
+        .map((f) => {
+          const installed = path.join(target.root, f.dest);
+          const before = fs.existsSync(installed) ? fs.readFileSync(installed, "utf8") : "";
+          const after = f.source ? fs.readFileSync(f.source, "utf8") : "";
+          return unifiedDiff(
+            before,
+            after,
+            f.state === "missing" ? "/dev/null" : `installed/${f.dest}`,
+            f.state === "orphaned" ? "/dev/null" : `bundled/${f.dest}`,
+          );
+        })
+        .join("");
+    },
+  };
+}
+
+// ── OpenClaw driver ──────────────────────────────────────────────────────────
+//
+// --workspace is either a workspace (hooks/<name>/ and skills/<name>/) or an
+// OpenClaw state dir such as an experiment's agents/<agent>/, recognised by
+// its openclaw.json (hooks/<name>/ and workspace/skills/<name>/). Without
+// --workspace the bundled hooks go through `openclaw hooks install` (which
+// places them in ~/.openclaw/hooks/); the lib, PoC hooks and skills are
+// copied into ~/.openclaw/hooks/ and ~/.openclaw/workspace/skills.
+
+const OPENCLAW_HOME = path.join(os.homedir(), ".openclaw");
+
+const openclaw = fileDriver({
+  name: "openclaw",
+  description: "OpenClaw gateway (a workspace, an agent state dir, or ~/.openclaw)",
+  target(workspace) {
+    if (workspace && !fs.existsSync(workspace)) throw new Error(`Workspace not found: ${workspace}`);
+    const root = workspace ?? OPENCLAW_HOME;
+    return { root, manifest: path.join(root, MANIFEST_FILE) };
+  },
+  artifacts(target, selection) {
+    const stateDir = target.root === OPENCLAW_HOME || fs.existsSync(path.join(target.root, "openclaw.json"));
+    return [...hookArtifacts("hooks", selection), ...skillArtifacts(stateDir ? "workspace/skills" : "skills", selection)];
+  },
+  place(target, artifacts, selection) {
+    if (target.root !== OPENCLAW_HOME) return copyArtifacts(target, artifacts);
+    const viaCli = new Set(selection.hooks.filter((name) => HOOKS.find((h) => h.name === name)!.root === HOOKS_ROOT));
+    for (const hook of viaCli) {
+      try {
+        execSync(`openclaw hooks install "${path.join(HOOKS_ROOT, hook)}"`, { stdio: "inherit" });
+      } catch {
+        console.error(`  failed to install hook: ${hook}`);
+      }
+    }
+    copyArtifacts(target, artifacts.filter((a) => !viaCli.has(a.dest.split("/")[1])));
+  },
+  installNote: "Done. Restart your OpenClaw gateway to pick up the changes.",
+});
+
+// ── Hooks-directory driver ───────────────────────────────────────────────────
+//
+// For frameworks that load hooks from a plain directory: the hook dirs and
+// lib/ are copied directly into --workspace. No skills.
+
+const hooksDir = fileDriver({
+  name: "hooks-dir",
+  description: "any framework that loads hooks from a directory (--workspace is the hooks dir)",
+  target(workspace) {
+    if (!workspace) throw new Error("hooks-dir needs --workspace <hooks directory>");
+    return { root: workspace, manifest: path.join(workspace, MANIFEST_FILE) };
+  },
+  artifacts: (_target, selection) => hookArtifacts("", selection),
+});
+
+// Registry of supported frameworks.
+export const DRIVERS: Record<string, Driver> = {
+  [openclaw.name]: openclaw,
+  [hooksDir.name]: hooksDir,
+};
@@ -0,0 +1,15 @@
+import path from "path";
+import { pathToFileURL } from "url";
+
+// Bundled hook sources (cli/openhive/hooks). Same location the agent
+// configure driver copies from.
+export const HOOKS_ROOT = path.join(__dirname, "..", "..", "hooks");
+
+/**
+ * Load an ESM module from the bundled hooks directory, e.g.
+ * `importHookModule("conversation-extractor/handler.js")`.
+ * Hooks are plain ESM so the CLI and the gateway run the same code.
+ */
+export async function importHookModule<T = any>(relPath: string): Promise<T> {
+  return import(pathToFileURL(path.join(HOOKS_ROOT, relPath)).href);
+}
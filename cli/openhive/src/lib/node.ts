@@ -0,0 +1,137 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// The local CFN node: a coordination daemon (src/daemon/server.ts) run by a
+// supervisor process (src/daemon/supervisor.ts) that restarts it when it
+// crashes. Everything lives under OPENHIVE_HOME (default ~/.openhive):
+//
+//   config.json   { "port": 7420 }              optional, see nodeConfig()
+//   daemon.pid    supervisor pid                written by the supervisor
+//   daemon.json   NodeState                     written by the supervisor
+//   daemon.log    one JSON LogEntry per line    (crash output as plain text)
+//
+// The daemon only listens on 127.0.0.1 and needs no external services.
+
+export const NODE_HOST = "127.0.0.1";
+export const DEFAULT_PORT = 7420;
+export const LOG_LEVELS = ["debug", "info", "warn", "error"] as const;
+export type LogLevel = (typeof LOG_LEVELS)[number];
+
+export type NodeConfig = { port: number };
+
+export type NodeState = {
+  pid: number;
+  /** pid of the current daemon process; null while it is being restarted */
+  daemonPid: number | null;
+  port: number;
+  version: string;
+  startedAt: string;
+  restarts: number;
+};
+
+export type LogEntry = {
+  ts: string;
+  level: LogLevel;
+  msg: string;
+  /** "supervisor" or "daemon" */
+  source: string;
+  room?: string;
+  agent?: string;
+  [key: string]: unknown;
+};
+
+export type Health = {
+  status: "ok";
+  version: string;
+  pid: number;
+  startedAt: string;
+  uptimeSeconds: number;
+  agents: { id: string; rooms: string[]; connectedAt: string; lastSeen: string }[];
+  rooms: { name: string; members: string[]; messages: number }[];
+};
+
+export function nodeHome(): string {
+  return process.env.OPENHIVE_HOME ?? path.join(os.homedir(), ".openhive");
+}
+
+export const nodePaths = () => {
+  const home = nodeHome();
+  return {
+    home,
+    config: path.join(home, "config.json"),
+    pid: path.join(home, "daemon.pid"),
+    state: path.join(home, "daemon.json"),
+    log: path.join(home, "daemon.log"),
+  };
+};
+
+export function nodeVersion(): string {
+  const pkg = JSON.parse(fs.readFileSync(path.join(__dirname, "..", "..", "package.json"), "utf8")) as { version: string };
+  return pkg.version;
+}
+
+// Port precedence: --port, then OPENHIVE_PORT, then config.json, then 7420.
+export function nodeConfig(portFlag?: string): NodeConfig {
+  let fileConfig: Partial<NodeConfig> = {};
+  try {
+    fileConfig = JSON.parse(fs.readFileSync(nodePaths().config, "utf8")) as Partial<NodeConfig>;
+  } catch {}
+  const raw = portFlag ?? process.env.OPENHIVE_PORT ?? fileConfig.port ?? DEFAULT_PORT;
+  const port = Number(raw);
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    throw new Error(`Invalid port: ${raw}`);
+  }
+  return { port };
+}
+
+export function isAlive(pid: number): boolean {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    // EPERM: the process exists but belongs to someone else
+    return (err as NodeJS.ErrnoException).code === "EPERM";
+  }
+}
+
+/** pid of the running supervisor; a stale pidfile counts as not running. */
+export function runningPid(): number | null {
+  try {
+    const pid = Number(fs.readFileSync(nodePaths().pid, "utf8").trim());
+    return pid > 0 && isAlive(pid) ? pid : null;
+  } catch {
+    return null;
+  }
+}
+
+export function readNodeState(): NodeState | null {
+  try {
+    return JSON.parse(fs.readFileSync(nodePaths().state, "utf8")) as NodeState;
+  } catch {
+    return null;
+  }
+}
+
+export function writeNodeState(state: NodeState): void {
+  fs.writeFileSync(nodePaths().state, JSON.stringify(state, null, 2) + "\n");
+}
+
+/** Append one structured line to daemon.log. */
+export function appendLog(entry: Omit<LogEntry, "ts">): void {
+  fs.appendFileSync(nodePaths().log, JSON.stringify({ ts: new Date().toISOString(), ...entry }) + "\n");
+}
+
+export async function fetchHealth(port: number, timeoutMs = 2_000): Promise<Health> {
+  const res = await fetch(`http://${NODE_HOST}:${port}/health`, { signal: AbortSignal.timeout(timeoutMs) });
+  if (!res.ok) throw new Error(`health check returned ${res.status}`);
+  return (await res.json()) as Health;
+}
+
+export function formatDuration(seconds: number): string {
+  const d = Math.floor(seconds / 86_400);
+  const h = Math.floor((seconds % 86_400) / 3_600);
+  const m = Math.floor((seconds % 3_600) / 60);
+  const s = Math.floor(seconds % 60);
+  return [d && `${d}d`, (d || h) && `${h}h`, (d || h || m) && `${m}m`, `${s}s`].filter(Boolean).join(" ");
+}
@@ -0,0 +1,71 @@
+// Minimal line-based unified diff (LCS), enough for the small text files
+// `openhive agent diff` compares. Not meant for large inputs: O(n·m) memory.
+
+const CONTEXT = 3;
+
+type Op = { kind: " " | "-" | "+"; line: string };
+
+function splitLines(text: string): string[] {
+  if (text === "") return [];
+  const lines = text.split("\n");
+  if (lines[lines.length - 1] === "") lines.pop();
+  return lines;
+}
+
+function diffOps(a: string[], b: string[]): Op[] {
+  // lcs[i][j] = length of the LCS of a[i..] and b[j..]
+  const lcs: Uint32Array[] = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const ops: Op[] = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      ops.push({ kind: " ", line: a[i++] });
+      j++;
+    } else if (j < b.length && (i === a.length || lcs[i][j + 1] >= lcs[i + 1][j])) {
+      ops.push({ kind: "+", line: b[j++] });
+    } else {
+      ops.push({ kind: "-", line: a[i++] });
+    }
+  }
+  return ops;
+}
+
+/** Unified diff of two texts, or "" when they have the same lines. */
+export function unifiedDiff(a: string, b: string, aName: string, bName: string): string {
+  const ops = diffOps(splitLines(a), splitLines(b));
+  const changed = ops.map((op, idx) => (op.kind === " " ? -1 : idx)).filter((idx) => idx >= 0);
+  if (changed.length === 0) return "";
+
+  // Group changes whose context windows overlap into hunks.
+  const hunks: [number, number][] = [];
+  for (const idx of changed) {
+    const start = Math.max(0, idx - CONTEXT);
+    const end = Math.min(ops.length, idx + CONTEXT + 1);
+    const last = hunks[hunks.length - 1];
+    if (last && start <= last[1]) last[1] = end;
+    else hunks.push([start, end]);
+  }
+
+  const out = [`--- ${aName}`, `+++ ${bName}`];
+  for (const [start, end] of hunks) {
+    // Line numbers at the hunk start: count a/b lines consumed before it.
+    let aLine = 1;
+    let bLine = 1;
+    for (const op of ops.slice(0, start)) {
+      if (op.kind !== "+") aLine++;
+      if (op.kind !== "-") bLine++;
+    }
+    const body = ops.slice(start, end);
+    const aLen = body.filter((op) => op.kind !== "+").length;
+    const bLen = body.filter((op) => op.kind !== "-").length;
+    out.push(`@@ -${aLen ? aLine : aLine - 1},${aLen} +${bLen ? bLine : bLine - 1},${bLen} @@`);
+    for (const op of body) out.push(op.kind + op.line);
+  }
+  return out.join("\n") + "\n";
+}
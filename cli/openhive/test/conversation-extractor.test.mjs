@@ -0,0 +1,74 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { flushPendingTurns } from "../hooks/conversation-extractor/handler.js";
+import { readTurnRecords } from "../hooks/lib/memory.js";
+
+let dir;
+let sessionFile;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "extractor-test-"));
+  const sessions = path.join(dir, "agents", "main", "sessions");
+  fs.mkdirSync(sessions, { recursive: true });
+  sessionFile = path.join(sessions, "s1.jsonl");
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const append = (...entries) => fs.appendFileSync(sessionFile, entries.map((e) => JSON.stringify(e) + "\n").join(""));
+
+const user = (text) => ({ type: "message", message: { role: "user", content: [{ type: "text", text }] } });
+const assistant = (content, totalTokens) => ({
+  type: "message",
+  message: { role: "assistant", model: "m1", content, usage: { input: totalTokens, totalTokens } },
+});
+const toolResult = (id, text) => ({ type: "message", message: { role: "toolResult", toolCallId: id, content: [{ type: "text", text }] } });
+
+const turnRecords = () =>
+  fs.readFileSync(path.join(dir, "conversation-extractor.jsonl"), "utf-8").split("\n").filter(Boolean)
+    .map((line) => JSON.parse(line)).filter((r) => r.schema === "openclaw-turn-v1");
+
+test("writes a flushed turn once more, complete, when the session goes on", async () => {
+  append({ type: "session", id: "s1" }, user("list files"), assistant([{ type: "toolCall", id: "t1", name: "ls" }], 10));
+  assert.equal(await flushPendingTurns({ stateDir: dir }), 1);
+
+  append(toolResult("t1", "a.txt"), assistant([{ type: "text", text: "a.txt" }], 5), user("thanks"));
+  assert.equal(await flushPendingTurns({ stateDir: dir }), 2);
+  // Nothing new: neither turn is written again
+  assert.equal(await flushPendingTurns({ stateDir: dir }), 0);
+
+  const turns = turnRecords().map((r) => r.turn);
+  assert.deepEqual(turns.map((t) => [t.index, t.partial]), [[0, true], [0, false], [1, true]]);
+  assert.equal(turns[0].toolCalls[0].result, null);
+  assert.equal(turns[1].toolCalls[0].result, "a.txt");
+  assert.equal(turns[0].toolCalls[0].status, "pending");
+  assert.equal(turns[1].toolCalls[0].status, "ok");
+  assert.equal(turns[1].response, "a.txt");
+});
+
+test("counts a flushed turn once in the running usage summary after it completes", async () => {
+  append({ type: "session", id: "s1" }, user("list files"), assistant([{ type: "toolCall", id: "t1", name: "ls" }], 10));
+  await flushPendingTurns({ stateDir: dir });
+  append(toolResult("t1", "a.txt"), assistant([{ type: "text", text: "a.txt" }], 5), user("thanks"));
+  await flushPendingTurns({ stateDir: dir });
+
+  const summary = JSON.parse(fs.readFileSync(path.join(dir, "conversation-extractor.usage.json"), "utf-8"));
+  assert.equal(summary.totals.turns, 2);
+  assert.equal(summary.totals.totalTokens, 15);
+  assert.deepEqual(summary.byModel.m1, { turns: 1, input: 15, output: 0, cacheRead: 0, cacheWrite: 0, totalTokens: 15, cost: 0 });
+});
+
+test("memory reads the complete record of a flushed turn and keeps partial turns that never completed", async () => {
+  append({ type: "session", id: "s1" }, user("list files"), assistant([{ type: "toolCall", id: "t1", name: "ls" }], 10));
+  await flushPendingTurns({ stateDir: dir });
+  append(toolResult("t1", "a.txt"), assistant([{ type: "text", text: "a.txt" }], 5), user("thanks"));
+  await flushPendingTurns({ stateDir: dir });
+
+  const records = readTurnRecords([path.join(dir, "conversation-extractor.jsonl")], { agentId: "main" });
+  assert.deepEqual(records.map((r) => [r.turn.index, r.turn.partial]), [[0, false], [1, true]]);
+});
@@ -0,0 +1,152 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { spawnSync } from "node:child_process";
+import { openSinks } from "../hooks/lib/sinks.js";
+
+// A stub ingest endpoint: `mode` decides how each POST is answered
+function startIngest() {
+  const state = { mode: "ok", received: [], server: null, url: "" };
+  state.server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      if (state.mode === "hang") return;
+      if (state.mode === "down") {
+        res.writeHead(503).end();
+        return;
+      }
+      state.received.push(JSON.parse(body));
+      res.writeHead(200, { "Content-Type": "application/json" }).end("{}");
+    });
+  });
+  return new Promise((resolve) => {
+    state.server.listen(0, "127.0.0.1", () => {
+      state.url = `http://127.0.0.1:${state.server.address().port}/ingest`;
+      resolve(state);
+    });
+  });
+}
+
+let dir;
+let ingest;
+
+beforeEach(async (t) => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "sinks-test-"));
+  ingest = await startIngest();
+  t.mock.method(console, "warn", () => {});
+});
+
+afterEach(() => {
+  ingest.server.closeAllConnections();
+  ingest.server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function deliverTo(spec, records) {
+  const sinks = openSinks({
+    file: path.join(dir, "out.jsonl"),
+    spoolDir: path.join(dir, "spool"),
+    specs: [spec],
+    redactor: null,
+    validate: "off",
+  });
+  for (const record of records) sinks.write(record);
+  await sinks.close();
+}
+
+const deliver = (records, spec = {}) => deliverTo({ type: "http", url: ingest.url, name: "ingest", batchSize: 2, ...spec }, records);
+
+const records = (from, to) =>
+  Array.from({ length: to - from + 1 }, (_, i) => ({ schema: "openclaw-turn-v1", session: { sessionId: "s1" }, n: from + i }));
+
+const delivered = () => ingest.received.flatMap((body) => body.records.map((r) => r.n));
+
+const spoolEntries = () => {
+  const file = path.join(dir, "spool", "ingest.jsonl");
+  return fs.existsSync(file) ? fs.readFileSync(file, "utf-8").split("\n").filter(Boolean).map((line) => JSON.parse(line)) : [];
+};
+
+test("spools every batch once the endpoint fails and replays them in order when it recovers", async () => {
+  ingest.mode = "down";
+  await deliver(records(1, 3));
+  assert.deepEqual(spoolEntries().map((e) => e.records.map((r) => r.n)), [[1, 2], [3]]);
+  assert.match(spoolEntries()[0].error, /503/);
+
+  ingest.mode = "ok";
+  await deliver(records(4, 4));
+  assert.deepEqual(delivered(), [1, 2, 3, 4]);
+  assert.deepEqual(spoolEntries(), []);
+  assert.deepEqual(fs.readdirSync(path.join(dir, "spool")), []);
+});
+
+test("makes one attempt per invocation instead of retrying in the hook", async () => {
+  ingest.mode = "down";
+  let posts = 0;
+  ingest.server.on("request", () => posts++);
+  await deliver(records(1, 4));
+  assert.equal(posts, 1);
+  assert.equal(spoolEntries().length, 2);
+});
+
+test("stops delivering when the budget is used up", async () => {
+  ingest.mode = "hang";
+  const started = Date.now();
+  await deliver(records(1, 6), { timeoutMs: 200, budgetMs: 300 });
+  assert.ok(Date.now() - started < 2_000, `close() took ${Date.now() - started} ms`);
+  assert.deepEqual(spoolEntries().flatMap((e) => e.records.map((r) => r.n)), [1, 2, 3, 4, 5, 6]);
+});
+
+test("replays the claimed copy left by a process that died mid-replay", async () => {
+  const deadPid = spawnSync(process.execPath, ["-e", ""]).pid;
+  const spoolDir = path.join(dir, "spool");
+  fs.mkdirSync(spoolDir, { recursive: true });
+  const entry = { spooledAt: new Date().toISOString(), error: "POST → 503", records: records(1, 2) };
+  fs.writeFileSync(path.join(spoolDir, `ingest.jsonl.${deadPid}.0a1b2c.replay`), JSON.stringify(entry) + "\n");
+
+  await deliver(records(3, 3));
+  assert.deepEqual(delivered(), [1, 2, 3]);
+  assert.deepEqual(fs.readdirSync(spoolDir), []);
+});
+
+test("leaves the replay copy of a running process alone", async () => {
+  const spoolDir = path.join(dir, "spool");
+  fs.mkdirSync(spoolDir, { recursive: true });
+  const live = path.join(spoolDir, `ingest.jsonl.${process.ppid}.0a1b2c.replay`);
+  fs.writeFileSync(live, JSON.stringify({ records: records(1, 1) }) + "\n");
+
+  await deliver(records(2, 2));
+  assert.deepEqual(delivered(), [2]);
+  assert.ok(fs.existsSync(live));
+});
+
+test("prunes the file sink's key index along with the segments rotation drops", async () => {
+  const file = path.join(dir, "out.jsonl");
+  const write = (batch) => deliverTo({ type: "file", maxBytes: 100, keep: 1 }, batch);
+  await write(records(1, 4));
+
+  const logged = [file, `${file}.1`].flatMap((segment) =>
+    fs.readFileSync(segment, "utf-8").split("\n").filter(Boolean).map((line) => JSON.parse(line)));
+  assert.deepEqual(logged.map((r) => r.n).sort(), [3, 4]);
+  const index = fs.readFileSync(`${file}.keys`, "utf-8").split("\n").filter(Boolean);
+  assert.deepEqual(index.sort(), logged.map((r) => r.idempotencyKey).sort());
+
+  // A record whose segment was dropped is no longer a duplicate
+  await write(records(1, 1));
+  assert.equal(JSON.parse(fs.readFileSync(file, "utf-8")).n, 1);
+});
+
+test("keeps a session-start marker for every bootstrap of a session", async () => {
+  const start = (extractedAt) => ({ schema: "openclaw-session-start-v1", extractedAt, session: { agentId: "main", sessionId: "s1", cwd: null } });
+  const write = (batch) => deliverTo({ type: "file" }, batch);
+  await write([start("2026-01-01T00:00:00Z")]);
+  await write([start("2026-01-01T01:00:00Z")]);
+  // The same marker written twice is still one record
+  await write([start("2026-01-01T01:00:00Z")]);
+
+  const lines = fs.readFileSync(path.join(dir, "out.jsonl"), "utf-8").split("\n").filter(Boolean);
+  assert.deepEqual(lines.map((line) => JSON.parse(line).extractedAt), ["2026-01-01T00:00:00Z", "2026-01-01T01:00:00Z"]);
+});
@@ -0,0 +1,88 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseYaml } from "../hooks/lib/yaml.js";
+
+test("nested mappings and sequences, including sequences at their key's indent", () => {
+  const doc = parseYaml(`
+---
+version: 1
+rules:
+  - name: runaway-cost
+    when:
+      event: message:sent
+      cost: { gte: 5, scope: agent }
+    action: reset
+  - name: no-shell
+    when:
+      tools:
+      - exec
+      - "shell*"
+    action: abort
+empty:
+`);
+  assert.deepEqual(doc, {
+    version: 1,
+    rules: [
+      { name: "runaway-cost", when: { event: "message:sent", cost: { gte: 5, scope: "agent" } }, action: "reset" },
+      { name: "no-shell", when: { tools: ["exec", "shell*"] }, action: "abort" },
+    ],
+    empty: null,
+  });
+});
+
+test("scalars: quoting, numbers, booleans and null", () => {
+  assert.deepEqual(parseYaml(`
+plain: hello world
+single: 'it''s \\d+'
+double: "tab\\tend"
+colon: "a: b"
+int: 42
+float: -1.5e3
+yes: true
+no: false
+nothing: ~
+also-nothing: null
+version-string: '1'
+flow: [a, 'b, c', 3, { k: v }]
+"quoted key": 1
+`), {
+    "plain": "hello world",
+    "single": "it's \\d+",
+    "double": "tab\tend",
+    "colon": "a: b",
+    "int": 42,
+    "float": -1500,
+    "yes": true,
+    "no": false,
+    "nothing": null,
+    "also-nothing": null,
+    "version-string": "1",
+    "flow": ["a", "b, c", 3, { k: "v" }],
+    "quoted key": 1,
+  });
+});
+
+test("comments are dropped unless they are inside quotes or words", () => {
+  assert.deepEqual(parseYaml(`
+# a policy
+default: warn   # fall back to warning
+rules:
+  # nothing yet
+  - content: '#hashtag'
+  - content: issue#12
+`), { default: "warn", rules: [{ content: "#hashtag" }, { content: "issue#12" }] });
+  assert.equal(parseYaml("# only a comment\n"), null);
+});
+
+test("unsupported or malformed input is rejected with its line number", () => {
+  const fails = (source, message) => assert.throws(() => parseYaml(source), message);
+  fails("a: |\n  text\n", /line 1: block scalars/);
+  fails("a: 1\nb: *ref\n", /line 2: anchors, aliases and tags/);
+  fails("a: 1\n---\nb: 2\n", /line 2: multiple documents/);
+  fails("a: 1\na: 2\n", /line 2: duplicate key: a/);
+  fails("a:\n\t- 1\n", /line 2: tabs are not allowed/);
+  fails("a: 1\n    b: 2\n", /line 2: unexpected indentation/);
+  fails('a: "\\d"\n', /line 1: invalid double-quoted string/);
+  fails("a: [1, 2\n", /line 1: expected , or \]/);
+  fails("just text\n", /line 1: expected "key: value"/);
+});
@@ -0,0 +1,112 @@
+/**
+ * auth.ts
+ *
+ * API tokens for the Experiment API server. Tokens are issued with
+ * `experiment token create` and only their SHA-256 hash is kept on disk,
+ * in cli/.api-tokens.json (override with EXPERIMENT_API_TOKENS).
+ *
+ * Scopes:
+ *   read      status, runs, logs, messages, watch, matrix status
+ *   operator  everything read allows, plus create, run, stop, say, matrix start/stop
+ */
+
+import * as crypto from "crypto";
+import * as fs from "fs";
+import * as path from "path";
+import { ExperimentError, REPO_ROOT } from "./experiments.js";
+
+export const SCOPES = ["read", "operator"] as const;
+export type Scope = (typeof SCOPES)[number];
+
+export const TOKENS_FILE = process.env.EXPERIMENT_API_TOKENS ?? path.join(REPO_ROOT, "cli", ".api-tokens.json");
+
+const TOKEN_PREFIX = "exp_";
+
+export interface TokenRecord {
+  id: string;
+  name: string;
+  scope: Scope;
+  /** sha256 of the token, hex */
+  hash: string;
+  createdAt: string;
+}
+
+/** A token as shown by `token list` — never includes the hash. */
+export type TokenInfo = Omit<TokenRecord, "hash">;
+
+function hashToken(token: string): string {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function readTokens(): TokenRecord[] {
+  try {
+    return JSON.parse(fs.readFileSync(TOKENS_FILE, "utf8")) as TokenRecord[];
+  } catch (err) {
+    if ((err as NodeJS.ErrnoException).code === "ENOENT") return [];
+    throw err;
+  }
+}
+
+function writeTokens(tokens: TokenRecord[]): void {
+  const tmp = `${TOKENS_FILE}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(tokens, null, 2) + "\n", { mode: 0o600 });
+  fs.renameSync(tmp, TOKENS_FILE);
+}
+
+const withoutHash = ({ hash: _, ...info }: TokenRecord): TokenInfo => info;
+
+export function isScope(value: string): value is Scope {
+  return (SCOPES as readonly string[]).includes(value);
+}
+
+/** operator implies read */
+export function scopeAllows(granted: Scope, required: Scope): boolean {
+  return SCOPES.indexOf(granted) >= SCOPES.indexOf(required);
+}
+
+// ── Issue / list / revoke ─────────────────────────────────────────────────────
+
+/** Create a token. The plain token is only returned here — it cannot be recovered later. */
+export function issueToken(name: string, scope: Scope): TokenInfo & { token: string } {
+  if (!name) throw new ExperimentError("Token name required.");
+  if (!isScope(scope)) throw new ExperimentError(`Unknown scope '${scope}'. Use: ${SCOPES.join(", ")}`);
+  const tokens = readTokens();
+  if (tokens.some((t) => t.name === name)) throw new ExperimentError(`A token named '${name}' already exists`, 409);
+
+  const token = TOKEN_PREFIX + crypto.randomBytes(32).toString("base64url");
+  const record: TokenRecord = {
+    id: crypto.randomBytes(4).toString("hex"),
+    name,
+    scope,
+    hash: hashToken(token),
+    createdAt: new Date().toISOString(),
+  };
+  writeTokens([...tokens, record]);
+  return { ...withoutHash(record), token };
+}
+
+export function listTokens(): TokenInfo[] {
+  return readTokens().map(withoutHash);
+}
+
+/** Revoke by id or name. */
+export function revokeToken(idOrName: string): TokenInfo {
+  const tokens = readTokens();
+  const record = tokens.find((t) => t.id === idOrName || t.name === idOrName);
+  if (!record) throw new ExperimentError(`No token '${idOrName}'`, 404);
+  writeTokens(tokens.filter((t) => t !== record));
+  return withoutHash(record);
+}
+
+// ── Verify ────────────────────────────────────────────────────────────────────
+
+/** The token record matching a presented token, or null. Re-reads the file so revocations apply immediately. */
+export function verifyToken(token: string): TokenInfo | null {
+  if (!token.startsWith(TOKEN_PREFIX)) return null;
+  const presented = Buffer.from(hashToken(token), "hex");
+  const record = readTokens().find((t) => {
+    const stored = Buffer.from(t.hash, "hex");
+    return stored.length === presented.length && crypto.timingSafeEqual(stored, presented);
+  });
+  return record ? withoutHash(record) : null;
+}
@@ -0,0 +1,313 @@
+#!/usr/bin/env tsx
+/**
+ * cli.ts
+ *
+ * Lifecycle commands of the `experiment` bash CLI, which delegates to this
+ * file. Pass --json for the structured result the REST API returns.
+ *
+ * Usage:
+ *   npx tsx src/cli.ts create <name> [agents…] [--json]
+ *   npx tsx src/cli.ts run    <name> [--timeout 5m] [--json]
+ *   npx tsx src/cli.ts stop   <name> [--run <id>] [--json]
+ *   npx tsx src/cli.ts status <name> [--run <id>] [--json]
+ *   npx tsx src/cli.ts runs   <name> [--json]
+ *   npx tsx src/cli.ts messages <name> [limit] [--run <id>] [--json]
+ *   npx tsx src/cli.ts say    <name> [--to <agent>] [--as <human>] [--run <id>] <text…> [--json]
+ *   npx tsx src/cli.ts evaluate <name> [--run <id>] [--json]
+ *   npx tsx src/cli.ts export <name> [--run <id>] [--format md|html|jsonl|csv] [-o <file>]
+ *   npx tsx src/cli.ts list   [--json]
+ *   npx tsx src/cli.ts token  create <name> [--scope read|operator] | list | revoke <id|name>  [--json]
+ *
+ * Without --run, stop / status / messages / say / evaluate / export act on the latest run.
+ *
+ * Internal:
+ *   npx tsx src/cli.ts stop-after <name> <run-id> <seconds>   auto-stop timer (see runs.ts)
+ *   npx tsx src/cli.ts timeline   <name> <run-id>             timeline runner (see timeline-runner.ts)
+ */
+
+import * as fs from "fs";
+import * as path from "path";
+import { SCOPES, isScope, issueToken, listTokens, revokeToken, TOKENS_FILE } from "./auth.js";
+import { evaluateRun } from "./evaluate.js";
+import { ExperimentError, createExperiment, listExperiments } from "./experiments.js";
+import { EXPORT_FORMATS, exportRun, isExportFormat } from "./export.js";
+import { runTimeline } from "./timeline-runner.js";
+import { DEFAULT_TIMEOUT, listRuns, runMessages, runStatus, sendRunMessage, startRun, stopRun } from "./runs.js";
+
+const DEFAULT_SERVER_PORT = 8181;
+
+// ── Args ──────────────────────────────────────────────────────────────────────
+
+const [, , command, ...rest] = process.argv;
+const json = rest.includes("--json");
+const positional: string[] = [];
+const flags: Record<string, string> = {};
+for (let i = 0; i < rest.length; i++) {
+  const arg = rest[i];
+  if (arg === "--json") continue;
+  if (arg === "--timeout" || arg === "-t") flags.timeout = rest[++i] ?? "";
+  else if (arg === "--run" || arg === "-r") flags.run = rest[++i] ?? "";
+  else if (arg === "--scope" || arg === "-s") flags.scope = rest[++i] ?? "";
+  else if (arg === "--to") flags.to = rest[++i] ?? "";
+  else if (arg === "--as") flags.as = rest[++i] ?? "";
+  else if (arg === "--format" || arg === "-f") flags.format = rest[++i] ?? "";
+  else if (arg === "--output" || arg === "-o") flags.output = rest[++i] ?? "";
+  else positional.push(arg);
+}
+
+const log = json ? () => {} : (line: string) => console.log(line);
+
+function print(result: unknown, human: () => void): void {
+  if (json) console.log(JSON.stringify(result, null, 2));
+  else human();
+}
+
+function printTable(header: string[], rows: string[][]): void {
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map((r) => r[i].length)));
+  for (const row of [header, ...rows]) console.log(row.map((c, i) => c.padEnd(widths[i])).join("  ").trimEnd());
+}
+
+// ── Commands ──────────────────────────────────────────────────────────────────
+
+async function create(): Promise<void> {
+  const [name, ...agents] = positional;
+  if (!name) throw new ExperimentError("Usage: experiment create <name> [agent1] [agent2] ...");
+  const created = createExperiment(name, agents);
+  print(created, () => {
+    console.log(`==> Created experiment '${created.name}'`);
+    for (const agent of created.agents) console.log(`    agent: ${agent}`);
+    console.log("");
+    console.log(`Created: ${created.dir}`);
+    console.log("");
+    console.log("Next steps:");
+    console.log(`  1. Edit ${created.dir}/experiment.json      — set seed, acceptance_criteria, timeline`);
+    console.log("  2. Edit each agent's IDENTITY.md     — describe their role");
+    console.log("  3. Edit each agent's CONSTRAINTS.md  — add limitations if needed");
+    console.log("  4. Edit each agent's openclaw.json   — change model if needed");
+    console.log(`  5. Run: experiment run ${created.name}`);
+  });
+}
+
+async function run(): Promise<void> {
+  const [name] = positional;
+  const timeout = flags.timeout || DEFAULT_TIMEOUT;
+  const info = await startRun(name ?? "", { timeout, log });
+  print(info, () => {
+    console.log("");
+    console.log(`==> Run active: ${info.runDir}`);
+    console.log("");
+    console.log("    Agents:");
+    for (const a of info.agents) console.log(`      ${a.name.padEnd(20)} ${a.matrixUser}  gateway :${a.port}`);
+    console.log("");
+    console.log("    Matrix:");
+    console.log("      Homeserver: http://localhost:8008");
+    console.log("      Username:   @observer:local");
+    console.log("      Password:   see cli/matrix/credentials.md");
+    console.log(`      Room:       ${info.roomAlias}`);
+    console.log("");
+    console.log("    Logs:");
+    console.log(`      experiment logs ${name}`);
+    console.log(`      experiment logs ${name} ${info.agents[0]?.name ?? "<agent>"}`);
+    console.log("");
+    console.log("    Stop:");
+    console.log(`      experiment stop ${name}`);
+    console.log("");
+    console.log("    Watch:");
+    console.log(`      http://localhost:${DEFAULT_SERVER_PORT}/experiments/${name}/watch  (SSE)`);
+    console.log(`      experiment watch ${name}  (terminal)`);
+    console.log("");
+    console.log(`    Auto-stop at ${info.deadline} (override with --timeout <duration>, e.g. --timeout 10m)`);
+  });
+}
+
+async function stop(): Promise<void> {
+  const [name] = positional;
+  const result = await stopRun(name ?? "", { runId: flags.run, log });
+  print(result, () => {});
+}
+
+/** Fired by the detached timer that startRun() arms. */
+async function stopAfter(): Promise<void> {
+  const [name, runId, seconds] = positional;
+  await new Promise((r) => setTimeout(r, parseInt(seconds, 10) * 1000));
+  console.log(`==> Timeout reached. Stopping run ${runId} of '${name}'...`);
+  await stopRun(name, { runId, reason: "timeout", log });
+}
+
+/** Started by startRun() after the seed when the run has a timeline. */
+async function timeline(): Promise<void> {
+  const [name, runId] = positional;
+  await runTimeline(name, runId, log);
+  // Don't wait for the room watch's in-flight long-poll
+  process.exit(0);
+}
+
+async function status(): Promise<void> {
+  const [name] = positional;
+  const s = await runStatus(name ?? "", flags.run);
+  if (!s) {
+    print(null, () => console.log(`No runs for '${name}'.`));
+    return;
+  }
+  print(s, () => {
+    console.log(`Experiment: ${s.experiment}`);
+    console.log(`Run:        ${s.runId}`);
+    console.log(`Room:       ${s.roomAlias}`);
+    if (s.stoppedAt) {
+      console.log(`Stopped:    ${s.stoppedAt} (${s.stopReason})${s.error ? ` — ${s.error}` : ""}`);
+    } else if (s.remainingSeconds !== null) {
+      console.log(`Timeout:    ${s.remainingSeconds > 0
+        ? `${Math.floor(s.remainingSeconds / 60)}m ${s.remainingSeconds % 60}s remaining`
+        : "expired"}`);
+    }
+    console.log("");
+    const rows = s.agents.map((a) => [
+      a.name,
+      a.matrixUser,
+      a.port ? String(a.port) : "-",
+      a.container ? `${a.container.state}${a.container.health ? ` (${a.container.health})` : ""}` : "no container",
+      a.container?.status ?? "",
+    ]);
+    printTable(["AGENT", "MATRIX USER", "PORT", "STATE", "STATUS"], rows);
+  });
+}
+
+async function runs(): Promise<void> {
+  const [name] = positional;
+  const history = listRuns(name ?? "");
+  print(history, () => {
+    if (history.length === 0) {
+      console.log(`No runs for '${name}'.`);
+      return;
+    }
+    const rows = history.map((r) => [
+      r.runId,
+      r.startedAt.replace("T", " ").slice(0, 19),
+      r.stoppedAt ? r.stoppedAt.replace("T", " ").slice(0, 19) : "-",
+      r.stopReason ?? (r.stoppedAt ? "" : "running?"),
+      r.agents.join(","),
+    ]);
+    printTable(["RUN", "STARTED", "STOPPED", "REASON", "AGENTS"], rows);
+  });
+}
+
+async function messages(): Promise<void> {
+  const [name, limitArg] = positional;
+  const limit = parseInt(limitArg ?? "100", 10);
+  if (!(limit > 0)) throw new ExperimentError(`Invalid limit '${limitArg}'`);
+  const msgs = await runMessages(name ?? "", { runId: flags.run, limit });
+  print(msgs, () => {
+    for (const m of msgs) {
+      console.log(`${new Date(m.timestamp).toISOString().slice(11, 19)}  ${m.name}: ${m.body}`);
+      console.log("");
+    }
+  });
+}
+
+async function say(): Promise<void> {
+  const [name, ...words] = positional;
+  if (!name || words.length === 0) {
+    throw new ExperimentError("Usage: experiment say <name> [--to <agent>] [--as <human>] <text>");
+  }
+  const sent = await sendRunMessage(name, { text: words.join(" "), to: flags.to, as: flags.as, runId: flags.run });
+  print(sent, () => console.log(`==> Posted as ${sent.sender}${sent.to ? ` to ${sent.to}` : ""} (${sent.eventId})`));
+}
+
+async function evaluate(): Promise<void> {
+  const [name] = positional;
+  const report = await evaluateRun(name ?? "", { runId: flags.run, log });
+  print(report, () => {});
+}
+
+async function exportTranscript(): Promise<void> {
+  const [name] = positional;
+  if (!name) {
+    throw new ExperimentError(`Usage: experiment export <name> [--run <id>] [--format ${EXPORT_FORMATS.join("|")}] [-o <file>]`);
+  }
+  // Without --format, the output file's extension picks it
+  const ext = flags.output ? path.extname(flags.output).slice(1) : "";
+  const format = flags.format || (isExportFormat(ext) ? ext : "md");
+  const exported = await exportRun(name, { runId: flags.run, format });
+  if (exported.messagesError) {
+    console.error(`warning: room history unavailable, exporting turns only (${exported.messagesError})`);
+  }
+  if (flags.output) {
+    fs.writeFileSync(flags.output, exported.content);
+    console.error(`==> Wrote ${flags.output}`);
+  } else {
+    process.stdout.write(exported.content);
+  }
+}
+
+async function list(): Promise<void> {
+  const experiments = listExperiments();
+  print(experiments, () => {
+    console.log("Experiments:");
+    console.log("");
+    for (const e of experiments) {
+      console.log(`  ${e.name.padEnd(45)} ${e.description}`);
+      if (e.runs > 0) console.log(`  ${"".padEnd(45)} runs: ${e.runs}  latest: ${e.latestRun}`);
+      console.log("");
+    }
+  });
+}
+
+async function token(): Promise<void> {
+  const [sub, arg] = positional;
+  if (sub === "create") {
+    const scope = flags.scope || "read";
+    if (!isScope(scope)) throw new ExperimentError(`Unknown scope '${scope}'. Use: ${SCOPES.join(", ")}`);
+    const issued = issueToken(arg ?? "", scope);
+    print(issued, () => {
+      console.log(`==> Created ${issued.scope} token '${issued.name}' (id ${issued.id})`);
+      console.log("");
+      console.log(`    ${issued.token}`);
+      console.log("");
+      console.log("    Shown once — only its hash is stored. Send it as: Authorization: Bearer <token>");
+    });
+  } else if (sub === "list") {
+    const tokens = listTokens();
+    print(tokens, () => {
+      if (tokens.length === 0) {
+        console.log(`No tokens in ${TOKENS_FILE}.`);
+        return;
+      }
+      printTable(["ID", "NAME", "SCOPE", "CREATED"], tokens.map((t) => [t.id, t.name, t.scope, t.createdAt]));
+    });
+  } else if (sub === "revoke") {
+    const revoked = revokeToken(arg ?? "");
+    print(revoked, () => console.log(`==> Revoked token '${revoked.name}' (id ${revoked.id})`));
+  } else {
+    throw new ExperimentError("Usage: experiment token create <name> [--scope read|operator] | list | revoke <id|name>");
+  }
+}
+
+const COMMANDS: Record<string, () => Promise<void>> = {
+  create,
+  run,
+  stop,
+  "stop-after": stopAfter,
+  timeline,
+  status,
+  runs,
+  messages,
+  say,
+  evaluate,
+  export: exportTranscript,
+  list,
+  token,
+};
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+
+const handler = COMMANDS[command ?? ""];
+if (!handler) {
+  console.error(`Unknown command '${command ?? ""}'. Use: ${Object.keys(COMMANDS).filter((c) => c !== "stop-after" && c !== "timeline").join(", ")}`);
+  process.exit(1);
+}
+
+handler().catch((err: Error) => {
+  if (json) console.log(JSON.stringify({ error: err.message }, null, 2));
+  console.error(`Error: ${err.message}`);
+  process.exit(1);
+});
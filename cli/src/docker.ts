@@ -0,0 +1,98 @@
+/**
+ * docker.ts
+ *
+ * Thin wrappers around the docker CLI for run directories (each run dir holds
+ * its own docker-compose.yml and .env) and the shared Matrix container.
+ */
+
+import * as cp from "child_process";
+
+const MATRIX_CONTAINER = "openclaw-matrix";
+
+export interface DockerResult {
+  stdout: string;
+  stderr: string;
+  code: number;
+}
+
+export interface ContainerState {
+  service: string;
+  name: string;
+  /** running, exited, restarting, created, … */
+  state: string;
+  /** Human-readable status from docker, e.g. "Up 3 minutes" */
+  status: string;
+  health: string | null;
+  exitCode: number | null;
+}
+
+export function docker(args: string[], cwd?: string): Promise<DockerResult> {
+  return new Promise((resolve) => {
+    const proc = cp.spawn("docker", args, { cwd, stdio: ["ignore", "pipe", "pipe"] });
+    let stdout = "", stderr = "";
+    proc.stdout!.on("data", (d) => (stdout += d));
+    proc.stderr!.on("data", (d) => (stderr += d));
+    proc.on("error", (err) => resolve({ stdout: "", stderr: err.message, code: 127 }));
+    proc.on("close", (code) => resolve({ stdout: stdout.trim(), stderr: stderr.trim(), code: code ?? 1 }));
+  });
+}
+
+async function compose(runDir: string, args: string[]): Promise<DockerResult> {
+  const result = await docker(["compose", ...args], runDir);
+  if (result.code !== 0) {
+    throw new Error(`docker compose ${args[0]} failed: ${result.stderr || result.stdout}`);
+  }
+  return result;
+}
+
+export async function composeUp(runDir: string, services: string[]): Promise<void> {
+  await compose(runDir, ["up", "-d", ...services]);
+}
+
+export async function composeDown(runDir: string): Promise<void> {
+  await compose(runDir, ["down"]);
+}
+
+/** Stop individual agents of a run; their containers are kept. */
+export async function composeStop(runDir: string, services: string[]): Promise<void> {
+  await compose(runDir, ["stop", ...services]);
+}
+
+/** Restart agents of a run — also starts them if they were stopped. */
+export async function composeRestart(runDir: string, services: string[]): Promise<void> {
+  await compose(runDir, ["restart", ...services]);
+}
+
+/** Containers of a run, including stopped ones. */
+export async function composePs(runDir: string): Promise<ContainerState[]> {
+  const { stdout } = await compose(runDir, ["ps", "--all", "--format", "json"]);
+  if (!stdout) return [];
+  // Compose v2.21+ prints one object per line; older releases print an array
+  const rows = (stdout.startsWith("[")
+    ? JSON.parse(stdout)
+    : stdout.split("\n").filter(Boolean).map((line) => JSON.parse(line))) as Record<string, unknown>[];
+  return rows.map((r) => ({
+    service: String(r.Service ?? ""),
+    name: String(r.Name ?? ""),
+    state: String(r.State ?? "unknown"),
+    status: String(r.Status ?? ""),
+    health: r.Health ? String(r.Health) : null,
+    exitCode: typeof r.ExitCode === "number" ? r.ExitCode : null,
+  }));
+}
+
+/** Register a non-admin user on the shared homeserver. Returns false (with the
+ *  tool's output) when registration did not succeed. */
+export async function registerMatrixUser(
+  localpart: string,
+  password: string,
+): Promise<{ ok: boolean; output: string }> {
+  const { stdout, stderr } = await docker([
+    "exec", MATRIX_CONTAINER, "register_new_matrix_user",
+    "--no-admin", "-u", localpart, "-p", password,
+    "-c", "/data/homeserver.yaml",
+    "http://localhost:8008",
+  ]);
+  const output = [stdout, stderr].filter(Boolean).join("\n");
+  return { ok: /success/i.test(output), output };
+}
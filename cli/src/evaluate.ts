@@ -0,0 +1,131 @@
+/**
+ * evaluate.ts
+ *
+ * Scores a run against the acceptance_criteria of its experiment.json and
+ * writes runs/<id>/report.json. Each criterion goes to one judge (see
+ * judges.ts) with the room transcript and the agents' extractor turn logs.
+ *
+ * stopRun() starts `cli.ts evaluate <name> --run <id>` in the background after
+ * a run's first stop; `experiment evaluate` re-scores a run on demand.
+ */
+
+import * as fs from "fs";
+import * as path from "path";
+import { ExperimentError, experimentDir, readExperimentConfig } from "./experiments.js";
+import { getJudge, type EvaluationContext, type Verdict } from "./judges.js";
+import { readRunInfo, runDirFor, runMessages, type RoomMessage } from "./runs.js";
+import { queryTurnLogs } from "./turn-logs.js";
+import type { AcceptanceCriterion, CriterionSpec, JudgeName } from "./types.js";
+
+export const REPORT_FILE = "report.json";
+/** Room messages read for the transcript */
+const TRANSCRIPT_LIMIT = 1_000;
+
+type Log = (line: string) => void;
+
+export interface CriterionResult extends Verdict {
+  id: string;
+  description: string;
+  judge: JudgeName;
+  /** The judge failed; pass and score are null */
+  error: string | null;
+}
+
+export interface EvaluationReport {
+  experiment: string;
+  runId: string;
+  evaluatedAt: string;
+  /** true when every criterion passed, false when any failed, else null */
+  pass: boolean | null;
+  passed: number;
+  failed: number;
+  /** Criteria the judges could not decide (errors or no verdict) */
+  undecided: number;
+  criteria: CriterionResult[];
+  sources: {
+    transcript: { messages: number; error: string | null };
+    turns: { records: number };
+  };
+}
+
+/** Plain strings become llm criteria; ids default to criterion-<n>. */
+export function normalizeCriteria(raw: AcceptanceCriterion[]): (CriterionSpec & { id: string; judge: JudgeName })[] {
+  return raw.map((c, i) => {
+    const spec = typeof c === "string" ? { description: c } : c;
+    return { ...spec, id: spec.id ?? `criterion-${i + 1}`, judge: spec.judge ?? "llm" };
+  });
+}
+
+/** Score a run (latest by default) and write its report.json. */
+export async function evaluateRun(
+  name: string,
+  { runId, log = () => {} }: { runId?: string; log?: Log } = {},
+): Promise<EvaluationReport> {
+  const expDir = experimentDir(name);
+  const runDir = runDirFor(expDir, name, runId);
+  const run = readRunInfo(name, runDir);
+  const criteria = normalizeCriteria(readExperimentConfig(expDir)?.acceptance_criteria ?? []);
+  if (criteria.length === 0) throw new ExperimentError(`'${name}' has no acceptance_criteria in experiment.json`);
+
+  // The transcript needs the Matrix server; turn logs are on disk
+  let transcript: RoomMessage[] = [];
+  let transcriptError: string | null = null;
+  try {
+    transcript = await runMessages(name, { runId: run.runId, limit: TRANSCRIPT_LIMIT });
+  } catch (err) {
+    transcriptError = (err as Error).message;
+    log(`    Transcript unavailable: ${transcriptError}`);
+  }
+  const turns = queryTurnLogs(runDir, { schemas: ["turn"], limit: Number.MAX_SAFE_INTEGER }).items;
+
+  const ctx: EvaluationContext = { experiment: name, runId: run.runId, expDir, run, transcript, turns };
+  log(`==> Evaluating ${criteria.length} criteria for run ${run.runId} (${transcript.length} messages, ${turns.length} turns)`);
+
+  const results: CriterionResult[] = [];
+  for (const criterion of criteria) {
+    let result: CriterionResult;
+    try {
+      // Judging these without the transcript would fail them for the wrong reason
+      const readsTranscript = criterion.judge === "llm" ||
+        (criterion.judge !== "predicate" && (criterion.in ?? "transcript") !== "turns");
+      if (transcriptError && readsTranscript) throw new Error(`Transcript unavailable: ${transcriptError}`);
+      const verdict = await getJudge(criterion.judge).evaluate(criterion, ctx);
+      result = { id: criterion.id, description: criterion.description, judge: criterion.judge, ...verdict, error: null };
+    } catch (err) {
+      const message = (err as Error).message;
+      result = { id: criterion.id, description: criterion.description, judge: criterion.judge, pass: null, score: null, reason: "", error: message };
+    }
+    log(`    ${result.pass === true ? "PASS" : result.pass === false ? "FAIL" : "----"}  ${result.id}  ${result.error ?? result.reason}`);
+    results.push(result);
+  }
+
+  const passed = results.filter((r) => r.pass === true).length;
+  const failed = results.filter((r) => r.pass === false).length;
+  const report: EvaluationReport = {
+    experiment: name,
+    runId: run.runId,
+    evaluatedAt: new Date().toISOString(),
+    pass: failed > 0 ? false : passed === results.length ? true : null,
+    passed,
+    failed,
+    undecided: results.length - passed - failed,
+    criteria: results,
+    sources: {
+      transcript: { messages: transcript.length, error: transcriptError },
+      turns: { records: turns.length },
+    },
+  };
+  fs.writeFileSync(path.join(runDir, REPORT_FILE), JSON.stringify(report, null, 2) + "\n");
+  log(`==> ${passed} passed, ${failed} failed, ${report.undecided} undecided — ${path.join(runDir, REPORT_FILE)}`);
+  return report;
+}
+
+/** A run's report.json; 404 until the run has been evaluated. */
+export function readReport(name: string, runId?: string): EvaluationReport {
+  const runDir = runDirFor(experimentDir(name), name, runId);
+  try {
+    return JSON.parse(fs.readFileSync(path.join(runDir, REPORT_FILE), "utf8")) as EvaluationReport;
+  } catch {
+    throw new ExperimentError(`Run ${path.basename(runDir)} of '${name}' has no report yet`, 404);
+  }
+}
@@ -0,0 +1,464 @@
+/**
+ * experiments.ts
+ *
+ * Experiment directories: paths, listing, scaffolding (`experiment create`)
+ * and experiment.json validation.
+ * Run lifecycle (run / stop / status) lives in runs.ts.
+ *
+ *   experiments/
+ *     _template/                 experiment.json + agents/agent-example/openclaw.json
+ *     _base-skills/              copied into every agent's workspace/skills/
+ *     _base-hooks/               copied into every agent's hooks/
+ *     _base-extensions/          copied into every agent's extensions/
+ *     <name>-<unix ts>/
+ *       experiment.json
+ *       agents/<agent>/
+ *       runs/<unix ts>/          one directory per run (see runs.ts)
+ */
+
+import * as fs from "fs";
+import * as path from "path";
+import type { CriterionSpec, ExperimentConfig, HookProfile, JudgeName, TimelineAction, TimelineStep } from "./types.js";
+
+// ── Paths ─────────────────────────────────────────────────────────────────────
+
+export const REPO_ROOT = path.resolve(__dirname, "../..");
+export const EXPERIMENTS_DIR = process.env.EXPERIMENTS_DIR ?? path.join(REPO_ROOT, "experiments");
+export const TEMPLATE_DIR = path.join(EXPERIMENTS_DIR, "_template");
+export const MATRIX_DIR = path.join(REPO_ROOT, "cli", "matrix");
+
+/** Experiment, agent and run names end up in paths, env var names and Matrix ids. */
+const NAME_RE = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+/** Lifecycle error carrying the HTTP status the API should answer with. */
+export class ExperimentError extends Error {
+  constructor(message: string, readonly status = 400) {
+    super(message);
+    this.name = "ExperimentError";
+  }
+}
+
+export function validateName(kind: string, name: string): void {
+  if (!name) throw new ExperimentError(`${kind} name required.`);
+  if (name.startsWith("_")) throw new ExperimentError(`${kind} names cannot start with _`);
+  if (!NAME_RE.test(name)) {
+    throw new ExperimentError(`Invalid ${kind.toLowerCase()} name '${name}' (letters, digits, '.', '_' and '-' only)`);
+  }
+}
+
+/** "30s" | "5m" | "1h" → seconds */
+export function parseDuration(raw: string): number {
+  const match = /^(\d+)(s|m|h)$/.exec(raw);
+  if (!match) throw new ExperimentError(`Invalid duration '${raw}'. Use format: 30s, 5m, 1h`);
+  return parseInt(match[1], 10) * { s: 1, m: 60, h: 3600 }[match[2] as "s" | "m" | "h"];
+}
+
+/** Directory of an existing experiment; throws a 404 ExperimentError otherwise. */
+export function experimentDir(name: string): string {
+  validateName("Experiment", name);
+  const dir = path.join(EXPERIMENTS_DIR, name);
+  if (!fs.existsSync(path.join(dir, "experiment.json")) && !fs.existsSync(path.join(dir, "agents"))) {
+    throw new ExperimentError(`Experiment '${name}' not found at ${dir}`, 404);
+  }
+  return dir;
+}
+
+export function readExperimentConfig(expDir: string): ExperimentConfig | null {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(expDir, "experiment.json"), "utf8")) as ExperimentConfig;
+  } catch {
+    return null;
+  }
+}
+
+// ── experiment.json ───────────────────────────────────────────────────────────
+
+const JUDGES: JudgeName[] = ["regex", "keyword", "predicate", "llm"];
+const TIMELINE_ACTIONS: TimelineAction[] = ["post", "mention", "stop", "restart", "inject"];
+const STEP_ID_RE = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+const INJECT_FILE_RE = /^[A-Za-z0-9][A-Za-z0-9._-]*\.md$/;
+
+/**
+ * Check the human personas, timeline and acceptance criteria of an
+ * experiment.json against its agents — on create and again before every run,
+ * since the file is edited in between. Returns the config with default step
+ * ids filled in; throws one ExperimentError listing every problem.
+ */
+export function validateExperimentConfig(config: ExperimentConfig, agents: string[]): ExperimentConfig {
+  const errors: string[] = [];
+
+  const humans = config.humans ?? [];
+  if (!Array.isArray(humans)) errors.push("humans must be an array of names");
+  else {
+    for (const human of humans) {
+      try {
+        validateName("Human", human);
+      } catch (err) {
+        errors.push((err as Error).message);
+      }
+      if (agents.includes(human)) errors.push(`Human persona '${human}' has the same name as an agent`);
+    }
+    if (new Set(humans).size !== humans.length) errors.push("Human persona names must be unique");
+  }
+
+  const timeline = validateTimeline(config.timeline, agents, Array.isArray(humans) ? humans : [], errors);
+  validateCriteria(config.acceptance_criteria, agents, errors);
+  validateHookProfile(config.hooks, errors);
+
+  if (errors.length > 0) throw new ExperimentError(`Invalid experiment.json:\n  ${errors.join("\n  ")}`);
+  return config.timeline === undefined ? config : { ...config, timeline };
+}
+
+/**
+ * Only the shape is checked here; profile and hook names belong to openhive,
+ * which rejects unknown ones when the run installs them.
+ */
+function validateHookProfile(raw: unknown, errors: string[]): void {
+  if (raw === undefined) return;
+  if (typeof raw !== "object" || raw === null || Array.isArray(raw)) {
+    errors.push("hooks must be an object: { profile, with, without }");
+    return;
+  }
+  const spec = raw as HookProfile;
+  const isName = (v: unknown) => typeof v === "string" && /^[a-z0-9][a-z0-9-]*$/.test(v);
+  if (spec.profile !== undefined && !isName(spec.profile)) errors.push("hooks.profile must be a profile name, e.g. observe-only");
+  for (const key of ["with", "without"] as const) {
+    const names = spec[key];
+    if (names !== undefined && !(Array.isArray(names) && names.every(isName))) {
+      errors.push(`hooks.${key} must be an array of hook or skill names`);
+    }
+  }
+}
+
+/** Acceptance criteria are strings (llm judge) or judge specs; problems are added to `errors`. */
+function validateCriteria(raw: unknown, agents: string[], errors: string[]): void {
+  if (raw === undefined) return;
+  if (!Array.isArray(raw)) {
+    errors.push("acceptance_criteria must be an array");
+    return;
+  }
+  const ids = new Set<string>();
+  raw.forEach((c: unknown, i) => {
+    if (typeof c === "string") return;
+    const spec = c as CriterionSpec;
+    const problem = (msg: string) => errors.push(`acceptance_criteria[${i}]: ${msg}`);
+    if (typeof c !== "object" || c === null || Array.isArray(c)) {
+      problem("must be a string or an object");
+      return;
+    }
+    if (typeof spec.description !== "string" || !spec.description) problem("needs 'description'");
+    if (spec.id !== undefined) {
+      if (ids.has(spec.id)) problem(`duplicate id '${spec.id}'`);
+      ids.add(spec.id);
+    }
+    if (spec.in !== undefined && !["transcript", "turns", "all"].includes(spec.in)) problem("'in' must be transcript, turns or all");
+    if (spec.from !== undefined && spec.from !== "observer" && !agents.includes(spec.from)) {
+      problem(`from '${spec.from}' is not an agent of this experiment`);
+    }
+    switch (spec.judge ?? "llm") {
+      case "llm":
+        break;
+      case "regex":
+        if (typeof spec.pattern !== "string" || !spec.pattern) problem("'regex' needs 'pattern'");
+        else {
+          try {
+            new RegExp(spec.pattern, spec.flags);
+          } catch (err) {
+            problem(`invalid pattern: ${(err as Error).message}`);
+          }
+        }
+        if (spec.min !== undefined && !(Number.isInteger(spec.min) && spec.min > 0)) problem("'min' must be a positive integer");
+        break;
+      case "keyword":
+        if (!Array.isArray(spec.keywords) || spec.keywords.length === 0 || !spec.keywords.every((k) => typeof k === "string" && k)) {
+          problem("'keyword' needs 'keywords', a non-empty array of strings");
+        }
+        if (spec.match !== undefined && spec.match !== "all" && spec.match !== "any") problem("'match' must be all or any");
+        break;
+      case "predicate":
+        if (typeof spec.file !== "string" || !/\.[cm]?js$/.test(spec.file) || path.isAbsolute(spec.file) ||
+            path.normalize(spec.file).startsWith("..")) {
+          problem("'predicate' needs 'file', a .js/.cjs/.mjs path inside the experiment dir");
+        }
+        break;
+      default:
+        problem(`unknown judge '${spec.judge}'. Use: ${JUDGES.join(", ")}`);
+    }
+  });
+}
+
+/** Timeline steps with default ids filled in; problems are added to `errors`. */
+function validateTimeline(raw: unknown, agents: string[], humans: string[], errors: string[]): TimelineStep[] {
+  if (raw === undefined) return [];
+  if (!Array.isArray(raw)) {
+    errors.push("timeline must be an array of steps");
+    return [];
+  }
+  const objects = raw.every((step, i) => {
+    const ok = typeof step === "object" && step !== null && !Array.isArray(step);
+    if (!ok) errors.push(`timeline[${i}]: must be an object`);
+    return ok;
+  });
+  if (!objects) return [];
+
+  const ids = new Set<string>();
+  const steps = (raw as TimelineStep[]).map((step, i) => ({ id: `step-${i + 1}`, ...step }) as TimelineStep & { id: string });
+
+  steps.forEach((step, i) => {
+    const problem = (msg: string) => errors.push(`timeline[${i}] (${step.id}): ${msg}`);
+    if (!STEP_ID_RE.test(step.id)) problem(`invalid id '${step.id}'`);
+    if (ids.has(step.id)) problem(`duplicate id '${step.id}'`);
+    ids.add(step.id);
+
+    const duration = (field: "at" | "delay") => {
+      try {
+        parseDuration(String(step[field]));
+      } catch {
+        problem(`${field} must be a duration like 30s, 5m, 1h`);
+      }
+    };
+    if ((step.at === undefined) === (step.on === undefined)) problem("needs exactly one of 'at' or 'on'");
+    if (step.at !== undefined) duration("at");
+    if (step.delay !== undefined) {
+      if (step.on === undefined) problem("'delay' only applies to 'on' steps");
+      duration("delay");
+    }
+    if (step.on !== undefined) {
+      const { message, step: after } = step.on;
+      if ((message === undefined) === (after === undefined)) problem("'on' needs exactly one of 'message' or 'step'");
+      if (message?.from !== undefined && message.from !== "observer" &&
+          !agents.includes(message.from) && !humans.includes(message.from)) {
+        problem(`on.message.from '${message.from}' is not an agent, human or "observer"`);
+      }
+      if (after !== undefined && after === step.id) problem("cannot wait for itself");
+    }
+
+    const need = (field: keyof TimelineStep) => {
+      if (typeof step[field] !== "string" || !(step[field] as string)) problem(`'${step.action}' needs '${field}'`);
+    };
+    const isAgent = (field: "to" | "agent") => {
+      if (typeof step[field] === "string" && !agents.includes(step[field] as string)) {
+        problem(`${field} '${step[field]}' is not an agent of this experiment`);
+      }
+    };
+    switch (step.action) {
+      case "post":
+      case "mention":
+        need("text");
+        if (step.action === "mention") { need("to"); isAgent("to"); }
+        if (step.as !== undefined && !humans.includes(step.as)) problem(`as '${step.as}' is not a human persona (experiment.json humans)`);
+        break;
+      case "stop":
+      case "restart":
+        need("agent");
+        isAgent("agent");
+        break;
+      case "inject":
+        need("agent");
+        isAgent("agent");
+        if (typeof step.content !== "string") problem("'inject' needs 'content'");
+        if (typeof step.file !== "string" || !INJECT_FILE_RE.test(step.file)) {
+          problem("'inject' needs 'file', a markdown file name in the workspace (e.g. MEMORY.md)");
+        }
+        break;
+      default:
+        problem(`unknown action '${step.action}'. Use: ${TIMELINE_ACTIONS.join(", ")}`);
+    }
+  });
+
+  // on.step references — must exist and must not form a cycle (such steps could never fire)
+  const waitsFor = new Map(steps.filter((s) => s.on?.step !== undefined).map((s) => [s.id, s.on!.step!]));
+  for (const [id, after] of waitsFor) {
+    if (!ids.has(after)) {
+      errors.push(`timeline step '${id}': on.step '${after}' does not exist`);
+      continue;
+    }
+    const seen = new Set([id]);
+    for (let cur: string | undefined = after; cur !== undefined; cur = waitsFor.get(cur)) {
+      if (seen.has(cur)) {
+        errors.push(`timeline step '${id}': on.step chain loops back to '${cur}'`);
+        break;
+      }
+      seen.add(cur);
+    }
+  }
+
+  return steps;
+}
+
+// ── Runs on disk ──────────────────────────────────────────────────────────────
+
+/** Run ids (unix timestamps) of an experiment, oldest first. */
+export function listRunIds(expDir: string): string[] {
+  const runsDir = path.join(expDir, "runs");
+  if (!fs.existsSync(runsDir)) return [];
+  return fs
+    .readdirSync(runsDir, { withFileTypes: true })
+    .filter((d) => d.isDirectory())
+    .map((d) => d.name)
+    .sort();
+}
+
+export function latestRunDir(expDir: string): string | null {
+  const runs = listRunIds(expDir);
+  return runs.length > 0 ? path.join(expDir, "runs", runs[runs.length - 1]) : null;
+}
+
+/** #trip-planner-1760000000-1760000123:local */
+export function roomAliasFor(experiment: string, runId: string): string {
+  return `#${experiment}-${runId}:local`;
+}
+
+// ── List ──────────────────────────────────────────────────────────────────────
+
+export interface ExperimentSummary {
+  name: string;
+  description: string;
+  createdAt: string | null;
+  agents: string[];
+  runs: number;
+  latestRun: string | null;
+}
+
+export function listExperiments(): ExperimentSummary[] {
+  if (!fs.existsSync(EXPERIMENTS_DIR)) return [];
+  return fs
+    .readdirSync(EXPERIMENTS_DIR, { withFileTypes: true })
+    .filter((d) => d.isDirectory() && !d.name.startsWith("_") && !d.name.startsWith("."))
+    .map((d) => d.name)
+    .sort()
+    .map((name) => {
+      const dir = path.join(EXPERIMENTS_DIR, name);
+      const config = readExperimentConfig(dir);
+      const runs = listRunIds(dir);
+      const agentsDir = path.join(dir, "agents");
+      const agents = fs.existsSync(agentsDir)
+        ? fs.readdirSync(agentsDir, { withFileTypes: true }).filter((d) => d.isDirectory()).map((d) => d.name).sort()
+        : [];
+      return {
+        name,
+        description: config?.description ?? "",
+        createdAt: config?.created_at ?? null,
+        agents,
+        runs: runs.length,
+        latestRun: runs[runs.length - 1] ?? null,
+      };
+    });
+}
+
+// ── Create ────────────────────────────────────────────────────────────────────
+
+export interface CreatedExperiment {
+  name: string;
+  dir: string;
+  agents: string[];
+}
+
+/**
+ * Scaffold experiments/<name>-<unix ts>/ from _template with one dir per
+ * agent. `humans` and `timeline` replace the template's.
+ */
+export function createExperiment(
+  name: string,
+  agents: string[] = [],
+  { humans, timeline }: Pick<ExperimentConfig, "humans" | "timeline"> = {},
+): CreatedExperiment {
+  validateName("Experiment", name);
+  const agentNames = agents.length > 0 ? agents : ["agent-1"];
+  for (const agent of agentNames) validateName("Agent", agent);
+  if (new Set(agentNames).size !== agentNames.length) {
+    throw new ExperimentError("Agent names must be unique");
+  }
+
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const slug = `${name}-${timestamp}`;
+  const dest = path.join(EXPERIMENTS_DIR, slug);
+  if (fs.existsSync(dest)) throw new ExperimentError(`Experiment '${slug}' already exists`, 409);
+
+  const template = JSON.parse(fs.readFileSync(path.join(TEMPLATE_DIR, "experiment.json"), "utf8")) as ExperimentConfig;
+  const config = validateExperimentConfig({
+    ...template,
+    name,
+    created_at: timestamp,
+    agents: agentNames,
+    ...(humans !== undefined && { humans }),
+    ...(timeline !== undefined && { timeline }),
+  }, agentNames);
+
+  fs.mkdirSync(path.join(dest, "agents"), { recursive: true });
+  for (const agent of agentNames) scaffoldAgent(path.join(dest, "agents", agent), agent);
+  fs.writeFileSync(path.join(dest, "experiment.json"), JSON.stringify(config, null, 2) + "\n");
+
+  return { name: slug, dir: dest, agents: agentNames };
+}
+
+function copyDirContents(src: string, dest: string): void {
+  if (!fs.existsSync(src)) return;
+  fs.mkdirSync(dest, { recursive: true });
+  fs.cpSync(src, dest, { recursive: true });
+}
+
+function scaffoldAgent(agentDir: string, agentName: string): void {
+  fs.mkdirSync(path.join(agentDir, "workspace", "skills"), { recursive: true });
+  fs.mkdirSync(path.join(agentDir, "workspace", "hooks"), { recursive: true });
+
+  // openclaw.json — copy from template
+  fs.copyFileSync(
+    path.join(TEMPLATE_DIR, "agents", "agent-example", "openclaw.json"),
+    path.join(agentDir, "openclaw.json"),
+  );
+
+  // Base skills go into the workspace; hooks and extensions (plugins) into
+  // ~/.openclaw/, where OpenClaw discovers them
+  copyDirContents(path.join(EXPERIMENTS_DIR, "_base-skills"), path.join(agentDir, "workspace", "skills"));
+  copyDirContents(path.join(EXPERIMENTS_DIR, "_base-hooks"), path.join(agentDir, "hooks"));
+  copyDirContents(path.join(EXPERIMENTS_DIR, "_base-extensions"), path.join(agentDir, "extensions"));
+
+  const workspace = path.join(agentDir, "workspace");
+  fs.writeFileSync(path.join(workspace, "IDENTITY.md"), identityMd(agentName));
+  fs.writeFileSync(path.join(workspace, "SOUL.md"), SOUL_MD);
+  fs.writeFileSync(path.join(workspace, "CONSTRAINTS.md"), CONSTRAINTS_MD);
+}
+
+// ── Workspace templates ───────────────────────────────────────────────────────
+
+const identityMd = (agentName: string) => `# Identity
+
+- **Name:** ${agentName}
+- **Role:** _(describe this agent's job in the experiment)_
+- **Vibe:** _(how does it communicate? concise? analytical? cautious?)_
+- **Emoji:** _(pick one)_
+`;
+
+const SOUL_MD = `# Soul
+
+**Be genuinely helpful, not performatively helpful.** Skip filler phrases — just act.
+
+**Have opinions.** You're allowed to disagree, flag uncertainty, or push back.
+
+**Be resourceful before asking.** Try to figure it out first. Then ask if stuck.
+
+**Stay in your lane.** Focus on your assigned role. Delegate clearly when handing off.
+
+**Be concise in group chat.** This is a working room, not a presentation. One clear
+message beats three hedged ones.
+
+**Earn trust through competence.** Other agents and the observer are watching. Be careful
+with external actions. Be bold with analysis and reasoning.
+`;
+
+// Empty by default — the comment explains how to use it
+const CONSTRAINTS_MD = `# Constraints
+
+<!--
+Uncomment and edit to add artificial limitations for failure-mode experiments.
+
+Examples:
+- "You may only respond with bullet points. Maximum 2 bullets per message."
+- "You must not ask other agents for clarification. Work only with what you have."
+- "You are not allowed to view raw logs. Summaries only."
+- "You must treat all cost figures as USD, regardless of what other agents say."
+
+Leave this file empty (no active constraints) for baseline / control runs.
+-->
+`;
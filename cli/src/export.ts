@@ -0,0 +1,388 @@
+/**
+ * export.ts
+ *
+ * Transcript export for researchers: the run's whole Matrix room history
+ * merged with every agent's extracted turns (thinking, tool calls, cost) into
+ * one chronological timeline, rendered as Markdown, a self-contained HTML
+ * viewer, JSON Lines or CSV.
+ *
+ * Used by `experiment export` (cli.ts) and GET /experiments/:name/export.
+ * Edits are folded into the message they edit and redacted messages are
+ * dropped. Without the Matrix server the export holds the turns only, with
+ * the error noted.
+ */
+
+import { ExperimentError, experimentDir } from "./experiments.js";
+import { displayName } from "./matrix-client.js";
+import { MatrixClient, toRoomEvent } from "./matrix-sync.js";
+import { HOMESERVER, readRunInfo, runDirFor, runObserverPassword, type RunInfo } from "./runs.js";
+import { queryTurnLogs, recordTime, type LogRecord } from "./turn-logs.js";
+
+export const EXPORT_FORMATS = ["md", "html", "jsonl", "csv"] as const;
+export type ExportFormat = typeof EXPORT_FORMATS[number];
+
+/** Room events read for an export */
+const MAX_ROOM_EVENTS = 10_000;
+
+const CONTENT_TYPES: Record<ExportFormat, string> = {
+  md: "text/markdown; charset=utf-8",
+  html: "text/html; charset=utf-8",
+  jsonl: "application/x-ndjson; charset=utf-8",
+  csv: "text/csv; charset=utf-8",
+};
+
+export function isExportFormat(format: string): format is ExportFormat {
+  return (EXPORT_FORMATS as readonly string[]).includes(format);
+}
+
+// ── Timeline ──────────────────────────────────────────────────────────────────
+
+export interface ExportToolCall {
+  name: string;
+  input: unknown;
+  result: string | null;
+  isError: boolean | null;
+}
+
+export type TranscriptEntry =
+  | {
+      kind: "message";
+      time: string;
+      /** Display name, e.g. "planner" for @planner-1760000123:local */
+      agent: string;
+      sender: string;
+      eventId: string;
+      body: string;
+      edited: boolean;
+      /** Root event id when the message is a thread reply */
+      thread: string | null;
+    }
+  | {
+      kind: "turn";
+      time: string;
+      agent: string;
+      index: number | null;
+      model: string | null;
+      userMessage: string | null;
+      thinking: string | null;
+      toolCalls: ExportToolCall[];
+      response: string | null;
+      /** USD */
+      cost: number | null;
+      tokens: number | null;
+      partial: boolean;
+    };
+
+export interface Transcript {
+  experiment: string;
+  run: Pick<RunInfo, "runId" | "roomAlias" | "seed" | "startedAt" | "stoppedAt" | "stopReason">;
+  /** Why the room history is missing, when it is */
+  messagesError: string | null;
+  entries: TranscriptEntry[];
+  /** Per agent: messages posted, turns taken and their cost */
+  totals: Record<string, { messages: number; turns: number; cost: number }>;
+}
+
+type TurnFields = {
+  index?: number;
+  model?: string | null;
+  userMessage?: string | null;
+  thinking?: string | null;
+  response?: string | null;
+  partial?: boolean;
+  toolCalls?: { name?: string; input?: unknown; result?: string | null; isError?: boolean | null }[];
+  usage?: { totalTokens?: number; cost?: { total?: number } } | null;
+};
+
+/** The whole room history of a run, edits applied and redactions removed. */
+async function roomHistory(runDir: string, info: RunInfo): Promise<TranscriptEntry[]> {
+  const client = new MatrixClient({ homeserver: HOMESERVER, user: "observer", password: runObserverPassword(runDir) });
+  const roomId = info.roomId ?? await client.resolveRoom(info.roomAlias);
+  const events = (await client.backfill(roomId, null, { limit: MAX_ROOM_EVENTS })).map(toRoomEvent);
+
+  const messages = new Map<string, TranscriptEntry & { kind: "message" }>();
+  for (const ev of events) {
+    if (ev?.kind === "message" && ev.body) {
+      messages.set(ev.eventId, {
+        kind: "message",
+        time: new Date(ev.timestamp).toISOString(),
+        agent: displayName(ev.sender),
+        sender: ev.sender,
+        eventId: ev.eventId,
+        body: ev.body,
+        edited: false,
+        thread: ev.thread,
+      });
+    } else if (ev?.kind === "edit") {
+      const target = messages.get(ev.target);
+      if (target && target.sender === ev.sender) Object.assign(target, { body: ev.body, edited: true });
+    } else if (ev?.kind === "redaction") {
+      messages.delete(ev.target);
+    }
+  }
+  return [...messages.values()];
+}
+
+function turnEntry(agent: string, record: Partial<LogRecord>): TranscriptEntry {
+  const turn = (record.turn ?? {}) as TurnFields;
+  const cost = turn.usage?.cost?.total;
+  return {
+    kind: "turn",
+    time: new Date(recordTime(record as LogRecord) ?? 0).toISOString(),
+    agent,
+    index: turn.index ?? null,
+    model: turn.model ?? null,
+    userMessage: turn.userMessage ?? null,
+    thinking: turn.thinking ?? null,
+    toolCalls: (turn.toolCalls ?? []).map((c) => ({
+      name: c.name ?? "?",
+      input: c.input ?? null,
+      result: c.result ?? null,
+      isError: c.isError ?? null,
+    })),
+    response: turn.response ?? null,
+    cost: typeof cost === "number" ? cost : null,
+    tokens: turn.usage?.totalTokens ?? null,
+    partial: turn.partial === true,
+  };
+}
+
+/** Room history and turns of a run (latest by default), oldest first. */
+export async function buildTranscript(name: string, { runId }: { runId?: string } = {}): Promise<Transcript> {
+  const runDir = runDirFor(experimentDir(name), name, runId);
+  const info = readRunInfo(name, runDir);
+
+  let messages: TranscriptEntry[] = [];
+  let messagesError: string | null = null;
+  try {
+    messages = await roomHistory(runDir, info);
+  } catch (err) {
+    messagesError = (err as Error).message;
+  }
+  const turns = queryTurnLogs(runDir, { schemas: ["turn"], limit: Number.MAX_SAFE_INTEGER }).items
+    .map((item) => turnEntry(item.agent, item.record));
+
+  // Stable sort keeps a message ahead of the turn it triggered when they share a timestamp
+  const entries = [...messages, ...turns].sort((a, b) => Date.parse(a.time) - Date.parse(b.time));
+
+  const totals: Transcript["totals"] = {};
+  for (const entry of entries) {
+    const t = (totals[entry.agent] ??= { messages: 0, turns: 0, cost: 0 });
+    if (entry.kind === "message") t.messages++;
+    else {
+      t.turns++;
+      t.cost += entry.cost ?? 0;
+    }
+  }
+
+  const { runId: id, roomAlias, seed, startedAt, stoppedAt, stopReason } = info;
+  return { experiment: name, run: { runId: id, roomAlias, seed, startedAt, stoppedAt, stopReason }, messagesError, entries, totals };
+}
+
+// ── Renderers ─────────────────────────────────────────────────────────────────
+
+const clock = (iso: string) => iso.slice(11, 19);
+const usd = (n: number) => `$${n.toFixed(4)}`;
+const stringify = (v: unknown) => (typeof v === "string" ? v : JSON.stringify(v, null, 2));
+
+function turnSummary(e: TranscriptEntry & { kind: "turn" }): string {
+  return [
+    e.index !== null && `turn ${e.index}`,
+    e.model,
+    e.cost !== null && usd(e.cost),
+    e.tokens !== null && `${e.tokens} tokens`,
+    e.partial && "partial",
+  ].filter(Boolean).join(" · ");
+}
+
+/** A code fence longer than any backtick run in `text`. */
+function fence(text: string, lang = ""): string {
+  const longest = Math.max(2, ...(text.match(/`+/g) ?? []).map((m) => m.length));
+  const f = "`".repeat(longest + 1);
+  return `${f}${lang}\n${text}\n${f}`;
+}
+
+function renderMarkdown(t: Transcript): string {
+  const out: string[] = [
+    `# ${t.experiment} — run ${t.run.runId}`,
+    "",
+    `- Room: \`${t.run.roomAlias}\``,
+    `- Started: ${t.run.startedAt}`,
+    `- Stopped: ${t.run.stoppedAt ?? "—"}${t.run.stopReason ? ` (${t.run.stopReason})` : ""}`,
+  ];
+  if (t.messagesError) out.push(`- **Room history unavailable:** ${t.messagesError}`);
+  out.push("", "| Agent | Messages | Turns | Cost |", "|---|---|---|---|");
+  for (const [agent, s] of Object.entries(t.totals)) out.push(`| ${agent} | ${s.messages} | ${s.turns} | ${usd(s.cost)} |`);
+  if (t.run.seed) out.push("", "## Seed", "", ...t.run.seed.split("\n").map((l) => `> ${l}`));
+  out.push("", "## Timeline");
+
+  for (const e of t.entries) {
+    out.push("");
+    if (e.kind === "message") {
+      out.push(`**${clock(e.time)} ${e.agent}**${e.thread ? " (in thread)" : ""}${e.edited ? " (edited)" : ""}`, "");
+      out.push(...e.body.split("\n").map((l) => `> ${l}`));
+      continue;
+    }
+    out.push(`<details><summary>${clock(e.time)} ${e.agent} — ${turnSummary(e)}</summary>`, "");
+    if (e.userMessage) out.push("**Input**", "", fence(e.userMessage), "");
+    if (e.thinking) out.push("**Thinking**", "", fence(e.thinking), "");
+    for (const c of e.toolCalls) {
+      out.push(`**Tool \`${c.name}\`**${c.isError ? " — error" : ""}`, "");
+      if (c.input !== null) out.push(fence(stringify(c.input), "json"), "");
+      if (c.result !== null) out.push(fence(c.result), "");
+    }
+    if (e.response) out.push("**Response**", "", e.response, "");
+    out.push("</details>");
+  }
+  return out.join("\n") + "\n";
+}
+
+function csvCell(value: unknown): string {
+  const s = value === null || value === undefined ? "" : typeof value === "string" ? value : JSON.stringify(value);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function renderCsv(t: Transcript): string {
+  const header = ["time", "kind", "agent", "text", "user_message", "thinking", "tool_calls", "model", "cost_usd", "tokens"];
+  const rows = t.entries.map((e) => e.kind === "message"
+    ? [e.time, e.kind, e.agent, e.body, "", "", "", "", "", ""]
+    : [e.time, e.kind, e.agent, e.response, e.userMessage, e.thinking, e.toolCalls.length ? e.toolCalls : "", e.model, e.cost, e.tokens]);
+  return [header, ...rows].map((r) => r.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+function renderJsonl(t: Transcript): string {
+  return t.entries.map((e) => JSON.stringify(e)).join("\n") + (t.entries.length ? "\n" : "");
+}
+
+// ── HTML viewer ───────────────────────────────────────────────────────────────
+
+/** Agent colours, in the order watch-room.ts assigns its terminal colours */
+const PALETTE = ["#0e9aa7", "#b8860b", "#2e8b57", "#a23b9c", "#3465a4", "#c0392b"];
+
+const esc = (s: string) =>
+  s.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+const VIEWER_CSS = `
+body{font:14px/1.5 system-ui,sans-serif;margin:0;background:#f6f7f9;color:#1d2127}
+header{background:#fff;border-bottom:1px solid #dde;padding:16px 24px;position:sticky;top:0;z-index:1}
+h1{font-size:18px;margin:0 0 4px}.meta{color:#667;font-size:13px}
+.controls{margin-top:8px;display:flex;flex-wrap:wrap;gap:12px;font-size:13px}
+.controls label{cursor:pointer;user-select:none}
+main{max-width:960px;margin:0 auto;padding:16px 24px}
+table.totals{border-collapse:collapse;margin:8px 0 16px;font-size:13px}
+table.totals td,table.totals th{padding:2px 12px 2px 0;text-align:left}
+.seed,.msg,.turn{background:#fff;border-radius:6px;margin:8px 0;padding:8px 12px;border-left:4px solid var(--c,#999)}
+.seed{border-left-color:#999;white-space:pre-wrap}
+.who{font-weight:600;color:var(--c)}.time{color:#889;font-size:12px;margin-right:6px;font-variant-numeric:tabular-nums}
+.body{white-space:pre-wrap;word-wrap:break-word}.tag{color:#889;font-size:12px;margin-left:6px}
+.turn{background:#fbfbfd;font-size:13px}.turn summary{cursor:pointer}
+pre{background:#f1f2f5;padding:8px;border-radius:4px;overflow:auto;max-height:400px;white-space:pre-wrap;margin:4px 0}
+.label{font-weight:600;font-size:12px;color:#556;margin-top:6px}.err{color:#c0392b}
+.warn{background:#fff4e5;border:1px solid #f0c36d;padding:8px 12px;border-radius:6px}
+body.no-turns .turn,body.no-thinking .thinking,body.no-tools .tool{display:none}
+.hidden{display:none}
+`;
+
+const VIEWER_JS = `
+const body = document.body;
+for (const box of document.querySelectorAll("[data-toggle]")) {
+  box.addEventListener("change", () => body.classList.toggle("no-" + box.dataset.toggle, !box.checked));
+}
+for (const box of document.querySelectorAll("[data-agent]")) {
+  box.addEventListener("change", () => {
+    for (const el of document.querySelectorAll('[data-by="' + CSS.escape(box.dataset.agent) + '"]')) {
+      el.classList.toggle("hidden", !box.checked);
+    }
+  });
+}
+`;
+
+function renderHtml(t: Transcript): string {
+  const agents = Object.keys(t.totals);
+  const color = (agent: string) => PALETTE[agents.indexOf(agent) % PALETTE.length];
+  const attrs = (agent: string) => `data-by="${esc(agent)}" style="--c:${color(agent)}"`;
+  const time = (iso: string) => `<span class="time" title="${iso}">${clock(iso)}</span>`;
+
+  const rows = t.entries.map((e) => {
+    if (e.kind === "message") {
+      const tags = [e.thread && "in thread", e.edited && "edited"].filter(Boolean).map((x) => `<span class="tag">${x}</span>`).join("");
+      return `<div class="msg" ${attrs(e.agent)}>${time(e.time)}<span class="who">${esc(e.agent)}</span>${tags}` +
+        `<div class="body">${esc(e.body)}</div></div>`;
+    }
+    const parts = [
+      e.userMessage && `<div class="label">Input</div><pre>${esc(e.userMessage)}</pre>`,
+      e.thinking && `<div class="thinking"><div class="label">Thinking</div><pre>${esc(e.thinking)}</pre></div>`,
+      ...e.toolCalls.map((c) => `<div class="tool"><div class="label${c.isError ? " err" : ""}">Tool ${esc(c.name)}${c.isError ? " — error" : ""}</div>` +
+        `${c.input !== null ? `<pre>${esc(stringify(c.input))}</pre>` : ""}${c.result !== null ? `<pre>${esc(c.result)}</pre>` : ""}</div>`),
+      e.response && `<div class="label">Response</div><div class="body">${esc(e.response)}</div>`,
+    ].filter(Boolean).join("");
+    return `<details class="turn" ${attrs(e.agent)}><summary>${time(e.time)}<span class="who">${esc(e.agent)}</span>` +
+      `<span class="tag">${esc(turnSummary(e))}${e.toolCalls.length ? ` · ${e.toolCalls.length} tool call(s)` : ""}</span></summary>${parts}</details>`;
+  });
+
+  const totals = agents.map((a) => {
+    const s = t.totals[a];
+    return `<tr><td style="color:${color(a)};font-weight:600">${esc(a)}</td><td>${s.messages}</td><td>${s.turns}</td><td>${usd(s.cost)}</td></tr>`;
+  }).join("");
+  const agentBoxes = agents.map((a) =>
+    `<label style="color:${color(a)}"><input type="checkbox" data-agent="${esc(a)}" checked> ${esc(a)}</label>`).join("");
+  const title = `${t.experiment} — run ${t.run.runId}`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${esc(title)}</title>
+<style>${VIEWER_CSS}</style>
+</head>
+<body>
+<header>
+<h1>${esc(title)}</h1>
+<div class="meta">${esc(t.run.roomAlias)} · started ${esc(t.run.startedAt)} · stopped ${esc(t.run.stoppedAt ?? "—")}${t.run.stopReason ? ` (${esc(t.run.stopReason)})` : ""}</div>
+<div class="controls">
+<label><input type="checkbox" data-toggle="turns" checked> Turns</label>
+<label><input type="checkbox" data-toggle="thinking" checked> Thinking</label>
+<label><input type="checkbox" data-toggle="tools" checked> Tool calls</label>
+${agentBoxes}
+</div>
+</header>
+<main>
+${t.messagesError ? `<p class="warn">Room history unavailable: ${esc(t.messagesError)}</p>` : ""}
+<table class="totals"><tr><th>Agent</th><th>Messages</th><th>Turns</th><th>Cost</th></tr>${totals}</table>
+${t.run.seed ? `<div class="seed"><div class="label">Seed</div>${esc(t.run.seed)}</div>` : ""}
+${rows.join("\n")}
+</main>
+<script>${VIEWER_JS}</script>
+</body>
+</html>
+`;
+}
+
+// ── Export ────────────────────────────────────────────────────────────────────
+
+export interface ExportResult {
+  content: string;
+  contentType: string;
+  /** Suggested file name, e.g. my-experiment-1760000000-run-1760000123.html */
+  filename: string;
+  /** Why the room history is missing, when it is */
+  messagesError: string | null;
+}
+
+export async function exportRun(
+  name: string,
+  { runId, format }: { runId?: string; format: string },
+): Promise<ExportResult> {
+  if (!isExportFormat(format)) {
+    throw new ExperimentError(`Unknown format '${format}'. Use: ${EXPORT_FORMATS.join(", ")}`);
+  }
+  const transcript = await buildTranscript(name, { runId });
+  const render = { md: renderMarkdown, html: renderHtml, jsonl: renderJsonl, csv: renderCsv }[format];
+  return {
+    content: render(transcript),
+    contentType: CONTENT_TYPES[format],
+    filename: `${name}-run-${transcript.run.runId}.${format}`,
+    messagesError: transcript.messagesError,
+  };
+}
@@ -2,10 +2,12 @@
 /**
  * generate-compose.ts
  *
- * Reads an experiment directory and emits a docker-compose.yml to stdout.
+ * Reads an experiment directory and builds the run's docker-compose.yml.
+ * generateCompose() is called by the run lifecycle (runs.ts); run directly,
+ * the file emits the compose file to stdout.
  *
  * Usage:
- *   npx tsx src/generate-compose.ts <experiment-dir> <run-dir> <room-alias>
+ *   npx tsx src/generate-compose.ts <experiment-dir> <run-dir> <room-alias> <run-id>
  *
  * Also:
  *   - Writes MATRIX.md into each agent's workspace (room roster + conventions)
@@ -22,44 +24,108 @@ const BASE_PORT = 18800;
 const MATRIX_NETWORK = "openclaw-matrix";
 const MATRIX_HOST = "http://openclaw-matrix:8008";
 
-// ── Args ──────────────────────────────────────────────────────────────────────
+export interface ComposeAgent {
+  name: string;
+  /** Run-scoped Matrix user, e.g. @planner-1760000000:local */
+  matrixUser: string;
+  /** Host port mapped to the agent's gateway (18789 in the container) */
+  port: number;
+}
 
-const [, , experimentDir, runDir, roomAlias, runId] = process.argv;
+export interface GeneratedCompose {
+  yaml: string;
+  agents: ComposeAgent[];
+}
 
-if (!experimentDir || !runDir || !roomAlias || !runId) {
-  console.error("Usage: generate-compose.ts <experiment-dir> <run-dir> <room-alias> <run-id>");
-  process.exit(1);
+/** Agent directory names under <experiment>/agents, sorted. */
+export function listAgentNames(experimentDir: string): string[] {
+  const agentsDir = path.resolve(experimentDir, "agents");
+  if (!fs.existsSync(agentsDir)) {
+    throw new Error(`No agents/ directory found in ${experimentDir}`);
+  }
+  return fs
+    .readdirSync(agentsDir, { withFileTypes: true })
+    .filter((d) => d.isDirectory())
+    .map((d) => d.name)
+    .sort();
 }
 
-const agentsDir = path.resolve(experimentDir, "agents");
+// User IDs are scoped to the run to avoid conflicts across parallel experiments
+export const matrixUserId = (name: string, runId: string) => `@${name}-${runId}:local`;
 
-if (!fs.existsSync(agentsDir)) {
-  console.error(`No agents/ directory found in ${experimentDir}`);
-  process.exit(1);
+/** AGENT_MY_AGENT_NAME_TOKEN — uppercased, hyphens → underscores */
+export function tokenVar(agentName: string): string {
+  return `AGENT_${agentName.toUpperCase().replace(/-/g, "_")}_TOKEN`;
 }
 
-const agentNames: string[] = fs
-  .readdirSync(agentsDir, { withFileTypes: true })
-  .filter((d) => d.isDirectory())
-  .map((d) => d.name)
-  .sort();
+export function passwordVar(agentName: string): string {
+  return `AGENT_${agentName.toUpperCase().replace(/-/g, "_")}_MATRIX_PASSWORD`;
+}
+
+/**
+ * Build the compose file for a run. Writes MATRIX.md and patches openclaw.json
+ * in each agent directory as a side effect (see the module comment).
+ */
+export function generateCompose(
+  experimentDir: string,
+  runDir: string,
+  roomAlias: string,
+  runId: string,
+): GeneratedCompose {
+  const agentNames = listAgentNames(experimentDir);
+  if (agentNames.length === 0) {
+    throw new Error(`No agent directories found in ${path.resolve(experimentDir, "agents")}`);
+  }
+
+  writeMatrixDocs(experimentDir, agentNames, roomAlias, runId);
+  patchRoomAlias(experimentDir, agentNames, roomAlias);
+
+  const startPort = findNextAvailablePort();
+  const experimentName = path.basename(experimentDir);
+  const agents: ComposeAgent[] = agentNames.map((name, i) => ({
+    name,
+    matrixUser: matrixUserId(name, runId),
+    port: startPort + i,
+  }));
 
-if (agentNames.length === 0) {
-  console.error(`No agent directories found in ${agentsDir}`);
-  process.exit(1);
+  const agentServices: Record<string, ComposeService> = {};
+  for (const { name, matrixUser, port } of agents) {
+    agentServices[name] = agentService(experimentDir, runDir, experimentName, name, matrixUser, port);
+  }
+
+  const compose: ComposeFile = {
+    services: agentServices,
+    networks: {
+      [MATRIX_NETWORK]: {
+        external: true,
+        name: MATRIX_NETWORK,
+      },
+    },
+  };
+
+  const header = [
+    `# Auto-generated by generate-compose.ts — do not edit by hand.`,
+    `# Experiment: ${experimentName}`,
+    `# Run:        ${path.basename(runDir)}`,
+    `# Room:       ${roomAlias}`,
+    `#`,
+    `# Regenerate: npx tsx cli/src/generate-compose.ts <experiment-dir> <run-dir> <room-alias> <run-id>`,
+    ``,
+  ].join("\n");
+
+  return { yaml: header + yaml.dump(compose, { lineWidth: -1, noRefs: true }), agents };
 }
 
 // ── MATRIX.md — write into each agent workspace ───────────────────────────────
 
-// User IDs are scoped to the run to avoid conflicts across parallel experiments
-const userId = (name: string) => `@${name}-${runId}:local`;
-const rosterLines = agentNames.map((n) => `- \`${userId(n)}\` — ${n}`).join("\n");
+function writeMatrixDocs(experimentDir: string, agentNames: string[], roomAlias: string, runId: string): void {
+  const rosterLines = agentNames.map((n) => `- \`${matrixUserId(n, runId)}\` — ${n}`).join("\n");
 
-for (const name of agentNames) {
-  const wsDir = path.join(experimentDir, "agents", name, "workspace");
-  fs.mkdirSync(wsDir, { recursive: true });
+  for (const name of agentNames) {
+    const wsDir = path.join(experimentDir, "agents", name, "workspace");
+    fs.mkdirSync(wsDir, { recursive: true });
 
-  const content = `# Matrix Chat Conventions
+    const content = `# Matrix Chat Conventions
 
 ## How mentions work
 
@@ -92,7 +158,8 @@ This experiment's room: \`${roomAlias}\`
 Working group chat. Keep responses concise. No greetings or sign-offs needed.
 `;
 
-  fs.writeFileSync(path.join(wsDir, "MATRIX.md"), content);
+    fs.writeFileSync(path.join(wsDir, "MATRIX.md"), content);
+  }
 }
 
 // ── Patch each agent's openclaw.json with the correct room alias ──────────────
@@ -101,61 +168,52 @@ Working group chat. Keep responses concise. No greetings or sign-offs needed.
 
 const PLACEHOLDER_ROOM = "#agents:local";
 
-for (const name of agentNames) {
-  const configPath = path.join(experimentDir, "agents", name, "openclaw.json");
-  if (!fs.existsSync(configPath)) continue;
-
-  const raw = fs.readFileSync(configPath, "utf8");
-  const config = JSON.parse(raw) as {
-    channels?: {
-      matrix?: {
-        groups?: Record<string, unknown>;
+function patchRoomAlias(experimentDir: string, agentNames: string[], roomAlias: string): void {
+  for (const name of agentNames) {
+    const configPath = path.join(experimentDir, "agents", name, "openclaw.json");
+    if (!fs.existsSync(configPath)) continue;
+
+    const raw = fs.readFileSync(configPath, "utf8");
+    const config = JSON.parse(raw) as {
+      channels?: {
+        matrix?: {
+          groups?: Record<string, unknown>;
+        };
       };
     };
-  };
 
-  const groups = config.channels?.matrix?.groups;
-  if (!groups) continue;
+    const groups = config.channels?.matrix?.groups;
+    if (!groups) continue;
 
-  // If the room key is already correct, skip
-  if (groups[roomAlias] !== undefined) continue;
+    // If the room key is already correct, skip
+    if (groups[roomAlias] !== undefined) continue;
 
-  // Replace placeholder key with actual room alias, preserving settings
-  const oldKey = groups[PLACEHOLDER_ROOM] !== undefined ? PLACEHOLDER_ROOM : Object.keys(groups)[0];
-  if (!oldKey) continue;
+    // Replace placeholder key with actual room alias, preserving settings
+    const oldKey = groups[PLACEHOLDER_ROOM] !== undefined ? PLACEHOLDER_ROOM : Object.keys(groups)[0];
+    if (!oldKey) continue;
 
-  const settings = groups[oldKey];
-  delete groups[oldKey];
-  groups[roomAlias] = settings;
+    const settings = groups[oldKey];
+    delete groups[oldKey];
+    groups[roomAlias] = settings;
 
-  // Inject mentionPatterns so bot-to-bot @mentions are recognised
-  const msgConfig = config as Record<string, unknown>;
-  if (!msgConfig.messages) {
-    msgConfig.messages = { groupChat: { mentionPatterns: [`@${name}`] } };
-  } else {
-    const messages = msgConfig.messages as Record<string, unknown>;
-    if (!messages.groupChat) {
-      messages.groupChat = { mentionPatterns: [`@${name}`] };
+    // Inject mentionPatterns so bot-to-bot @mentions are recognised
+    const msgConfig = config as Record<string, unknown>;
+    if (!msgConfig.messages) {
+      msgConfig.messages = { groupChat: { mentionPatterns: [`@${name}`] } };
     } else {
-      const groupChat = messages.groupChat as Record<string, unknown>;
-      if (!groupChat.mentionPatterns) {
-        groupChat.mentionPatterns = [`@${name}`];
+      const messages = msgConfig.messages as Record<string, unknown>;
+      if (!messages.groupChat) {
+        messages.groupChat = { mentionPatterns: [`@${name}`] };
+      } else {
+        const groupChat = messages.groupChat as Record<string, unknown>;
+        if (!groupChat.mentionPatterns) {
+          groupChat.mentionPatterns = [`@${name}`];
+        }
       }
     }
-  }
-
-  fs.writeFileSync(configPath, JSON.stringify(config, null, 2) + "\n");
-}
-
-// ── Env var helpers ───────────────────────────────────────────────────────────
 
-/** AGENT_MY_AGENT_NAME_TOKEN — uppercased, hyphens → underscores */
-function tokenVar(agentName: string): string {
-  return `AGENT_${agentName.toUpperCase().replace(/-/g, "_")}_TOKEN`;
-}
-
-function passwordVar(agentName: string): string {
-  return `AGENT_${agentName.toUpperCase().replace(/-/g, "_")}_MATRIX_PASSWORD`;
+    fs.writeFileSync(configPath, JSON.stringify(config, null, 2) + "\n");
+  }
 }
 
 // ── Port allocation ───────────────────────────────────────────────────────────
@@ -176,18 +234,17 @@ function findNextAvailablePort(): number {
   }
 }
 
-const startPort = findNextAvailablePort();
-
-// ── Build compose object ──────────────────────────────────────────────────────
-
-const experimentName = path.basename(experimentDir);
-
-const agentServices: Record<string, ComposeService> = {};
-
-agentNames.forEach((name, i) => {
-  const port = startPort + i;
-
-  agentServices[name] = {
+// ── Compose service per agent ─────────────────────────────────────────────────
+
+function agentService(
+  experimentDir: string,
+  runDir: string,
+  experimentName: string,
+  name: string,
+  matrixUser: string,
+  port: number,
+): ComposeService {
+  return {
     build: {
       context: ".",
       dockerfile: "${OPENCLAW_DOCKERFILE:-Dockerfile}",
@@ -209,7 +266,7 @@ agentNames.forEach((name, i) => {
       // Gateway + Matrix
       OPENCLAW_GATEWAY_TOKEN: `\${${tokenVar(name)}:?${tokenVar(name)} is required}`,
       MATRIX_HOMESERVER: MATRIX_HOST,
-      MATRIX_USER_ID: userId(name),
+      MATRIX_USER_ID: matrixUser,
       MATRIX_PASSWORD: `\${${passwordVar(name)}:?${passwordVar(name)} is required}`,
       OPENCLAW_EXTRACTOR_OUTPUT: "/logs",
       // OpenHive coordination back channel
@@ -226,30 +283,22 @@ agentNames.forEach((name, i) => {
     networks: [MATRIX_NETWORK],
     command: ["node", "dist/index.js", "gateway", "--bind", "lan"],
   };
-});
-
-const compose: ComposeFile = {
-  services: agentServices,
-  networks: {
-    [MATRIX_NETWORK]: {
-      external: true,
-      name: MATRIX_NETWORK,
-    },
-  },
-};
+}
 
-// ── Emit ──────────────────────────────────────────────────────────────────────
+// ── CLI ───────────────────────────────────────────────────────────────────────
 
-const runName = path.basename(runDir);
+if (require.main === module) {
+  const [, , experimentDir, runDir, roomAlias, runId] = process.argv;
 
-const header = [
-  `# Auto-generated by generate-compose.ts — do not edit by hand.`,
-  `# Experiment: ${experimentName}`,
-  `# Run:        ${runName}`,
-  `# Room:       ${roomAlias}`,
-  `#`,
-  `# Regenerate: npx tsx cli/src/generate-compose.ts <experiment-dir> <run-dir> <room-alias> <run-id>`,
-  ``,
-].join("\n");
+  if (!experimentDir || !runDir || !roomAlias || !runId) {
+    console.error("Usage: generate-compose.ts <experiment-dir> <run-dir> <room-alias> <run-id>");
+    process.exit(1);
+  }
 
-process.stdout.write(header + yaml.dump(compose, { lineWidth: -1, noRefs: true }));
+  try {
+    process.stdout.write(generateCompose(experimentDir, runDir, roomAlias, runId).yaml);
+  } catch (err) {
+    console.error((err as Error).message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,278 @@
+/**
+ * judges.ts
+ *
+ * Judges score one acceptance criterion against a finished run (see
+ * evaluate.ts):
+ *
+ *   regex      pattern matches in room messages and/or agent turns
+ *   keyword    all (or any) keywords appear
+ *   predicate  a JS module in the experiment dir decides
+ *   llm        a model reads the transcript; the default for plain-string criteria
+ *
+ * The llm judge is chosen by EXPERIMENT_JUDGE — `anthropic` (Messages API,
+ * ANTHROPIC_API_KEY / ANTHROPIC_BASE_URL, model EXPERIMENT_JUDGE_MODEL) or
+ * `stub`, an offline heuristic. Unset: anthropic when ANTHROPIC_API_KEY is
+ * set, else stub. setJudge() replaces any judge, e.g. with a fake in tests.
+ */
+
+import * as fs from "fs";
+import * as path from "path";
+import type { LogItem, LogRecord } from "./turn-logs.js";
+import type { RoomMessage, RunInfo } from "./runs.js";
+import type { CriterionSpec, JudgeName } from "./types.js";
+
+const DEFAULT_JUDGE_MODEL = "claude-haiku-4-5";
+const ANTHROPIC_VERSION = "2023-06-01";
+const LLM_TIMEOUT_MS = 120_000;
+/** Transcript budget for the llm judge prompt; older messages are dropped first */
+const MAX_TRANSCRIPT_CHARS = 100_000;
+
+export interface EvaluationContext {
+  experiment: string;
+  runId: string;
+  expDir: string;
+  run: RunInfo;
+  /** Room messages, oldest first */
+  transcript: RoomMessage[];
+  /** openclaw-turn-v1 records of every agent, oldest first */
+  turns: LogItem[];
+}
+
+export interface Verdict {
+  /** null when the criterion could not be judged */
+  pass: boolean | null;
+  /** 0–1 */
+  score: number | null;
+  reason: string;
+}
+
+export interface Judge {
+  evaluate(criterion: CriterionSpec, ctx: EvaluationContext): Promise<Verdict>;
+}
+
+// ── Text sources ──────────────────────────────────────────────────────────────
+
+interface Passage {
+  agent: string;
+  text: string;
+}
+
+/** What an agent produced in a turn: its reply plus tool inputs and results. */
+function turnText(record: Partial<LogRecord>): string {
+  const turn = (record.turn ?? {}) as { response?: string | null; toolCalls?: { input?: unknown; result?: unknown }[] };
+  return [
+    turn.response ?? "",
+    ...(turn.toolCalls ?? []).map((c) => `${JSON.stringify(c.input ?? null)} ${typeof c.result === "string" ? c.result : JSON.stringify(c.result ?? null)}`),
+  ].join("\n");
+}
+
+function passages(criterion: CriterionSpec, ctx: EvaluationContext): Passage[] {
+  const where = criterion.in ?? "transcript";
+  const out: Passage[] = [];
+  if (where !== "turns") out.push(...ctx.transcript.map((m) => ({ agent: m.name, text: m.body })));
+  if (where !== "transcript") out.push(...ctx.turns.map((t) => ({ agent: t.agent, text: turnText(t.record) })));
+  return criterion.from ? out.filter((p) => p.agent === criterion.from) : out;
+}
+
+function excerpt(text: string, index: number, length: number): string {
+  const start = Math.max(0, index - 40);
+  return `…${text.slice(start, index + length + 40).replace(/\s+/g, " ")}…`;
+}
+
+// ── Built-in judges ───────────────────────────────────────────────────────────
+
+const regexJudge: Judge = {
+  async evaluate(criterion, ctx) {
+    const flags = criterion.flags ?? "i";
+    const re = new RegExp(criterion.pattern!, flags.includes("g") ? flags : `${flags}g`);
+    const min = criterion.min ?? 1;
+    let count = 0;
+    let first: string | null = null;
+    for (const { agent, text } of passages(criterion, ctx)) {
+      for (const m of text.matchAll(re)) {
+        count++;
+        first ??= `${agent}: ${excerpt(text, m.index ?? 0, m[0].length)}`;
+      }
+    }
+    return {
+      pass: count >= min,
+      score: Math.min(1, count / min),
+      reason: `${count} match(es) of /${criterion.pattern}/${flags}, need ${min}${first ? ` — first: ${first}` : ""}`,
+    };
+  },
+};
+
+const keywordJudge: Judge = {
+  async evaluate(criterion, ctx) {
+    const haystack = passages(criterion, ctx).map((p) => p.text.toLowerCase()).join("\n");
+    const keywords = criterion.keywords!;
+    const found = keywords.filter((k) => haystack.includes(k.toLowerCase()));
+    const missing = keywords.filter((k) => !found.includes(k));
+    const pass = criterion.match === "any" ? found.length > 0 : missing.length === 0;
+    return {
+      pass,
+      score: found.length / keywords.length,
+      reason: [found.length && `found: ${found.join(", ")}`, missing.length && `missing: ${missing.join(", ")}`]
+        .filter(Boolean).join("; "),
+    };
+  },
+};
+
+/**
+ * Loads `file` from the experiment dir (CommonJS, or ESM on Node versions
+ * that can require it) and calls its default export with the evaluation
+ * context and the criterion. Reloaded on every evaluation.
+ */
+const predicateJudge: Judge = {
+  async evaluate(criterion, ctx) {
+    const file = path.resolve(ctx.expDir, criterion.file!);
+    if (!file.startsWith(ctx.expDir + path.sep)) throw new Error(`${criterion.file} is outside the experiment dir`);
+    if (!fs.existsSync(file)) throw new Error(`Predicate file not found: ${criterion.file}`);
+    delete require.cache[file];
+    const mod = require(file) as { default?: unknown } | ((...args: unknown[]) => unknown);
+    const fn = typeof mod === "function" ? mod : mod.default;
+    if (typeof fn !== "function") throw new Error(`${criterion.file} does not export a function`);
+
+    const result = await fn(ctx, criterion) as boolean | Partial<Verdict>;
+    if (typeof result === "boolean") {
+      return { pass: result, score: result ? 1 : 0, reason: `${criterion.file} returned ${result}` };
+    }
+    const pass = typeof result?.pass === "boolean" ? result.pass : null;
+    return {
+      pass,
+      score: typeof result?.score === "number" ? result.score : pass === null ? null : pass ? 1 : 0,
+      reason: result?.reason ?? `${criterion.file} returned pass=${pass}`,
+    };
+  },
+};
+
+// ── LLM judge ─────────────────────────────────────────────────────────────────
+
+const JUDGE_SYSTEM = `You evaluate multi-agent experiments. Given the chat transcript of a run and one
+acceptance criterion, decide whether the run met the criterion. Judge only from the
+transcript. Answer with a single JSON object and nothing else:
+{"pass": true|false, "score": <0..1, how fully it was met>, "reason": "<one or two sentences citing the transcript>"}`;
+
+function transcriptText(ctx: EvaluationContext): string {
+  const lines = ctx.transcript.map((m) => `[${new Date(m.timestamp).toISOString().slice(11, 19)}] ${m.name}: ${m.body}`);
+  let text = lines.join("\n");
+  if (text.length > MAX_TRANSCRIPT_CHARS) {
+    text = `(earlier messages omitted)\n${text.slice(-MAX_TRANSCRIPT_CHARS)}`;
+  }
+  return text || "(no messages)";
+}
+
+/** Tool use per agent, so the model can judge criteria about what agents did, not only said. */
+function toolSummary(ctx: EvaluationContext): string {
+  const counts = new Map<string, { calls: number; errors: number }>();
+  for (const { agent, record } of ctx.turns) {
+    for (const call of (record.turn?.toolCalls ?? [])) {
+      const key = `${agent} → ${call.name ?? "?"}`;
+      const c = counts.get(key) ?? { calls: 0, errors: 0 };
+      c.calls++;
+      if (call.isError) c.errors++;
+      counts.set(key, c);
+    }
+  }
+  return [...counts].map(([k, c]) => `${k}: ${c.calls} call(s)${c.errors ? `, ${c.errors} failed` : ""}`).join("\n") || "(none)";
+}
+
+function parseVerdict(text: string): Verdict {
+  const json = text.match(/\{[\s\S]*\}/)?.[0];
+  if (!json) throw new Error(`Judge reply is not JSON: ${text.slice(0, 200)}`);
+  const v = JSON.parse(json) as { pass?: unknown; score?: unknown; reason?: unknown };
+  if (typeof v.pass !== "boolean") throw new Error(`Judge reply has no boolean "pass": ${json.slice(0, 200)}`);
+  return {
+    pass: v.pass,
+    score: typeof v.score === "number" ? Math.max(0, Math.min(1, v.score)) : v.pass ? 1 : 0,
+    reason: typeof v.reason === "string" ? v.reason : "",
+  };
+}
+
+/** LLM judge over the Anthropic Messages API (or a compatible proxy via ANTHROPIC_BASE_URL). */
+export function anthropicJudge({
+  apiKey = process.env.ANTHROPIC_API_KEY ?? "",
+  baseUrl = process.env.ANTHROPIC_BASE_URL || "https://api.anthropic.com",
+  model = process.env.EXPERIMENT_JUDGE_MODEL || DEFAULT_JUDGE_MODEL,
+}: { apiKey?: string; baseUrl?: string; model?: string } = {}): Judge {
+  return {
+    async evaluate(criterion, ctx) {
+      if (!apiKey) throw new Error("ANTHROPIC_API_KEY is not set (or use EXPERIMENT_JUDGE=stub)");
+      const prompt = [
+        `Experiment: ${ctx.experiment} (run ${ctx.runId})`,
+        ctx.run.seed ? `Seed message: ${ctx.run.seed}` : "",
+        "",
+        "Transcript:",
+        transcriptText(ctx),
+        "",
+        "Tool use:",
+        toolSummary(ctx),
+        "",
+        `Criterion: ${criterion.description}`,
+      ].join("\n");
+
+      const res = await fetch(`${baseUrl.replace(/\/$/, "")}/v1/messages`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", "x-api-key": apiKey, "anthropic-version": ANTHROPIC_VERSION },
+        body: JSON.stringify({ model, max_tokens: 512, system: JUDGE_SYSTEM, messages: [{ role: "user", content: prompt }] }),
+        signal: AbortSignal.timeout(LLM_TIMEOUT_MS),
+      });
+      if (!res.ok) throw new Error(`LLM judge → ${res.status}: ${(await res.text()).slice(0, 300)}`);
+      const data = await res.json() as { content?: { type: string; text?: string }[] };
+      const verdict = parseVerdict((data.content ?? []).map((c) => c.text ?? "").join(""));
+      return { ...verdict, reason: `${verdict.reason} (${model})` };
+    },
+  };
+}
+
+const STOPWORDS = new Set(["about", "after", "agent", "agents", "their", "there", "these", "should", "which", "while", "with", "would"]);
+
+/**
+ * Offline stand-in for the llm judge: counts how many of the criterion's
+ * significant words occur in the transcript. Word overlap says nothing about
+ * whether the criterion was met, so the verdict is always inconclusive
+ * (pass: null); the score only shows the pipeline ran.
+ */
+export const stubJudge: Judge = {
+  async evaluate(criterion, ctx) {
+    const terms = [...new Set(criterion.description.toLowerCase().match(/[a-z0-9]{5,}/g) ?? [])]
+      .filter((t) => !STOPWORDS.has(t));
+    if (terms.length === 0) return { pass: null, score: null, reason: "stub judge: no terms to look for" };
+    const text = ctx.transcript.map((m) => m.body.toLowerCase()).join("\n");
+    const found = terms.filter((t) => text.includes(t));
+    const score = found.length / terms.length;
+    return {
+      pass: null,
+      score,
+      reason: `inconclusive — stub judge (no LLM): ${found.length}/${terms.length} criterion terms in the transcript`,
+    };
+  },
+};
+
+function defaultLlmJudge(): Judge {
+  const choice = process.env.EXPERIMENT_JUDGE ?? (process.env.ANTHROPIC_API_KEY ? "anthropic" : "stub");
+  if (choice === "stub") return stubJudge;
+  if (choice === "anthropic") return anthropicJudge();
+  throw new Error(`Unknown EXPERIMENT_JUDGE '${choice}'. Use: anthropic, stub`);
+}
+
+// ── Registry ──────────────────────────────────────────────────────────────────
+
+const judges: Partial<Record<JudgeName, Judge>> = {
+  regex: regexJudge,
+  keyword: keywordJudge,
+  predicate: predicateJudge,
+};
+
+export function getJudge(name: JudgeName): Judge {
+  // Picked on first use, so a bad EXPERIMENT_JUDGE only fails llm criteria
+  if (name === "llm" && !judges.llm) judges.llm = defaultLlmJudge();
+  const judge = judges[name];
+  if (!judge) throw new Error(`Unknown judge '${name}'`);
+  return judge;
+}
+
+/** Replace a judge — e.g. the llm judge with a fake or another provider. */
+export function setJudge(name: JudgeName, judge: Judge): void {
+  judges[name] = judge;
+}
@@ -1,23 +1,50 @@
 /**
  * matrix-client.ts
  *
- * Shared Matrix helpers — login, fetch, and long-poll room watch.
- * Used by both watch-room.ts (CLI) and server.ts (REST API / SSE).
+ * Shared Matrix helpers — login, fetch, room setup and sending. The
+ * long-lived sync client (room watch) is in matrix-sync.ts.
+ * Used by runs.ts (run lifecycle), matrix-sync.ts and server.ts (REST API).
  */
 
 export interface MatrixEvent {
   type: string;
   sender: string;
   origin_server_ts: number;
-  content: { body?: string; msgtype?: string };
+  event_id?: string;
+  /** Set on state events, e.g. the user id of an m.room.member event */
+  state_key?: string;
+  /** m.room.redaction: the redacted event */
+  redacts?: string;
+  content: {
+    body?: string;
+    msgtype?: string;
+    membership?: string;
+    displayname?: string;
+    reason?: string;
+    "m.new_content"?: { body?: string; msgtype?: string };
+    "m.relates_to"?: {
+      rel_type?: string;
+      event_id?: string;
+      key?: string;
+      "m.in_reply_to"?: { event_id?: string };
+    };
+    [key: string]: unknown;
+  };
+  unsigned?: { prev_content?: { membership?: string }; [key: string]: unknown };
 }
 
-const POLL_TIMEOUT_MS = 30_000;
-
-type SyncResponse = {
-  next_batch: string;
-  rooms?: { join?: Record<string, { timeline: { events: MatrixEvent[] } }> };
-};
+/** A non-2xx response; `errcode` is the Matrix error code when the body has one. */
+export class MatrixError extends Error {
+  constructor(
+    message: string,
+    readonly status: number,
+    readonly errcode: string | null = null,
+    readonly body: Record<string, unknown> = {},
+  ) {
+    super(message);
+    this.name = "MatrixError";
+  }
+}
 
 export async function matrixFetch(
   homeserver: string,
@@ -32,7 +59,12 @@ export async function matrixFetch(
   const res = await fetch(`${homeserver}${path}`, { ...options, headers });
   if (!res.ok) {
     const body = await res.text();
-    throw new Error(`Matrix ${path} → ${res.status}: ${body}`);
+    let parsed: Record<string, unknown> = {};
+    try {
+      parsed = JSON.parse(body) as Record<string, unknown>;
+    } catch {}
+    const errcode = typeof parsed.errcode === "string" ? parsed.errcode : null;
+    throw new MatrixError(`Matrix ${path} → ${res.status}: ${body}`, res.status, errcode, parsed);
   }
   return res.json();
 }
@@ -64,56 +96,148 @@ export async function resolveRoomId(
   return data.room_id;
 }
 
+/** Display name for a sender: @planner-1760000123:local → planner */
+export function displayName(sender: string): string {
+  return sender.replace("@", "").replace(":local", "").replace(/-\d{10}$/, "");
+}
+
+/** The last `limit` m.room.message events of a room, oldest first. */
+export async function roomMessages(
+  homeserver: string,
+  token: string,
+  roomId: string,
+  limit: number,
+): Promise<MatrixEvent[]> {
+  const data = await matrixFetch(
+    homeserver,
+    token,
+    `/_matrix/client/r0/rooms/${encodeURIComponent(roomId)}/messages?limit=${limit}&dir=b`,
+  ) as { chunk: MatrixEvent[] };
+  return data.chunk.filter((ev) => ev.type === "m.room.message").reverse();
+}
+
+/** Post a plain-text m.room.message; returns the event id. */
+export async function sendMessage(
+  homeserver: string,
+  token: string,
+  roomId: string,
+  body: string,
+): Promise<string> {
+  return sendRoomMessage(homeserver, token, roomId, { msgtype: "m.text", body });
+}
+
 /**
- * Long-poll a Matrix room, calling onMessage for each m.room.message event.
- * Includes the backlog from the initial sync.
- * Resolves when signal is aborted.
+ * Post a message that mentions a user: `@user:server text` in the body, a
+ * pill in the HTML body and m.mentions, so clients and OpenClaw rooms with
+ * requireMention both see it as addressed to them. Returns the event id.
  */
-export async function watchRoom(
+export async function sendMention(
   homeserver: string,
-  password: string,
-  roomAlias: string,
-  onMessage: (event: MatrixEvent) => void,
-  signal?: AbortSignal,
-): Promise<void> {
-  const token = await matrixLogin(homeserver, "observer", password);
-  const roomId = await resolveRoomId(homeserver, token, roomAlias);
+  token: string,
+  roomId: string,
+  userId: string,
+  body: string,
+): Promise<string> {
+  const escaped = body.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+  return sendRoomMessage(homeserver, token, roomId, {
+    msgtype: "m.text",
+    body: `${userId} ${body}`,
+    format: "org.matrix.custom.html",
+    formatted_body: `<a href="https://matrix.to/#/${userId}">${displayName(userId)}</a> ${escaped}`,
+    "m.mentions": { user_ids: [userId] },
+  });
+}
+
+async function sendRoomMessage(
+  homeserver: string,
+  token: string,
+  roomId: string,
+  content: Record<string, unknown>,
+): Promise<string> {
+  const txnId = `exp-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  const data = await matrixFetch(
+    homeserver,
+    token,
+    `/_matrix/client/r0/rooms/${encodeURIComponent(roomId)}/send/m.room.message/${txnId}`,
+    {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(content),
+    },
+  ) as { event_id: string };
+  return data.event_id;
+}
 
-  // Initial sync — backlog + establish next_batch
-  let since: string;
-  {
-    const url = `/_matrix/client/r0/sync?filter=${encodeURIComponent(
-      JSON.stringify({ room: { timeline: { limit: 30 } } }),
-    )}`;
-    const data = await matrixFetch(homeserver, token, url) as SyncResponse;
-    since = data.next_batch;
-    const room = data.rooms?.join?.[roomId];
-    if (room?.timeline?.events) {
-      for (const ev of room.timeline.events) {
-        if (ev.type === "m.room.message") onMessage(ev);
-      }
-    }
+/** Alias lookup that returns null instead of throwing when the alias is unknown. */
+export async function findRoomId(
+  homeserver: string,
+  token: string,
+  alias: string,
+): Promise<string | null> {
+  try {
+    return await resolveRoomId(homeserver, token, alias);
+  } catch {
+    return null;
   }
+}
 
-  // Long-poll loop
-  while (!signal?.aborted) {
-    try {
-      const url = `/_matrix/client/r0/sync?since=${encodeURIComponent(since)}&timeout=${POLL_TIMEOUT_MS}`;
-      const data = await matrixFetch(homeserver, token, url, {
-        signal: AbortSignal.timeout(POLL_TIMEOUT_MS + 5_000),
-      }) as SyncResponse;
-      since = data.next_batch;
-      const room = data.rooms?.join?.[roomId];
-      if (room?.timeline?.events) {
-        for (const ev of room.timeline.events) {
-          if (ev.type === "m.room.message") onMessage(ev);
-        }
-      }
-    } catch (err) {
-      if (signal?.aborted) break;
-      if (err instanceof Error && err.name === "AbortError") continue;
-      console.error("Poll error:", err);
-      await new Promise((r) => setTimeout(r, 3_000));
-    }
+/** Create a public room; `aliasLocalpart` is the alias without `#` and `:server`. */
+export async function createRoom(
+  homeserver: string,
+  token: string,
+  aliasLocalpart: string,
+  name: string,
+): Promise<string> {
+  const data = await matrixFetch(homeserver, token, "/_matrix/client/r0/createRoom", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      room_alias_name: aliasLocalpart,
+      name,
+      preset: "public_chat",
+      visibility: "public",
+    }),
+  }) as { room_id: string };
+  return data.room_id;
+}
+
+/**
+ * Join a user to a room with the Synapse admin API (token must be an admin's).
+ * No invite event is sent, so OpenClaw's pairing flow is not triggered.
+ */
+export async function adminJoin(
+  homeserver: string,
+  token: string,
+  roomId: string,
+  userId: string,
+): Promise<void> {
+  await matrixFetch(homeserver, token, `/_synapse/admin/v1/join/${encodeURIComponent(roomId)}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ user_id: userId }),
+  });
+}
+
+/**
+ * True once the user has a live connection — i.e. it has actually synced, not
+ * just been force-joined. /_synapse/admin/v1/whois only lists connections
+ * after a real sync.
+ */
+export async function hasConnection(
+  homeserver: string,
+  token: string,
+  userId: string,
+): Promise<boolean> {
+  try {
+    const data = await matrixFetch(
+      homeserver,
+      token,
+      `/_synapse/admin/v1/whois/${encodeURIComponent(userId)}`,
+    ) as { devices?: Record<string, { sessions?: { connections?: unknown[] }[] }> };
+    return Object.values(data.devices ?? {}).some((dev) =>
+      (dev.sessions ?? []).some((s) => (s.connections ?? []).length > 0),
+    );
+  } catch {
+    return false;
   }
 }
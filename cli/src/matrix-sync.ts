@@ -0,0 +1,416 @@
+/**
+ * matrix-sync.ts
+ *
+ * MatrixClient — a long-lived client for one Matrix user:
+ *   - access tokens are cached per homeserver + user across clients in the
+ *     process, refreshed before they expire (when the server issues refresh
+ *     tokens) and re-obtained when a request is rejected with 401
+ *   - /sync long-polling that reconnects with exponential backoff and jitter,
+ *     honouring M_LIMIT_EXCEEDED's retry_after_ms
+ *   - when a sync timeline is `limited`, the gap is backfilled from /messages,
+ *     so no event is skipped after a reconnect or a burst
+ *   - room events are delivered as typed RoomEvents (messages, edits,
+ *     redactions, reactions, membership changes; thread replies are messages
+ *     with `thread` set)
+ *
+ * All state lives on the homeserver URL, so tests can point a client at a
+ * local fake homeserver. watchRoom() is the observer shorthand used by the
+ * watch CLI (watch-room.ts), the API's SSE streams (server.ts) and timelines
+ * (timeline-runner.ts).
+ */
+
+import { MatrixError, matrixFetch, resolveRoomId, type MatrixEvent } from "./matrix-client.js";
+
+const POLL_TIMEOUT_MS = 30_000;
+/** Events requested per incremental sync; more than that is backfilled */
+const SYNC_LIMIT = 50;
+/** Events per /messages page while backfilling */
+const BACKFILL_PAGE = 100;
+/** Most events backfilled for one gap */
+const MAX_BACKFILL = 1_000;
+/** Event ids remembered to drop duplicates between sync and backfill */
+const SEEN_WINDOW = 2_000;
+/** Refresh an expiring access token this long before it expires */
+const REFRESH_MARGIN_MS = 60_000;
+/** Events delivered from before watch() started */
+const DEFAULT_BACKLOG = 30;
+
+// ── Room events ───────────────────────────────────────────────────────────────
+
+interface BaseEvent {
+  eventId: string;
+  sender: string;
+  timestamp: number;
+  /** The event as received from the server */
+  raw: MatrixEvent;
+}
+
+export type RoomEvent =
+  | BaseEvent & {
+      kind: "message";
+      body: string;
+      msgtype: string;
+      /** Root event id when the message is a thread reply */
+      thread: string | null;
+      /** Event id this message replies to */
+      replyTo: string | null;
+    }
+  | BaseEvent & { kind: "edit"; target: string; body: string }
+  | BaseEvent & { kind: "redaction"; target: string; reason: string | null }
+  | BaseEvent & { kind: "reaction"; target: string; key: string }
+  | BaseEvent & {
+      kind: "membership";
+      /** The member the event is about; sender is who changed it */
+      userId: string;
+      membership: string;
+      previous: string | null;
+      displayName: string | null;
+    };
+
+export type RoomEventKind = RoomEvent["kind"];
+
+/** Classify a raw timeline event; null for event types that are not surfaced. */
+export function toRoomEvent(ev: MatrixEvent): RoomEvent | null {
+  const base = { eventId: ev.event_id ?? "", sender: ev.sender, timestamp: ev.origin_server_ts, raw: ev };
+  const rel = ev.content["m.relates_to"];
+  switch (ev.type) {
+    case "m.room.message":
+      if (rel?.rel_type === "m.replace" && rel.event_id) {
+        return { ...base, kind: "edit", target: rel.event_id, body: ev.content["m.new_content"]?.body ?? ev.content.body ?? "" };
+      }
+      return {
+        ...base,
+        kind: "message",
+        body: ev.content.body ?? "",
+        msgtype: ev.content.msgtype ?? "m.text",
+        thread: rel?.rel_type === "m.thread" ? rel.event_id ?? null : null,
+        replyTo: rel?.["m.in_reply_to"]?.event_id ?? null,
+      };
+    case "m.room.redaction": {
+      const target = ev.redacts ?? (ev.content.redacts as string | undefined);
+      return target ? { ...base, kind: "redaction", target, reason: ev.content.reason ?? null } : null;
+    }
+    case "m.reaction":
+      return rel?.rel_type === "m.annotation" && rel.event_id
+        ? { ...base, kind: "reaction", target: rel.event_id, key: rel.key ?? "" }
+        : null;
+    case "m.room.member":
+      return ev.state_key === undefined ? null : {
+        ...base,
+        kind: "membership",
+        userId: ev.state_key,
+        membership: ev.content.membership ?? "leave",
+        previous: ev.unsigned?.prev_content?.membership ?? null,
+        displayName: ev.content.displayname ?? null,
+      };
+    default:
+      return null;
+  }
+}
+
+// ── Client ────────────────────────────────────────────────────────────────────
+
+export interface BackoffOptions {
+  /** First retry delay (default 1s); doubles per failure */
+  initialMs?: number;
+  /** Delay cap (default 60s) */
+  maxMs?: number;
+  /** Source of jitter in [0, 1) (default Math.random) */
+  random?: () => number;
+}
+
+export interface MatrixClientOptions {
+  homeserver: string;
+  /** Localpart or full user id */
+  user: string;
+  password: string;
+  backoff?: BackoffOptions;
+  /** Reconnect notices (default console.error) */
+  log?: (line: string) => void;
+}
+
+export interface WatchOptions {
+  signal?: AbortSignal;
+  /** Events from before the watch to deliver first (default 30) */
+  backlog?: number;
+}
+
+interface Session {
+  accessToken: string;
+  refreshToken: string | null;
+  /** Epoch ms; null when the token does not expire */
+  expiresAt: number | null;
+}
+
+type TokenResponse = { access_token: string; refresh_token?: string; expires_in_ms?: number };
+
+type SyncResponse = {
+  next_batch: string;
+  rooms?: {
+    join?: Record<string, {
+      timeline?: { events?: MatrixEvent[]; limited?: boolean; prev_batch?: string };
+    }>;
+  };
+};
+
+/** Shared by every client in the process, keyed by homeserver + user */
+const sessions = new Map<string, Session>();
+/** In-flight logins / refreshes, so concurrent requests share one */
+const renewing = new Map<string, Promise<Session>>();
+
+/** Errors that retrying will not fix: bad credentials, unknown room, bad request. */
+function isFatal(err: unknown): boolean {
+  return err instanceof MatrixError && err.status >= 400 && err.status < 500 &&
+    err.status !== 408 && err.status !== 429;
+}
+
+/** Resolves after `ms`, or early once `signal` aborts. */
+function sleep(ms: number, signal?: AbortSignal): Promise<void> {
+  return new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", done);
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    signal?.addEventListener("abort", done, { once: true });
+  });
+}
+
+export class MatrixClient {
+  private readonly key: string;
+  private readonly log: (line: string) => void;
+
+  constructor(private readonly options: MatrixClientOptions) {
+    this.key = `${options.homeserver}\n${options.user}`;
+    this.log = options.log ?? ((line) => console.error(line));
+  }
+
+  get homeserver(): string {
+    return this.options.homeserver;
+  }
+
+  // ── Tokens ──────────────────────────────────────────────────────────────────
+
+  /** The cached access token, logging in or refreshing first when needed. */
+  async accessToken(): Promise<string> {
+    const session = sessions.get(this.key);
+    if (!session) return (await this.renew(null)).accessToken;
+    if (session.expiresAt !== null && Date.now() > session.expiresAt - REFRESH_MARGIN_MS) {
+      return (await this.renew(session.accessToken)).accessToken;
+    }
+    return session.accessToken;
+  }
+
+  /** Drop the cached token so the next request logs in again. */
+  forgetToken(): void {
+    sessions.delete(this.key);
+  }
+
+  /**
+   * Replace `stale` with a fresh token: refresh it when the server gave us a
+   * refresh token, else (or when refreshing fails) log in with the password.
+   * A no-op when another request has already replaced it.
+   */
+  private renew(stale: string | null): Promise<Session> {
+    const current = sessions.get(this.key);
+    if (current && current.accessToken !== stale) return Promise.resolve(current);
+    const inFlight = renewing.get(this.key);
+    if (inFlight) return inFlight;
+
+    const pending = (async () => {
+      let session: Session | null = null;
+      if (current?.refreshToken) {
+        try {
+          session = this.toSession(await matrixFetch(this.options.homeserver, null, "/_matrix/client/v3/refresh", {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ refresh_token: current.refreshToken }),
+          }) as TokenResponse, current.refreshToken);
+        } catch {
+          // Expired or revoked refresh token — fall back to the password
+        }
+      }
+      session ??= this.toSession(await matrixFetch(this.options.homeserver, null, "/_matrix/client/v3/login", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          type: "m.login.password",
+          identifier: { type: "m.id.user", user: this.options.user },
+          password: this.options.password,
+          refresh_token: true,
+        }),
+      }) as TokenResponse, null);
+      sessions.set(this.key, session);
+      return session;
+    })();
+
+    renewing.set(this.key, pending);
+    return pending.finally(() => renewing.delete(this.key));
+  }
+
+  private toSession(data: TokenResponse, previousRefresh: string | null): Session {
+    return {
+      accessToken: data.access_token,
+      refreshToken: data.refresh_token ?? previousRefresh,
+      expiresAt: data.expires_in_ms ? Date.now() + data.expires_in_ms : null,
+    };
+  }
+
+  /** An authenticated request; a rejected token is renewed and the request retried once. */
+  async request<T>(path: string, init: RequestInit = {}): Promise<T> {
+    const token = await this.accessToken();
+    try {
+      return await matrixFetch(this.options.homeserver, token, path, init) as T;
+    } catch (err) {
+      if (!(err instanceof MatrixError && err.status === 401)) throw err;
+      const fresh = await this.renew(token);
+      return await matrixFetch(this.options.homeserver, fresh.accessToken, path, init) as T;
+    }
+  }
+
+  async resolveRoom(alias: string): Promise<string> {
+    if (alias.startsWith("!")) return alias;
+    return resolveRoomId(this.options.homeserver, await this.accessToken(), alias);
+  }
+
+  // ── Backoff ─────────────────────────────────────────────────────────────────
+
+  /** Delay before retry `attempt` (0-based): exponential, between half and all of the cap. */
+  retryDelay(attempt: number, err?: unknown): number {
+    const retryAfter = err instanceof MatrixError ? err.body.retry_after_ms : undefined;
+    if (typeof retryAfter === "number") return retryAfter;
+    const { initialMs = 1_000, maxMs = 60_000, random = Math.random } = this.options.backoff ?? {};
+    const cap = Math.min(maxMs, initialMs * 2 ** attempt);
+    return Math.round(cap / 2 + random() * (cap / 2));
+  }
+
+  // ── Sync ────────────────────────────────────────────────────────────────────
+
+  /**
+   * Page backwards through /messages from `from` (null: the newest event),
+   * stopping at an event `known` returns true for, at `limit` events or at
+   * the start of the room. Returns the events oldest first.
+   */
+  async backfill(
+    roomId: string,
+    from: string | null,
+    { limit = MAX_BACKFILL, known = () => false }: { limit?: number; known?: (ev: MatrixEvent) => boolean } = {},
+  ): Promise<MatrixEvent[]> {
+    const events: MatrixEvent[] = [];
+    let token: string | null | undefined = from;
+    while (token !== undefined && events.length < limit) {
+      const page = Math.min(BACKFILL_PAGE, limit - events.length);
+      const fromParam = token === null ? "" : `&from=${encodeURIComponent(token)}`;
+      const data: { chunk?: MatrixEvent[]; end?: string } = await this.request(
+        `/_matrix/client/v3/rooms/${encodeURIComponent(roomId)}/messages?dir=b&limit=${page}${fromParam}`,
+      );
+      const chunk = data.chunk ?? [];
+      for (const ev of chunk) {
+        if (known(ev)) return events.reverse();
+        events.push(ev);
+      }
+      if (chunk.length === 0 || data.end === token) break;
+      token = data.end;
+    }
+    return events.slice(0, limit).reverse();
+  }
+
+  private async sync(roomId: string, since: string | null, limit: number, signal?: AbortSignal): Promise<SyncResponse> {
+    const filter = JSON.stringify({
+      presence: { types: [] },
+      account_data: { types: [] },
+      room: { rooms: [roomId], timeline: { limit }, account_data: { types: [] }, ephemeral: { types: [] } },
+    });
+    const query = since === null
+      ? `filter=${encodeURIComponent(filter)}`
+      : `filter=${encodeURIComponent(filter)}&since=${encodeURIComponent(since)}&timeout=${POLL_TIMEOUT_MS}`;
+    const timeout = AbortSignal.timeout(POLL_TIMEOUT_MS + 5_000);
+    return this.request(`/_matrix/client/v3/sync?${query}`, {
+      signal: signal ? AbortSignal.any([signal, timeout]) : timeout,
+    });
+  }
+
+  /**
+   * Long-poll a room and call onEvent for each RoomEvent, oldest first,
+   * starting with up to `backlog` earlier events. Sync failures are retried
+   * with backoff; resolves when `signal` aborts. Rejects when the first
+   * connection fails or an error is not worth retrying (e.g. bad password).
+   */
+  async watch(
+    roomAlias: string,
+    onEvent: (event: RoomEvent) => void,
+    { signal, backlog = DEFAULT_BACKLOG }: WatchOptions = {},
+  ): Promise<void> {
+    const roomId = await this.resolveRoom(roomAlias);
+    const seen = new Set<string>();
+
+    const deliver = (events: MatrixEvent[]) => {
+      for (const ev of events) {
+        if (ev.event_id) {
+          if (seen.has(ev.event_id)) continue;
+          seen.add(ev.event_id);
+          if (seen.size > SEEN_WINDOW) seen.delete(seen.values().next().value!);
+        }
+        const event = toRoomEvent(ev);
+        if (event && !signal?.aborted) onEvent(event);
+      }
+    };
+
+    // Timeline of one sync, with the gap before it backfilled when it was cut short
+    const timelineOf = async (data: SyncResponse, limit: number): Promise<MatrixEvent[]> => {
+      const timeline = data.rooms?.join?.[roomId]?.timeline;
+      const events = timeline?.events ?? [];
+      if (!timeline?.limited || !timeline.prev_batch || events.length >= limit) return events;
+      const gap = await this.backfill(roomId, timeline.prev_batch, {
+        limit: limit - events.length,
+        known: (ev) => ev.event_id !== undefined && seen.has(ev.event_id),
+      });
+      return [...gap, ...events];
+    };
+
+    // With no backlog the initial events are only marked seen, so a later gap
+    // backfill stops at them instead of paging through old history
+    const initial = await this.sync(roomId, null, Math.min(Math.max(backlog, 1), SYNC_LIMIT), signal);
+    const recent = await timelineOf(initial, backlog);
+    for (const ev of recent.slice(0, Math.max(0, recent.length - backlog))) {
+      if (ev.event_id) seen.add(ev.event_id);
+    }
+    deliver(backlog > 0 ? recent.slice(-backlog) : []);
+    let since = initial.next_batch;
+
+    let failures = 0;
+    while (!signal?.aborted) {
+      try {
+        const data = await this.sync(roomId, since, SYNC_LIMIT, signal);
+        // Deliver before advancing, so a failed backfill retries the same batch
+        deliver(await timelineOf(data, MAX_BACKFILL));
+        since = data.next_batch;
+        if (failures > 0) this.log(`Matrix sync resumed after ${failures} failed attempt(s)`);
+        failures = 0;
+      } catch (err) {
+        if (signal?.aborted) break;
+        if (isFatal(err)) throw err;
+        const delay = this.retryDelay(failures++, err);
+        const reason = err instanceof MatrixError ? `${err.status}${err.errcode ? ` ${err.errcode}` : ""}` : (err as Error).message;
+        this.log(`Matrix sync failed (${reason}); retrying in ${(delay / 1000).toFixed(1)}s`);
+        await sleep(delay, signal);
+      }
+    }
+  }
+}
+
+/**
+ * Watch a room as the observer. Calls onEvent for each RoomEvent, starting
+ * with the recent backlog; resolves when `signal` aborts.
+ */
+export async function watchRoom(
+  homeserver: string,
+  password: string,
+  roomAlias: string,
+  onEvent: (event: RoomEvent) => void,
+  signal?: AbortSignal,
+): Promise<void> {
+  const client = new MatrixClient({ homeserver, user: "observer", password });
+  await client.watch(roomAlias, onEvent, { signal });
+}
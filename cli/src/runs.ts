@@ -0,0 +1,741 @@
+/**
+ * runs.ts
+ *
+ * Run lifecycle — start, stop and inspect runs of an experiment. Called
+ * directly by server.ts and, through cli.ts, by the `experiment` bash CLI.
+ *
+ * Each run lives in experiments/<name>/runs/<run id>/ (run id = unix seconds):
+ *   run.json             RunInfo — room, agents, ports, seed, deadline,
+ *                        start/stop times and stop reason
+ *   .env                 API key, per-agent gateway tokens + Matrix passwords,
+ *                        human persona passwords
+ *   docker-compose.yml   generated by generate-compose.ts
+ *   logs/<agent>/        extractor output mounted at /logs in each container
+ *   timeout.deadline     auto-stop time (unix seconds)
+ *   timeout.pid / .log   the detached auto-stop timer
+ *   timeline.*           scripted interventions and their record (see timeline.ts)
+ *   report.json          acceptance-criteria scores, written after the first stop
+ *                        (see evaluate.ts; evaluate.log has the evaluator's output)
+ */
+
+import * as cp from "child_process";
+import * as crypto from "crypto";
+import * as fs from "fs";
+import * as path from "path";
+import * as yaml from "js-yaml";
+import {
+  ExperimentError,
+  MATRIX_DIR,
+  REPO_ROOT,
+  experimentDir,
+  latestRunDir,
+  listRunIds,
+  parseDuration,
+  readExperimentConfig,
+  roomAliasFor,
+  validateExperimentConfig,
+  validateName,
+} from "./experiments.js";
+import { RECORDS_FILE, readTimeline, revertInjections, writeTimeline } from "./timeline.js";
+import {
+  generateCompose,
+  listAgentNames,
+  matrixUserId,
+  passwordVar,
+  tokenVar,
+  type ComposeAgent,
+} from "./generate-compose.js";
+import { composeDown, composePs, composeUp, registerMatrixUser, type ContainerState } from "./docker.js";
+import type { HookProfile } from "./types.js";
+import {
+  adminJoin,
+  createRoom,
+  displayName,
+  findRoomId,
+  hasConnection,
+  matrixLogin,
+  resolveRoomId,
+  roomMessages,
+  sendMention,
+  sendMessage,
+} from "./matrix-client.js";
+
+export const HOMESERVER = "http://localhost:8008";
+export const DEFAULT_TIMEOUT = "5m";
+
+const RUN_FILE = "run.json";
+const API_KEY_VARS = ["ANTHROPIC_API_KEY", "OPENAI_API_KEY", "GEMINI_API_KEY", "OPENROUTER_API_KEY"];
+const PROVIDER_VARS = ["ANTHROPIC_BASE_URL", "AWS_ACCESS_KEY_ID", "AWS_SECRET_ACCESS_KEY", "AWS_REGION", "AWS_SESSION_TOKEN"];
+const CONNECT_POLL_MS = 2_000;
+const CONNECT_ATTEMPTS = 60;
+const JOIN_DELAY_MS = 3_000;
+
+/**
+ * timeout     the auto-stop timer fired
+ * manual      `experiment stop` / POST /experiments/:name/stop
+ * superseded  stopped because a new run of the experiment was started
+ * failure     startRun() failed part-way; see RunInfo.error
+ */
+export type StopReason = "timeout" | "manual" | "superseded" | "failure";
+
+export interface RunInfo {
+  experiment: string;
+  runId: string;
+  runDir: string;
+  roomAlias: string;
+  /** null when the observer could not log in to set up the room */
+  roomId: string | null;
+  /** Seed message as posted (experiment.json can change between runs) */
+  seed: string | null;
+  startedAt: string;
+  timeout: string | null;
+  /** ISO time the run is stopped automatically */
+  deadline: string | null;
+  stoppedAt: string | null;
+  stopReason: StopReason | null;
+  error: string | null;
+  agents: ComposeAgent[];
+  /** Human personas from experiment.json, registered and joined for this run */
+  humans: RunHuman[];
+}
+
+export interface RunHuman {
+  name: string;
+  matrixUser: string;
+}
+
+/** One entry of GET /experiments/:name/runs — RunInfo without paths and ports. */
+export interface RunSummary {
+  runId: string;
+  roomAlias: string;
+  seed: string | null;
+  startedAt: string;
+  stoppedAt: string | null;
+  stopReason: StopReason | null;
+  timeout: string | null;
+  deadline: string | null;
+  agents: string[];
+}
+
+export interface RoomMessage {
+  sender: string;
+  /** Agent name without the run suffix, e.g. "planner" for @planner-1760000123:local */
+  name: string;
+  body: string;
+  timestamp: number;
+}
+
+export interface RunAgentStatus extends ComposeAgent {
+  /** null when no container exists for the agent (or docker is unavailable) */
+  container: ContainerState | null;
+}
+
+export interface RunStatus extends Omit<RunInfo, "agents"> {
+  /** At least one agent container is running */
+  active: boolean;
+  remainingSeconds: number | null;
+  agents: RunAgentStatus[];
+}
+
+export interface StopResult {
+  experiment: string;
+  runId: string;
+  timerCancelled: boolean;
+}
+
+export interface SentMessage {
+  experiment: string;
+  runId: string;
+  eventId: string;
+  /** Matrix user the message was posted as — the observer or a human persona */
+  sender: string;
+  /** Mentioned agent's Matrix user, if any */
+  to: string | null;
+  body: string;
+}
+
+type Log = (line: string) => void;
+
+const sleep = (ms: number) => new Promise((r) => setTimeout(r, ms));
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+function readObserverPassword(): string {
+  const envFile = path.join(MATRIX_DIR, "observer.env");
+  const password = fs.existsSync(envFile)
+    ? fs.readFileSync(envFile, "utf8").match(/OBSERVER_MATRIX_PASSWORD=(.+)/)?.[1]?.trim()
+    : undefined;
+  if (!password) throw new ExperimentError("Observer credentials not found. Run: experiment matrix start", 503);
+  return password;
+}
+
+async function matrixHealthy(): Promise<boolean> {
+  try {
+    const res = await fetch(`${HOMESERVER}/health`, { signal: AbortSignal.timeout(5_000) });
+    return res.ok;
+  } catch {
+    return false;
+  }
+}
+
+/** Directory of a run (latest when runId is omitted); throws a 404 ExperimentError. */
+export function runDirFor(expDir: string, name: string, runId?: string): string {
+  if (!runId) {
+    const latest = latestRunDir(expDir);
+    if (!latest) throw new ExperimentError(`No runs found for '${name}'`, 404);
+    return latest;
+  }
+  validateName("Run", runId);
+  const dir = path.join(expDir, "runs", runId);
+  if (!fs.existsSync(dir)) throw new ExperimentError(`Run '${runId}' not found for '${name}'`, 404);
+  return dir;
+}
+
+function writeRunInfo(info: RunInfo): void {
+  const { runDir, ...stored } = info;
+  fs.writeFileSync(path.join(runDir, RUN_FILE), JSON.stringify(stored, null, 2) + "\n");
+}
+
+/** The observer password a run was started with (from its .env). */
+export function runObserverPassword(runDir: string): string {
+  try {
+    const password = fs.readFileSync(path.join(runDir, ".env"), "utf8").match(/OBSERVER_MATRIX_PASSWORD=(.+)/)?.[1]?.trim();
+    if (password) return password;
+  } catch {}
+  return readObserverPassword();
+}
+
+/** HUMAN_PRODUCT_OWNER_MATRIX_PASSWORD for persona "product-owner" */
+function humanPasswordVar(name: string): string {
+  return `HUMAN_${name.toUpperCase().replace(/[-.]/g, "_")}_MATRIX_PASSWORD`;
+}
+
+function runEnvValue(runDir: string, key: string): string | undefined {
+  try {
+    return fs.readFileSync(path.join(runDir, ".env"), "utf8").match(new RegExp(`^${key}=(.+)$`, "m"))?.[1]?.trim();
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * run.json, or — for runs started before it was written — what can be
+ * recovered from docker-compose.yml and timeout.deadline.
+ */
+export function readRunInfo(experiment: string, runDir: string): RunInfo {
+  const runId = path.basename(runDir);
+  try {
+    const stored = JSON.parse(fs.readFileSync(path.join(runDir, RUN_FILE), "utf8")) as Partial<RunInfo>;
+    return {
+      ...stored,
+      // run.json written before stop metadata was recorded lacks these
+      seed: stored.seed ?? null,
+      stoppedAt: stored.stoppedAt ?? null,
+      stopReason: stored.stopReason ?? null,
+      error: stored.error ?? null,
+      humans: stored.humans ?? [],
+      runDir,
+    } as RunInfo;
+  } catch {}
+
+  const agents: ComposeAgent[] = [];
+  try {
+    const compose = yaml.load(fs.readFileSync(path.join(runDir, "docker-compose.yml"), "utf8")) as {
+      services?: Record<string, { ports?: string[]; environment?: Record<string, string> }>;
+    };
+    for (const [name, svc] of Object.entries(compose.services ?? {})) {
+      agents.push({
+        name,
+        matrixUser: svc.environment?.MATRIX_USER_ID ?? matrixUserId(name, runId),
+        port: parseInt(svc.ports?.[0]?.split(":")[0] ?? "", 10) || 0,
+      });
+    }
+  } catch {}
+
+  let deadline: string | null = null;
+  try {
+    deadline = new Date(parseInt(fs.readFileSync(path.join(runDir, "timeout.deadline"), "utf8"), 10) * 1000).toISOString();
+  } catch {}
+
+  return {
+    experiment,
+    runId,
+    runDir,
+    roomAlias: roomAliasFor(experiment, runId),
+    roomId: null,
+    seed: null,
+    startedAt: new Date(parseInt(runId, 10) * 1000).toISOString(),
+    timeout: null,
+    deadline,
+    stoppedAt: null,
+    stopReason: null,
+    error: null,
+    agents,
+    humans: [],
+  };
+}
+
+// ── Start ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Start a new run: stop the previous one, register run-scoped Matrix users,
+ * create the room, bring the agent containers up, force-join them, post the
+ * seed once they have connected, and arm the auto-stop timer.
+ */
+export async function startRun(
+  name: string,
+  { timeout = DEFAULT_TIMEOUT, log = () => {} }: { timeout?: string; log?: Log } = {},
+): Promise<RunInfo> {
+  const expDir = experimentDir(name);
+  const timeoutSecs = parseDuration(timeout);
+
+  // ── Stop any previous run ──────────────────────────────────────────────────
+  const prevRunDir = latestRunDir(expDir);
+  if (prevRunDir) {
+    log(`==> Stopping previous run: ${path.basename(prevRunDir)}...`);
+    await stopRun(name, { runId: path.basename(prevRunDir), reason: "superseded" }).catch(() => {});
+  }
+
+  // ── Preconditions ──────────────────────────────────────────────────────────
+  if (!(await matrixHealthy())) {
+    throw new ExperimentError("Shared Matrix server is not running. Start it first: experiment matrix start", 503);
+  }
+  const apiKeyVar = API_KEY_VARS.find((v) => process.env[v]);
+  if (!apiKeyVar) {
+    throw new ExperimentError(`No LLM API key found. Set one of: ${API_KEY_VARS.join(", ")}`, 500);
+  }
+  log(`==> Using ${apiKeyVar}`);
+  const observerPassword = readObserverPassword();
+
+  const agentNames = listAgentNames(expDir);
+  if (agentNames.length === 0) throw new ExperimentError(`No agents found in ${path.join(expDir, "agents")}`);
+  const stored = readExperimentConfig(expDir);
+  const config = stored ? validateExperimentConfig(stored, agentNames) : null;
+  const humanNames = config?.humans ?? [];
+
+  const runId = String(Math.floor(Date.now() / 1000));
+  const runDir = path.join(expDir, "runs", runId);
+  if (fs.existsSync(runDir)) throw new ExperimentError(`Run '${runId}' already exists for '${name}'`, 409);
+  const roomAlias = roomAliasFor(name, runId);
+
+  log(`==> Starting experiment '${name}' (run: ${runId})`);
+  log(`    Room: ${roomAlias}`);
+  log(`==> Agents: ${agentNames.join(" ")}`);
+
+  // ── Clear stale Matrix credentials ─────────────────────────────────────────
+  // Tokens from a previous Synapse instance cause M_UNKNOWN_TOKEN errors, so
+  // agents re-authenticate against the shared server on every run.
+  for (const agent of agentNames) {
+    fs.rmSync(path.join(expDir, "agents", agent, "credentials"), { recursive: true, force: true });
+    fs.rmSync(path.join(expDir, "agents", agent, "matrix"), { recursive: true, force: true });
+  }
+
+  // ── Hooks and skills ───────────────────────────────────────────────────────
+  // Without a `hooks` block the agent dirs keep whatever hooks they already have
+  if (config?.hooks) await installAgentHooks(expDir, agentNames, config.hooks, log);
+
+  // ── Run directory, .env and docker-compose.yml ─────────────────────────────
+  for (const agent of agentNames) fs.mkdirSync(path.join(runDir, "logs", agent), { recursive: true });
+  if (config?.timeline?.length) writeTimeline(runDir, config.timeline);
+
+  log("==> Generating .env...");
+  const passwords = Object.fromEntries(agentNames.map((a) => [a, crypto.randomBytes(16).toString("hex")]));
+  const humanPasswords = Object.fromEntries(humanNames.map((h) => [h, crypto.randomBytes(16).toString("hex")]));
+  const env = [
+    `${apiKeyVar}=${process.env[apiKeyVar]}`,
+    ...PROVIDER_VARS.filter((v) => process.env[v]).map((v) => `${v}=${process.env[v]}`),
+    "",
+    "OPENCLAW_IMAGE=${OPENCLAW_IMAGE:-openclaw-agents:local}",
+    "",
+    "# Gateway tokens (auto-generated per run)",
+    ...agentNames.map((a) => `${tokenVar(a)}=${crypto.randomBytes(24).toString("hex")}`),
+    "",
+    "# Matrix passwords (auto-generated per run)",
+    ...agentNames.map((a) => `${passwordVar(a)}=${passwords[a]}`),
+    ...humanNames.map((h) => `${humanPasswordVar(h)}=${humanPasswords[h]}`),
+    "",
+    "# Observer — shared across all experiments on this Matrix server",
+    `OBSERVER_MATRIX_PASSWORD=${observerPassword}`,
+  ];
+  fs.writeFileSync(path.join(runDir, ".env"), env.join("\n") + "\n", { mode: 0o600 });
+
+  log("==> Generating docker-compose.yml...");
+  const compose = generateCompose(expDir, runDir, roomAlias, runId);
+  fs.writeFileSync(path.join(runDir, "docker-compose.yml"), compose.yaml);
+
+  // Compose build context
+  const dockerfile = path.join(REPO_ROOT, "docker", "Dockerfile");
+  if (fs.existsSync(dockerfile)) fs.copyFileSync(dockerfile, path.join(runDir, "Dockerfile"));
+
+  const info: RunInfo = {
+    experiment: name,
+    runId,
+    runDir,
+    roomAlias,
+    roomId: null,
+    seed: config?.seed || null,
+    startedAt: new Date(parseInt(runId, 10) * 1000).toISOString(),
+    timeout,
+    deadline: null,
+    stoppedAt: null,
+    stopReason: null,
+    error: null,
+    agents: compose.agents,
+    humans: humanNames.map((h) => ({ name: h, matrixUser: matrixUserId(h, runId) })),
+  };
+  writeRunInfo(info);
+
+  try {
+    await bringUp(info, { ...passwords, ...humanPasswords }, observerPassword, timeoutSecs, log);
+  } catch (err) {
+    // Don't leave containers running without an auto-stop timer
+    await composeDown(runDir).catch(() => {});
+    info.stoppedAt = new Date().toISOString();
+    info.stopReason = "failure";
+    info.error = (err as Error).message;
+    writeRunInfo(info);
+    throw err;
+  }
+  return info;
+}
+
+async function bringUp(
+  info: RunInfo,
+  passwords: Record<string, string>,
+  observerPassword: string,
+  timeoutSecs: number,
+  log: Log,
+): Promise<void> {
+  const { experiment: name, runId, runDir, roomAlias } = info;
+
+  // ── Register Matrix users ──────────────────────────────────────────────────
+  // Run-scoped usernames (@planner-<run id>:local) are always fresh
+  log("==> Registering Matrix users...");
+  for (const user of [...info.agents, ...info.humans]) {
+    const { ok, output } = await registerMatrixUser(`${user.name}-${runId}`, passwords[user.name]);
+    log(`    ${user.matrixUser} ${ok ? "(registered)" : `— ${output}`}`);
+  }
+
+  // ── Create the experiment room ─────────────────────────────────────────────
+  log(`==> Setting up room ${roomAlias}...`);
+  let token: string | null = null;
+  try {
+    token = await matrixLogin(HOMESERVER, "observer", observerPassword);
+  } catch {
+    log("    (Could not get observer token — room setup skipped)");
+  }
+  if (token) {
+    info.roomId = await findRoomId(HOMESERVER, token, roomAlias);
+    if (info.roomId) {
+      log(`    Room exists: ${roomAlias}`);
+    } else {
+      info.roomId = await createRoom(HOMESERVER, token, roomAlias.slice(1, roomAlias.lastIndexOf(":")), name);
+      log(`    Room created: ${roomAlias}`);
+    }
+    writeRunInfo(info);
+  }
+
+  // ── Start agents ───────────────────────────────────────────────────────────
+  log("==> Starting agents...");
+  await composeUp(runDir, info.agents.map((a) => a.name));
+
+  // ── Force-join agents into the room (no invite event = no pairing prompt) ──
+  if (token && info.roomId) {
+    log("==> Force-joining agents into room...");
+    // Brief pause for agents to register their Matrix session
+    await sleep(JOIN_DELAY_MS);
+    for (const user of [...info.agents, ...info.humans]) {
+      try {
+        await adminJoin(HOMESERVER, token, info.roomId, user.matrixUser);
+        log(`    ${user.matrixUser} joined`);
+      } catch (err) {
+        log(`    ${user.matrixUser}: ${(err as Error).message}`);
+      }
+    }
+
+    await postSeed(token, info, log);
+  }
+
+  // ── Timeline ───────────────────────────────────────────────────────────────
+  // Step times count from here, i.e. from the seed
+  const timeline = readTimeline(runDir);
+  if (timeline.length > 0) {
+    spawnDetached(runDir, "timeline", ["timeline", name, runId]);
+    log(`==> Timeline started: ${timeline.length} step(s), recorded in ${RECORDS_FILE}`);
+  }
+
+  // ── Auto-timeout ───────────────────────────────────────────────────────────
+  const deadline = Math.floor(Date.now() / 1000) + timeoutSecs;
+  fs.writeFileSync(path.join(runDir, "timeout.deadline"), `${deadline}\n`);
+  scheduleStop(name, runDir, timeoutSecs);
+  info.deadline = new Date(deadline * 1000).toISOString();
+  writeRunInfo(info);
+  log(`    Auto-stop in ${info.timeout}`);
+}
+
+/**
+ * Post the experiment's seed once every agent has actually connected (not
+ * just been force-joined) — agents that have not synced yet would miss it.
+ */
+async function postSeed(token: string, info: RunInfo, log: Log): Promise<void> {
+  const { seed } = info;
+  if (!seed || !info.roomId) return;
+
+  log("==> Waiting for agents to connect...");
+  const expected = info.agents.length;
+  for (let attempt = 1; ; attempt++) {
+    const ready = (await Promise.all(info.agents.map((a) => hasConnection(HOMESERVER, token, a.matrixUser))))
+      .filter(Boolean).length;
+    if (ready >= expected) {
+      log(`    All ${expected} agents connected.`);
+      break;
+    }
+    if (attempt === CONNECT_ATTEMPTS) {
+      log(`    Timeout waiting for agents (${ready}/${expected} connected) — posting seed anyway.`);
+      break;
+    }
+    await sleep(CONNECT_POLL_MS);
+  }
+
+  log(`==> Posting seed message to ${info.roomAlias}...`);
+  await sendMessage(HOMESERVER, token, info.roomId, seed);
+  log("    Seed posted.");
+}
+
+/**
+ * Arm the auto-stop timer: a detached `cli.ts stop-after` process that
+ * outlives the caller (CLI or server) and stops this run — not whichever run
+ * is latest by then.
+ */
+function scheduleStop(name: string, runDir: string, seconds: number): void {
+  spawnDetached(runDir, "timeout", ["stop-after", name, path.basename(runDir), String(seconds)]);
+}
+
+/**
+ * Start a detached `cli.ts <args>` process with output to <kind>.log in the
+ * run dir and its pid in <kind>.pid, where stopRun() finds it.
+ */
+function spawnDetached(runDir: string, kind: string, args: string[]): void {
+  const entry = path.join(__dirname, `cli${path.extname(__filename)}`);
+  const out = fs.openSync(path.join(runDir, `${kind}.log`), "a");
+  const child = cp.spawn(process.execPath, [...process.execArgv, entry, ...args], {
+    detached: true,
+    stdio: ["ignore", out, out],
+  });
+  child.unref();
+  fs.closeSync(out);
+  fs.writeFileSync(path.join(runDir, `${kind}.pid`), `${child.pid}\n`);
+}
+
+const OPENHIVE_DIR = path.join(REPO_ROOT, "cli", "openhive");
+const OPENHIVE_CLI = path.join(OPENHIVE_DIR, "src", "index.ts");
+
+/**
+ * Install the experiment's hook profile into each agent dir (mounted as
+ * ~/.openclaw) with `openhive agent configure openclaw`, which runs from
+ * source with openhive's own dependencies (cli/experiment installs them). Reinstalling on
+ * every run picks up hook changes; the manifest it writes lets
+ * `openhive agent verify openclaw -w experiments/<name>/agents/<agent>` check
+ * for drift afterwards.
+ */
+async function installAgentHooks(expDir: string, agentNames: string[], hooks: HookProfile, log: Log): Promise<void> {
+  if (!fs.existsSync(path.join(OPENHIVE_DIR, "node_modules"))) {
+    throw new ExperimentError(`Installing hooks needs openhive's dependencies: run npm install in ${OPENHIVE_DIR}`);
+  }
+  const profile = hooks.profile ?? "default";
+  const args = [
+    "--profile", profile,
+    ...(hooks.with ?? []).flatMap((name) => ["--with", name]),
+    ...(hooks.without ?? []).flatMap((name) => ["--without", name]),
+  ];
+  const adjusted = [...(hooks.with ?? []).map((n) => `+${n}`), ...(hooks.without ?? []).map((n) => `-${n}`)];
+  log(`==> Installing hooks (profile: ${[profile, ...adjusted].join(" ")})...`);
+  for (const agent of agentNames) {
+    const workspace = path.join(expDir, "agents", agent);
+    const { code, stdout, stderr } = await new Promise<{ code: number; stdout: string; stderr: string }>((resolve) => {
+      const proc = cp.spawn(
+        process.execPath,
+        [...process.execArgv, OPENHIVE_CLI, "agent", "configure", "openclaw", "-w", workspace, ...args],
+        { stdio: ["ignore", "pipe", "pipe"] },
+      );
+      let out = "", err = "";
+      proc.stdout!.on("data", (d) => (out += d));
+      proc.stderr!.on("data", (d) => (err += d));
+      proc.on("error", (e) => resolve({ code: 127, stdout: "", stderr: e.message }));
+      proc.on("close", (c) => resolve({ code: c ?? 1, stdout: out, stderr: err.trim() }));
+    });
+    if (code !== 0) {
+      throw new ExperimentError(`Installing hooks for '${agent}' failed: ${stderr || `openhive exited with ${code}`}`);
+    }
+    const installed = stdout.split("\n").filter((l) => l.trim().startsWith("installed")).length;
+    log(`    ${agent}: ${installed} file(s)`);
+  }
+}
+
+/** Kill the detached process recorded in <kind>.pid; true if one was signalled. */
+function killDetached(runDir: string, kind: string): boolean {
+  const pidFile = path.join(runDir, `${kind}.pid`);
+  if (!fs.existsSync(pidFile)) return false;
+  const pid = parseInt(fs.readFileSync(pidFile, "utf8"), 10);
+  fs.rmSync(pidFile, { force: true });
+  // The timer itself calls stopRun when it fires
+  if (!pid || pid === process.pid) return false;
+  try {
+    process.kill(pid);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// ── Stop ──────────────────────────────────────────────────────────────────────
+
+/**
+ * Cancel the auto-stop timer and take the run's containers down (latest run
+ * by default). The first stop of a run records stoppedAt and the reason, and
+ * starts the acceptance-criteria evaluator.
+ */
+export async function stopRun(
+  name: string,
+  { runId, reason = "manual", log = () => {} }: { runId?: string; reason?: StopReason; log?: Log } = {},
+): Promise<StopResult> {
+  const expDir = experimentDir(name);
+  const runDir = runDirFor(expDir, name, runId);
+  log(`==> Stopping run: ${path.basename(runDir)}`);
+
+  const timerCancelled = killDetached(runDir, "timeout");
+  if (timerCancelled) log("==> Cancelled timeout timer");
+  if (killDetached(runDir, "timeline")) log("==> Stopped timeline");
+
+  try {
+    await composeDown(runDir);
+  } finally {
+    // Agent dirs are reused by the next run, so restore them even if compose failed
+    const reverted = revertInjections(expDir, runDir);
+    if (reverted.length > 0) log(`==> Restored injected files: ${reverted.join(", ")}`);
+  }
+
+  const info = readRunInfo(name, runDir);
+  if (!info.stoppedAt) {
+    info.stoppedAt = new Date().toISOString();
+    info.stopReason = reason;
+    writeRunInfo(info);
+
+    // Scoring can take minutes with an LLM judge — don't hold up the stop
+    if (readExperimentConfig(expDir)?.acceptance_criteria?.length) {
+      spawnDetached(runDir, "evaluate", ["evaluate", name, "--run", info.runId]);
+      log("==> Evaluating acceptance criteria in the background → report.json");
+    }
+  }
+  log("==> Stopped.");
+  return { experiment: name, runId: path.basename(runDir), timerCancelled };
+}
+
+// ── History ───────────────────────────────────────────────────────────────────
+
+/** Every run of an experiment, newest first. */
+export function listRuns(name: string): RunSummary[] {
+  const expDir = experimentDir(name);
+  return listRunIds(expDir)
+    .reverse()
+    .map((runId) => {
+      const info = readRunInfo(name, path.join(expDir, "runs", runId));
+      return {
+        runId,
+        roomAlias: info.roomAlias,
+        seed: info.seed,
+        startedAt: info.startedAt,
+        stoppedAt: info.stoppedAt,
+        stopReason: info.stopReason,
+        timeout: info.timeout,
+        deadline: info.deadline,
+        agents: info.agents.map((a) => a.name),
+      };
+    });
+}
+
+/** Recent m.room.message events of a run's room (latest run by default), oldest first. */
+export async function runMessages(
+  name: string,
+  { runId, limit = 100 }: { runId?: string; limit?: number } = {},
+): Promise<RoomMessage[]> {
+  const runDir = runDirFor(experimentDir(name), name, runId);
+  const info = readRunInfo(name, runDir);
+  const token = await matrixLogin(HOMESERVER, "observer", runObserverPassword(runDir));
+  const roomId = info.roomId ?? await resolveRoomId(HOMESERVER, token, info.roomAlias);
+  return (await roomMessages(HOMESERVER, token, roomId, limit)).map((ev) => ({
+    sender: ev.sender,
+    name: displayName(ev.sender),
+    body: ev.content.body ?? "",
+    timestamp: ev.origin_server_ts,
+  }));
+}
+
+// ── Say ───────────────────────────────────────────────────────────────────────
+
+/**
+ * Post into a run's room (latest run by default) as the observer, or as one
+ * of the run's human personas. With `to`, the message mentions that agent so
+ * it is picked up even where the agent requires a mention.
+ */
+export async function sendRunMessage(
+  name: string,
+  { text, to, as, runId }: { text: string; to?: string; as?: string; runId?: string },
+): Promise<SentMessage> {
+  if (!text?.trim()) throw new ExperimentError("Message text required.");
+  const runDir = runDirFor(experimentDir(name), name, runId);
+  const info = readRunInfo(name, runDir);
+
+  let recipient: string | null = null;
+  if (to) {
+    const agent = info.agents.find((a) => a.name === to);
+    if (!agent) throw new ExperimentError(`No agent '${to}' in run ${info.runId}`, 404);
+    recipient = agent.matrixUser;
+  }
+
+  let sender = "@observer:local";
+  let password: string;
+  if (as) {
+    const human = info.humans.find((h) => h.name === as);
+    const humanPassword = human && runEnvValue(runDir, humanPasswordVar(human.name));
+    if (!human || !humanPassword) throw new ExperimentError(`No human persona '${as}' in run ${info.runId}`, 404);
+    sender = human.matrixUser;
+    password = humanPassword;
+  } else {
+    password = runObserverPassword(runDir);
+  }
+
+  const token = await matrixLogin(HOMESERVER, sender, password);
+  const roomId = info.roomId ?? await resolveRoomId(HOMESERVER, token, info.roomAlias);
+  const eventId = recipient
+    ? await sendMention(HOMESERVER, token, roomId, recipient, text)
+    : await sendMessage(HOMESERVER, token, roomId, text);
+  return { experiment: name, runId: info.runId, eventId, sender, to: recipient, body: text };
+}
+
+// ── Status ────────────────────────────────────────────────────────────────────
+
+/** Status of a run (latest by default) with live container states; null when the experiment has no runs. */
+export async function runStatus(name: string, runId?: string): Promise<RunStatus | null> {
+  const expDir = experimentDir(name);
+  if (!runId && !latestRunDir(expDir)) return null;
+  const runDir = runDirFor(expDir, name, runId);
+  const info = readRunInfo(name, runDir);
+
+  let containers: ContainerState[] = [];
+  try {
+    containers = await composePs(runDir);
+  } catch {}
+
+  const agents = info.agents.map((a) => ({ ...a, container: containers.find((c) => c.service === a.name) ?? null }));
+  const remainingSeconds = info.deadline
+    ? Math.max(0, Math.round((Date.parse(info.deadline) - Date.now()) / 1000))
+    : null;
+
+  return {
+    ...info,
+    active: agents.some((a) => a.container?.state === "running"),
+    remainingSeconds,
+    agents,
+  };
+}
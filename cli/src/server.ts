@@ -3,22 +3,43 @@
  * server.ts
  *
  * REST API mirroring the experiment CLI.
- * Spawned by: experiment server [--port 7777]
+ * Spawned by: experiment server [--port 7777] [--host 127.0.0.1] [--cors <origins>] [--no-auth]
+ *
+ * Every route except /, /ui, /openapi.json, /health and the static assets
+ * (Swagger UI, dashboard) needs an API token (see auth.ts) — `Authorization: Bearer <token>`, or
+ * `?access_token=<token>` for EventSource clients that cannot set headers.
+ * Read routes need the `read` scope; anything that starts, stops or creates
+ * needs `operator`, as does /matrix/status, which shows the observer password.
+ *
+ * Experiment and run lifecycle routes call experiments.ts / runs.ts directly
+ * and return structured JSON; matrix routes still go through the bash CLI.
+ * Logs are queried from the agents' hook records (see turn-logs.ts).
+ * Routes without a run id act on the latest run.
  *
  * Routes:
  *   GET  /health
+ *   GET  /ui                               dashboard (static files in cli/ui)
  *   POST /matrix/start
  *   POST /matrix/stop
  *   GET  /matrix/status
  *   GET  /experiments
- *   POST /experiments                      body: { name, agents?: string[] }
+ *   POST /experiments                      body: { name, agents?: string[], humans?: string[], timeline? }
  *   GET  /experiments/:name/status
  *   POST /experiments/:name/run            body: { timeout?: string }
  *   POST /experiments/:name/stop
- *   GET  /experiments/:name/logs           ?agent=<name>
- *   GET  /experiments/:name/logs           ?agent=<name>&follow=true  (SSE)
+ *   GET  /experiments/:name/logs           ?agent&schema&since&until&tool&isError&model&offset&limit&fields
+ *   GET  /experiments/:name/logs           ?follow=true[&tail=N] + the same filters  (SSE)
  *   GET  /experiments/:name/messages       ?limit=20
+ *   POST /experiments/:name/messages       body: { text, to?: agent, as?: human }
  *   GET  /experiments/:name/watch          (SSE)
+ *   GET  /experiments/:name/runs
+ *   GET  /experiments/:name/runs/:runId
+ *   GET  /experiments/:name/runs/:runId/logs       (same query as /logs)
+ *   GET  /experiments/:name/runs/:runId/messages   ?limit=20
+ *   GET  /experiments/:name/runs/:runId/watch      (SSE)
+ *   GET  /experiments/:name/runs/:runId/report     acceptance-criteria scores
+ *   GET  /experiments/:name/export                 ?format=md|html|jsonl|csv
+ *   GET  /experiments/:name/runs/:runId/export     (same)
  */
 
 import * as http from "http";
@@ -26,18 +47,47 @@ import * as fs from "fs";
 import * as path from "path";
 import * as cp from "child_process";
 import type { IncomingMessage, ServerResponse } from "http";
-import { watchRoom } from "./matrix-client.js";
+import { readReport } from "./evaluate.js";
+import { EXPORT_FORMATS, exportRun } from "./export.js";
+import { watchRoom } from "./matrix-sync.js";
+import type { ExperimentConfig } from "./types.js";
+import {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  followTurnLogs,
+  parseTurnLogQuery,
+  queryTurnLogs,
+  type LogItem,
+} from "./turn-logs.js";
+import { scopeAllows, verifyToken, type Scope } from "./auth.js";
+import { ExperimentError, createExperiment, experimentDir, listExperiments } from "./experiments.js";
+import {
+  HOMESERVER,
+  listRuns,
+  readRunInfo,
+  runDirFor,
+  runMessages,
+  runObserverPassword,
+  runStatus,
+  sendRunMessage,
+  startRun,
+  stopRun,
+} from "./runs.js";
 
 const SWAGGER_DIST = path.resolve(process.cwd(), "node_modules/swagger-ui-dist");
+const UI_DIR = path.resolve(process.cwd(), "ui");
 
 // ── Config ────────────────────────────────────────────────────────────────────
 
 const EXPERIMENT_SCRIPT = process.env.EXPERIMENT_SCRIPT;
-const EXPERIMENTS_DIR = process.env.EXPERIMENTS_DIR;
 const PORT = parseInt(process.argv[2] ?? "8181", 10);
+const HOST = process.env.EXPERIMENT_API_HOST || "127.0.0.1";
+// Origins allowed to call the API from a browser; "*" allows any
+const CORS_ORIGINS = (process.env.EXPERIMENT_API_CORS ?? "").split(",").map((o) => o.trim()).filter(Boolean);
+const AUTH_DISABLED = process.env.EXPERIMENT_API_AUTH === "off";
 
-if (!EXPERIMENT_SCRIPT || !EXPERIMENTS_DIR) {
-  console.error("EXPERIMENT_SCRIPT and EXPERIMENTS_DIR env vars are required.");
+if (!EXPERIMENT_SCRIPT) {
+  console.error("EXPERIMENT_SCRIPT env var is required.");
   process.exit(1);
 }
 
@@ -53,7 +103,7 @@ type Handler = (
 
 function respond(res: ServerResponse, status: number, body: unknown): void {
   const json = JSON.stringify(body);
-  res.writeHead(status, { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" });
+  res.writeHead(status, { "Content-Type": "application/json" });
   res.end(json);
 }
 
@@ -62,7 +112,6 @@ function sseHeaders(res: ServerResponse): void {
     "Content-Type": "text/event-stream",
     "Cache-Control": "no-cache",
     "Connection": "keep-alive",
-    "Access-Control-Allow-Origin": "*",
   });
 }
 
@@ -94,28 +143,70 @@ function cmdRespond(res: ServerResponse, result: { stdout: string; stderr: strin
   });
 }
 
-function latestRunDir(expDir: string): string | null {
-  const runsDir = path.join(expDir, "runs");
-  if (!fs.existsSync(runsDir)) return null;
-  const runs = fs.readdirSync(runsDir).sort();
-  return runs.length > 0 ? path.join(runsDir, runs[runs.length - 1]) : null;
+/** Sets the CORS headers for an allowed Origin; false when the origin is not allowed. */
+function applyCors(req: IncomingMessage, res: ServerResponse): boolean {
+  const origin = req.headers.origin;
+  if (!origin) return true;
+  res.setHeader("Vary", "Origin");
+  if (!CORS_ORIGINS.includes("*") && !CORS_ORIGINS.includes(origin)) return false;
+  res.setHeader("Access-Control-Allow-Origin", origin);
+  res.setHeader("Access-Control-Expose-Headers", "Content-Disposition, X-Export-Warning");
+  return true;
+}
+
+// ── Auth ──────────────────────────────────────────────────────────────────────
+
+type Access = Scope | "public";
+
+function presentedToken(req: IncomingMessage, query: URLSearchParams): string | null {
+  const header = req.headers.authorization;
+  if (header?.startsWith("Bearer ")) return header.slice(7).trim();
+  // EventSource cannot send headers, so SSE clients pass the token in the URL
+  if (req.method === "GET") return query.get("access_token");
+  return null;
+}
+
+/** Responds 401/403 and returns false when the request may not use a route. */
+function authorize(req: IncomingMessage, res: ServerResponse, query: URLSearchParams, access: Access): boolean {
+  if (access === "public" || AUTH_DISABLED) return true;
+  const token = presentedToken(req, query);
+  const record = token ? verifyToken(token) : null;
+  if (!record) {
+    res.setHeader("WWW-Authenticate", 'Bearer realm="experiment-api"');
+    respond(res, 401, { error: token ? "Invalid API token" : "API token required" });
+    return false;
+  }
+  if (!scopeAllows(record.scope, access)) {
+    respond(res, 403, { error: `Token '${record.name}' has scope '${record.scope}'; this route needs '${access}'` });
+    return false;
+  }
+  return true;
 }
 
 // ── Router ────────────────────────────────────────────────────────────────────
 
-const routes: Array<{ method: string; re: RegExp; keys: string[]; handler: Handler }> = [];
+const routes: Array<{ method: string; re: RegExp; keys: string[]; access: Access; handler: Handler }> = [];
 
-function route(method: string, pattern: string, handler: Handler): void {
+function route(method: string, pattern: string, access: Access, handler: Handler): void {
   const keys: string[] = [];
   const re = new RegExp(
-    "^" + pattern.replace(/:([a-z]+)/g, (_, k) => { keys.push(k); return "([^/]+)"; }) + "$",
+    "^" + pattern.replace(/:([a-zA-Z]+)/g, (_, k) => { keys.push(k); return "([^/]+)"; }) + "$",
   );
-  routes.push({ method, re, keys, handler });
+  routes.push({ method, re, keys, access, handler });
+  documentAccess(method, pattern, access);
 }
 
 // ── OpenAPI spec ──────────────────────────────────────────────────────────────
 
-const OPENAPI_SPEC = {
+const ref = (name: string) => ({ $ref: `#/components/schemas/${name}` });
+const json = (schema: object) => ({ "application/json": { schema } });
+
+const RUN_ID_PARAM = { name: "runId", in: "path", required: true, schema: { type: "string" }, example: "1760000123" };
+const STOP_REASONS = ["timeout", "manual", "superseded", "failure"];
+
+type OpenApiOperation = { summary: string; parameters?: object[]; [key: string]: unknown };
+
+const OPENAPI_SPEC: { paths: Record<string, Record<string, OpenApiOperation>>; [key: string]: unknown } = {
   openapi: "3.0.0",
   info: { title: "Experiment API", version: "1.0.0", description: "REST interface for the OpenClaw experiment CLI." },
   servers: [{ url: "" }],
@@ -133,7 +224,10 @@ const OPENAPI_SPEC = {
       get: { summary: "Matrix server status", responses: { "200": { description: "Status output" } } },
     },
     "/experiments": {
-      get: { summary: "List all experiments", responses: { "200": { description: "Experiment list" } } },
+      get: {
+        summary: "List all experiments",
+        responses: { "200": { description: "Experiment list", content: json({ type: "array", items: ref("ExperimentSummary") }) } },
+      },
       post: {
         summary: "Create a new experiment",
         requestBody: {
@@ -141,16 +235,24 @@ const OPENAPI_SPEC = {
           content: { "application/json": { schema: { type: "object", required: ["name"], properties: {
             name: { type: "string", example: "trip-planner" },
             agents: { type: "array", items: { type: "string" }, example: ["planner", "researcher"] },
+            humans: { type: "array", items: { type: "string" }, example: ["customer"], description: "Human personas" },
+            timeline: { type: "array", items: ref("TimelineStep"), description: "Scripted interventions" },
           } } } },
         },
-        responses: { "200": { description: "Created" } },
+        responses: {
+          "201": { description: "Created", content: json(ref("CreatedExperiment")) },
+          "400": { description: "Invalid name, personas or timeline", content: json(ref("Error")) },
+        },
       },
     },
     "/experiments/{name}/status": {
       get: {
-        summary: "Active run status",
+        summary: "Latest run status with container states",
         parameters: [{ name: "name", in: "path", required: true, schema: { type: "string" } }],
-        responses: { "200": { description: "Status output" } },
+        responses: {
+          "200": { description: "Run status", content: json(ref("RunStatus")) },
+          "404": { description: "Unknown experiment, or no runs yet", content: json(ref("Error")) },
+        },
       },
     },
     "/experiments/{name}/run": {
@@ -162,25 +264,55 @@ const OPENAPI_SPEC = {
             timeout: { type: "string", example: "5m", description: "Auto-stop after this duration (default: 5m)" },
           } } } },
         },
-        responses: { "200": { description: "Run started" } },
+        responses: {
+          "200": { description: "Run started", content: json(ref("RunInfo")) },
+          "404": { description: "Unknown experiment", content: json(ref("Error")) },
+          "503": { description: "Matrix server not running", content: json(ref("Error")) },
+        },
       },
     },
     "/experiments/{name}/stop": {
       post: {
         summary: "Stop the active run",
         parameters: [{ name: "name", in: "path", required: true, schema: { type: "string" } }],
-        responses: { "200": { description: "Stopped" } },
+        responses: {
+          "200": { description: "Stopped", content: json(ref("StopResult")) },
+          "404": { description: "Unknown experiment, or no runs yet", content: json(ref("Error")) },
+        },
       },
     },
     "/experiments/{name}/logs": {
       get: {
-        summary: "Get run logs",
+        summary: "Query extractor records (turns, session starts, usage)",
+        description: "Records from each agent's `logs/<agent>/conversation-extractor.jsonl` (rotated segments included), " +
+          "oldest first. Turn filters (`tool`, `isError`, `model`) only match `openclaw-turn-v1` records. " +
+          "With `follow=true` the response is an SSE stream: one event per record as it is written, " +
+          "named after its type (`turn`, `session-start`, `conversation`, `usage`), data `{agent, type, record}`.",
         parameters: [
           { name: "name", in: "path", required: true, schema: { type: "string" } },
-          { name: "agent", in: "query", schema: { type: "string" }, description: "Scope to a specific agent" },
-          { name: "follow", in: "query", schema: { type: "boolean" }, description: "SSE stream (tail -f)" },
+          { name: "agent", in: "query", schema: { type: "string" }, description: "Only this agent's records" },
+          { name: "schema", in: "query", schema: { type: "string" }, example: "turn,usage",
+            description: "Comma-separated record types: turn, session-start, conversation, usage, or full schema ids" },
+          { name: "since", in: "query", schema: { type: "string", format: "date-time" }, description: "Records at or after (turn start, else extractedAt)" },
+          { name: "until", in: "query", schema: { type: "string", format: "date-time" }, description: "Records before" },
+          { name: "tool", in: "query", schema: { type: "string" }, description: "Turns that called this tool" },
+          { name: "isError", in: "query", schema: { type: "boolean" }, description: "Turns with (true) or without (false) a failed tool call — of `tool`, when given" },
+          { name: "model", in: "query", schema: { type: "string" }, description: "Turns that used this model" },
+          { name: "fields", in: "query", schema: { type: "string" }, example: "turn.index,turn.usage.cost",
+            description: "Comma-separated dotted paths to keep in each record" },
+          { name: "offset", in: "query", schema: { type: "integer", default: 0 } },
+          { name: "limit", in: "query", schema: { type: "integer", default: DEFAULT_LIMIT, maximum: MAX_LIMIT } },
+          { name: "follow", in: "query", schema: { type: "boolean" }, description: "SSE stream of new records" },
+          { name: "tail", in: "query", schema: { type: "integer", default: 0 }, description: "With follow: first send the last N matching records" },
         ],
-        responses: { "200": { description: "Log output or SSE stream" } },
+        responses: {
+          "200": { description: "A page of records, or an SSE stream with follow=true", content: {
+            ...json(ref("LogPage")),
+            "text/event-stream": {},
+          } },
+          "400": { description: "Invalid filter", content: json(ref("Error")) },
+          "404": { description: "Unknown experiment or agent, or no runs yet", content: json(ref("Error")) },
+        },
       },
     },
     "/experiments/{name}/messages": {
@@ -190,20 +322,279 @@ const OPENAPI_SPEC = {
           { name: "name", in: "path", required: true, schema: { type: "string" } },
           { name: "limit", in: "query", schema: { type: "integer", default: 20 } },
         ],
-        responses: { "200": { description: "Messages" } },
+        responses: {
+          "200": { description: "Messages, oldest first", content: json({ type: "array", items: ref("RoomMessage") }) },
+          "404": { description: "Unknown experiment, or no runs yet", content: json(ref("Error")) },
+        },
+      },
+      post: {
+        summary: "Post into the room of the latest run",
+        description: "Posts as the observer, or as a human persona listed in experiment.json `humans`. " +
+          "With `to`, the message mentions that agent.",
+        parameters: [{ name: "name", in: "path", required: true, schema: { type: "string" } }],
+        requestBody: {
+          required: true,
+          content: { "application/json": { schema: { type: "object", required: ["text"], properties: {
+            text: { type: "string" },
+            to: { type: "string", description: "Agent to mention" },
+            as: { type: "string", description: "Human persona to post as (default: observer)" },
+          } } } },
+        },
+        responses: {
+          "200": { description: "Posted", content: json(ref("SentMessage")) },
+          "400": { description: "Missing text", content: json(ref("Error")) },
+          "404": { description: "Unknown experiment, agent or persona, or no runs yet", content: json(ref("Error")) },
+        },
       },
     },
     "/experiments/{name}/watch": {
       get: {
         summary: "Live Matrix room stream (SSE)",
-        description: "Server-Sent Events. Each event: `data: {sender, body, timestamp}`",
+        description:
+          "Server-Sent Events. Messages: `data: {eventId, sender, body, msgtype, thread, replyTo, timestamp}`. " +
+          "Edits, redactions, reactions and membership changes are named events (`event: edit|redaction|reaction|membership`) " +
+          "with `{kind, eventId, sender, timestamp, ...}`. Starts with the last 30 events of the room.",
         parameters: [{ name: "name", in: "path", required: true, schema: { type: "string" } }],
         responses: { "200": { description: "SSE stream", content: { "text/event-stream": {} } } },
       },
     },
+    "/experiments/{name}/export": {
+      get: {
+        summary: "Transcript export",
+        description: "The run's room history merged with every agent's turns (thinking, tool calls, cost), oldest first. " +
+          "`html` is a self-contained viewer. Without the Matrix server the export holds the turns only; " +
+          "the `X-Export-Warning` header says why.",
+        parameters: [
+          { name: "name", in: "path", required: true, schema: { type: "string" } },
+          { name: "format", in: "query", schema: { type: "string", enum: [...EXPORT_FORMATS], default: "md" } },
+          { name: "download", in: "query", schema: { type: "boolean", default: false }, description: "Send as an attachment" },
+        ],
+        responses: {
+          "200": { description: "Transcript", content: {
+            "text/markdown": {},
+            "text/html": {},
+            "application/x-ndjson": {},
+            "text/csv": {},
+          } },
+          "400": { description: "Unknown format", content: json(ref("Error")) },
+          "404": { description: "Unknown experiment, or no runs yet", content: json(ref("Error")) },
+        },
+      },
+    },
+    "/experiments/{name}/runs": {
+      get: {
+        summary: "Run history, newest first",
+        parameters: [{ name: "name", in: "path", required: true, schema: { type: "string" } }],
+        responses: {
+          "200": { description: "Runs", content: json({ type: "array", items: ref("RunSummary") }) },
+          "404": { description: "Unknown experiment", content: json(ref("Error")) },
+        },
+      },
+    },
+    "/experiments/{name}/runs/{runId}": {
+      get: {
+        summary: "One run: metadata plus container states",
+        parameters: [
+          { name: "name", in: "path", required: true, schema: { type: "string" } },
+          RUN_ID_PARAM,
+        ],
+        responses: {
+          "200": { description: "Run status", content: json(ref("RunStatus")) },
+          "404": { description: "Unknown experiment or run", content: json(ref("Error")) },
+        },
+      },
+    },
+    "/experiments/{name}/runs/{runId}/report": {
+      get: {
+        summary: "Acceptance-criteria report of a run",
+        description: "Written to the run dir by the evaluator that starts when the run stops, or by `experiment evaluate`.",
+        parameters: [
+          { name: "name", in: "path", required: true, schema: { type: "string" } },
+          RUN_ID_PARAM,
+        ],
+        responses: {
+          "200": { description: "Report", content: json(ref("EvaluationReport")) },
+          "404": { description: "Unknown experiment or run, or not evaluated yet", content: json(ref("Error")) },
+        },
+      },
+    },
+  },
+  security: [{ bearerAuth: [] }],
+  components: {
+    securitySchemes: {
+      bearerAuth: {
+        type: "http",
+        scheme: "bearer",
+        description: "API token from `experiment token create <name> [--scope read|operator]`",
+      },
+    },
+    schemas: {
+      Error: { type: "object", properties: { error: { type: "string" } } },
+      ExperimentSummary: { type: "object", properties: {
+        name: { type: "string", example: "trip-planner-1760000000" },
+        description: { type: "string" },
+        createdAt: { type: "string", nullable: true, description: "Unix seconds" },
+        agents: { type: "array", items: { type: "string" } },
+        runs: { type: "integer" },
+        latestRun: { type: "string", nullable: true, description: "Run id (unix seconds)" },
+      } },
+      CreatedExperiment: { type: "object", properties: {
+        name: { type: "string", example: "trip-planner-1760000000" },
+        dir: { type: "string" },
+        agents: { type: "array", items: { type: "string" } },
+      } },
+      RunAgent: { type: "object", properties: {
+        name: { type: "string", example: "planner" },
+        matrixUser: { type: "string", example: "@planner-1760000123:local" },
+        port: { type: "integer", example: 18800, description: "Host port of the agent's gateway" },
+      } },
+      ContainerState: { type: "object", properties: {
+        service: { type: "string" },
+        name: { type: "string" },
+        state: { type: "string", example: "running" },
+        status: { type: "string", example: "Up 3 minutes" },
+        health: { type: "string", nullable: true },
+        exitCode: { type: "integer", nullable: true },
+      } },
+      RunInfo: { type: "object", properties: {
+        experiment: { type: "string" },
+        runId: { type: "string", example: "1760000123" },
+        runDir: { type: "string" },
+        roomAlias: { type: "string", example: "#trip-planner-1760000000-1760000123:local" },
+        roomId: { type: "string", nullable: true },
+        seed: { type: "string", nullable: true, description: "Seed message used by this run" },
+        startedAt: { type: "string", format: "date-time" },
+        timeout: { type: "string", nullable: true, example: "5m" },
+        deadline: { type: "string", format: "date-time", nullable: true },
+        stoppedAt: { type: "string", format: "date-time", nullable: true },
+        stopReason: { type: "string", nullable: true, enum: [...STOP_REASONS, null] },
+        error: { type: "string", nullable: true, description: "Why the run failed to start (stopReason: failure)" },
+        agents: { type: "array", items: ref("RunAgent") },
+      } },
+      RunSummary: { type: "object", properties: {
+        runId: { type: "string", example: "1760000123" },
+        roomAlias: { type: "string" },
+        seed: { type: "string", nullable: true },
+        startedAt: { type: "string", format: "date-time" },
+        stoppedAt: { type: "string", format: "date-time", nullable: true },
+        stopReason: { type: "string", nullable: true, enum: [...STOP_REASONS, null] },
+        timeout: { type: "string", nullable: true },
+        deadline: { type: "string", format: "date-time", nullable: true },
+        agents: { type: "array", items: { type: "string" } },
+      } },
+      RoomMessage: { type: "object", properties: {
+        sender: { type: "string", example: "@planner-1760000123:local" },
+        name: { type: "string", example: "planner" },
+        body: { type: "string" },
+        timestamp: { type: "integer", description: "origin_server_ts (ms)" },
+      } },
+      RunStatus: { allOf: [ref("RunInfo"), { type: "object", properties: {
+        active: { type: "boolean", description: "At least one agent container is running" },
+        remainingSeconds: { type: "integer", nullable: true },
+        agents: { type: "array", items: { allOf: [ref("RunAgent"), { type: "object", properties: {
+          container: { allOf: [ref("ContainerState")], nullable: true },
+        } }] } },
+      } }] },
+      StopResult: { type: "object", properties: {
+        experiment: { type: "string" },
+        runId: { type: "string" },
+        timerCancelled: { type: "boolean" },
+      } },
+      TimelineStep: { type: "object", required: ["action"], properties: {
+        id: { type: "string", description: "Defaults to step-<n>" },
+        at: { type: "string", example: "2m", description: "Time after the seed. Exclusive with `on`." },
+        on: { type: "object", description: "Event trigger; fires once", properties: {
+          message: { type: "object", properties: {
+            from: { type: "string", description: "Agent, human persona or \"observer\"" },
+            contains: { type: "string", description: "Case-insensitive substring" },
+          } },
+          step: { type: "string", description: "Id of a step that must succeed first" },
+        } },
+        delay: { type: "string", example: "30s", description: "Wait after the `on` event" },
+        action: { type: "string", enum: ["post", "mention", "stop", "restart", "inject"] },
+        text: { type: "string", description: "post / mention" },
+        to: { type: "string", description: "mention: agent" },
+        as: { type: "string", description: "post / mention: human persona (default: observer)" },
+        agent: { type: "string", description: "stop / restart / inject" },
+        file: { type: "string", example: "MEMORY.md", description: "inject: workspace markdown file" },
+        content: { type: "string", description: "inject" },
+        append: { type: "boolean", description: "inject: append instead of replace" },
+      } },
+      CriterionResult: { type: "object", properties: {
+        id: { type: "string" },
+        description: { type: "string" },
+        judge: { type: "string", enum: ["regex", "keyword", "predicate", "llm"] },
+        pass: { type: "boolean", nullable: true, description: "null when the judge could not decide" },
+        score: { type: "number", nullable: true, minimum: 0, maximum: 1 },
+        reason: { type: "string" },
+        error: { type: "string", nullable: true },
+      } },
+      EvaluationReport: { type: "object", properties: {
+        experiment: { type: "string" },
+        runId: { type: "string" },
+        evaluatedAt: { type: "string", format: "date-time" },
+        pass: { type: "boolean", nullable: true, description: "true when every criterion passed, false when any failed" },
+        passed: { type: "integer" },
+        failed: { type: "integer" },
+        undecided: { type: "integer" },
+        criteria: { type: "array", items: ref("CriterionResult") },
+        sources: { type: "object", properties: {
+          transcript: { type: "object", properties: {
+            messages: { type: "integer" },
+            error: { type: "string", nullable: true, description: "Why the room transcript could not be read" },
+          } },
+          turns: { type: "object", properties: { records: { type: "integer" } } },
+        } },
+      } },
+      SentMessage: { type: "object", properties: {
+        experiment: { type: "string" },
+        runId: { type: "string" },
+        eventId: { type: "string" },
+        sender: { type: "string", example: "@observer:local" },
+        to: { type: "string", nullable: true, description: "Mentioned agent's Matrix user" },
+        body: { type: "string" },
+      } },
+      LogItem: { type: "object", properties: {
+        agent: { type: "string", description: "Experiment agent whose log the record came from" },
+        type: { type: "string", example: "turn", description: "turn, session-start, conversation or usage" },
+        record: { type: "object", description: "The openclaw-*-v1 record, projected to `fields` when given" },
+      } },
+      LogPage: { type: "object", properties: {
+        total: { type: "integer", description: "Matching records across all pages" },
+        offset: { type: "integer" },
+        limit: { type: "integer" },
+        nextOffset: { type: "integer", nullable: true, description: "Offset of the next page; null on the last one" },
+        items: { type: "array", items: ref("LogItem") },
+      } },
+    },
   },
 };
 
+// Run-scoped variants of logs / messages / watch / export take the same query parameters
+for (const sub of ["logs", "messages", "watch", "export"]) {
+  const { get } = OPENAPI_SPEC.paths[`/experiments/{name}/${sub}`];
+  OPENAPI_SPEC.paths[`/experiments/{name}/runs/{runId}/${sub}`] = {
+    get: { ...get, summary: `${get.summary} — a specific run`, parameters: [...(get.parameters ?? []), RUN_ID_PARAM] },
+  };
+}
+
+/** Record a route's access requirement on its OpenAPI operation. */
+function documentAccess(method: string, pattern: string, access: Access): void {
+  const op = OPENAPI_SPEC.paths[pattern.replace(/:([a-zA-Z]+)/g, "{$1}")]?.[method.toLowerCase()];
+  if (!op) return;
+  if (access === "public") {
+    op.security = [];
+    return;
+  }
+  op["x-required-scope"] = access;
+  op.description = [op.description, `Requires the \`${access}\` scope.`].filter(Boolean).join("\n\n");
+  op.responses = {
+    ...(op.responses as object),
+    "401": { description: "Missing or invalid API token", content: json(ref("Error")) },
+    "403": { description: "Token lacks the required scope", content: json(ref("Error")) },
+  };
+}
+
 const SWAGGER_HTML = `<!DOCTYPE html>
 <html>
 <head>
@@ -216,121 +607,165 @@ const SWAGGER_HTML = `<!DOCTYPE html>
 <div id="swagger-ui"></div>
 <script src="/swagger-ui/swagger-ui-bundle.js"></script>
 <script>
-  SwaggerUIBundle({ url: "/openapi.json", dom_id: "#swagger-ui", presets: [SwaggerUIBundle.presets.apis, SwaggerUIBundle.SwaggerUIStandalonePreset] });
+  SwaggerUIBundle({ url: "/openapi.json", dom_id: "#swagger-ui", persistAuthorization: true, presets: [SwaggerUIBundle.presets.apis, SwaggerUIBundle.SwaggerUIStandalonePreset] });
 </script>
 </body>
 </html>`;
 
 // ── Routes ────────────────────────────────────────────────────────────────────
 
-route("GET", "/", async (_, res) => {
+route("GET", "/", "public", async (_, res) => {
   res.writeHead(200, { "Content-Type": "text/html" });
   res.end(SWAGGER_HTML);
 });
 
-route("GET", "/openapi.json", async (_, res) => {
+// The dashboard page is public like the Swagger UI; its API calls need a token
+route("GET", "/ui", "public", async (_, res) => {
+  serveStatic(res, UI_DIR, "index.html");
+});
+
+route("GET", "/openapi.json", "public", async (_, res) => {
   respond(res, 200, OPENAPI_SPEC);
 });
 
-route("GET", "/health", async (_, res) => {
+route("GET", "/health", "public", async (_, res) => {
   respond(res, 200, { ok: true });
 });
 
-route("POST", "/matrix/start", async (_, res) => {
+route("POST", "/matrix/start", "operator", async (_, res) => {
   cmdRespond(res, await runCmd(["matrix", "start"]));
 });
 
-route("POST", "/matrix/stop", async (_, res) => {
+route("POST", "/matrix/stop", "operator", async (_, res) => {
   cmdRespond(res, await runCmd(["matrix", "stop"]));
 });
 
-route("GET", "/matrix/status", async (_, res) => {
+// The status output includes the observer (Matrix admin) password
+route("GET", "/matrix/status", "operator", async (_, res) => {
   cmdRespond(res, await runCmd(["matrix", "status"]));
 });
 
-route("GET", "/experiments", async (_, res) => {
-  cmdRespond(res, await runCmd(["list"]));
+route("GET", "/experiments", "read", async (_, res) => {
+  respond(res, 200, listExperiments());
 });
 
-route("POST", "/experiments", async (req, res) => {
-  const body = await readBody(req) as { name: string; agents?: string[] };
+route("POST", "/experiments", "operator", async (req, res) => {
+  const body = await readBody(req) as Pick<ExperimentConfig, "humans" | "timeline"> & { name?: string; agents?: string[] };
   if (!body.name) { respond(res, 400, { error: "name is required" }); return; }
-  cmdRespond(res, await runCmd(["create", body.name, ...(body.agents ?? [])]));
+  if (body.agents !== undefined && !Array.isArray(body.agents)) {
+    respond(res, 400, { error: "agents must be an array of names" });
+    return;
+  }
+  respond(res, 201, createExperiment(body.name, body.agents ?? [], { humans: body.humans, timeline: body.timeline }));
 });
 
-route("GET", "/experiments/:name/status", async (_, res, { name }) => {
-  cmdRespond(res, await runCmd(["status", name]));
+route("GET", "/experiments/:name/status", "read", async (_, res, { name }) => {
+  const status = await runStatus(name);
+  if (!status) { respond(res, 404, { error: `No runs for '${name}'` }); return; }
+  respond(res, 200, status);
 });
 
-route("POST", "/experiments/:name/run", async (req, res, { name }) => {
+route("POST", "/experiments/:name/run", "operator", async (req, res, { name }) => {
   const body = await readBody(req) as { timeout?: string };
-  const args = ["run", name, ...(body.timeout ? ["--timeout", body.timeout] : [])];
-  cmdRespond(res, await runCmd(args));
+  respond(res, 200, await startRun(name, { timeout: body.timeout }));
+});
+
+route("POST", "/experiments/:name/stop", "operator", async (_, res, { name }) => {
+  respond(res, 200, await stopRun(name));
 });
 
-route("POST", "/experiments/:name/stop", async (_, res, { name }) => {
-  cmdRespond(res, await runCmd(["stop", name]));
+route("GET", "/experiments/:name/runs", "read", async (_, res, { name }) => {
+  respond(res, 200, listRuns(name));
 });
 
-route("GET", "/experiments/:name/messages", async (_, res, { name }, query) => {
-  const limit = query.get("limit") ?? "20";
-  cmdRespond(res, await runCmd(["messages", name, limit]));
+route("GET", "/experiments/:name/runs/:runId", "read", async (_, res, { name, runId }) => {
+  respond(res, 200, await runStatus(name, runId));
 });
 
-route("GET", "/experiments/:name/logs", async (req, res, { name }, query) => {
-  const agent = query.get("agent") ?? "";
-  const follow = query.get("follow") === "true";
+route("GET", "/experiments/:name/runs/:runId/report", "read", async (_, res, { name, runId }) => {
+  respond(res, 200, readReport(name, runId));
+});
 
-  if (follow) {
-    const expDir = path.join(EXPERIMENTS_DIR!, name);
-    const runDir = latestRunDir(expDir);
-    if (!runDir) { respond(res, 404, { error: "No runs found" }); return; }
+// Run-scoped routes take the run from the path; the unscoped ones use the latest run
 
-    const logDir = agent ? path.join(runDir, "logs", agent) : null;
-    if (agent && logDir && !fs.existsSync(logDir)) {
-      respond(res, 404, { error: `No log dir for agent '${agent}'` });
-      return;
-    }
+async function sendMessages(res: ServerResponse, name: string, runId: string | undefined, query: URLSearchParams) {
+  const limit = parseInt(query.get("limit") ?? "20", 10);
+  if (!(limit > 0)) { respond(res, 400, { error: "limit must be a positive integer" }); return; }
+  respond(res, 200, await runMessages(name, { runId, limit }));
+}
 
-    const dir = logDir ?? path.join(runDir, "logs");
-    const files = logDir
-      ? fs.readdirSync(logDir).map((f) => path.join(logDir!, f))
-      : fs.readdirSync(dir)
-          .flatMap((a) => {
-            const d = path.join(dir, a);
-            return fs.statSync(d).isDirectory()
-              ? fs.readdirSync(d).map((f) => path.join(d, f))
-              : [];
-          });
-
-    sseHeaders(res);
-    if (files.length === 0) { res.write("data: (no log files yet)\n\n"); res.end(); return; }
-
-    const proc = cp.spawn("tail", ["-f", ...files]);
-    proc.stdout!.on("data", (d: Buffer) => {
-      for (const line of d.toString().split("\n")) {
-        if (line.trim()) res.write(`data: ${line}\n\n`);
-      }
-    });
-    req.on("close", () => proc.kill());
+route("GET", "/experiments/:name/messages", "read", async (_, res, { name }, query) => {
+  await sendMessages(res, name, undefined, query);
+});
+
+route("POST", "/experiments/:name/messages", "operator", async (req, res, { name }) => {
+  const body = await readBody(req) as { text?: string; to?: string; as?: string };
+  if (typeof body.text !== "string" || !body.text.trim()) { respond(res, 400, { error: "text is required" }); return; }
+  respond(res, 200, await sendRunMessage(name, { text: body.text, to: body.to, as: body.as }));
+});
+
+route("GET", "/experiments/:name/runs/:runId/messages", "read", async (_, res, { name, runId }, query) => {
+  await sendMessages(res, name, runId, query);
+});
+
+async function sendExport(res: ServerResponse, name: string, runId: string | undefined, query: URLSearchParams) {
+  const exported = await exportRun(name, { runId, format: query.get("format") ?? "md" });
+  const headers: Record<string, string> = {
+    "Content-Type": exported.contentType,
+    "Content-Disposition": `${query.get("download") === "true" ? "attachment" : "inline"}; filename="${exported.filename}"`,
+  };
+  if (exported.messagesError) headers["X-Export-Warning"] = `room history unavailable: ${exported.messagesError}`.replace(/[^\x20-\x7e]+/g, " ");
+  res.writeHead(200, headers);
+  res.end(exported.content);
+}
+
+route("GET", "/experiments/:name/export", "read", async (_, res, { name }, query) => {
+  await sendExport(res, name, undefined, query);
+});
+
+route("GET", "/experiments/:name/runs/:runId/export", "read", async (_, res, { name, runId }, query) => {
+  await sendExport(res, name, runId, query);
+});
+
+async function sendLogs(
+  req: IncomingMessage,
+  res: ServerResponse,
+  name: string,
+  runId: string | undefined,
+  query: URLSearchParams,
+) {
+  const q = parseTurnLogQuery(query);
+  const runDir = runDirFor(experimentDir(name), name, runId);
+
+  if (query.get("follow") !== "true") {
+    respond(res, 200, queryTurnLogs(runDir, q));
     return;
   }
 
-  const args = agent ? ["logs", name, agent] : ["logs", name];
-  cmdRespond(res, await runCmd(args));
-});
+  // Backlog first (the last `tail` matching records), then records as they are written
+  const tail = parseInt(query.get("tail") ?? "0", 10);
+  if (!(tail >= 0)) { respond(res, 400, { error: "tail must be a non-negative integer" }); return; }
+  const backlog = tail > 0 ? queryTurnLogs(runDir, { ...q, offset: 0, limit: Number.MAX_SAFE_INTEGER }).items.slice(-tail) : [];
 
-route("GET", "/experiments/:name/watch", async (req, res, { name }) => {
-  const expDir = path.join(EXPERIMENTS_DIR!, name);
-  const runDir = latestRunDir(expDir);
-  if (!runDir) { respond(res, 404, { error: "No active run found" }); return; }
+  sseHeaders(res);
+  const send = (item: LogItem) => res.write(`event: ${item.type}\ndata: ${JSON.stringify(item)}\n\n`);
+  backlog.forEach(send);
+  const stop = followTurnLogs(runDir, q, send);
+  req.on("close", stop);
+}
 
-  const envContent = fs.readFileSync(path.join(runDir, ".env"), "utf8");
-  const password = envContent.match(/OBSERVER_MATRIX_PASSWORD=(.+)/)?.[1]?.trim();
-  if (!password) { respond(res, 500, { error: "Could not read observer password" }); return; }
+route("GET", "/experiments/:name/logs", "read", async (req, res, { name }, query) => {
+  await sendLogs(req, res, name, undefined, query);
+});
+
+route("GET", "/experiments/:name/runs/:runId/logs", "read", async (req, res, { name, runId }, query) => {
+  await sendLogs(req, res, name, runId, query);
+});
 
-  const runName = path.basename(runDir);
-  const roomAlias = `#${name}-${runName}:local`;
+async function streamRoom(req: IncomingMessage, res: ServerResponse, name: string, runId: string | undefined) {
+  const runDir = runDirFor(experimentDir(name), name, runId);
+  const password = runObserverPassword(runDir);
+  const { roomAlias } = readRunInfo(name, runDir);
 
   sseHeaders(res);
   res.write(`data: ${JSON.stringify({ type: "connected", room: roomAlias })}\n\n`);
@@ -339,24 +774,64 @@ route("GET", "/experiments/:name/watch", async (req, res, { name }) => {
   req.on("close", () => ac.abort());
 
   try {
-    await watchRoom("http://localhost:8008", password, roomAlias, (ev) => {
-      const payload = { sender: ev.sender, body: ev.content.body, timestamp: ev.origin_server_ts };
-      res.write(`data: ${JSON.stringify(payload)}\n\n`);
+    await watchRoom(HOMESERVER, password, roomAlias, (ev) => {
+      // Messages stay unnamed events so `onmessage` clients see them; the rest are named by kind
+      const { kind, raw: _raw, timestamp, ...fields } = ev;
+      if (kind === "message") {
+        res.write(`data: ${JSON.stringify({ ...fields, timestamp })}\n\n`);
+      } else {
+        res.write(`event: ${kind}\ndata: ${JSON.stringify({ kind, ...fields, timestamp })}\n\n`);
+      }
     }, ac.signal);
   } catch (err) {
     if (!ac.signal.aborted) console.error("Watch error:", err);
   }
+}
+
+route("GET", "/experiments/:name/watch", "read", async (req, res, { name }) => {
+  await streamRoom(req, res, name, undefined);
 });
 
+route("GET", "/experiments/:name/runs/:runId/watch", "read", async (req, res, { name, runId }) => {
+  await streamRoom(req, res, name, runId);
+});
+
+// ── Static files ──────────────────────────────────────────────────────────────
+
+const STATIC_DIRS: [prefix: string, dir: string][] = [["/swagger-ui/", SWAGGER_DIST], ["/ui/", UI_DIR]];
+
+const MIME_TYPES: Record<string, string> = {
+  ".html": "text/html; charset=utf-8",
+  ".css": "text/css",
+  ".js": "application/javascript",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+};
+
+/** Stream a file from `dir`; false when it does not exist or lies outside `dir`. */
+function serveStatic(res: ServerResponse, dir: string, file: string): boolean {
+  const filePath = path.resolve(dir, file);
+  if (!filePath.startsWith(dir + path.sep) || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) return false;
+  res.writeHead(200, { "Content-Type": MIME_TYPES[path.extname(filePath)] ?? "application/octet-stream" });
+  fs.createReadStream(filePath).pipe(res);
+  return true;
+}
+
 // ── Server ────────────────────────────────────────────────────────────────────
 
 const server = http.createServer(async (req, res) => {
   const url = new URL(req.url ?? "/", "http://localhost");
   const method = req.method ?? "GET";
 
+  const corsAllowed = applyCors(req, res);
+
   // CORS preflight
   if (method === "OPTIONS") {
-    res.writeHead(204, { "Access-Control-Allow-Origin": "*", "Access-Control-Allow-Methods": "*", "Access-Control-Allow-Headers": "*" });
+    if (corsAllowed) {
+      res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+      res.setHeader("Access-Control-Allow-Headers", "Authorization, Content-Type");
+    }
+    res.writeHead(corsAllowed ? 204 : 403);
     res.end();
     return;
   }
@@ -367,30 +842,29 @@ const server = http.createServer(async (req, res) => {
     if (!match) continue;
     const params: Params = {};
     r.keys.forEach((k, i) => (params[k] = match[i + 1]));
+    if (!authorize(req, res, url.searchParams, r.access)) return;
     try {
       await r.handler(req, res, params, url.searchParams);
     } catch (err) {
-      if (!res.headersSent) respond(res, 500, { error: String(err) });
+      if (res.headersSent) return;
+      if (err instanceof ExperimentError) respond(res, err.status, { error: err.message });
+      else respond(res, 500, { error: String(err) });
     }
     return;
   }
 
-  // Static Swagger UI assets
-  if (method === "GET" && url.pathname.startsWith("/swagger-ui/")) {
-    const file = url.pathname.replace("/swagger-ui/", "");
-    const filePath = path.join(SWAGGER_DIST, file);
-    if (fs.existsSync(filePath)) {
-      const ext = path.extname(file);
-      const mime = ext === ".css" ? "text/css" : ext === ".js" ? "application/javascript" : "application/octet-stream";
-      res.writeHead(200, { "Content-Type": mime });
-      fs.createReadStream(filePath).pipe(res);
-      return;
+  // Static Swagger UI and dashboard assets
+  if (method === "GET") {
+    for (const [prefix, dir] of STATIC_DIRS) {
+      if (url.pathname.startsWith(prefix) && serveStatic(res, dir, url.pathname.slice(prefix.length) || "index.html")) return;
     }
   }
 
   respond(res, 404, { error: "Not found" });
 });
 
-server.listen(PORT, "0.0.0.0", () => {
-  console.log(`Experiment API listening on http://0.0.0.0:${PORT}`);
+server.listen(PORT, HOST, () => {
+  console.log(`Experiment API listening on http://${HOST}:${PORT}`);
+  console.log(`Dashboard: http://${HOST}:${PORT}/ui`);
+  if (AUTH_DISABLED) console.warn("WARNING: authentication is disabled (--no-auth) — any client can start and stop runs.");
 });
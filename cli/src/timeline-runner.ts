@@ -0,0 +1,141 @@
+/**
+ * timeline-runner.ts
+ *
+ * Executes a run's timeline (see timeline.ts). Runs in the detached
+ * `cli.ts timeline <name> <run id>` process that runs.ts starts right after
+ * the seed is posted, so `at` times count from the seed. stopRun() kills it.
+ *
+ * Time steps fire on timers; `on.message` steps watch the room as the
+ * observer; `on.step` steps fire after the step they wait for succeeds.
+ * Every step is recorded in the run's timeline.jsonl when it runs, or when it
+ * is skipped because the step it waits for failed.
+ */
+
+import * as path from "path";
+import { composeRestart, composeStop } from "./docker.js";
+import { experimentDir, parseDuration } from "./experiments.js";
+import { displayName } from "./matrix-client.js";
+import { watchRoom, type RoomEvent } from "./matrix-sync.js";
+import { HOMESERVER, readRunInfo, runDirFor, runObserverPassword, sendRunMessage } from "./runs.js";
+import { injectFile, readTimeline, recordStep, type TimelineRecord } from "./timeline.js";
+import type { TimelineStep } from "./types.js";
+
+type Log = (line: string) => void;
+
+const sleep = (ms: number) => new Promise((r) => setTimeout(r, ms));
+
+function describeTrigger(step: TimelineStep): string {
+  if (step.at !== undefined) return `at ${step.at}`;
+  if (step.on?.step !== undefined) return `after step ${step.on.step}`;
+  const { from, contains } = step.on?.message ?? {};
+  return ["message", from && `from ${from}`, contains && `containing "${contains}"`].filter(Boolean).join(" ");
+}
+
+function messageMatches(step: TimelineStep, ev: RoomEvent & { kind: "message" }): boolean {
+  const trigger = step.on?.message;
+  if (!trigger) return false;
+  if (trigger.from !== undefined && displayName(ev.sender) !== trigger.from) return false;
+  if (trigger.contains !== undefined && !ev.body.toLowerCase().includes(trigger.contains.toLowerCase())) return false;
+  return true;
+}
+
+/** Run every step of a run's timeline; resolves once none is left to fire. */
+export async function runTimeline(name: string, runId: string, log: Log = () => {}): Promise<void> {
+  const expDir = experimentDir(name);
+  const runDir = runDirFor(expDir, name, runId);
+  const info = readRunInfo(name, runDir);
+  const steps = readTimeline(runDir);
+  if (steps.length === 0) return;
+
+  const startedAt = Date.now();
+  const pending = new Set(steps.map((s) => s.id!));
+  let finish!: () => void;
+  const finished = new Promise<void>((resolve) => (finish = resolve));
+  const ac = new AbortController();
+
+  const record = (step: TimelineStep, result: Partial<TimelineRecord>) => {
+    recordStep(runDir, {
+      id: step.id!,
+      action: step.action,
+      trigger: describeTrigger(step),
+      executedAt: new Date().toISOString(),
+      ok: false,
+      error: null,
+      ...result,
+    });
+  };
+
+  const done = (step: TimelineStep, ok: boolean) => {
+    pending.delete(step.id!);
+    for (const next of steps.filter((s) => s.on?.step === step.id && pending.has(s.id!))) {
+      if (ok) {
+        fire(next);
+      } else {
+        // Skipping counts as done, so whatever waits on `next` is skipped too
+        record(next, { error: `step '${step.id}' failed` });
+        log(`    [${next.id}] skipped — step '${step.id}' failed`);
+        done(next, false);
+      }
+    }
+    if (pending.size === 0) finish();
+  };
+
+  const execute = async (step: TimelineStep): Promise<Partial<TimelineRecord>> => {
+    switch (step.action) {
+      case "post":
+      case "mention": {
+        const sent = await sendRunMessage(name, { text: step.text!, to: step.to, as: step.as, runId });
+        return { eventId: sent.eventId };
+      }
+      case "stop":
+        await composeStop(runDir, [step.agent!]);
+        return {};
+      case "restart":
+        await composeRestart(runDir, [step.agent!]);
+        return {};
+      case "inject":
+        injectFile(expDir, runDir, { agent: step.agent!, file: step.file!, content: step.content!, append: step.append });
+        return {};
+    }
+  };
+
+  // A step runs at most once, whichever way it is reached
+  const fired = new Set<string>();
+  const fire = (step: TimelineStep) => {
+    if (fired.has(step.id!)) return;
+    fired.add(step.id!);
+    void (async () => {
+      if (step.delay) await sleep(parseDuration(step.delay) * 1000);
+      log(`==> [${step.id}] ${step.action} (${describeTrigger(step)})`);
+      try {
+        record(step, { ...(await execute(step)), ok: true });
+        done(step, true);
+      } catch (err) {
+        record(step, { error: (err as Error).message });
+        log(`    [${step.id}] failed: ${(err as Error).message}`);
+        done(step, false);
+      }
+    })();
+  };
+
+  for (const step of steps.filter((s) => s.at !== undefined)) {
+    setTimeout(() => fire(step), parseDuration(step.at!) * 1000);
+  }
+
+  const onMessage = steps.filter((s) => s.on?.message !== undefined);
+  if (onMessage.length > 0) {
+    // The initial sync replays recent history; only messages from now on count
+    watchRoom(HOMESERVER, runObserverPassword(runDir), info.roomAlias, (ev) => {
+      if (ev.kind !== "message" || ev.timestamp < startedAt) return;
+      for (const step of onMessage) {
+        if (pending.has(step.id!) && messageMatches(step, ev)) fire(step);
+      }
+    }, ac.signal).catch((err: Error) => {
+      log(`==> Room watch failed: ${err.message} — message-triggered steps will not fire`);
+    });
+  }
+
+  await finished;
+  ac.abort();
+  log(`==> Timeline of run ${path.basename(runDir)} complete.`);
+}
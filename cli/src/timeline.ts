@@ -0,0 +1,113 @@
+/**
+ * timeline.ts
+ *
+ * Scripted interventions: the `timeline` section of experiment.json (validated
+ * by validateExperimentConfig in experiments.ts). The per-run snapshot, the
+ * record of executed steps and workspace file injection. The steps are run by
+ * timeline-runner.ts, which runs.ts starts once the seed is posted.
+ *
+ * Files in the run directory:
+ *   timeline.json             the validated steps, as of the run's start
+ *   timeline.jsonl            one TimelineRecord per executed (or skipped) step
+ *   timeline-injections.json  original content of injected files, restored on stop
+ *   timeline.pid / .log       the detached runner
+ */
+
+import * as fs from "fs";
+import * as path from "path";
+import type { TimelineAction, TimelineStep } from "./types.js";
+
+export const TIMELINE_FILE = "timeline.json";
+export const RECORDS_FILE = "timeline.jsonl";
+const INJECTIONS_FILE = "timeline-injections.json";
+
+export interface TimelineRecord {
+  id: string;
+  action: TimelineAction;
+  /** What fired the step, e.g. "at 2m", "message from planner", "after step budget-change" */
+  trigger: string;
+  executedAt: string;
+  ok: boolean;
+  /** Failure, or why the step was skipped */
+  error: string | null;
+  /** Matrix event id of a post / mention */
+  eventId?: string;
+}
+
+// ── Run directory ─────────────────────────────────────────────────────────────
+
+export function writeTimeline(runDir: string, steps: TimelineStep[]): void {
+  fs.writeFileSync(path.join(runDir, TIMELINE_FILE), JSON.stringify(steps, null, 2) + "\n");
+}
+
+export function readTimeline(runDir: string): TimelineStep[] {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(runDir, TIMELINE_FILE), "utf8")) as TimelineStep[];
+  } catch {
+    return [];
+  }
+}
+
+export function recordStep(runDir: string, record: TimelineRecord): void {
+  fs.appendFileSync(path.join(runDir, RECORDS_FILE), JSON.stringify(record) + "\n");
+}
+
+/** Executed and skipped steps of a run, in execution order. */
+export function readTimelineRecords(runDir: string): TimelineRecord[] {
+  try {
+    return fs.readFileSync(path.join(runDir, RECORDS_FILE), "utf8")
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => JSON.parse(line) as TimelineRecord);
+  } catch {
+    return [];
+  }
+}
+
+// ── Injection ─────────────────────────────────────────────────────────────────
+
+type Injections = { agent: string; file: string; original: string | null }[];
+
+function readInjections(runDir: string): Injections {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(runDir, INJECTIONS_FILE), "utf8")) as Injections;
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Write a file into an agent's workspace, which is mounted into its
+ * container. The first injection of a file remembers what was there so
+ * revertInjections() can restore it — experiments reuse their agent dirs
+ * across runs.
+ */
+export function injectFile(
+  expDir: string,
+  runDir: string,
+  { agent, file, content, append = false }: { agent: string; file: string; content: string; append?: boolean },
+): void {
+  const target = path.join(expDir, "agents", agent, "workspace", file);
+  const existing = fs.existsSync(target) ? fs.readFileSync(target, "utf8") : null;
+
+  const injections = readInjections(runDir);
+  if (!injections.some((i) => i.agent === agent && i.file === file)) {
+    injections.push({ agent, file, original: existing });
+    fs.writeFileSync(path.join(runDir, INJECTIONS_FILE), JSON.stringify(injections, null, 2) + "\n");
+  }
+
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.writeFileSync(target, append && existing ? `${existing.replace(/\n*$/, "\n\n")}${content}` : content);
+}
+
+/** Put injected workspace files back as they were before the run. Returns the files restored. */
+export function revertInjections(expDir: string, runDir: string): string[] {
+  const injections = readInjections(runDir);
+  for (const { agent, file, original } of injections) {
+    const target = path.join(expDir, "agents", agent, "workspace", file);
+    if (original === null) fs.rmSync(target, { force: true });
+    else fs.writeFileSync(target, original);
+  }
+  fs.rmSync(path.join(runDir, INJECTIONS_FILE), { force: true });
+  return injections.map((i) => `${i.agent}/${i.file}`);
+}
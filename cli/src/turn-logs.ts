@@ -0,0 +1,315 @@
+/**
+ * turn-logs.ts
+ *
+ * Queries over the records the conversation-extractor and session-start hooks
+ * write to each run's logs/<agent>/conversation-extractor.jsonl (plus rotated
+ * segments .1, .2, …): openclaw-turn-v1, openclaw-session-start-v1,
+ * openclaw-conversation-v1 and openclaw-usage-v1, and the openclaw-memory-v1
+ * records of the memory-inject hook — together with the openclaw-guardrail-v1
+ * decisions the guardrail hook audits to logs/<agent>/guardrail.jsonl.
+ *
+ * Used by GET /experiments/:name/logs — a filtered, paginated page of records,
+ * or with follow=true an SSE stream of parsed records as they are appended.
+ */
+
+import * as fs from "fs";
+import * as path from "path";
+import { StringDecoder } from "string_decoder";
+import { ExperimentError, validateName } from "./experiments.js";
+
+/** Hook logs of an agent, each with its own rotated segments */
+const LOG_NAMES = ["conversation-extractor.jsonl", "guardrail.jsonl"];
+const FOLLOW_POLL_MS = 1_000;
+
+export const DEFAULT_LIMIT = 100;
+export const MAX_LIMIT = 1_000;
+
+/** Short names accepted by `schema=` and used as SSE event types. */
+export const EVENT_TYPES: Record<string, string> = {
+  "openclaw-turn-v1": "turn",
+  "openclaw-session-start-v1": "session-start",
+  "openclaw-conversation-v1": "conversation",
+  "openclaw-usage-v1": "usage",
+  "openclaw-memory-v1": "memory",
+  "openclaw-guardrail-v1": "guardrail",
+};
+
+interface ToolCall {
+  name?: string;
+  isError?: boolean;
+}
+
+export interface LogRecord {
+  schema: string;
+  extractedAt?: string;
+  idempotencyKey?: string;
+  session?: { agentId?: string; sessionId?: string | null };
+  turn?: {
+    timestamp?: string | null;
+    model?: string | null;
+    toolCalls?: ToolCall[];
+    steps?: { model?: string | null }[];
+  };
+  [key: string]: unknown;
+}
+
+export interface TurnLogQuery {
+  /** Experiment agent (logs/<agent>/), not the OpenClaw agent id in the record */
+  agent?: string;
+  /** Full schema ids or short names (turn, session-start, …) */
+  schemas?: string[];
+  since?: number;
+  until?: number;
+  /** Turns with a call to this tool */
+  tool?: string;
+  /** Turns with (true) or without (false) a failed tool call — of `tool`, when given */
+  isError?: boolean;
+  /** Turns that used this model in any step */
+  model?: string;
+  offset?: number;
+  limit?: number;
+  /** Dotted paths to keep, e.g. ["turn.index", "turn.usage.cost"]; all fields when omitted */
+  fields?: string[];
+}
+
+export interface LogItem {
+  agent: string;
+  type: string;
+  record: Partial<LogRecord>;
+}
+
+export interface LogPage {
+  total: number;
+  offset: number;
+  limit: number;
+  nextOffset: number | null;
+  items: LogItem[];
+}
+
+// ── Query parsing ─────────────────────────────────────────────────────────────
+
+function parseTime(name: string, raw: string | null): number | undefined {
+  if (!raw) return undefined;
+  const t = Date.parse(raw);
+  if (Number.isNaN(t)) throw new ExperimentError(`Invalid ${name} date: ${raw}`);
+  return t;
+}
+
+function parseCount(name: string, raw: string | null, fallback: number, min: number): number {
+  if (raw === null || raw === "") return fallback;
+  const n = Number(raw);
+  if (!Number.isInteger(n) || n < min) throw new ExperimentError(`${name} must be an integer >= ${min}`);
+  return n;
+}
+
+/** Build a TurnLogQuery from URL query parameters; throws 400s on bad input. */
+export function parseTurnLogQuery(query: URLSearchParams): TurnLogQuery {
+  const agent = query.get("agent") || undefined;
+  if (agent) validateName("Agent", agent);
+
+  const schemas = query.get("schema")?.split(",").map((s) => s.trim()).filter(Boolean);
+  for (const s of schemas ?? []) {
+    if (!EVENT_TYPES[s] && !Object.values(EVENT_TYPES).includes(s)) {
+      throw new ExperimentError(`Unknown schema '${s}'. Use: ${Object.values(EVENT_TYPES).join(", ")} (or full schema ids)`);
+    }
+  }
+
+  const isErrorRaw = query.get("isError");
+  if (isErrorRaw !== null && isErrorRaw !== "true" && isErrorRaw !== "false") {
+    throw new ExperimentError("isError must be true or false");
+  }
+
+  return {
+    agent,
+    schemas,
+    since: parseTime("since", query.get("since")),
+    until: parseTime("until", query.get("until")),
+    tool: query.get("tool") || undefined,
+    isError: isErrorRaw === null ? undefined : isErrorRaw === "true",
+    model: query.get("model") || undefined,
+    offset: parseCount("offset", query.get("offset"), 0, 0),
+    limit: Math.min(parseCount("limit", query.get("limit"), DEFAULT_LIMIT, 1), MAX_LIMIT),
+    fields: query.get("fields")?.split(",").map((f) => f.trim()).filter(Boolean),
+  };
+}
+
+// ── Matching ──────────────────────────────────────────────────────────────────
+
+/** When a record happened: the turn's start, else when it was written. */
+export function recordTime(record: LogRecord): number | null {
+  const raw = record.turn?.timestamp ?? record.extractedAt;
+  const t = raw ? Date.parse(raw) : NaN;
+  return Number.isNaN(t) ? null : t;
+}
+
+export function eventType(record: LogRecord): string {
+  return EVENT_TYPES[record.schema] ?? record.schema;
+}
+
+export function matches(record: LogRecord, q: TurnLogQuery): boolean {
+  if (q.schemas && !q.schemas.includes(record.schema) && !q.schemas.includes(eventType(record))) return false;
+
+  const t = recordTime(record);
+  if (q.since !== undefined && (t === null || t < q.since)) return false;
+  if (q.until !== undefined && (t === null || t >= q.until)) return false;
+
+  // Turn-only filters exclude every other record type
+  if (q.tool === undefined && q.isError === undefined && q.model === undefined) return true;
+  const turn = record.turn;
+  if (!turn) return false;
+
+  const calls = (turn.toolCalls ?? []).filter((c) => q.tool === undefined || c.name === q.tool);
+  if (q.tool !== undefined && calls.length === 0) return false;
+  if (q.isError !== undefined && calls.some((c) => c.isError === true) !== q.isError) return false;
+  if (q.model !== undefined && turn.model !== q.model && !(turn.steps ?? []).some((s) => s.model === q.model)) {
+    return false;
+  }
+  return true;
+}
+
+/** Keep only the given dotted paths of a record. */
+export function project(record: LogRecord, fields?: string[]): Partial<LogRecord> {
+  if (!fields || fields.length === 0) return record;
+  const out: Record<string, unknown> = {};
+  for (const field of fields) {
+    const parts = field.split(".");
+    let src: unknown = record;
+    for (const p of parts) src = src !== null && typeof src === "object" ? (src as Record<string, unknown>)[p] : undefined;
+    if (src === undefined) continue;
+    let dst = out;
+    for (const p of parts.slice(0, -1)) dst = (dst[p] ??= {}) as Record<string, unknown>;
+    dst[parts[parts.length - 1]] = src;
+  }
+  return out as Partial<LogRecord>;
+}
+
+// ── Files ─────────────────────────────────────────────────────────────────────
+
+function agentDirs(runDir: string, agent?: string): string[] {
+  const logsDir = path.join(runDir, "logs");
+  if (agent) {
+    if (!fs.existsSync(path.join(logsDir, agent))) throw new ExperimentError(`No log dir for agent '${agent}'`, 404);
+    return [agent];
+  }
+  if (!fs.existsSync(logsDir)) return [];
+  return fs.readdirSync(logsDir, { withFileTypes: true }).filter((d) => d.isDirectory()).map((d) => d.name).sort();
+}
+
+/** Segments of one of an agent's logs, oldest first (…, .2, .1, live). */
+function segments(logFile: string): string[] {
+  const found: string[] = [];
+  for (let n = 1; fs.existsSync(`${logFile}.${n}`); n++) found.unshift(`${logFile}.${n}`);
+  if (fs.existsSync(logFile)) found.push(logFile);
+  return found;
+}
+
+function parseLines(text: string): LogRecord[] {
+  const records: LogRecord[] = [];
+  for (const line of text.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      const record = JSON.parse(line) as LogRecord;
+      if (record && typeof record.schema === "string") records.push(record);
+    } catch {}
+  }
+  return records;
+}
+
+// ── Query ─────────────────────────────────────────────────────────────────────
+
+/** Every matching record of a run, oldest first, deduplicated by idempotencyKey. */
+export function queryTurnLogs(runDir: string, q: TurnLogQuery): LogPage {
+  const seen = new Set<string>();
+  const all: { agent: string; record: LogRecord; t: number }[] = [];
+  for (const agent of agentDirs(runDir, q.agent)) {
+    for (const name of LOG_NAMES) {
+      for (const file of segments(path.join(runDir, "logs", agent, name))) {
+        for (const record of parseLines(fs.readFileSync(file, "utf8"))) {
+          // Rotated segments may repeat a record that was re-delivered
+          if (record.idempotencyKey) {
+            const key = `${agent}\0${record.idempotencyKey}`;
+            if (seen.has(key)) continue;
+            seen.add(key);
+          }
+          if (matches(record, q)) all.push({ agent, record, t: recordTime(record) ?? 0 });
+        }
+      }
+    }
+  }
+  all.sort((a, b) => a.t - b.t);
+
+  const offset = q.offset ?? 0;
+  const limit = q.limit ?? DEFAULT_LIMIT;
+  const page = all.slice(offset, offset + limit);
+  return {
+    total: all.length,
+    offset,
+    limit,
+    nextOffset: offset + page.length < all.length ? offset + page.length : null,
+    items: page.map(({ agent, record }) => ({ agent, type: eventType(record), record: project(record, q.fields) })),
+  };
+}
+
+// ── Follow ────────────────────────────────────────────────────────────────────
+
+/**
+ * Call onItem for each matching record appended to the run's live hook logs
+ * from now on. Polls file sizes, so it picks up agents whose log appears
+ * later and starts over when a log is rotated. Returns a function that stops
+ * following.
+ */
+export function followTurnLogs(runDir: string, q: TurnLogQuery, onItem: (item: LogItem) => void): () => void {
+  // The decoder holds back a multi-byte character split across two polls
+  const positions = new Map<string, { offset: number; partial: string; decoder: StringDecoder }>();
+
+  const scan = (emit: boolean) => {
+    let agents: string[];
+    try {
+      agents = agentDirs(runDir, q.agent);
+    } catch {
+      return;
+    }
+    for (const agent of agents) {
+      for (const name of LOG_NAMES) {
+        const file = path.join(runDir, "logs", agent, name);
+        let size: number;
+        try {
+          size = fs.statSync(file).size;
+        } catch {
+          continue;
+        }
+        let pos = positions.get(file);
+        if (!pos) {
+          // Existing content counts as already seen
+          positions.set(file, { offset: emit ? 0 : size, partial: "", decoder: new StringDecoder("utf8") });
+          pos = positions.get(file)!;
+          if (!emit) continue;
+        }
+        if (size < pos.offset) {
+          // Rotated: the live file was renamed to .1 and a new one started
+          pos.offset = 0;
+          pos.partial = "";
+          pos.decoder = new StringDecoder("utf8");
+        }
+        if (size === pos.offset) continue;
+
+        const fd = fs.openSync(file, "r");
+        const buf = Buffer.alloc(size - pos.offset);
+        fs.readSync(fd, buf, 0, buf.length, pos.offset);
+        fs.closeSync(fd);
+        pos.offset = size;
+
+        const text = pos.partial + pos.decoder.write(buf);
+        const cut = text.lastIndexOf("\n");
+        pos.partial = text.slice(cut + 1);
+        for (const record of parseLines(text.slice(0, cut + 1))) {
+          if (matches(record, q)) onItem({ agent, type: eventType(record), record: project(record, q.fields) });
+        }
+      }
+    }
+  };
+
+  scan(false);
+  const timer = setInterval(() => scan(true), FOLLOW_POLL_MS);
+  return () => clearInterval(timer);
+}
@@ -2,8 +2,97 @@ export interface ExperimentConfig {
   name: string;
   description: string;
   seed?: string;
-  acceptance_criteria?: string[];
+  /** Scored after every run into runs/<id>/report.json (see evaluate.ts) */
+  acceptance_criteria?: AcceptanceCriterion[];
   notes?: string;
+  /** Unix timestamp (seconds) set by `experiment create` */
+  created_at?: string;
+  /** Agent names given to `experiment create` */
+  agents?: string[];
+  /** Human personas — Matrix users registered for each run that `experiment say --as` posts as */
+  humans?: string[];
+  /** Scripted interventions run after the seed is posted (see timeline.ts) */
+  timeline?: TimelineStep[];
+  /** Hooks and skills installed into every agent before each run (see runs.ts) */
+  hooks?: HookProfile;
+}
+
+/** An `openhive agent profiles` profile, adjusted by hook/skill name. */
+export interface HookProfile {
+  /** default, observe-only or full-coordination (default: default) */
+  profile?: string;
+  with?: string[];
+  without?: string[];
+}
+
+// ── Acceptance criteria ─────────────────────────────────────────────────────
+
+/** A plain string is judged by the LLM judge. */
+export type AcceptanceCriterion = string | CriterionSpec;
+
+export type JudgeName = "regex" | "keyword" | "predicate" | "llm";
+
+export interface CriterionSpec {
+  /** Defaults to criterion-<n> (1-based position) */
+  id?: string;
+  description: string;
+  /** Default: llm */
+  judge?: JudgeName;
+  /** regex / keyword: what to search — room messages, agent turn logs or both (default: transcript) */
+  in?: "transcript" | "turns" | "all";
+  /** regex / keyword: only messages or turns of this agent */
+  from?: string;
+  /** regex */
+  pattern?: string;
+  flags?: string;
+  /** regex: matches required to pass (default 1) */
+  min?: number;
+  /** keyword */
+  keywords?: string[];
+  /** keyword: all keywords must appear, or any one (default: all) */
+  match?: "all" | "any";
+  /** predicate: JS module in the experiment dir exporting (ctx) => boolean | { pass, score?, reason? } */
+  file?: string;
+}
+
+// ── Timeline ────────────────────────────────────────────────────────────────
+
+/**
+ * post     post `text` into the room (as the observer, or `as` a human persona)
+ * mention  post `text` mentioning agent `to`
+ * stop     stop `agent`'s container
+ * restart  restart (or start again) `agent`'s container
+ * inject   write `content` to `file` in `agent`'s workspace — picked up as a
+ *          bootstrap file on the agent's next turn; reverted when the run stops
+ */
+export type TimelineAction = "post" | "mention" | "stop" | "restart" | "inject";
+
+/** Event a step waits for; fires once, on the first match. */
+export interface TimelineTrigger {
+  /** A room message, optionally from one sender (agent, human or "observer") and containing some text */
+  message?: { from?: string; contains?: string };
+  /** Another step having run successfully */
+  step?: string;
+}
+
+export interface TimelineStep {
+  /** Defaults to step-<n> (1-based position) */
+  id?: string;
+  /** Time after the seed is posted, e.g. "2m". Exclusive with `on`. */
+  at?: string;
+  on?: TimelineTrigger;
+  /** Wait this long after the `on` event before acting */
+  delay?: string;
+  action: TimelineAction;
+  text?: string;
+  to?: string;
+  as?: string;
+  agent?: string;
+  /** Workspace-relative markdown file name, e.g. "MEMORY.md" */
+  file?: string;
+  content?: string;
+  /** inject: append to the file instead of replacing it */
+  append?: boolean;
 }
 
 // ── Docker Compose types (subset we actually use) ──────────────────────────
@@ -27,6 +116,7 @@ export interface ComposeService {
   environment?: Record<string, string>;
   volumes?: string[];
   ports?: string[];
+  extra_hosts?: string[];
   networks?: string[];
   depends_on?: Record<string, { condition: string }>;
   command?: string[];
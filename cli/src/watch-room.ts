@@ -2,14 +2,15 @@
 /**
  * watch-room.ts
  *
- * Long-polls a Matrix room and streams messages to stdout.
+ * Long-polls a Matrix room and streams messages to stdout. Edits, reactions,
+ * redactions and membership changes are shown dimmed.
  *
  * Usage:
  *   npx tsx src/watch-room.ts <homeserver-url> <observer-password> [room-alias]
  */
 
-import type { MatrixEvent } from "./matrix-client.js";
-import { watchRoom } from "./matrix-client.js";
+import { displayName } from "./matrix-client.js";
+import { watchRoom, type RoomEvent } from "./matrix-sync.js";
 
 const [, , homeserver, password, roomAliasArg] = process.argv;
 
@@ -37,17 +38,32 @@ function colorFor(sender: string): string {
 
 function formatMessage(sender: string, body: string, ts: number): string {
   const time = new Date(ts).toLocaleTimeString();
-  const name = sender.replace("@", "").replace(":local", "").replace(/-\d{10}$/, "");
+  const name = displayName(sender);
   const color = colorFor(name);
   return `${DIM}${time}${RESET} ${color}${BOLD}${name}${RESET}  ${body}`;
 }
 
+function formatEvent(ev: RoomEvent): string {
+  switch (ev.kind) {
+    case "message":
+      return formatMessage(ev.sender, ev.thread ? `${DIM}↳${RESET} ${ev.body}` : ev.body, ev.timestamp);
+    case "edit":
+      return formatMessage(ev.sender, `${DIM}(edited)${RESET} ${ev.body}`, ev.timestamp);
+    case "reaction":
+      return formatMessage(ev.sender, `${DIM}reacted ${ev.key}${RESET}`, ev.timestamp);
+    case "redaction":
+      return formatMessage(ev.sender, `${DIM}deleted a message${ev.reason ? ` (${ev.reason})` : ""}${RESET}`, ev.timestamp);
+    case "membership":
+      return `${DIM}${new Date(ev.timestamp).toLocaleTimeString()} ${displayName(ev.userId)} ${ev.previous ?? "—"} → ${ev.membership}${RESET}`;
+  }
+}
+
 async function main() {
   console.log(`Connecting to ${homeserver}...`);
   console.log(`Watching ${ROOM_ALIAS}\n${"─".repeat(60)}`);
 
-  await watchRoom(homeserver, password, ROOM_ALIAS, (ev: MatrixEvent) => {
-    console.log(formatMessage(ev.sender, ev.content.body ?? "", ev.origin_server_ts));
+  await watchRoom(homeserver, password, ROOM_ALIAS, (ev) => {
+    console.log(formatEvent(ev));
   });
 }
 
@@ -0,0 +1,129 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import * as cp from "node:child_process";
+import * as crypto from "node:crypto";
+import * as fs from "node:fs";
+import * as net from "node:net";
+import * as os from "node:os";
+import * as path from "node:path";
+
+// auth.ts reads EXPERIMENT_API_TOKENS when it is loaded, so it is imported
+// after the variable points at a scratch file
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "auth-test-"));
+const tokensFile = path.join(dir, "tokens.json");
+process.env.EXPERIMENT_API_TOKENS = tokensFile;
+
+let auth: typeof import("../src/auth");
+let reader: string;
+let operator: string;
+let server: { url: string; stop(): void };
+
+async function freePort(): Promise<number> {
+  const probe = net.createServer();
+  await new Promise<void>((resolve) => probe.listen(0, "127.0.0.1", resolve));
+  const { port } = probe.address() as net.AddressInfo;
+  await new Promise((resolve) => probe.close(resolve));
+  return port;
+}
+
+/** server.ts as `experiment server` runs it, with matrix commands going to /bin/true. */
+async function startServer(): Promise<{ url: string; stop(): void }> {
+  const port = await freePort();
+  const proc = cp.spawn(process.execPath, ["--import", "tsx", path.join(__dirname, "../src/server.ts"), String(port)], {
+    cwd: path.join(__dirname, ".."),
+    env: { ...process.env, EXPERIMENT_SCRIPT: "/bin/true", EXPERIMENT_API_AUTH: "" },
+    stdio: ["ignore", "pipe", "inherit"],
+  });
+  await new Promise<void>((resolve, reject) => {
+    proc.stdout!.on("data", (d) => String(d).includes("listening") && resolve());
+    proc.on("exit", (code) => reject(new Error(`server exited with ${code}`)));
+  });
+  return { url: `http://127.0.0.1:${port}`, stop: () => proc.kill() };
+}
+
+before(async () => {
+  auth = await import("../src/auth");
+  reader = auth.issueToken("dashboard", "read").token;
+  operator = auth.issueToken("ci", "operator").token;
+  server = await startServer();
+});
+
+after(() => {
+  server?.stop();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const call = (method: string, route: string, token?: string) =>
+  fetch(server.url + route, { method, headers: token ? { Authorization: `Bearer ${token}` } : {} }).then((r) => r.status);
+
+test("only the sha256 of a token is stored, and only the exact token verifies", () => {
+  const stored = JSON.parse(fs.readFileSync(tokensFile, "utf8"));
+  assert.equal(stored[0].hash, crypto.createHash("sha256").update(reader).digest("hex"));
+  assert.ok(!fs.readFileSync(tokensFile, "utf8").includes(reader));
+
+  assert.equal(auth.verifyToken(reader)?.scope, "read");
+  assert.equal(auth.verifyToken(reader + "x"), null);
+  assert.equal(auth.verifyToken(reader.slice(0, -1)), null);
+  assert.equal(auth.verifyToken(reader.replace(/^exp_/, "")), null);
+  // A stored hash of the wrong length is skipped, not compared
+  fs.writeFileSync(tokensFile, JSON.stringify([...stored, { ...stored[0], id: "short", hash: "abcd" }]));
+  assert.equal(auth.verifyToken(reader)?.id, stored[0].id);
+  fs.writeFileSync(tokensFile, JSON.stringify(stored));
+});
+
+test("operator implies read, read does not imply operator", () => {
+  assert.ok(auth.scopeAllows("operator", "read"));
+  assert.ok(auth.scopeAllows("operator", "operator"));
+  assert.ok(auth.scopeAllows("read", "read"));
+  assert.ok(!auth.scopeAllows("read", "operator"));
+});
+
+test("revoked tokens stop verifying at once", () => {
+  const { token, id } = auth.issueToken("temporary", "read");
+  assert.ok(auth.verifyToken(token));
+  auth.revokeToken(id);
+  assert.equal(auth.verifyToken(token), null);
+});
+
+test("routes check the token and its scope", async () => {
+  assert.equal(await call("GET", "/health"), 200);
+  assert.equal(await call("GET", "/experiments"), 401);
+  assert.equal(await call("GET", "/experiments", "exp_not-a-token"), 401);
+  assert.equal(await call("GET", "/experiments", reader), 200);
+  assert.equal(await call("GET", "/experiments", operator), 200);
+
+  // A read token is turned away from operator routes before they run
+  assert.equal(await call("GET", "/matrix/status", reader), 403);
+  assert.equal(await call("POST", "/matrix/stop", reader), 403);
+  assert.equal(await call("POST", "/experiments/nope/stop", reader), 403);
+  assert.equal(await call("GET", "/matrix/status", operator), 200);
+});
+
+test("?access_token is accepted on GET only", async () => {
+  assert.equal(await call("GET", `/experiments?access_token=${reader}`), 200);
+  assert.equal(await call("GET", `/matrix/status?access_token=${reader}`), 403);
+  assert.equal(await call("POST", `/matrix/stop?access_token=${operator}`), 401);
+});
+
+test("the OpenAPI document lists the scope of every protected route", async () => {
+  const spec = await fetch(`${server.url}/openapi.json`).then((r) => r.json());
+  const scopes: Record<string, string> = {};
+  for (const [route, ops] of Object.entries<Record<string, { "x-required-scope"?: string }>>(spec.paths)) {
+    for (const [method, op] of Object.entries(ops)) {
+      if (op["x-required-scope"]) scopes[`${method.toUpperCase()} ${route}`] = op["x-required-scope"];
+    }
+  }
+  const operatorRoutes = Object.keys(scopes).filter((r) => scopes[r] === "operator").sort();
+  assert.deepEqual(operatorRoutes, [
+    "GET /matrix/status",
+    "POST /experiments",
+    "POST /experiments/{name}/messages",
+    "POST /experiments/{name}/run",
+    "POST /experiments/{name}/stop",
+    "POST /matrix/start",
+    "POST /matrix/stop",
+  ]);
+  for (const [route, scope] of Object.entries(scopes)) {
+    if (route.startsWith("GET ") && route !== "GET /matrix/status") assert.equal(scope, "read", route);
+  }
+});
@@ -0,0 +1,130 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import type { AddressInfo } from "node:net";
+import { MatrixClient, type RoomEvent } from "../src/matrix-sync";
+import { MatrixError } from "../src/matrix-client";
+
+const ROOM = "!room:test";
+
+type Reply = { status?: number; body: unknown };
+
+/**
+ * A fake homeserver: password login, scripted /sync replies (once they run
+ * out, the long poll is held until the client goes away) and a /messages
+ * handler. Each request is recorded with the time it arrived.
+ */
+async function startHomeserver(script: {
+  initial: Reply;
+  syncs: Reply[];
+  messages?: (from: string | null) => Reply;
+}) {
+  const requests: { path: string; at: number }[] = [];
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url ?? "/", "http://localhost");
+    requests.push({ path: url.pathname, at: Date.now() });
+    const reply = ({ status = 200, body }: Reply) =>
+      res.writeHead(status, { "Content-Type": "application/json" }).end(JSON.stringify(body));
+
+    if (url.pathname === "/_matrix/client/v3/login") return reply({ body: { access_token: "token" } });
+    if (url.pathname === "/_matrix/client/v3/sync") {
+      if (!url.searchParams.has("since")) return reply(script.initial);
+      const next = script.syncs.shift();
+      if (next) reply(next);
+      return;
+    }
+    if (url.pathname === `/_matrix/client/v3/rooms/${encodeURIComponent(ROOM)}/messages` && script.messages) {
+      return reply(script.messages(url.searchParams.get("from")));
+    }
+    reply({ status: 404, body: { errcode: "M_UNRECOGNIZED" } });
+  });
+  await new Promise<void>((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `http://127.0.0.1:${(server.address() as AddressInfo).port}`,
+    requests,
+    close() {
+      server.closeAllConnections();
+      server.close();
+    },
+  };
+}
+
+const message = (id: string) => ({
+  event_id: id,
+  type: "m.room.message",
+  sender: "@alice:test",
+  origin_server_ts: 0,
+  content: { msgtype: "m.text", body: id },
+});
+
+const timeline = (next_batch: string, events: unknown[], extra: Record<string, unknown> = {}) =>
+  ({ body: { next_batch, rooms: { join: { [ROOM]: { timeline: { events, ...extra } } } } } });
+
+/** Watch until `count` events arrive; returns their bodies and the log lines. */
+async function watchFor(homeserver: string, count: number, backoff = {}) {
+  const controller = new AbortController();
+  const bodies: string[] = [];
+  const log: string[] = [];
+  // A fresh user per test: sessions are cached per homeserver + user
+  const client = new MatrixClient({ homeserver, user: `observer-${Math.random()}`, password: "pw", backoff, log: (line) => log.push(line) });
+  const watching = client.watch(ROOM, (event: RoomEvent) => {
+    if (event.kind === "message") bodies.push(event.body);
+    if (bodies.length >= count) controller.abort();
+  }, { signal: controller.signal, backlog: 1 });
+  const timer = setTimeout(() => controller.abort(), 5_000);
+  try {
+    await watching;
+  } finally {
+    clearTimeout(timer);
+  }
+  return { bodies, log };
+}
+
+test("watch backfills the gap before a limited sync, stopping at events already seen", async () => {
+  const pages: (string | null)[] = [];
+  const hs = await startHomeserver({
+    initial: timeline("s1", [message("e1")]),
+    syncs: [timeline("s2", [message("e5")], { limited: true, prev_batch: "p5" })],
+    messages: (from) => {
+      pages.push(from);
+      return { body: { chunk: [message("e4"), message("e3"), message("e2"), message("e1")], end: "p0" } };
+    },
+  });
+  try {
+    const { bodies } = await watchFor(hs.url, 5);
+    assert.deepEqual(bodies, ["e1", "e2", "e3", "e4", "e5"]);
+    assert.deepEqual(pages, ["p5"]);
+  } finally {
+    hs.close();
+  }
+});
+
+test("watch waits for retry_after_ms after a 429 instead of its own backoff", async () => {
+  const hs = await startHomeserver({
+    initial: timeline("s1", []),
+    syncs: [
+      { status: 429, body: { errcode: "M_LIMIT_EXCEEDED", error: "Too many requests", retry_after_ms: 300 } },
+      timeline("s2", [message("e1")]),
+    ],
+  });
+  try {
+    // Without retry_after_ms the first retry would wait 30-60 s
+    const { bodies, log } = await watchFor(hs.url, 1, { initialMs: 60_000 });
+    assert.deepEqual(bodies, ["e1"]);
+    assert.deepEqual(log, [
+      "Matrix sync failed (429 M_LIMIT_EXCEEDED); retrying in 0.3s",
+      "Matrix sync resumed after 1 failed attempt(s)",
+    ]);
+    const polls = hs.requests.filter((r) => r.path === "/_matrix/client/v3/sync").slice(1);
+    assert.ok(polls[1].at - polls[0].at >= 290, `retried after ${polls[1].at - polls[0].at} ms`);
+  } finally {
+    hs.close();
+  }
+});
+
+test("retryDelay prefers the server's retry_after_ms", () => {
+  const client = new MatrixClient({ homeserver: "http://unused", user: "u", password: "p", backoff: { initialMs: 1_000, random: () => 0 } });
+  const limited = new MatrixError("rate limited", 429, "M_LIMIT_EXCEEDED", { retry_after_ms: 1_234 });
+  assert.equal(client.retryDelay(3, limited), 1_234);
+  assert.equal(client.retryDelay(3, new MatrixError("busy", 502)), 4_000);
+});
@@ -0,0 +1,431 @@
+/**
+ * dashboard.js
+ *
+ * The /ui dashboard of the Experiment API (server.ts); /ui#<name> opens an
+ * experiment. Plain browser JS with no build step and no external assets, so
+ * it works offline. It uses the same routes as any other API client. The
+ * token is kept in localStorage and sent as a Bearer header, or as
+ * ?access_token= on EventSource streams.
+ *
+ *   experiments + runs     GET /experiments, GET /experiments/:name/runs (polled)
+ *   agent health           GET /experiments/:name/runs/:runId (polled)
+ *   room                   GET /experiments/:name/runs/:runId/watch (SSE)
+ *   turn cards             GET /experiments/:name/runs/:runId/logs?follow=true&schema=turn (SSE)
+ *   start / stop / say     POST /experiments/:name/run, /stop, /messages
+ */
+
+"use strict";
+
+const TOKEN_KEY = "experiment-api-token";
+const STATUS_POLL_MS = 5_000;
+const LIST_POLL_MS = 15_000;
+/** Messages / turn cards kept per feed */
+const MAX_FEED_ITEMS = 500;
+/** Turns replayed when a run is opened */
+const TURN_TAIL = 50;
+/** How long after a stop to keep checking for the evaluator's report */
+const REPORT_WAIT_MS = 10 * 60_000;
+/** Agent colours, as in the HTML transcript export */
+const PALETTE = ["#0e9aa7", "#b8860b", "#2e8b57", "#a23b9c", "#3465a4", "#c0392b"];
+
+const state = {
+  token: localStorage.getItem(TOKEN_KEY) || "",
+  experiment: null,
+  /** Selected run; null follows the latest */
+  runId: null,
+  latestRunId: null,
+  agents: [],
+  humans: [],
+  streams: [],
+  /** The selected run has stopped and has no report yet — the evaluator may still write one */
+  awaitingReport: false,
+};
+
+// ── Helpers ──────────────────────────────────────────────────────────────────
+
+const $ = (id) => document.getElementById(id);
+const enc = encodeURIComponent;
+
+function h(tag, props, ...children) {
+  const el = document.createElement(tag);
+  for (const [key, value] of Object.entries(props || {})) {
+    if (value === null || value === undefined || value === false) continue;
+    if (key === "class") el.className = value;
+    else if (key === "style") el.style.cssText = value;
+    else if (key.startsWith("on")) el.addEventListener(key.slice(2), value);
+    else el.setAttribute(key, value === true ? "" : value);
+  }
+  for (const child of children.flat()) {
+    if (child === null || child === undefined || child === false) continue;
+    el.append(child instanceof Node ? child : String(child));
+  }
+  return el;
+}
+
+/** @planner-1760000123:local → planner, as displayName() in matrix-client.ts */
+function displayName(sender) {
+  return sender.replace("@", "").replace(":local", "").replace(/-\d{10}$/, "");
+}
+
+function colorFor(agent) {
+  const i = state.agents.indexOf(agent);
+  return i < 0 ? "#778" : PALETTE[i % PALETTE.length];
+}
+
+const clock = (ts) => new Date(ts).toLocaleTimeString();
+const usd = (n) => `$${n.toFixed(4)}`;
+const runPath = (sub = "") => `/experiments/${enc(state.experiment)}/runs/${enc(state.runId || state.latestRunId)}${sub}`;
+
+function withToken(path) {
+  if (!state.token) return path;
+  return `${path}${path.includes("?") ? "&" : "?"}access_token=${enc(state.token)}`;
+}
+
+async function api(path, { method = "GET", body } = {}) {
+  const headers = {};
+  if (state.token) headers.Authorization = `Bearer ${state.token}`;
+  if (body !== undefined) headers["Content-Type"] = "application/json";
+  const res = await fetch(path, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+  const data = await res.json().catch(() => ({}));
+  if (res.status === 401) setConnection("Paste an API token to connect", true);
+  if (!res.ok) throw new Error(data.error || `${res.status} ${res.statusText}`);
+  return data;
+}
+
+function setConnection(text, isError = false) {
+  const el = $("conn");
+  el.textContent = text;
+  el.style.color = isError ? "#a22" : "";
+}
+
+function showError(err) {
+  const el = $("error");
+  el.hidden = !err;
+  el.textContent = err ? err.message || String(err) : "";
+}
+
+/** Append to a feed, trimming the oldest items and following the bottom if the user was there. */
+function append(feed, el) {
+  const atBottom = feed.scrollHeight - feed.scrollTop - feed.clientHeight < 40;
+  feed.append(el);
+  while (feed.children.length > MAX_FEED_ITEMS) feed.firstElementChild.remove();
+  if (atBottom) feed.scrollTop = feed.scrollHeight;
+}
+
+function closeStreams() {
+  for (const es of state.streams) es.close();
+  state.streams = [];
+}
+
+function openStream(path) {
+  const es = new EventSource(withToken(path));
+  state.streams.push(es);
+  return es;
+}
+
+// ── Experiments and runs ─────────────────────────────────────────────────────
+
+async function loadExperiments() {
+  let experiments;
+  try {
+    experiments = await api("/experiments");
+  } catch (err) {
+    if (!$("conn").textContent) setConnection(err.message, true);
+    return;
+  }
+  setConnection(`${experiments.length} experiment(s)`);
+  $("experiments").replaceChildren(...experiments.map((e) => h("li", {
+    class: e.name === state.experiment ? "selected" : null,
+    title: e.description,
+    onclick: () => selectExperiment(e.name),
+  }, e.name, h("span", { class: "sub" }, `${e.runs} run(s)${e.agents.length ? ` · ${e.agents.join(", ")}` : ""}`))));
+}
+
+async function loadRuns() {
+  if (!state.experiment) return [];
+  const runs = await api(`/experiments/${enc(state.experiment)}/runs`).catch(() => []);
+  state.latestRunId = runs[0]?.runId ?? null;
+  const selected = state.runId || state.latestRunId;
+  $("runs").replaceChildren(...runs.map((r, i) => h("li", {
+    class: r.runId === selected ? "selected" : null,
+    onclick: () => selectRun(i === 0 ? null : r.runId),
+  }, r.runId, h("span", { class: "sub" },
+    `${new Date(r.startedAt).toLocaleString()} · ${r.stopReason || (r.stoppedAt ? "stopped" : "running")}`))));
+  return runs;
+}
+
+async function selectExperiment(name) {
+  state.experiment = name;
+  state.runId = null;
+  history.replaceState(null, "", `#${enc(name)}`);
+  await loadExperiments();
+  await openRun();
+}
+
+async function selectRun(runId) {
+  state.runId = runId;
+  await openRun();
+}
+
+// ── Run ──────────────────────────────────────────────────────────────────────
+
+async function openRun() {
+  closeStreams();
+  showError(null);
+  $("empty").hidden = true;
+  $("run").hidden = false;
+  $("room").replaceChildren();
+  $("turns").replaceChildren();
+  $("agents").replaceChildren();
+  $("report").hidden = true;
+
+  await loadRuns();
+  $("run-title").textContent = state.experiment;
+  if (!state.latestRunId) {
+    $("run-meta").textContent = "No runs yet.";
+    $("room-state").textContent = "";
+    return;
+  }
+  $("export-html").href = withToken(runPath("/export?format=html"));
+  $("export-md").href = withToken(runPath("/export?format=md"));
+
+  await refreshStatus();
+  watchRoom();
+  followTurns();
+  loadReport();
+}
+
+async function refreshStatus() {
+  if (!state.experiment || !state.latestRunId) return;
+  let status;
+  try {
+    status = await api(runPath());
+  } catch (err) {
+    showError(err);
+    return;
+  }
+  const runId = state.runId || state.latestRunId;
+  const stopped = status.stoppedAt
+    ? `stopped ${new Date(status.stoppedAt).toLocaleString()}${status.stopReason ? ` (${status.stopReason})` : ""}`
+    : status.remainingSeconds !== null ? `stops in ${Math.floor(status.remainingSeconds / 60)}m ${status.remainingSeconds % 60}s` : "no timeout";
+  $("run-title").textContent = `${state.experiment} — run ${runId}${state.runId ? "" : " (latest)"}`;
+  $("run-meta").textContent = `${status.roomAlias} · started ${new Date(status.startedAt).toLocaleString()} · ${stopped}` +
+    (status.error ? ` · error: ${status.error}` : "");
+  $("stop").disabled = !status.active;
+  state.awaitingReport = Boolean(status.stoppedAt) && $("report").hidden &&
+    Date.now() - Date.parse(status.stoppedAt) < REPORT_WAIT_MS;
+
+  state.agents = status.agents.map((a) => a.name);
+  state.humans = (status.humans || []).map((p) => p.name);
+  $("agents").replaceChildren(...status.agents.map((a) => {
+    const c = a.container;
+    return h("div", { class: "agent", style: `--c:${colorFor(a.name)}` },
+      h("b", null, a.name),
+      h("span", { class: `badge ${c ? c.state : ""}` }, c ? c.state : "no container"),
+      c && c.health ? h("span", { class: `badge ${c.health}` }, c.health) : null,
+      h("div", { class: "muted" }, c ? c.status : "—", ` · :${a.port}`));
+  }));
+  fillSelect($("say-to"), "everyone", state.agents);
+  fillSelect($("say-as"), "observer", state.humans);
+  fillSelect($("turn-agent"), "all agents", state.agents);
+}
+
+/** Replace a select's options, keeping its value when still offered. */
+function fillSelect(select, blank, values) {
+  const current = select.value;
+  const same = select.options.length === values.length + 1 && values.every((v, i) => select.options[i + 1].value === v);
+  if (same) return;
+  select.replaceChildren(h("option", { value: "" }, blank), ...values.map((v) => h("option", { value: v }, v)));
+  if (values.includes(current)) select.value = current;
+}
+
+async function loadReport() {
+  const el = $("report");
+  let report;
+  try {
+    report = await api(runPath("/report"));
+  } catch {
+    el.hidden = true;
+    return;
+  }
+  el.hidden = false;
+  el.replaceChildren(
+    h("b", null, "Acceptance criteria: "),
+    h("span", { class: "pass" }, `${report.passed} passed`), " · ",
+    h("span", { class: "fail" }, `${report.failed} failed`), " · ",
+    h("span", { class: "undecided" }, `${report.undecided} undecided`),
+    ...report.criteria.map((c) => h("div", { class: c.pass === true ? "pass" : c.pass === false ? "fail" : "undecided" },
+      `${c.pass === true ? "✓" : c.pass === false ? "✗" : "?"} ${c.id}: ${c.description}`,
+      h("span", { class: "muted" }, ` — ${c.error || c.reason}`))),
+  );
+}
+
+// ── Room ─────────────────────────────────────────────────────────────────────
+
+function watchRoom() {
+  const room = $("room");
+  const es = openStream(runPath("/watch"));
+  const byId = (id) => room.querySelector(`[data-event="${CSS.escape(id)}"]`);
+
+  es.onopen = () => ($("room-state").textContent = "live");
+  es.onerror = () => ($("room-state").textContent = "reconnecting…");
+  es.onmessage = (e) => {
+    const data = JSON.parse(e.data);
+    if (data.type === "connected") return;
+    // A reconnect replays the recent backlog
+    if (data.eventId && byId(data.eventId)) return;
+    const name = displayName(data.sender);
+    append(room, h("div", { class: "msg", "data-event": data.eventId, style: `--c:${colorFor(name)}` },
+      h("span", { class: "time" }, clock(data.timestamp)),
+      h("span", { class: "who" }, name),
+      data.thread ? h("span", { class: "tag" }, "in thread") : null,
+      h("div", { class: "body" }, data.body),
+      h("span", { class: "reactions" })));
+  };
+  es.addEventListener("edit", (e) => {
+    const data = JSON.parse(e.data);
+    const el = byId(data.target);
+    if (!el) return;
+    el.querySelector(".body").textContent = data.body;
+    if (!el.querySelector(".edited")) el.querySelector(".who").after(h("span", { class: "tag edited" }, "edited"));
+  });
+  es.addEventListener("redaction", (e) => {
+    const el = byId(JSON.parse(e.data).target);
+    if (!el) return;
+    el.classList.add("redacted");
+    el.querySelector(".body").textContent = "message deleted";
+  });
+  es.addEventListener("reaction", (e) => {
+    const data = JSON.parse(e.data);
+    const el = byId(data.target);
+    if (el) el.querySelector(".reactions").append(` ${data.key}`);
+  });
+  es.addEventListener("membership", (e) => {
+    const data = JSON.parse(e.data);
+    if (byId(data.eventId)) return;
+    append(room, h("div", { class: "sys", "data-event": data.eventId },
+      `${clock(data.timestamp)} ${displayName(data.userId)} ${data.previous ? `${data.previous} → ` : ""}${data.membership}`));
+  });
+}
+
+$("say").addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const text = $("say-text").value.trim();
+  if (!text || !state.experiment) return;
+  showError(null);
+  try {
+    await api(`/experiments/${enc(state.experiment)}/messages`, {
+      method: "POST",
+      body: { text, to: $("say-to").value || undefined, as: $("say-as").value || undefined },
+    });
+    $("say-text").value = "";
+  } catch (err) {
+    showError(err);
+  }
+});
+
+// ── Turns ────────────────────────────────────────────────────────────────────
+
+function turnCard({ agent, record }) {
+  const turn = record.turn || {};
+  const cost = turn.usage && turn.usage.cost ? turn.usage.cost.total : null;
+  const time = turn.timestamp || record.extractedAt;
+  const hidden = $("turn-agent").value && $("turn-agent").value !== agent;
+  return h("div", { class: "turn", "data-agent": agent, "data-key": record.idempotencyKey, style: `--c:${colorFor(agent)}`, hidden },
+    h("div", { class: "head" },
+      h("b", null, agent),
+      h("span", { class: "muted" }, [
+        turn.index !== undefined && `turn ${turn.index}`,
+        time && clock(time),
+        turn.model,
+        turn.partial && "partial",
+      ].filter(Boolean).join(" · ")),
+      h("span", { class: "cost" }, typeof cost === "number" ? usd(cost) : "")),
+    turn.userMessage ? h("details", null, h("summary", null, "Input"), h("pre", null, turn.userMessage)) : null,
+    turn.thinking ? h("details", null, h("summary", null, "Thinking"), h("pre", null, turn.thinking)) : null,
+    ...(turn.toolCalls || []).map((c) => h("details", { class: `tool${c.isError ? " err" : ""}` },
+      h("summary", null, `${c.name}${c.isError ? " — error" : c.status === "pending" ? " — pending" : ""}`),
+      c.input !== null && c.input !== undefined
+        ? h("pre", null, typeof c.input === "string" ? c.input : JSON.stringify(c.input, null, 2))
+        : null,
+      c.result !== null && c.result !== undefined ? h("pre", null, c.result) : null)),
+    turn.response ? h("div", { class: "response" }, turn.response) : null);
+}
+
+function followTurns() {
+  const feed = $("turns");
+  const es = openStream(runPath(`/logs?follow=true&schema=turn&tail=${TURN_TAIL}`));
+  es.addEventListener("turn", (e) => {
+    const item = JSON.parse(e.data);
+    const key = item.record.idempotencyKey;
+    // tail=N is replayed on reconnect
+    if (key && feed.querySelector(`[data-key="${CSS.escape(key)}"]`)) return;
+    append(feed, turnCard(item));
+  });
+}
+
+$("turn-agent").addEventListener("change", () => {
+  const agent = $("turn-agent").value;
+  for (const card of $("turns").children) card.hidden = Boolean(agent) && card.dataset.agent !== agent;
+});
+
+// ── Controls ─────────────────────────────────────────────────────────────────
+
+$("start").addEventListener("click", async () => {
+  if (!state.experiment) return;
+  showError(null);
+  $("start").disabled = true;
+  try {
+    const timeout = $("timeout").value.trim();
+    await api(`/experiments/${enc(state.experiment)}/run`, { method: "POST", body: timeout ? { timeout } : {} });
+    state.runId = null;
+    await openRun();
+    await loadExperiments();
+  } catch (err) {
+    showError(err);
+  } finally {
+    $("start").disabled = false;
+  }
+});
+
+$("stop").addEventListener("click", async () => {
+  if (!state.experiment || !confirm(`Stop the latest run of ${state.experiment}?`)) return;
+  showError(null);
+  try {
+    await api(`/experiments/${enc(state.experiment)}/stop`, { method: "POST" });
+    await refreshStatus();
+    await loadRuns();
+  } catch (err) {
+    showError(err);
+  }
+});
+
+$("token-form").addEventListener("submit", (e) => {
+  e.preventDefault();
+  state.token = $("token").value.trim();
+  if (state.token) localStorage.setItem(TOKEN_KEY, state.token);
+  else localStorage.removeItem(TOKEN_KEY);
+  setConnection("");
+  loadExperiments();
+  if (state.experiment) openRun();
+});
+
+// ── Start ────────────────────────────────────────────────────────────────────
+
+$("token").value = state.token;
+// /ui#<experiment> opens that experiment
+if (location.hash.length > 1) selectExperiment(decodeURIComponent(location.hash.slice(1)));
+else loadExperiments();
+setInterval(loadExperiments, LIST_POLL_MS);
+setInterval(async () => {
+  if (document.hidden || !state.experiment) return;
+  const latest = state.latestRunId;
+  await loadRuns();
+  // Following the latest run: switch over when a new one starts
+  if (!state.runId && state.latestRunId !== latest) {
+    openRun();
+    return;
+  }
+  await refreshStatus();
+  if (state.awaitingReport) loadReport();
+}, STATUS_POLL_MS);
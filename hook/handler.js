@@ -6,17 +6,20 @@
  *
  * Output:
  *   ~/.openclaw/conversation-extractor.log
+ *   plus any sinks in $OPENCLAW_EXTRACTOR_SINKS (see cli/openhive/hooks/lib/sinks.js,
+ *   installed next to this hook as ../lib by setup.sh)
  *
  * Hook events: agent:bootstrap, command:new
  */
 
-import fs from "fs";
 import fsPromises from "fs/promises";
 import path from "path";
 import os from "os";
+import { openSinks } from "../lib/sinks.js";
 
 const STATE_DIR = path.join(os.homedir(), ".openclaw");
 const LOG_FILE = path.join(STATE_DIR, "conversation-extractor.log");
+const SPOOL_DIR = path.join(STATE_DIR, "conversation-extractor.spool");
 
 // ── Session file resolution ──────────────────────────────────────────────────
 
@@ -212,13 +215,6 @@ function buildPayload(sessionMeta, turns, entries) {
   };
 }
 
-// ── I/O ───────────────────────────────────────────────────────────────────────
-
-function appendLog(filePath, data) {
-  const sep = "\n" + "=".repeat(80) + "\n";
-  fs.appendFileSync(filePath, sep + JSON.stringify(data, null, 2) + "\n");
-}
-
 // ── Handler ───────────────────────────────────────────────────────────────────
 
 export default async function HookHandler(event) {
@@ -241,5 +237,17 @@ export default async function HookHandler(event) {
 
   const meta = resolveSessionMeta(event, entries);
   const payload = buildPayload(meta, turns, entries);
-  appendLog(LOG_FILE, payload);
+
+  try {
+    // Default file sink keeps the original separator + pretty-printed log format
+    const sinks = openSinks({ file: LOG_FILE, spoolDir: SPOOL_DIR, format: "log" });
+    try {
+      sinks.write(payload);
+    } finally {
+      await sinks.close();
+    }
+  } catch (err) {
+    // A bad $OPENCLAW_EXTRACTOR_SINKS or an unwritable log must not fail the event
+    console.warn(`[conversation-extractor] ${err.message ?? err}`);
+  }
 }
@@ -9,6 +9,7 @@ set -euo pipefail
 
 HOOK_NAME="conversation-extractor"
 HOOK_DIR="${HOME}/.openclaw/hooks/${HOOK_NAME}"
+LIB_DIR="${HOME}/.openclaw/hooks/lib"
 SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
 
 # ── Verify openclaw is installed ─────────────────────────────────────────────
@@ -36,6 +37,10 @@ mkdir -p "${HOOK_DIR}"
 cp "${SCRIPT_DIR}/hook/HOOK.md"    "${HOOK_DIR}/HOOK.md"
 cp "${SCRIPT_DIR}/hook/handler.js" "${HOOK_DIR}/handler.js"
 
+# Shared hook modules (sinks) — imported by handler.js as ../lib/
+mkdir -p "${LIB_DIR}"
+cp -r "${SCRIPT_DIR}/cli/openhive/hooks/lib/." "${LIB_DIR}/"
+
 openclaw hooks enable "${HOOK_NAME}"
 
 echo ""